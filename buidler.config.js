@@ -4,6 +4,12 @@ usePlugin("@nomiclabs/buidler-waffle");
 usePlugin("@nomiclabs/buidler-ethers");
 usePlugin("@nomiclabs/buidler-web3");
 
+require("./tasks/deploy");
+require("./tasks/governance");
+require("./tasks/gas");
+require("./tasks/evidence");
+require("./tasks/arbitratorExtraData");
+
 // This is a sample Buidler task. To learn how to create your own go to
 // https://buidler.dev/guides/create-task.html
 task("accounts", "Prints the list of accounts", async (_, { ethers }) => {
@@ -14,7 +20,33 @@ task("accounts", "Prints the list of accounts", async (_, { ethers }) => {
   }
 });
 
+// Two local nodes can be started with `buidler node --port 8545` and `buidler node --port 8546`.
+const networks = {
+  homeLocal: {
+    url: "http://127.0.0.1:8545",
+  },
+  foreignLocal: {
+    url: "http://127.0.0.1:8546",
+  },
+};
+
+const remoteNetworks = {
+  sokol: process.env.SOKOL_RPC_URL,
+  xdai: process.env.XDAI_RPC_URL,
+  goerli: process.env.GOERLI_RPC_URL,
+  mainnet: process.env.MAINNET_RPC_URL,
+};
+for (const [name, url] of Object.entries(remoteNetworks)) {
+  if (url) {
+    networks[name] = {
+      url,
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    };
+  }
+}
+
 module.exports = {
+  networks,
   solc: {
     version: "0.7.6",
     optimizer: {
@@ -0,0 +1,249 @@
+/**
+ * @authors: [@hbarcelos]
+ * @reviewers: []
+ * @auditors: []
+ * @bounties: []
+ * @deployments: []
+ *
+ * SPDX-License-Identifier: MIT
+ */
+pragma solidity ^0.7.6;
+
+import "@kleros/erc-792/contracts/IArbitrator.sol";
+import "@kleros/ethereum-libraries/contracts/CappedMath.sol";
+
+/**
+ * @title AppealRounds
+ * @dev Keeps the appeal crowdfunding of the binary foreign proxy and computes the appeal deadlines and costs. The
+ * sides are the defendant (1) and the plaintiff (2), and 0 is the refusal to rule.
+ * The functions are public so the library is deployed once and linked, which keeps the foreign proxy under the
+ * contract size limit.
+ */
+library AppealRounds {
+    using CappedMath for uint256;
+
+    uint256 internal constant DEFENDANT = 1;
+    uint256 internal constant PLAINTIFF = 2;
+
+    uint256 internal constant MULTIPLIER_DIVISOR = 10000; // Mirrors `ForeignBinaryArbitrationProxy.MULTIPLIER_DIVISOR`.
+
+    struct Round {
+        uint256[3] paidFees; // Tracks the fees paid by each side in this round.
+        bool[3] fullyPaid; // True when the side has fully paid its fee. False otherwise.
+        uint256 feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the side that ultimately wins a dispute.
+        mapping(address => uint256[3]) contributions; // Maps contributors to their contributions for each side.
+    }
+
+    /**
+     * @notice Makes a fee contribution to a round, taking up to the amount the side still has to pay.
+     * @param _self The round.
+     * @param _side The side which to contribute.
+     * @param _contributor The address of the contributor.
+     * @param _available The amount the contributor has sent.
+     * @param _totalRequired The total amount required for the side.
+     * @return contribution The amount taken.
+     * @return remainder The remainder to send back to the contributor.
+     */
+    function contribute(
+        Round storage _self,
+        uint256 _side,
+        address _contributor,
+        uint256 _available,
+        uint256 _totalRequired
+    ) public returns (uint256 contribution, uint256 remainder) {
+        uint256 paidFees = _self.paidFees[_side];
+        (contribution, remainder) = calculateContribution(
+            _available,
+            _totalRequired > paidFees ? _totalRequired - paidFees : 0
+        );
+
+        _self.feeRewards += contribution;
+        _self.paidFees[_side] += contribution;
+        _self.contributions[_contributor][_side] += contribution;
+
+        if (_self.paidFees[_side] >= _totalRequired) {
+            _self.fullyPaid[_side] = true;
+        }
+    }
+
+    /**
+     * @notice Registers the withdrawal of the fees and rewards of a beneficiary in a range of rounds.
+     * @dev No checks are made on the arbitration state. Callers MUST check the arbitration is ruled or settled.
+     * @param _rounds The rounds of the arbitration.
+     * @param _beneficiary The address that made contributions.
+     * @param _ruling The side which won the dispute. 0 if there was no winner.
+     * @param _cursor The round from where to start withdrawing.
+     * @param _count The number of rounds to iterate. 0 to iterate until the last round.
+     * @return amount The withdrawn amount.
+     */
+    function registerWithdrawals(
+        Round[] storage _rounds,
+        address _beneficiary,
+        uint256 _ruling,
+        uint256 _cursor,
+        uint256 _count
+    ) public returns (uint256 amount) {
+        for (uint256 i = _cursor; i < _rounds.length && (_count == 0 || i < _cursor + _count); i++) {
+            amount += registerWithdrawal(_rounds[i], _beneficiary, _ruling);
+        }
+    }
+
+    /**
+     * @notice Returns the fees and rewards a beneficiary can withdraw from all the rounds.
+     * @dev No checks are made on the arbitration state. Callers MUST check the arbitration is ruled or settled.
+     * @param _rounds The rounds of the arbitration.
+     * @param _beneficiary The contributor for which to query.
+     * @param _ruling The side which won the dispute. 0 if there was no winner.
+     * @return total The total amount available to withdraw.
+     */
+    function getTotalWithdrawableAmount(
+        Round[] storage _rounds,
+        address _beneficiary,
+        uint256 _ruling
+    ) public view returns (uint256 total) {
+        for (uint256 i = 0; i < _rounds.length; i++) {
+            total += getWithdrawableAmount(_rounds[i], _beneficiary, _ruling);
+        }
+    }
+
+    /**
+     * @notice Registers the withdrawal of the fees and rewards of a beneficiary in a round.
+     * @dev No checks are made on the arbitration state. Callers MUST check the arbitration is ruled or settled.
+     * @param _self The round.
+     * @param _beneficiary The address that made contributions.
+     * @param _ruling The side which won the dispute. 0 if there was no winner.
+     * @return amount The withdrawn amount.
+     */
+    function registerWithdrawal(
+        Round storage _self,
+        address _beneficiary,
+        uint256 _ruling
+    ) internal returns (uint256 amount) {
+        amount = getWithdrawableAmount(_self, _beneficiary, _ruling);
+
+        uint256[3] storage addressContributions = _self.contributions[_beneficiary];
+        addressContributions[DEFENDANT] = 0;
+        addressContributions[PLAINTIFF] = 0;
+    }
+
+    /**
+     * @notice Returns the fees and rewards a beneficiary can withdraw from a round.
+     * @dev Reimburses the contributions if the round was not fully funded. Otherwise, splits the fee rewards among the
+     * contributors to the winner, or among all the contributors if there was no winner.
+     * No checks are made on the arbitration state. Callers MUST check the arbitration is ruled or settled.
+     * @param _self The round.
+     * @param _beneficiary The contributor for which to query.
+     * @param _ruling The side which won the dispute. 0 if there was no winner.
+     * @return The amount available to withdraw.
+     */
+    function getWithdrawableAmount(
+        Round storage _self,
+        address _beneficiary,
+        uint256 _ruling
+    ) internal view returns (uint256) {
+        uint256[3] storage contributions = _self.contributions[_beneficiary];
+
+        if (!_self.fullyPaid[DEFENDANT] || !_self.fullyPaid[PLAINTIFF]) {
+            // If the round is not fully funded, reimburse according to the contributions.
+            return contributions[DEFENDANT] + contributions[PLAINTIFF];
+        } else if (_ruling == 0) {
+            uint256 totalPaid = _self.paidFees[DEFENDANT] + _self.paidFees[PLAINTIFF];
+            uint256 rewardDefendant =
+                _self.paidFees[DEFENDANT] > 0 ? (contributions[DEFENDANT] * _self.feeRewards) / totalPaid : 0;
+            uint256 rewardPlaintiff =
+                _self.paidFees[PLAINTIFF] > 0 ? (contributions[PLAINTIFF] * _self.feeRewards) / totalPaid : 0;
+
+            return rewardDefendant + rewardPlaintiff;
+        } else {
+            return
+                _self.paidFees[_ruling] > 0
+                    ? (contributions[_ruling] * _self.feeRewards) / _self.paidFees[_ruling]
+                    : 0;
+        }
+    }
+
+    /**
+     * @notice Returns the appeal period of a dispute, and the deadline and stake multiplier of a side in it.
+     * @dev The loser of the current ruling can only fund the appeal during the first half of the appeal period.
+     * @param _arbitrator The arbitrator of the dispute.
+     * @param _arbitratorDisputeID The ID of the dispute in the arbitrator.
+     * @param _side The side appealing.
+     * @param _sharedStakeMultiplier The stake multiplier when there is no winner.
+     * @param _winnerStakeMultiplier The stake multiplier of the winner.
+     * @param _loserStakeMultiplier The stake multiplier of the loser.
+     * @return appealPeriodStart The start of the appeal period.
+     * @return appealPeriodEnd The end of the appeal period.
+     * @return deadline The time from which the side can no longer fund the appeal.
+     * @return multiplier The stake multiplier of the side.
+     */
+    function getAppealDeadline(
+        IArbitrator _arbitrator,
+        uint256 _arbitratorDisputeID,
+        uint256 _side,
+        uint256 _sharedStakeMultiplier,
+        uint256 _winnerStakeMultiplier,
+        uint256 _loserStakeMultiplier
+    )
+        public
+        view
+        returns (
+            uint256 appealPeriodStart,
+            uint256 appealPeriodEnd,
+            uint256 deadline,
+            uint256 multiplier
+        )
+    {
+        (appealPeriodStart, appealPeriodEnd) = _arbitrator.appealPeriod(_arbitratorDisputeID);
+        deadline = appealPeriodEnd;
+
+        uint256 winner = _arbitrator.currentRuling(_arbitratorDisputeID);
+        if (winner == 0) {
+            multiplier = _sharedStakeMultiplier;
+        } else if (winner == _side) {
+            multiplier = _winnerStakeMultiplier;
+        } else {
+            deadline = appealPeriodStart + (appealPeriodEnd - appealPeriodStart) / 2;
+            multiplier = _loserStakeMultiplier;
+        }
+    }
+
+    /**
+     * @notice Returns the appeal cost of a dispute and the total cost a side with a given stake multiplier has to pay.
+     * @param _arbitrator The arbitrator of the dispute.
+     * @param _arbitratorDisputeID The ID of the dispute in the arbitrator.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     * @param _multiplier The stake multiplier of the side.
+     * @return appealCost The actual appeal cost.
+     * @return totalCost The total cost for the appeal.
+     */
+    function getAppealCosts(
+        IArbitrator _arbitrator,
+        uint256 _arbitratorDisputeID,
+        bytes storage _arbitratorExtraData,
+        uint256 _multiplier
+    ) public view returns (uint256 appealCost, uint256 totalCost) {
+        appealCost = _arbitrator.appealCost(_arbitratorDisputeID, _arbitratorExtraData);
+        totalCost = appealCost.addCap((appealCost.mulCap(_multiplier)) / MULTIPLIER_DIVISOR);
+    }
+
+    /**
+     * @dev Returns the contribution value and remainder from available ETH and required amount.
+     * @param _available The amount of ETH available for the contribution.
+     * @param _requiredAmount The amount of ETH required for the contribution.
+     * @return taken The amount of ETH taken.
+     * @return remainder The amount of ETH left from the contribution.
+     */
+    function calculateContribution(uint256 _available, uint256 _requiredAmount)
+        internal
+        pure
+        returns (uint256 taken, uint256 remainder)
+    {
+        if (_requiredAmount > _available) {
+            // Take whatever is available, return 0 as leftover ETH.
+            return (_available, 0);
+        }
+
+        remainder = _available - _requiredAmount;
+        return (_requiredAmount, remainder);
+    }
+}
@@ -16,6 +16,7 @@ interface ICrossChainArbitrable is IArbitrable {
 
     /**
      * @notice Cancels a dispute previously requested for an arbitrable item.
+     * @dev Also called when the dispute is settled, even if the settlement was requested by the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item.
      */
     function cancelDispute(uint256 _arbitrableItemID) external;
@@ -48,11 +49,13 @@ interface IHomeBinaryArbitrationProxy {
      * @dev Emitted when an item is registered.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator on the Foreign Chain. Zero for the default arbitrator.
      * @param _arbitratorExtraData The extra data for the arbitrator.
      */
     event ArbitratorExtraDataRegistered(
         ICrossChainArbitrable indexed _arbitrable,
         uint256 indexed _arbitrableItemID,
+        address _arbitrator,
         bytes _arbitratorExtraData
     );
 
@@ -101,6 +104,13 @@ interface IHomeBinaryArbitrationProxy {
      */
     event DisputeFailed(ICrossChainArbitrable indexed _arbitrable, uint256 indexed _arbitrableItemID);
 
+    /**
+     * @dev Emitted when the dispute request for an arbitrable item timed out on the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    event DisputeRequestTimedOut(ICrossChainArbitrable indexed _arbitrable, uint256 indexed _arbitrableItemID);
+
     /**
      * @dev Emitted when a dispute creation on the Foreign Chain fails.
      * @param _arbitrable The address of the arbitrable contract.
@@ -109,6 +119,89 @@ interface IHomeBinaryArbitrationProxy {
      */
     event DisputeRuled(ICrossChainArbitrable indexed _arbitrable, uint256 indexed _arbitrableItemID, uint256 _ruling);
 
+    /**
+     * @dev Emitted when the arbitrable contract or one of the parties requests to settle the dispute.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _party The address which requested the settlement.
+     */
+    event SettlementRequested(
+        ICrossChainArbitrable indexed _arbitrable,
+        uint256 indexed _arbitrableItemID,
+        address indexed _party
+    );
+
+    /**
+     * @dev Emitted when the settlement of a dispute is confirmed by the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    event DisputeSettled(ICrossChainArbitrable indexed _arbitrable, uint256 indexed _arbitrableItemID);
+
+    /**
+     * @dev Emitted when evidence for an arbitrable item is submitted to be relayed to the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _party The address of the party submitting the evidence.
+     * @param _evidenceURI Link to evidence.
+     */
+    event EvidenceSubmitted(
+        ICrossChainArbitrable indexed _arbitrable,
+        uint256 indexed _arbitrableItemID,
+        address indexed _party,
+        string _evidenceURI
+    );
+
+    /**
+     * @dev Emitted when the defendant fee for an arbitrable item is paid to be relayed to the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _defendant The address of the defendant.
+     * @param _amount The amount paid.
+     */
+    event DefendantFeeSent(
+        ICrossChainArbitrable indexed _arbitrable,
+        uint256 indexed _arbitrableItemID,
+        address indexed _defendant,
+        uint256 _amount
+    );
+
+    /**
+     * @dev Emitted when a message from the Foreign Chain fails to execute, so it can be retried later.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler.
+     */
+    event MessageFailed(bytes32 indexed _messageId, bytes _data);
+
+    /**
+     * @dev Emitted when a failed message from the Foreign Chain is retried successfully.
+     * @param _messageId The ID of the message in the AMB.
+     */
+    event MessageRetried(bytes32 indexed _messageId);
+
+    /**
+     * @dev Emitted when the gas limit of the messages for a handler on the Foreign Chain changes.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The new gas limit.
+     */
+    event MessageGasLimitChanged(bytes4 indexed _methodSelector, uint256 _gasLimit);
+
+    /**
+     * @notice Receives a message from the Foreign Chain and executes it.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * If the execution fails, the message is recorded so it can be retried with `retryMessage`.
+     * @param _data The calldata for the message handler.
+     */
+    function receiveMessage(bytes calldata _data) external;
+
+    /**
+     * @notice Retries a message from the Foreign Chain which failed to execute.
+     * @dev Anyone can retry a failed message.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler, as emitted by `MessageFailed`.
+     */
+    function retryMessage(bytes32 _messageId, bytes calldata _data) external;
+
     /**
      * @notice Registers meta evidence at arbitrable item level.
      * @dev Should be called only by the arbitrable contract.
@@ -125,17 +218,33 @@ interface IHomeBinaryArbitrationProxy {
      */
     function registerArbitratorExtraData(uint256 _arbitrableItemID, bytes calldata _arbitratorExtraData) external;
 
+    /**
+     * @notice Registers the arbitrator and its extra data at arbitrable item level.
+     * @dev Should be called only by the arbitrable contract.
+     * The arbitrator must be whitelisted on the Foreign Proxy, otherwise the message fails and can be retried once it is.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator on the Foreign Chain. Zero for the default arbitrator.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     */
+    function registerArbitrator(
+        uint256 _arbitrableItemID,
+        address _arbitrator,
+        bytes calldata _arbitratorExtraData
+    ) external;
+
     /**
      * @notice Receives a dispute request for an arbitrable item from the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      * @param _plaintiff The address of the dispute creator.
+     * @param _requestedAt The time when the dispute was requested, which identifies the request on the Foreign Chain.
      */
     function receiveDisputeRequest(
         ICrossChainArbitrable _arbitrable,
         uint256 _arbitrableItemID,
-        address _plaintiff
+        address _plaintiff,
+        uint256 _requestedAt
     ) external;
 
     /**
@@ -161,30 +270,50 @@ interface IHomeBinaryArbitrationProxy {
 
     /**
      * @notice Receives the dispute created on the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      * @param _arbitrator The address of the arbitrator in the home chain.
      * @param _arbitratorDisputeID The dispute ID.
+     * @param _defendant The address of the defendant.
      */
     function receiveDisputeCreated(
         ICrossChainArbitrable _arbitrable,
         uint256 _arbitrableItemID,
         address _arbitrator,
-        uint256 _arbitratorDisputeID
+        uint256 _arbitratorDisputeID,
+        address _defendant
     ) external;
 
     /**
      * @notice Receives the failed dispute creation on the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the failed dispute was requested.
      */
-    function receiveDisputeFailed(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID) external;
+    function receiveDisputeFailed(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external;
+
+    /**
+     * @notice Receives from the Foreign Chain that the dispute request timed out before being accepted or rejected.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the timed out dispute was requested.
+     */
+    function receiveRequestTimeout(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external;
 
     /**
      * @notice Receives the ruling for a dispute from the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract on the Home Chain.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      * @param _ruling The ruling given by the arbitrator.
@@ -194,6 +323,51 @@ interface IHomeBinaryArbitrationProxy {
         uint256 _arbitrableItemID,
         uint256 _ruling
     ) external;
+
+    /**
+     * @notice Submits evidence for an arbitrable item to be relayed to the Foreign Chain.
+     * @dev Can only be called by the parties of the dispute or the arbitrable contract.
+     * Before the dispute is created, the defendant is not known yet, so the arbitrable contract must relay the evidence on its behalf.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _evidenceURI Link to evidence.
+     */
+    function submitEvidence(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        string calldata _evidenceURI
+    ) external;
+
+    /**
+     * @notice Pays the defendant fee for an arbitrable item from the Home Chain.
+     * @dev The value is sent to the Foreign Chain through the value bridge. If the payment cannot be accepted when it
+     * is received on the Foreign Chain, the defendant is reimbursed there.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function payDefendantFee(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID) external payable;
+
+    /**
+     * @notice Requests to settle the dispute for an arbitrable item without waiting for the ruling.
+     * @dev The settlement is relayed to the Foreign Chain right away when requested by the arbitrable contract,
+     * or once both the plaintiff and the defendant requested it.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function settleDispute(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID) external;
+
+    /**
+     * @notice Receives from the Foreign Chain that the dispute was settled.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the settled dispute was requested.
+     */
+    function receiveDisputeSettled(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external;
 }
 
 /**
@@ -212,11 +386,13 @@ interface IForeignBinaryArbitrationProxy is IArbitrable {
      * @dev Emitted when the arbitrator extra data related to an arbitrable item is received.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator. Zero for the default arbitrator.
      * @param _arbitratorExtraData The extra data for the arbitrator.
      */
     event ArbitratorExtraDataReceived(
         address indexed _arbitrable,
         uint256 indexed _arbitrableItemID,
+        address _arbitrator,
         bytes _arbitratorExtraData
     );
 
@@ -239,6 +415,12 @@ interface IForeignBinaryArbitrationProxy is IArbitrable {
      */
     event DisputeRejected(uint256 indexed _arbitrationID);
 
+    /**
+     * @dev Emitted when a dispute request is not answered by the Home Chain in time and the plaintiff is reimbursed.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    event DisputeRequestTimedOut(uint256 indexed _arbitrationID);
+
     /**
      * @dev Emitted when a dispute creation fails.
      * @param _arbitrationID The ID of the arbitration.
@@ -270,9 +452,81 @@ interface IForeignBinaryArbitrationProxy is IArbitrable {
      */
     event DisputeRuled(uint256 indexed _arbitrationID, uint256 _ruling);
 
+    /**
+     * @dev Emitted when the dispute is settled on the Home Chain before being ruled.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    event DisputeSettled(uint256 indexed _arbitrationID);
+
+    /**
+     * @dev Emitted when a defendant fee paid on the Home Chain cannot be accepted and the defendant is reimbursed.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _defendant The address of the defendant.
+     * @param _amount The amount reimbursed.
+     */
+    event DefendantFeeRefunded(uint256 indexed _arbitrationID, address indexed _defendant, uint256 _amount);
+
+    /**
+     * @dev Emitted when a message from the Home Chain fails to execute, so it can be retried later.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler.
+     */
+    event MessageFailed(bytes32 indexed _messageId, bytes _data);
+
+    /**
+     * @dev Emitted when a failed message from the Home Chain is retried successfully.
+     * @param _messageId The ID of the message in the AMB.
+     */
+    event MessageRetried(bytes32 indexed _messageId);
+
+    /**
+     * @dev Emitted when the gas limit of the messages for a handler on the Home Chain changes.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The new gas limit.
+     */
+    event MessageGasLimitChanged(bytes4 indexed _methodSelector, uint256 _gasLimit);
+
+    /**
+     * @dev Emitted when ETH cannot be sent to an account and is credited to its pending balance instead.
+     * @param _account The account.
+     * @param _amount The amount credited.
+     */
+    event PendingBalanceCredited(address indexed _account, uint256 _amount);
+
+    /**
+     * @dev Emitted when an account withdraws its pending balance.
+     * @param _account The account.
+     * @param _beneficiary The address the balance was sent to.
+     * @param _amount The amount withdrawn.
+     */
+    event PendingBalanceWithdrawn(address indexed _account, address _beneficiary, uint256 _amount);
+
+    /**
+     * @notice Receives a message from the Home Chain and executes it.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * If the execution fails, the message is recorded so it can be retried with `retryMessage`.
+     * @param _data The calldata for the message handler.
+     */
+    function receiveMessage(bytes calldata _data) external;
+
+    /**
+     * @notice Retries a message from the Home Chain which failed to execute.
+     * @dev Anyone can retry a failed message.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler, as emitted by `MessageFailed`.
+     */
+    function retryMessage(bytes32 _messageId, bytes calldata _data) external;
+
+    /**
+     * @notice Relays the ruling of an arbitration to the Home Chain again.
+     * @dev Anyone can relay the ruling, i.e.: when the original message was dropped by the bridge.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function relayRuling(uint256 _arbitrationID) external;
+
     /**
      * @notice Receives meta evidence at arbitrable item level.
-     * @dev Should be called only by the arbitrable contract.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      * @param _metaEvidence The MetaEvicence related to the arbitrable item.
@@ -285,32 +539,83 @@ interface IForeignBinaryArbitrationProxy is IArbitrable {
 
     /**
      * @notice Receives arbitrator extra data at arbitrable item level.
-     * @dev Should be called only by the arbitrable contract.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator. Zero for the default arbitrator.
      * @param _arbitratorExtraData The extra data for the arbitrator.
      */
     function receiveArbitratorExtraData(
         address _arbitrable,
         uint256 _arbitrableItemID,
+        address _arbitrator,
         bytes calldata _arbitratorExtraData
     ) external;
 
     /**
      * @notice Receives from the Home Chain that the dispute has been accepted.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the accepted dispute was requested.
      */
-    function receiveDisputeAccepted(address _arbitrable, uint256 _arbitrableItemID) external;
+    function receiveDisputeAccepted(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external;
 
     /**
      * @notice Receives from the Home Chain that the dispute has been rejected.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the rejected dispute was requested.
+     */
+    function receiveDisputeRejected(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external;
+
+    /**
+     * @notice Receives from the Home Chain that the dispute was settled.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function receiveSettlement(address _arbitrable, uint256 _arbitrableItemID) external;
+
+    /**
+     * @notice Receives evidence for an arbitrable item from the Home Chain.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _party The address of the party who submitted the evidence on the Home Chain.
+     * @param _evidenceURI Link to evidence.
+     */
+    function receiveEvidence(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        address _party,
+        string calldata _evidenceURI
+    ) external;
+
+    /**
+     * @notice Receives the defendant fee paid on the Home Chain.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * The value must have been received from the value bridge beforehand.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _defendant The address of the defendant.
+     * @param _amount The amount paid.
      */
-    function receiveDisputeRejected(address _arbitrable, uint256 _arbitrableItemID) external;
+    function receiveDefendantFee(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        address payable _defendant,
+        uint256 _amount
+    ) external;
 
     /**
      * @notice Allows to submit evidence for a particular question.
@@ -318,4 +623,10 @@ interface IForeignBinaryArbitrationProxy is IArbitrable {
      * @param _evidenceURI Link to evidence.
      */
     function submitEvidence(uint256 _arbitrationID, string calldata _evidenceURI) external;
+
+    /**
+     * @notice Withdraws the ETH which could not be sent to the caller.
+     * @param _beneficiary The address to send the balance to.
+     */
+    function withdrawPendingBalance(address payable _beneficiary) external;
 }
@@ -0,0 +1,211 @@
+/**
+ * @authors: [@hbarcelos]
+ * @reviewers: []
+ * @auditors: []
+ * @bounties: []
+ * @deployments: []
+ *
+ * SPDX-License-Identifier: MIT
+ */
+pragma solidity ^0.7.6;
+
+import "@kleros/erc-792/contracts/IArbitrator.sol";
+
+/**
+ * @title DisputeParams
+ * @dev Keeps the history of the dispute params registered by an arbitrable contract.
+ * Each change applies to the items from its arbitrable item ID up to the ID of the next change, exclusive.
+ * The functions are public so the library is deployed once and linked, which keeps the foreign proxy under the
+ * contract size limit.
+ */
+library DisputeParams {
+    uint256 internal constant DEFAULT_MIN_JURORS = 3; // Mirrors `KlerosLiquid.MIN_JURORS`.
+
+    struct MetaEvidenceChanges {
+        string[] values;
+        uint256[] arbitrableItemIDs;
+    }
+
+    struct ArbitratorExtraDataChanges {
+        bytes[] values;
+        uint256[] arbitrableItemIDs;
+        IArbitrator[] arbitrators; // Zero for the default arbitrator.
+    }
+
+    struct Changes {
+        MetaEvidenceChanges metaEvidence;
+        ArbitratorExtraDataChanges arbitratorExtraData;
+    }
+
+    /**
+     * @notice Registers a meta evidence change.
+     * @param _self The dispute param changes of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the first arbitrable item the change applies to.
+     * @param _metaEvidence The meta evidence.
+     */
+    function addMetaEvidence(
+        Changes storage _self,
+        uint256 _arbitrableItemID,
+        string calldata _metaEvidence
+    ) public {
+        MetaEvidenceChanges storage metaEvidenceChanges = _self.metaEvidence;
+
+        uint256 listSize = metaEvidenceChanges.arbitrableItemIDs.length;
+
+        if (listSize > 0) {
+            require(
+                _arbitrableItemID > metaEvidenceChanges.arbitrableItemIDs[listSize - 1],
+                "Item ID value lower than latest"
+            );
+            require(
+                keccak256(abi.encodePacked(metaEvidenceChanges.values[listSize - 1])) !=
+                    keccak256(abi.encodePacked(_metaEvidence)),
+                "MetaEvidence should be different"
+            );
+        }
+
+        metaEvidenceChanges.values.push(_metaEvidence);
+        metaEvidenceChanges.arbitrableItemIDs.push(_arbitrableItemID);
+    }
+
+    /**
+     * @notice Registers an arbitrator extra data change.
+     * @param _self The dispute param changes of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the first arbitrable item the change applies to.
+     * @param _arbitrator The address of the arbitrator. Zero for the default arbitrator.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     */
+    function addArbitratorExtraData(
+        Changes storage _self,
+        uint256 _arbitrableItemID,
+        IArbitrator _arbitrator,
+        bytes calldata _arbitratorExtraData
+    ) public {
+        ArbitratorExtraDataChanges storage arbitratorExtraDataChanges = _self.arbitratorExtraData;
+
+        uint256 listSize = arbitratorExtraDataChanges.arbitrableItemIDs.length;
+        if (listSize > 0) {
+            require(
+                _arbitrableItemID > arbitratorExtraDataChanges.arbitrableItemIDs[listSize - 1],
+                "Item ID value lower than latest"
+            );
+            require(
+                arbitratorExtraDataChanges.arbitrators[listSize - 1] != _arbitrator ||
+                    keccak256(abi.encodePacked(arbitratorExtraDataChanges.values[listSize - 1])) !=
+                    keccak256(abi.encodePacked(_arbitratorExtraData)),
+                "Extra data should be different"
+            );
+        }
+
+        arbitratorExtraDataChanges.values.push(_arbitratorExtraData);
+        arbitratorExtraDataChanges.arbitrableItemIDs.push(_arbitrableItemID);
+        arbitratorExtraDataChanges.arbitrators.push(_arbitrator);
+    }
+
+    /**
+     * @notice Gets the storage pointers for the dispute params in effect for an arbitrable item.
+     * @param _self The dispute param changes of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return arbitratorExtraData The extra data for the arbitrator.
+     * @return metaEvidence The meta evidence for the item.
+     * @return itemArbitrator The arbitrator for the item, as registered. Zero for the default arbitrator.
+     */
+    function get(Changes storage _self, uint256 _arbitrableItemID)
+        public
+        view
+        returns (
+            bytes storage arbitratorExtraData,
+            string storage metaEvidence,
+            IArbitrator itemArbitrator
+        )
+    {
+        ArbitratorExtraDataChanges storage arbitratorExtraDataChanges = _self.arbitratorExtraData;
+        MetaEvidenceChanges storage metaEvidenceChanges = _self.metaEvidence;
+
+        require(
+            arbitratorExtraDataChanges.arbitrableItemIDs.length > 0 &&
+                arbitratorExtraDataChanges.arbitrableItemIDs[0] <= _arbitrableItemID,
+            "ArbitratorExtraData not found"
+        );
+        require(
+            metaEvidenceChanges.arbitrableItemIDs.length > 0 &&
+                metaEvidenceChanges.arbitrableItemIDs[0] <= _arbitrableItemID,
+            "MetaEvidence not found"
+        );
+
+        uint256 index = findBestIndex(arbitratorExtraDataChanges.arbitrableItemIDs, _arbitrableItemID);
+        arbitratorExtraData = arbitratorExtraDataChanges.values[index];
+        itemArbitrator = arbitratorExtraDataChanges.arbitrators[index];
+
+        metaEvidence = metaEvidenceChanges.values[
+            findBestIndex(metaEvidenceChanges.arbitrableItemIDs, _arbitrableItemID)
+        ];
+    }
+
+    /**
+     * @notice Gets the KlerosLiquid-style arbitrator extra data in effect for an arbitrable item, decoded.
+     * @param _self The dispute param changes of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return subcourtID The ID of the subcourt.
+     * @return minJurors The minimum number of jurors.
+     */
+    function getCourtParams(Changes storage _self, uint256 _arbitrableItemID)
+        public
+        view
+        returns (uint256 subcourtID, uint256 minJurors)
+    {
+        (bytes storage arbitratorExtraData, , ) = get(_self, _arbitrableItemID);
+        return decodeArbitratorExtraData(arbitratorExtraData);
+    }
+
+    /**
+     * @notice Decodes KlerosLiquid-style arbitrator extra data.
+     * @dev The extra data holds the subcourt ID and the minimum number of jurors as two 32-byte words. As KlerosLiquid
+     * does, shorter extra data falls back to the general court and zero jurors to the default number of jurors.
+     * KlerosLiquid also falls back to the general court when the subcourt does not exist, which cannot be checked here.
+     * @param _extraData The extra data for the arbitrator.
+     * @return subcourtID The ID of the subcourt.
+     * @return minJurors The minimum number of jurors.
+     */
+    function decodeArbitratorExtraData(bytes memory _extraData)
+        internal
+        pure
+        returns (uint256 subcourtID, uint256 minJurors)
+    {
+        if (_extraData.length >= 64) {
+            assembly {
+                subcourtID := mload(add(_extraData, 0x20))
+                minJurors := mload(add(_extraData, 0x40))
+            }
+        }
+        if (minJurors == 0) minJurors = DEFAULT_MIN_JURORS;
+    }
+
+    /**
+     * @notice Finds the best index for a value in a sorted list. O(log n) in worst case.
+     * @dev Finds the index `n` such _list[0], _list[1], ... list[n] <= _value < _list[n + 1] ...
+     * @param _list The sorted list.
+     * @param _value The value to search.
+     * @return The index for the value.
+     */
+    function findBestIndex(uint256[] storage _list, uint256 _value) internal view returns (uint256) {
+        uint256 left = 0;
+        uint256 right = _list.length;
+
+        // Optimizaiton for a common access pattern
+        if (_value > _list[right - 1]) {
+            return right - 1;
+        }
+
+        while (left < right) {
+            uint256 pivot = (left + right) / 2;
+            if (_list[pivot] <= _value) {
+                left = pivot + 1;
+            } else {
+                right = pivot;
+            }
+        }
+
+        return right - 1;
+    }
+}
@@ -14,10 +14,19 @@ import "@kleros/erc-792/contracts/IArbitrator.sol";
 import "@kleros/erc-792/contracts/erc-1497/IEvidence.sol";
 import "@kleros/ethereum-libraries/contracts/CappedMath.sol";
 import "./dependencies/IAMB.sol";
+import "./dependencies/ISwapAdapter.sol";
 import "./CrossChainBinaryArbitration.sol";
+import "./DisputeParams.sol";
+import "./AppealRounds.sol";
+import "./TokenPayments.sol";
 
+// solhint-disable-next-line max-states-count
 contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvidence {
     using CappedMath for uint256;
+    using DisputeParams for DisputeParams.Changes;
+    using AppealRounds for AppealRounds.Round;
+    using AppealRounds for AppealRounds.Round[];
+    using TokenPayments for IERC20;
 
     /**
      * State chart for Arbitration status.
@@ -32,7 +41,7 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * +------+    [Registered]     +-----+-----+    [Accepted]    +-------+--------+                 +---+---+
      *     A                              |                                |                              ^
      *     |                              |                                |                              |
-     *     |                              | [Rejected]                     | [Defendant Paid]             |
+     *     |                              | [Rejected or Timeout]          | [Defendant Paid]             |
      *     |                              |                                |                              | Rule
      *     |                              |                                |                              |
      *     |                              |                                |          +---------+         |
@@ -40,8 +49,10 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      *                                                               |           |    +---------+
      *                                                               |           |
      *                                            [Create Dispute Failed]      [Create Dispute Created]
+     *
+     * Requested, DepositPending and Ongoing can also move to the final Settled state when a settlement is received.
      */
-    enum Status {None, Requested, DepositPending, Ongoing, Ruled}
+    enum Status {None, Requested, DepositPending, Ongoing, Ruled, Settled}
 
     enum Party {None, Defendant, Plaintiff}
 
@@ -49,36 +60,16 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         Status status; // Status of the request.
         Party ruling; // The ruling of the dispute.
         uint240 acceptedAt; // The time when the dispute creation was accepted.
+        uint256 requestedAt; // The time when the dispute was requested.
         address payable plaintiff; // The address of the plaintiff.
         address payable defendant; // The address of the defendant.
         uint256 sumDeposit; // The sum of deposits from the defendant and the plaintiff
+        IERC20 token; // The token used to pay the deposits and the appeal fees. Zero for ETH.
         address arbitrable; // The address of the arbitrable contract.
         uint256 arbitrableItemID; // The ID of the arbitration item in the contract.
-        IArbitrator arbitrator; // The address of the arbitrator contract.
+        IArbitrator arbitrator; // The address of the arbitrator contract. Set when the dispute is requested.
         uint256 arbitratorDisputeID; // The ID of the dispute in the arbitrator.
-        Round[] rounds; // Rounds of the dispute
-    }
-
-    struct Round {
-        uint256[3] paidFees; // Tracks the fees paid by each side in this round.
-        bool[3] fullyPaid; // True when the side has fully paid its fee. False otherwise.
-        uint256 feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the side that ultimately wins a dispute.
-        mapping(address => uint256[3]) contributions; // Maps contributors to their contributions for each side.
-    }
-
-    struct MetaEvidenceChanges {
-        string[] values;
-        uint256[] arbitrableItemIDs;
-    }
-
-    struct ArbitratorExtraDataChanges {
-        bytes[] values;
-        uint256[] arbitrableItemIDs;
-    }
-
-    struct DisputeParamChanges {
-        MetaEvidenceChanges metaEvidence;
-        ArbitratorExtraDataChanges arbitratorExtraData;
+        AppealRounds.Round[] rounds; // Rounds of the dispute
     }
 
     /// @dev A value depositor won't be able to pay.
@@ -90,15 +81,24 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     /// @dev Divisor parameter for multipliers.
     uint256 public constant MULTIPLIER_DIVISOR = 10000;
 
+    /// @dev The gas kept by `receiveMessage` to record a failed message, whatever the gas used by its handler.
+    uint256 private constant MESSAGE_FAILURE_GAS_RESERVE = 50000;
+
     /// @dev The contract governor. TRUSTED.
     address public governor = msg.sender;
 
     /// @dev The amount of time the defendant side have to deposit the arbitration fee.
     uint240 public feeDepositTimeout;
 
-    /// @dev The address of the arbitrator. TRUSTED.
+    /// @dev The amount of time the Home Chain has to accept or reject a dispute request before the plaintiff can be reimbursed.
+    uint240 public requestTimeout;
+
+    /// @dev The address of the default arbitrator. TRUSTED.
     IArbitrator public arbitrator;
 
+    /// @dev Whether the arbitrable contracts are allowed to pick an arbitrator. arbitratorWhitelist[arbitrator]. TRUSTED.
+    mapping(IArbitrator => bool) public arbitratorWhitelist;
+
     /// @dev ArbitraryMessageBridge contract address. TRUSTED.
     IAMB public amb;
 
@@ -108,6 +108,9 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     /// @dev The chain ID where the home proxy is deployed.
     uint256 public homeChainId;
 
+    /// @dev The gas limit of the messages sent to the home proxy, by the selector of their handler. messageGasLimits[selector].
+    mapping(bytes4 => uint256) public messageGasLimits;
+
     /// @dev Multiplier for calculating the appeal fee that must be paid by submitter in the case where there isn't a winner and loser (e.g. when the arbitrator ruled "refuse to arbitrate").
     uint256 public sharedStakeMultiplier;
 
@@ -117,6 +120,21 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     /// @dev  Multiplier for calculating the appeal fee of the party that lost the previous round.
     uint256 public loserStakeMultiplier;
 
+    /// @dev The adapters used to convert each accepted token into ETH. TRUSTED.
+    mapping(IERC20 => ISwapAdapter) public swapAdapters;
+
+    /// @dev The address of the bridge which delivers the defendant fees paid on the Home Chain. TRUSTED.
+    address public valueBridge;
+
+    /// @dev The value received from the value bridge not yet allocated to an arbitration.
+    uint256 public bridgedValue;
+
+    /// @dev The hashes of the messages from the Home Chain which failed to execute. failedMessages[messageId].
+    mapping(bytes32 => bytes32) public failedMessages;
+
+    /// @dev The ETH which could not be sent to each account, to be withdrawn with `withdrawPendingBalance`. pendingBalances[account].
+    mapping(address => uint256) public pendingBalances;
+
     /// @dev The arbitrations by arbitrationID.
     mapping(uint256 => Arbitration) public arbitrations;
 
@@ -124,7 +142,10 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     mapping(uint256 => uint256) public disputeIDToArbitrationID;
 
     /// @dev Stores disputeParamChanges for dispute creation for contracts and items.
-    mapping(address => DisputeParamChanges) private disputeParamChanges;
+    mapping(address => DisputeParams.Changes) private disputeParamChanges;
+
+    /// @dev The tokens which could not be sent to each account, to be withdrawn with `withdrawPendingTokenBalance`. pendingTokenBalances[token][account].
+    mapping(IERC20 => mapping(address => uint256)) public pendingTokenBalances;
 
     /**
      * @dev Emitted when someone contributes to a dispute or appeal.
@@ -150,15 +171,43 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      */
     event FeePaid(uint256 indexed _arbitrationID, Party indexed _party, uint256 indexed _roundNumber);
 
+    /**
+     * @dev Emitted when tokens cannot be sent to an account and are credited to its pending token balance instead.
+     * @param _token The token.
+     * @param _account The account.
+     * @param _amount The amount credited.
+     */
+    event PendingTokenBalanceCredited(IERC20 indexed _token, address indexed _account, uint256 _amount);
+
+    /**
+     * @dev Emitted when an account withdraws its pending token balance.
+     * @param _token The token.
+     * @param _account The account.
+     * @param _beneficiary The address the balance was sent to.
+     * @param _amount The amount withdrawn.
+     */
+    event PendingTokenBalanceWithdrawn(
+        IERC20 indexed _token,
+        address indexed _account,
+        address _beneficiary,
+        uint256 _amount
+    );
+
     modifier onlyGovernor() {
-        require(msg.sender == governor, "Only governor allowed");
+        // The check is made in a function, so it is not inlined for every governance function.
+        checkGovernor();
         _;
     }
 
     modifier onlyHomeProxy() {
-        require(msg.sender == address(amb), "Only AMB allowed");
-        require(amb.messageSourceChainId() == bytes32(homeChainId), "Only home chain allowed");
-        require(amb.messageSender() == homeProxy, "Only home proxy allowed");
+        // The checks are made in a function, so they are not inlined for every message handler.
+        checkHomeProxy();
+        _;
+    }
+
+    modifier onlySelf() {
+        // The check is made in a function, so it is not inlined for every message receiver.
+        checkSelf();
         _;
     }
 
@@ -173,11 +222,14 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @param _arbitrator Arbitrator contract address.
      * @param _feeDepositTimeout The amount of time (seconds) within the defendant side must deposit the arbitration
      * fee, otherwise she will automatically loose the dispute.
+     * @param _requestTimeout The amount of time (seconds) within the dispute request must be accepted or rejected
+     * on the Home Chain, otherwise the plaintiff can be reimbursed.
      */
     constructor(
         IAMB _amb,
         IArbitrator _arbitrator,
         uint240 _feeDepositTimeout,
+        uint240 _requestTimeout,
         uint256 _sharedStakeMultiplier,
         uint256 _winnerStakeMultiplier,
         uint256 _loserStakeMultiplier
@@ -185,9 +237,28 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         amb = _amb;
         arbitrator = _arbitrator;
         feeDepositTimeout = _feeDepositTimeout;
+        requestTimeout = _requestTimeout;
         sharedStakeMultiplier = _sharedStakeMultiplier;
         winnerStakeMultiplier = _winnerStakeMultiplier;
         loserStakeMultiplier = _loserStakeMultiplier;
+
+        // The handlers which call the arbitrable contract get more gas, since its cost is unknown.
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveDisputeRequest.selector, 500000);
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveDisputeCreated.selector, 200000);
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveDisputeFailed.selector, 300000);
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveRequestTimeout.selector, 300000);
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveRuling.selector, 500000);
+        setMessageGasLimit(IHomeBinaryArbitrationProxy(0).receiveDisputeSettled.selector, 300000);
+    }
+
+    /**
+     * @notice Makes the caller the governor of an upgradeability proxy which delegates to this contract.
+     * @dev The constructor does not run for the storage of the upgradeability proxy, so it calls this function when it
+     * is deployed. The rest of the configuration is then set through the governance functions.
+     */
+    function initialize() external {
+        require(governor == address(0), "Already initialized");
+        governor = msg.sender;
     }
 
     /**
@@ -206,6 +277,16 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         arbitrator = _arbitrator;
     }
 
+    /**
+     * @notice Allows or disallows the arbitrable contracts to pick an arbitrator.
+     * @dev Disallowing an arbitrator does not affect the disputes already requested to it.
+     * @param _arbitrator The address of the arbitrator.
+     * @param _allowed Whether the arbitrator is allowed.
+     */
+    function changeArbitratorWhitelist(IArbitrator _arbitrator, bool _allowed) external onlyGovernor {
+        arbitratorWhitelist[_arbitrator] = _allowed;
+    }
+
     /**
      * @notice Sets the address of the ArbitraryMessageBridge.
      * @param _amb The address of the new ArbitraryMessageBridge.
@@ -214,6 +295,18 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         amb = _amb;
     }
 
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the home proxy.
+     * @dev A ruling which runs out of gas on the Home Chain can be sent again with `relayRuling` once the limit is raised.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit. Cannot be higher than the one allowed by the AMB.
+     */
+    function changeMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) external onlyGovernor {
+        require(_gasLimit <= amb.maxGasPerTx(), "Gas limit too high");
+
+        setMessageGasLimit(_methodSelector, _gasLimit);
+    }
+
     /**
      * @notice Sets the address of the arbitration proxy on the Home Chain.
      * @param _homeProxy The address of the proxy.
@@ -234,6 +327,14 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         feeDepositTimeout = _feeDepositTimeout;
     }
 
+    /**
+     * @notice Sets the amount of time the Home Chain has to accept or reject a dispute request.
+     * @param _requestTimeout The amount of time (seconds) to accept or reject.
+     */
+    function changeRequestTimeout(uint240 _requestTimeout) external onlyGovernor {
+        requestTimeout = _requestTimeout;
+    }
+
     /**
      * @notice Changes the percentage of arbitration fees that must be paid by parties as a fee stake if there was no winner and loser in the previous round.
      * @param _sharedStakeMultiplier A new value of the multiplier of the appeal cost in case when there is no winner/loser in previous round. In basis point.
@@ -258,9 +359,76 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         loserStakeMultiplier = _loserStakeMultiplier;
     }
 
+    /**
+     * @notice Sets the adapter used to convert a token into ETH, allowing the token to be used to pay the fees.
+     * @param _token The token.
+     * @param _swapAdapter The address of the adapter. Zero to stop accepting the token.
+     */
+    function changeSwapAdapter(IERC20 _token, ISwapAdapter _swapAdapter) external onlyGovernor {
+        swapAdapters[_token] = _swapAdapter;
+    }
+
+    /**
+     * @notice Sets the address of the bridge which delivers the defendant fees paid on the Home Chain.
+     * @param _valueBridge The address of the bridge.
+     */
+    function changeValueBridge(address _valueBridge) external onlyGovernor {
+        valueBridge = _valueBridge;
+    }
+
+    /**
+     * @notice Receives the ETH from the swap adapters and the value bridge.
+     */
+    receive() external payable {
+        if (msg.sender == valueBridge) {
+            bridgedValue += msg.value;
+        }
+    }
+
+    /**
+     * @notice Receives a message from the Home Chain and executes it.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * A failed execution does not revert, otherwise the message would be lost. It is recorded instead, so it can be
+     * retried with `retryMessage` once the reason it failed is solved (i.e.: the bridged value is received).
+     * The handler runs with the gas left minus a fixed reserve, so a handler which runs out of gas still leaves enough
+     * to record its failure.
+     * @param _data The calldata for the message handler.
+     */
+    function receiveMessage(bytes calldata _data) external override onlyHomeProxy {
+        bytes32 messageId = amb.messageId();
+        require(gasleft() > MESSAGE_FAILURE_GAS_RESERVE, "Not enough gas");
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = address(this).call{gas: gasleft() - MESSAGE_FAILURE_GAS_RESERVE}(_data);
+
+        if (!success) {
+            failedMessages[messageId] = keccak256(_data);
+
+            emit MessageFailed(messageId, _data);
+        }
+    }
+
+    /**
+     * @notice Retries a message from the Home Chain which failed to execute.
+     * @dev Anyone can retry a failed message. If it fails again, the call reverts and the message can be retried later.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler, as emitted by `MessageFailed`.
+     */
+    function retryMessage(bytes32 _messageId, bytes calldata _data) external override {
+        require(failedMessages[_messageId] == keccak256(_data), "Message did not fail");
+
+        delete failedMessages[_messageId];
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = address(this).call(_data);
+        require(success, "Message failed again");
+
+        emit MessageRetried(_messageId);
+    }
+
     /**
      * @notice Receives meta evidence at arbitrable item level.
-     * @dev Should be called only by the arbitrable contract.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      * @param _metaEvidence The MetaEvicence related to the arbitrable item.
      */
@@ -268,60 +436,34 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         address _arbitrable,
         uint256 _arbitrableItemID,
         string calldata _metaEvidence
-    ) external override {
-        MetaEvidenceChanges storage metaEvidenceChanges = disputeParamChanges[_arbitrable].metaEvidence;
-
-        uint256 listSize = metaEvidenceChanges.arbitrableItemIDs.length;
-
-        if (listSize > 0) {
-            require(
-                _arbitrableItemID > metaEvidenceChanges.arbitrableItemIDs[listSize - 1],
-                "Item ID value lower than latest"
-            );
-            require(
-                keccak256(abi.encodePacked(metaEvidenceChanges.values[listSize - 1])) !=
-                    keccak256(abi.encodePacked(_metaEvidence)),
-                "MetaEvidence should be different"
-            );
-        }
-
-        metaEvidenceChanges.values.push(_metaEvidence);
-        metaEvidenceChanges.arbitrableItemIDs.push(_arbitrableItemID);
+    ) external override onlySelf {
+        disputeParamChanges[_arbitrable].addMetaEvidence(_arbitrableItemID, _metaEvidence);
 
         emit MetaEvidenceReceived(_arbitrable, _arbitrableItemID, _metaEvidence);
     }
 
     /**
      * @notice Receives arbitrator extra data at arbitrable item level.
-     * @dev Should be called only by the arbitrable contract.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator. Zero for the default arbitrator.
      * @param _arbitratorExtraData The extra data for the arbitrator.
      */
     function receiveArbitratorExtraData(
         address _arbitrable,
         uint256 _arbitrableItemID,
+        address _arbitrator,
         bytes calldata _arbitratorExtraData
-    ) external override onlyHomeProxy {
-        ArbitratorExtraDataChanges storage arbitratorExtraDataChanges =
-            disputeParamChanges[_arbitrable].arbitratorExtraData;
-
-        uint256 listSize = arbitratorExtraDataChanges.arbitrableItemIDs.length;
-        if (listSize > 0) {
-            require(
-                _arbitrableItemID > arbitratorExtraDataChanges.arbitrableItemIDs[listSize - 1],
-                "Item ID value lower than latest"
-            );
-            require(
-                keccak256(abi.encodePacked(arbitratorExtraDataChanges.values[listSize - 1])) !=
-                    keccak256(abi.encodePacked(_arbitratorExtraData)),
-                "Extra data should be different"
-            );
-        }
+    ) external override onlySelf {
+        checkArbitrator(IArbitrator(_arbitrator), IArbitrator(0));
 
-        arbitratorExtraDataChanges.values.push(_arbitratorExtraData);
-        arbitratorExtraDataChanges.arbitrableItemIDs.push(_arbitrableItemID);
+        disputeParamChanges[_arbitrable].addArbitratorExtraData(
+            _arbitrableItemID,
+            IArbitrator(_arbitrator),
+            _arbitratorExtraData
+        );
 
-        emit ArbitratorExtraDataReceived(_arbitrable, _arbitrableItemID, _arbitratorExtraData);
+        emit ArbitratorExtraDataReceived(_arbitrable, _arbitrableItemID, _arbitrator, _arbitratorExtraData);
     }
 
     /**
@@ -329,46 +471,86 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      */
-    function requestDispute(address _arbitrable, uint256 _arbitrableItemID) external payable onlyIfInitialized {
+    function requestDispute(address _arbitrable, uint256 _arbitrableItemID) external payable {
+        handleDisputeRequest(_arbitrable, _arbitrableItemID, IERC20(0), msg.value);
+    }
+
+    /**
+     * @notice Requests the creation of a dispute for an arbitrable item paying the deposit with an ERC-20 token.
+     * @dev The proxy must be approved to spend the deposit, which is the arbitration cost converted with `getTokenAmount`.
+     * The defendant and the appeal crowdfunders must pay with the same token.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _token The token to pay with. Must have a swap adapter.
+     * @param _amount The maximum amount of tokens to pay.
+     */
+    function requestDisputeWithToken(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        IERC20 _token,
+        uint256 _amount
+    ) external {
+        handleDisputeRequest(_arbitrable, _arbitrableItemID, _token, _amount);
+    }
+
+    /**
+     * @notice Requests the creation of a dispute for an arbitrable item.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _token The token to pay with. Zero for ETH.
+     * @param _amount The amount offered by the plaintiff.
+     */
+    function handleDisputeRequest(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        IERC20 _token,
+        uint256 _amount
+    ) internal onlyIfInitialized {
         uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
         Arbitration storage arbitration = arbitrations[arbitrationID];
-        (bytes storage arbitratorExtraData, ) = getDisputeParamsStorage(_arbitrable, _arbitrableItemID);
-        uint256 arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        (bytes storage arbitratorExtraData, , IArbitrator itemArbitrator) =
+            getDisputeParamsStorage(_arbitrable, _arbitrableItemID);
+        checkArbitrator(itemArbitrator, arbitrator);
+        uint256 deposit = getTokenAmount(_token, itemArbitrator.arbitrationCost(arbitratorExtraData));
 
         require(arbitration.status == Status.None, "Dispute already requested");
-        require(msg.value >= arbitrationCost, "Deposit value too low");
-
-        (, uint256 remainder) = calculateContribution(msg.value, arbitrationCost);
+        checkDeposit(_amount, deposit);
 
         arbitration.arbitrable = _arbitrable;
         arbitration.arbitrableItemID = _arbitrableItemID;
         arbitration.status = Status.Requested;
+        arbitration.requestedAt = block.timestamp;
         arbitration.plaintiff = msg.sender;
-        arbitration.sumDeposit = arbitrationCost;
+        arbitration.sumDeposit = deposit;
+        arbitration.token = _token;
+        arbitration.arbitrator = itemArbitrator;
 
-        if (remainder > 0) {
-            msg.sender.send(remainder);
-        }
+        receivePayment(_token, msg.sender, _amount, deposit);
 
         emit DisputeRequested(arbitrationID, msg.sender);
 
         bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveDisputeRequest.selector;
         bytes memory data =
-            abi.encodeWithSelector(methodSelector, arbitration.arbitrable, arbitration.arbitrableItemID, msg.sender);
-        amb.requireToPassMessage(homeProxy, data, amb.maxGasPerTx());
+            abi.encodeWithSelector(methodSelector, _arbitrable, _arbitrableItemID, msg.sender, block.timestamp);
+        sendMessage(methodSelector, data);
     }
 
     /**
      * @notice Receives from the Home Chain that the dispute has been accepted.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the accepted dispute was requested.
      */
-    function receiveDisputeAccepted(address _arbitrable, uint256 _arbitrableItemID) external override onlyHomeProxy {
+    function receiveDisputeAccepted(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlySelf {
         uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
         Arbitration storage arbitration = arbitrations[arbitrationID];
 
-        require(arbitration.status == Status.Requested, "Invalid arbitration status");
+        checkRequest(arbitration, _requestedAt);
 
         arbitration.status = Status.DepositPending;
         arbitration.acceptedAt = uint240(block.timestamp);
@@ -378,24 +560,54 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
 
     /**
      * @notice Receives from the Home Chain that the dispute has been rejected.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the rejected dispute was requested.
+     */
+    function receiveDisputeRejected(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlySelf {
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        checkRequest(arbitrations[arbitrationID], _requestedAt);
+        cancelRequest(arbitrationID);
+
+        emit DisputeRejected(arbitrationID);
+    }
+
+    /**
+     * @notice Receives from the Home Chain that the dispute was settled.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * If the dispute was already created, the deposits left are split between the parties and the ruling of the
+     * arbitrator is ignored. The appeal contributions can be withdrawn as if the arbitrator refused to rule.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
      */
-    function receiveDisputeRejected(address _arbitrable, uint256 _arbitrableItemID) external override onlyHomeProxy {
+    function receiveSettlement(address _arbitrable, uint256 _arbitrableItemID) external override onlySelf {
         uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
         Arbitration storage arbitration = arbitrations[arbitrationID];
 
-        require(arbitration.status == Status.Requested, "Invalid arbitration status");
-        address payable plaintiff = arbitration.plaintiff;
-        // At this point, only the plantiff have contributed.
-        uint256 deposit = arbitration.sumDeposit;
+        require(arbitration.status > Status.None && arbitration.status < Status.Ruled, "Invalid arbitration status");
 
-        delete arbitrations[arbitrationID];
+        if (arbitration.status == Status.Ongoing) {
+            payDeposits(arbitration);
+        } else {
+            // At this point, only the plantiff have contributed.
+            pay(arbitration.token, arbitration.plaintiff, arbitration.sumDeposit);
+            arbitration.sumDeposit = 0;
+        }
+        arbitration.status = Status.Settled;
 
-        plaintiff.send(deposit); // It is the user responsibility to accept ETH.
+        emit DisputeSettled(arbitrationID);
 
-        emit DisputeRejected(arbitrationID);
+        sendItemMessage(
+            IHomeBinaryArbitrationProxy(0).receiveDisputeSettled.selector,
+            _arbitrable,
+            _arbitrableItemID,
+            arbitration.requestedAt
+        );
     }
 
     /**
@@ -405,28 +617,100 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @param _arbitrationID The ID of the arbitration.
      */
     function payDefendantFee(uint256 _arbitrationID) external payable {
+        handleDefendantFee(_arbitrationID, msg.sender, IERC20(0), msg.value);
+    }
+
+    /**
+     * @notice Funds the defendant side of the dispute paying with an ERC-20 token.
+     * @dev The token must be the same used by the plaintiff and the proxy must be approved to spend the deposit.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _token The token to pay with.
+     * @param _amount The maximum amount of tokens to pay.
+     */
+    function payDefendantFeeWithToken(
+        uint256 _arbitrationID,
+        IERC20 _token,
+        uint256 _amount
+    ) external {
+        handleDefendantFee(_arbitrationID, msg.sender, _token, _amount);
+    }
+
+    /**
+     * @notice Receives the defendant fee paid on the Home Chain.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * If the fee cannot be accepted (i.e.: the deadline for the deposit expired while the message was in transit),
+     * the defendant is reimbursed instead.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _defendant The address of the defendant.
+     * @param _amount The amount paid.
+     */
+    function receiveDefendantFee(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        address payable _defendant,
+        uint256 _amount
+    ) external override onlySelf {
+        require(bridgedValue >= _amount, "Bridged value not received");
+        bridgedValue -= _amount;
+
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        // solhint-disable-next-line no-empty-blocks
+        try this.acceptDefendantFee(arbitrationID, _defendant, _amount) {} catch {
+            pay(IERC20(0), _defendant, _amount);
+
+            emit DefendantFeeRefunded(arbitrationID, _defendant, _amount);
+        }
+    }
+
+    /**
+     * @notice Funds the defendant side of the dispute with the fee paid on the Home Chain.
+     * @dev This is an external function so `receiveDefendantFee` can reimburse the defendant when it fails.
+     * Can only be called by the proxy itself.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _defendant The address of the defendant.
+     * @param _amount The amount paid.
+     */
+    function acceptDefendantFee(
+        uint256 _arbitrationID,
+        address payable _defendant,
+        uint256 _amount
+    ) external onlySelf {
+        handleDefendantFee(_arbitrationID, _defendant, IERC20(0), _amount);
+    }
+
+    /**
+     * @notice Funds the defendant side of the dispute.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _defendant The address of the defendant.
+     * @param _token The token to pay with. Zero for ETH.
+     * @param _amount The amount offered by the defendant.
+     */
+    function handleDefendantFee(
+        uint256 _arbitrationID,
+        address payable _defendant,
+        IERC20 _token,
+        uint256 _amount
+    ) internal {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        (bytes storage arbitratorExtraData, string storage metaEvidence) =
+        (bytes storage arbitratorExtraData, string storage metaEvidence, ) =
             getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
 
-        require(arbitration.status == Status.DepositPending, "Invalid arbitration status");
+        checkStatus(arbitration.status, Status.DepositPending);
         require(block.timestamp <= arbitration.acceptedAt + feeDepositTimeout, "Deadline for deposit has expired");
+        checkPaymentToken(arbitration, _token);
 
-        uint256 arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
-        require(msg.value >= arbitrationCost, "Deposit value too low");
+        uint256 arbitrationCost = arbitration.arbitrator.arbitrationCost(arbitratorExtraData);
+        uint256 deposit = getTokenAmount(_token, arbitrationCost);
+        checkDeposit(_amount, deposit);
 
-        (, uint256 remainder) = calculateContribution(msg.value, arbitrationCost);
-        arbitration.sumDeposit = arbitration.sumDeposit.addCap(arbitrationCost);
-        arbitration.defendant = msg.sender;
+        receivePayment(_token, _defendant, _amount, deposit);
+        arbitration.sumDeposit = arbitration.sumDeposit.addCap(deposit);
+        arbitration.defendant = _defendant;
 
         if (createDispute(_arbitrationID, arbitrationCost, arbitratorExtraData)) {
             emit MetaEvidence(_arbitrationID, metaEvidence);
 
-            if (remainder > 0) {
-                // Reimburse the contributor with the remaining value.
-                msg.sender.send(remainder);
-            }
-
             bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveDisputeCreated.selector;
             bytes memory data =
                 abi.encodeWithSelector(
@@ -434,24 +718,23 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
                     arbitration.arbitrable,
                     arbitration.arbitrableItemID,
                     arbitration.arbitrator,
-                    arbitration.arbitratorDisputeID
+                    arbitration.arbitratorDisputeID,
+                    arbitration.defendant
                 );
-            amb.requireToPassMessage(homeProxy, data, amb.maxGasPerTx());
+            sendMessage(methodSelector, data);
         } else {
-            address arbitrable = arbitration.arbitrable;
-            uint256 arbitrableItemID = arbitration.arbitrableItemID;
-            address payable plaintiff = arbitration.plaintiff;
-            uint256 plaintiffDeposit = arbitration.sumDeposit.subCap(arbitrationCost);
-
-            delete arbitrations[_arbitrationID];
-
             // If the dispute creation fails, fully reimburse the defendant and the plaintiff
-            msg.sender.send(msg.value); // It is the user responsibility to accept ETH.
-            plaintiff.send(plaintiffDeposit); // It is the user responsibility to accept ETH.
-
-            bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveDisputeFailed.selector;
-            bytes memory data = abi.encodeWithSelector(methodSelector, arbitrable, arbitrableItemID);
-            amb.requireToPassMessage(homeProxy, data, amb.maxGasPerTx());
+            arbitration.sumDeposit = arbitration.sumDeposit.subCap(deposit);
+            uint256 requestedAt = arbitration.requestedAt;
+            (address arbitrable, uint256 arbitrableItemID) = cancelRequest(_arbitrationID);
+            pay(_token, _defendant, deposit);
+
+            sendItemMessage(
+                IHomeBinaryArbitrationProxy(0).receiveDisputeFailed.selector,
+                arbitrable,
+                arbitrableItemID,
+                requestedAt
+            );
         }
     }
 
@@ -468,32 +751,64 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         bytes storage _arbitratorExtraData
     ) internal returns (bool) {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-
-        try arbitrator.createDispute{value: _arbitrationCost}(NUMBER_OF_CHOICES, _arbitratorExtraData) returns (
-            uint256 arbitratorDisputeID
-        ) {
-            uint256 disputeID = getDisputeID(arbitrator, arbitratorDisputeID);
+        IArbitrator disputeArbitrator = arbitration.arbitrator;
+
+        try
+            this.convertAndCreateDispute(
+                disputeArbitrator,
+                arbitration.token,
+                _arbitrationCost,
+                arbitration.sumDeposit,
+                _arbitratorExtraData
+            )
+        returns (uint256 arbitratorDisputeID, uint256 spent) {
+            uint256 disputeID = getDisputeID(disputeArbitrator, arbitratorDisputeID);
 
             arbitration.status = Status.Ongoing;
-            arbitration.arbitrator = arbitrator;
             arbitration.arbitratorDisputeID = arbitratorDisputeID;
-            arbitration.sumDeposit = arbitration.sumDeposit.subCap(_arbitrationCost);
+            arbitration.sumDeposit = arbitration.sumDeposit.subCap(spent);
             // Create a new round for a possible appeal.
             arbitration.rounds.push();
 
             disputeIDToArbitrationID[disputeID] = _arbitrationID;
 
-            emit Dispute(arbitrator, arbitratorDisputeID, _arbitrationID, _arbitrationID);
-            emit DisputeOngoing(_arbitrationID, arbitrator, arbitratorDisputeID);
+            emit Dispute(disputeArbitrator, arbitratorDisputeID, _arbitrationID, _arbitrationID);
+            emit DisputeOngoing(_arbitrationID, disputeArbitrator, arbitratorDisputeID);
 
             return true;
         } catch {
-            emit DisputeFailed(_arbitrationID, arbitrator, _arbitratorExtraData);
+            emit DisputeFailed(_arbitrationID, disputeArbitrator, _arbitratorExtraData);
 
             return false;
         }
     }
 
+    /**
+     * @notice Converts the deposits into ETH, if needed, and creates the dispute in the arbitrator.
+     * @dev This is an external function so the conversion is reverted along with the dispute creation when it fails.
+     * Can only be called by the proxy itself.
+     * @param _arbitrator The arbitrator to create the dispute in.
+     * @param _token The token used to pay the deposits. Zero for ETH.
+     * @param _arbitrationCost The cost of arbitration.
+     * @param _maxTokenAmount The maximum amount of tokens to spend.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     * @return arbitratorDisputeID The ID of the dispute in the arbitrator.
+     * @return spent The amount of the deposits spent.
+     */
+    function convertAndCreateDispute(
+        IArbitrator _arbitrator,
+        IERC20 _token,
+        uint256 _arbitrationCost,
+        uint256 _maxTokenAmount,
+        bytes calldata _arbitratorExtraData
+    ) external onlySelf returns (uint256 arbitratorDisputeID, uint256 spent) {
+        spent = convertToETH(_token, _arbitrationCost, _maxTokenAmount);
+        arbitratorDisputeID = _arbitrator.createDispute{value: _arbitrationCost}(
+            NUMBER_OF_CHOICES,
+            _arbitratorExtraData
+        );
+    }
+
     /**
      * @notice Reimburses the rest.
      * @dev Takes up to the total amount required to fund a side of an appeal.
@@ -503,31 +818,66 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @param _party The party that pays the appeal fee.
      */
     function fundAppeal(uint256 _arbitrationID, Party _party) external payable {
-        require(msg.value > 0, "Must pay non-zero value");
+        handleAppealFee(_arbitrationID, _party, IERC20(0), msg.value);
+    }
+
+    /**
+     * @notice Funds a side of an appeal paying with an ERC-20 token.
+     * @dev The token must be the same used to pay the deposits. Takes up to the total amount required,
+     * converted with `getTokenAmount`, so the proxy must be approved to spend at least the amount taken.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _party The party that pays the appeal fee.
+     * @param _token The token to pay with.
+     * @param _amount The maximum amount of tokens to contribute.
+     */
+    function fundAppealWithToken(
+        uint256 _arbitrationID,
+        Party _party,
+        IERC20 _token,
+        uint256 _amount
+    ) external {
+        handleAppealFee(_arbitrationID, _party, _token, _amount);
+    }
+
+    /**
+     * @notice Funds a side of an appeal and creates the appeal if both sides are fully funded.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _party The party that pays the appeal fee.
+     * @param _token The token to pay with. Zero for ETH.
+     * @param _amount The amount offered by the contributor.
+     */
+    function handleAppealFee(
+        uint256 _arbitrationID,
+        Party _party,
+        IERC20 _token,
+        uint256 _amount
+    ) internal {
+        require(_amount > 0, "Must pay non-zero value");
 
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        (bytes storage arbitratorExtraData, ) =
+        (bytes storage arbitratorExtraData, , ) =
             getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
 
         require(_party == Party.Defendant || _party == Party.Plaintiff, "Invalid side");
-        require(arbitration.status == Status.Ongoing, "Invalid arbitration status");
+        checkStatus(arbitration.status, Status.Ongoing);
+        checkPaymentToken(arbitration, _token);
 
-        Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
+        AppealRounds.Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
         require(!round.fullyPaid[uint256(_party)], "Appeal fee already paid");
 
-        (uint256 appealCost, uint256 totalCost) = getAppealFeeComponents(arbitration, _party, arbitratorExtraData);
+        (uint256 appealCost, uint256 totalCost) = getAppealFeeComponents(arbitration, _party);
 
-        (uint256 remainder, ) = contribute(_arbitrationID, _party, msg.sender, msg.value, totalCost);
+        (uint256 remainder, ) =
+            contribute(_arbitrationID, _party, msg.sender, _amount, getTokenAmount(_token, totalCost));
+        receivePayment(_token, msg.sender, _amount, _amount - remainder);
 
         if (round.fullyPaid[uint256(Party.Defendant)] && round.fullyPaid[uint256(Party.Plaintiff)]) {
-            round.feeRewards = round.feeRewards.subCap(appealCost);
+            round.feeRewards = round.feeRewards.subCap(convertToETH(_token, appealCost, round.feeRewards));
             arbitration.rounds.push();
 
             // The appeal must happen on the same arbitrator the original dispute was created.
             arbitration.arbitrator.appeal{value: appealCost}(arbitration.arbitratorDisputeID, arbitratorExtraData);
         }
-
-        msg.sender.send(remainder);
     }
 
     /**
@@ -537,13 +887,37 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      */
     function submitEvidence(uint256 _arbitrationID, string calldata _evidenceURI) external override {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        require(arbitration.status < Status.Ruled, "Invalid status");
+        checkEvidencePeriod(arbitration.status);
 
         if (bytes(_evidenceURI).length > 0) {
-            emit Evidence(arbitrator, _arbitrationID, msg.sender, _evidenceURI);
+            emit Evidence(getArbitrator(arbitration), _arbitrationID, msg.sender, _evidenceURI);
         }
     }
 
+    /**
+     * @notice Receives evidence for an arbitrable item from the Home Chain.
+     * @dev Should only be called by the proxy itself, when executing a message from the Home Chain.
+     * The Home Proxy is responsible for checking that the evidence was submitted by an allowed party.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _party The address of the party who submitted the evidence on the Home Chain.
+     * @param _evidenceURI Link to evidence.
+     */
+    function receiveEvidence(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        address _party,
+        string calldata _evidenceURI
+    ) external override onlySelf {
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        Arbitration storage arbitration = arbitrations[arbitrationID];
+        // The Home Proxy only relays evidence for accepted requests, so the dispute must have been requested here.
+        require(arbitration.status > Status.None, "Invalid status");
+        checkEvidencePeriod(arbitration.status);
+
+        emit Evidence(getArbitrator(arbitration), arbitrationID, _party, _evidenceURI);
+    }
+
     /**
      * @notice Give a ruling for a dispute. Must be called by the arbitrator.
      * The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
@@ -556,10 +930,16 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         Arbitration storage arbitration = arbitrations[arbitrationID];
 
         require(address(arbitration.arbitrator) == msg.sender, "Only dispute arbitrator allowed");
-        require(arbitration.status == Status.Ongoing, "Invalid arbitration status");
+
+        // The parties settled the dispute before the ruling was given.
+        if (arbitration.status == Status.Settled) {
+            return;
+        }
+
+        checkStatus(arbitration.status, Status.Ongoing);
 
         arbitration.status = Status.Ruled;
-        Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
+        AppealRounds.Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
 
         /**
          * @notice If only one side paid its fees, we assume the ruling to be in its favor.
@@ -575,29 +955,39 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
             arbitration.ruling = Party(_ruling);
         }
 
-        if (arbitration.ruling == Party.None) {
-            uint256 amount = arbitration.sumDeposit / 2;
-            arbitration.plaintiff.send(amount);
-            arbitration.defendant.send(amount);
-        } else if (arbitration.ruling == Party.Defendant) {
-            arbitration.defendant.send(arbitration.sumDeposit);
-        } else {
-            arbitration.plaintiff.send(arbitration.sumDeposit);
-        }
-        arbitration.sumDeposit = 0;
+        payDeposits(arbitration);
 
         emit Ruling(arbitration.arbitrator, _arbitratorDisputeID, uint256(arbitration.ruling));
         emit DisputeRuled(arbitrationID, uint256(arbitration.ruling));
 
-        bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveRuling.selector;
-        bytes memory data =
-            abi.encodeWithSelector(
-                methodSelector,
-                arbitration.arbitrable,
-                arbitration.arbitrableItemID,
-                arbitration.ruling
-            );
-        amb.requireToPassMessage(homeProxy, data, amb.maxGasPerTx());
+        sendRuling(arbitration);
+    }
+
+    /**
+     * @notice Reimburses the plaintiff when the dispute request was neither accepted nor rejected in time.
+     * This can happen if the dispute request message is dropped by the bridge or if the acceptance or rejection
+     * is never relayed from the Home Chain.
+     * @dev The Home Proxy is notified so the arbitrable item can be reset there as well.
+     * If the acceptance or rejection is relayed after this, the message will fail on this side.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function claimRequestTimeout(uint256 _arbitrationID) external {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        checkStatus(arbitration.status, Status.Requested);
+        uint256 requestedAt = arbitration.requestedAt;
+        require(block.timestamp > requestedAt + requestTimeout, "Dispute request still pending");
+
+        (address arbitrable, uint256 arbitrableItemID) = cancelRequest(_arbitrationID);
+
+        emit DisputeRequestTimedOut(_arbitrationID);
+
+        sendItemMessage(
+            IHomeBinaryArbitrationProxy(0).receiveRequestTimeout.selector,
+            arbitrable,
+            arbitrableItemID,
+            requestedAt
+        );
     }
 
     /**
@@ -609,7 +999,7 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     function claimPlaintiffWin(uint256 _arbitrationID) external {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
 
-        require(arbitration.status == Status.DepositPending, "Invalid arbitration status");
+        checkStatus(arbitration.status, Status.DepositPending);
         require(block.timestamp > arbitration.acceptedAt + feeDepositTimeout, "Defendant deposit still possible");
 
         uint256 deposit = arbitration.sumDeposit;
@@ -618,19 +1008,25 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         arbitration.ruling = Party.Plaintiff;
         arbitration.sumDeposit = 0;
 
-        arbitration.plaintiff.send(deposit); // It is the user responsibility to accept ETH.
+        pay(arbitration.token, arbitration.plaintiff, deposit);
 
         emit DisputeRuled(_arbitrationID, uint256(arbitration.ruling));
 
-        bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveRuling.selector;
-        bytes memory data =
-            abi.encodeWithSelector(
-                methodSelector,
-                arbitration.arbitrable,
-                arbitration.arbitrableItemID,
-                arbitration.ruling
-            );
-        amb.requireToPassMessage(homeProxy, data, amb.maxGasPerTx());
+        sendRuling(arbitration);
+    }
+
+    /**
+     * @notice Relays the ruling of an arbitration to the Home Chain again.
+     * @dev Anyone can relay the ruling, i.e.: when the original message was dropped by the bridge.
+     * It has no effect on the Home Chain if the ruling was already received there.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function relayRuling(uint256 _arbitrationID) external override {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        checkStatus(arbitration.status, Status.Ruled);
+
+        sendRuling(arbitration);
     }
 
     /**
@@ -646,19 +1042,21 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         uint256 _cursor,
         uint256 _count
     ) external {
-        Arbitration storage arbitration = arbitrations[_arbitrationID];
-
-        require(
-            arbitration.status == Status.Ruled,
-            "The arbitration is not settled"
-        );
+        withdrawRounds(_arbitrationID, _beneficiary, _cursor, _count);
+    }
 
-        uint256 amount;
-        for (uint256 i = _cursor; i < arbitration.rounds.length && (_count == 0 || i < _cursor + _count); i++) {
-            amount += registerWithdrawal(arbitration, _beneficiary, i);
+    /**
+     * @dev Withdraws the contributions of a beneficiary to all the appeal rounds of multiple arbitrations at once.
+     * @notice This function is O(n) where n is the total number of rounds. This could exceed the gas limit, therefore this function should be used only as a utility and not be relied upon by other contracts.
+     * @param _arbitrationIDs The IDs of the arbitrations. They MUST all be ruled or settled.
+     * @param _beneficiary The address that made contributions.
+     */
+    function withdrawFeesAndRewardsForArbitrations(uint256[] calldata _arbitrationIDs, address payable _beneficiary)
+        external
+    {
+        for (uint256 i = 0; i < _arbitrationIDs.length; i++) {
+            withdrawRounds(_arbitrationIDs[i], _beneficiary, 0, 0);
         }
-
-        _beneficiary.send(amount); // It is the user responsibility to accept ETH.
     }
 
     /**
@@ -674,17 +1072,41 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         address payable _beneficiary,
         uint256 _roundNumber
     ) external returns (uint256 amount) {
-        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        require(_roundNumber < arbitrations[_arbitrationID].rounds.length, "No appeal rounds");
 
-        require(
-            arbitration.status == Status.Ruled,
-            "The arbitration is not settled"
-        );
-        require(arbitration.rounds.length > 0, "No appeal rounds");
+        return withdrawRounds(_arbitrationID, _beneficiary, _roundNumber, 1);
+    }
 
-        amount = registerWithdrawal(arbitration, _beneficiary, _roundNumber);
+    /**
+     * @notice Withdraws the ETH which could not be sent to the caller.
+     * @dev The whole pending balance is sent with all the gas left, so contract wallets can receive it.
+     * @param _beneficiary The address to send the balance to.
+     */
+    function withdrawPendingBalance(address payable _beneficiary) external override {
+        uint256 amount = pendingBalances[msg.sender];
+        require(amount > 0, "No pending balance");
+        pendingBalances[msg.sender] = 0;
 
-        _beneficiary.send(amount); // It is the user responsibility to accept ETH.
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = _beneficiary.call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit PendingBalanceWithdrawn(msg.sender, _beneficiary, amount);
+    }
+
+    /**
+     * @notice Withdraws the tokens which could not be sent to the caller.
+     * @param _token The token to withdraw.
+     * @param _beneficiary The address to send the balance to.
+     */
+    function withdrawPendingTokenBalance(IERC20 _token, address _beneficiary) external {
+        uint256 amount = pendingTokenBalances[_token][msg.sender];
+        require(amount > 0, "No pending balance");
+        pendingTokenBalances[_token][msg.sender] = 0;
+
+        require(_token.tryTransfer(_beneficiary, amount), "Withdrawal failed");
+
+        emit PendingTokenBalanceWithdrawn(_token, msg.sender, _beneficiary, amount);
     }
 
     /**
@@ -694,10 +1116,10 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      */
     function getDisputeFee(uint256 _arbitrationID) external view returns (uint256) {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        (bytes storage arbitratorExtraData, ) =
+        (bytes storage arbitratorExtraData, , ) =
             getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
         if (arbitration.status <= Status.DepositPending) {
-            return arbitrator.arbitrationCost(arbitratorExtraData);
+            return arbitration.arbitrator.arbitrationCost(arbitratorExtraData);
         } else {
             return NON_PAYABLE_VALUE;
         }
@@ -707,34 +1129,53 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @notice Returns the appeal cost for a given arbitrable item.
      * @param _arbitrationID The ID of the arbitration.
      * @param _party The party to get the appeal fee for.
-     * @return The appeal fee.
+     * @return The appeal fee. `NON_PAYABLE_VALUE` if the party cannot fund the appeal at the moment.
      */
     function getAppealFee(uint256 _arbitrationID, Party _party) external view returns (uint256) {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        (bytes storage arbitratorExtraData, ) =
-            getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
-
-        (uint256 appealPeriodStart, uint256 appealPeriodEnd) =
-            arbitration.arbitrator.appealPeriod(arbitration.arbitratorDisputeID);
+        (uint256 appealPeriodStart, , uint256 deadline, uint256 multiplier) = getAppealDeadline(arbitration, _party);
 
-        if (!(block.timestamp >= appealPeriodStart && block.timestamp <= appealPeriodEnd)) {
+        if (!(block.timestamp >= appealPeriodStart && block.timestamp < deadline)) {
             return NON_PAYABLE_VALUE;
         }
 
-        uint256 winner = arbitration.arbitrator.currentRuling(arbitration.arbitratorDisputeID);
-        uint256 multiplier;
+        (, uint256 totalCost) = getAppealCosts(arbitration, multiplier);
+        return totalCost;
+    }
 
-        if (winner == 0) {
-            multiplier = sharedStakeMultiplier;
-        } else if (winner == uint256(_party)) {
-            multiplier = winnerStakeMultiplier;
-        } else {
-            multiplier = loserStakeMultiplier;
-        }
+    /**
+     * @notice Returns until when each party can fund the current round of appeal and how much it still has to pay.
+     * @dev The contributions are accepted while `block.timestamp` is lower than the deadline of the party.
+     * The loser of the current ruling can only fund during the first half of the appeal period.
+     * @param _arbitrationID The ID of the arbitration.
+     * @return deadlines The deadline of each party. Zero if the arbitration is not ongoing.
+     * @return remainingAmounts The amount each party has to pay to be fully funded, in the token of the arbitration.
+     * `NON_PAYABLE_VALUE` if the party cannot fund the appeal at the moment.
+     */
+    function getAppealFundingStatus(uint256 _arbitrationID)
+        external
+        view
+        returns (uint256[3] memory deadlines, uint256[3] memory remainingAmounts)
+    {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
 
-        uint256 appealCost = arbitration.arbitrator.appealCost(arbitration.arbitratorDisputeID, arbitratorExtraData);
+        for (uint256 party = uint256(Party.Defendant); party <= uint256(Party.Plaintiff); party++) {
+            remainingAmounts[party] = NON_PAYABLE_VALUE;
+            if (arbitration.status != Status.Ongoing) {
+                continue;
+            }
 
-        return appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
+            (uint256 appealPeriodStart, , uint256 deadline, uint256 multiplier) =
+                getAppealDeadline(arbitration, Party(party));
+            deadlines[party] = deadline;
+
+            if (block.timestamp >= appealPeriodStart && block.timestamp < deadline) {
+                (, uint256 totalCost) = getAppealCosts(arbitration, multiplier);
+                remainingAmounts[party] = getTokenAmount(arbitration.token, totalCost).subCap(
+                    arbitration.rounds[arbitration.rounds.length - 1].paidFees[party]
+                );
+            }
+        }
     }
 
     /**
@@ -765,7 +1206,7 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
         )
     {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
-        Round storage round = arbitration.rounds[_roundNumber];
+        AppealRounds.Round storage round = arbitration.rounds[_roundNumber];
 
         return (round.paidFees, round.fullyPaid, round.feeRewards);
     }
@@ -800,16 +1241,12 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
 
-        // Only Ruled arbitrations or those one which failed and where reset are withdrawable.
-        if (arbitration.status != Status.Ruled) {
+        // Only the ruled or settled arbitrations are withdrawable.
+        if (arbitration.status < Status.Ruled) {
             return 0;
         }
 
-        for (uint256 i = 0; i < arbitration.rounds.length; i++) {
-            total += getWithdrawableAmount(arbitration, _beneficiary, i);
-        }
-
-        return total;
+        return arbitration.rounds.getTotalWithdrawableAmount(_beneficiary, uint256(arbitration.ruling));
     }
 
     /**
@@ -831,23 +1268,15 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
     ) internal returns (uint256 remainder, bool fullyPaid) {
         Arbitration storage arbitration = arbitrations[_arbitrationID];
         uint256 roundNumber = arbitration.rounds.length - 1;
-        Round storage round = arbitration.rounds[roundNumber];
+        AppealRounds.Round storage round = arbitration.rounds[roundNumber];
 
         uint256 contribution;
-        (contribution, remainder) = calculateContribution(
-            _availableAmount,
-            _totalRequired.subCap(round.paidFees[uint256(_party)])
-        );
-
-        round.feeRewards += contribution;
-        round.paidFees[uint256(_party)] += contribution;
-        round.contributions[_contributor][uint256(_party)] += contribution;
+        (contribution, remainder) = round.contribute(uint256(_party), _contributor, _availableAmount, _totalRequired);
 
         emit FeeContribution(_arbitrationID, _party, _contributor, contribution, roundNumber);
 
-        if (round.paidFees[uint256(_party)] >= _totalRequired) {
-            round.fullyPaid[uint256(_party)] = true;
-
+        // The side was not fully paid before the contribution. See `handleAppealFee`.
+        if (round.fullyPaid[uint256(_party)]) {
             emit FeePaid(_arbitrationID, _party, roundNumber);
         }
 
@@ -860,98 +1289,366 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @param _arbitrableItemID The ID of the arbitrable item.
      * @return arbitratorExtraData The extra data for the arbitrator.
      * @return metaEvidence The meta evidence for the item.
+     * @return itemArbitrator The arbitrator for the item.
      */
     function getDisputeParams(address _arbitrable, uint256 _arbitrableItemID)
         external
         view
-        returns (bytes memory arbitratorExtraData, string memory metaEvidence)
+        returns (
+            bytes memory arbitratorExtraData,
+            string memory metaEvidence,
+            IArbitrator itemArbitrator
+        )
     {
         return getDisputeParamsStorage(_arbitrable, _arbitrableItemID);
     }
 
+    /**
+     * @notice Gets the arbitrator extra data for a given arbitrable item, decoded as KlerosLiquid does.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return subcourtID The ID of the subcourt.
+     * @return minJurors The minimum number of jurors.
+     */
+    function getCourtParams(address _arbitrable, uint256 _arbitrableItemID)
+        external
+        view
+        returns (uint256 subcourtID, uint256 minJurors)
+    {
+        return disputeParamChanges[_arbitrable].getCourtParams(_arbitrableItemID);
+    }
+
+    /**
+     * @notice Gets the number of dispute param changes registered by an arbitrable contract.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @return metaEvidenceCount The number of meta evidence changes.
+     * @return arbitratorExtraDataCount The number of arbitrator extra data changes.
+     */
+    function getDisputeParamChangesCount(address _arbitrable)
+        external
+        view
+        returns (uint256 metaEvidenceCount, uint256 arbitratorExtraDataCount)
+    {
+        DisputeParams.Changes storage changes = disputeParamChanges[_arbitrable];
+        return (changes.metaEvidence.values.length, changes.arbitratorExtraData.values.length);
+    }
+
+    /**
+     * @notice Gets a meta evidence change registered by an arbitrable contract.
+     * @dev The change applies to the items from its arbitrable item ID up to the ID of the next change, exclusive.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _index The index of the change, in registration order.
+     * @return arbitrableItemID The first arbitrable item ID the change applies to.
+     * @return metaEvidence The meta evidence.
+     */
+    function getMetaEvidenceChange(address _arbitrable, uint256 _index)
+        external
+        view
+        returns (uint256 arbitrableItemID, string memory metaEvidence)
+    {
+        DisputeParams.MetaEvidenceChanges storage changes = disputeParamChanges[_arbitrable].metaEvidence;
+        return (changes.arbitrableItemIDs[_index], changes.values[_index]);
+    }
+
+    /**
+     * @notice Gets an arbitrator extra data change registered by an arbitrable contract.
+     * @dev The change applies to the items from its arbitrable item ID up to the ID of the next change, exclusive.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _index The index of the change, in registration order.
+     * @return arbitrableItemID The first arbitrable item ID the change applies to.
+     * @return arbitratorExtraData The extra data for the arbitrator.
+     * @return itemArbitrator The arbitrator, as registered. Zero for the default arbitrator.
+     */
+    function getArbitratorExtraDataChange(address _arbitrable, uint256 _index)
+        external
+        view
+        returns (
+            uint256 arbitrableItemID,
+            bytes memory arbitratorExtraData,
+            IArbitrator itemArbitrator
+        )
+    {
+        DisputeParams.ArbitratorExtraDataChanges storage changes = disputeParamChanges[_arbitrable].arbitratorExtraData;
+        return (changes.arbitrableItemIDs[_index], changes.values[_index], changes.arbitrators[_index]);
+    }
+
     /**
      * @notice Gets the storage pointer for the dispute params for a given arbitrable item.
      * @param _arbitrable The address of the arbitrable contract.
      * @param _arbitrableItemID The ID of the arbitrable item.
      * @return arbitratorExtraData The extra data for the arbitrator.
      * @return metaEvidence The meta evidence for the item.
+     * @return itemArbitrator The arbitrator for the item, which is the default arbitrator unless one was registered.
      */
     function getDisputeParamsStorage(address _arbitrable, uint256 _arbitrableItemID)
         internal
         view
-        returns (bytes storage arbitratorExtraData, string storage metaEvidence)
+        returns (
+            bytes storage arbitratorExtraData,
+            string storage metaEvidence,
+            IArbitrator itemArbitrator
+        )
     {
-        ArbitratorExtraDataChanges storage arbitratorExtraDataChanges =
-            disputeParamChanges[_arbitrable].arbitratorExtraData;
-        MetaEvidenceChanges storage metaEvidenceChanges = disputeParamChanges[_arbitrable].metaEvidence;
-
-        require(
-            arbitratorExtraDataChanges.arbitrableItemIDs.length > 0 &&
-                arbitratorExtraDataChanges.arbitrableItemIDs[0] <= _arbitrableItemID,
-            "ArbitratorExtraData not found"
+        (arbitratorExtraData, metaEvidence, itemArbitrator) = disputeParamChanges[_arbitrable].get(_arbitrableItemID);
+        if (address(itemArbitrator) == address(0)) itemArbitrator = arbitrator;
+    }
+
+    /**
+     * @notice Gets the arbitrator of an arbitration, which is only stored once the dispute is requested.
+     * @param _arbitration The arbitration.
+     * @return The arbitrator of the arbitration. The default arbitrator if the dispute was not requested.
+     */
+    function getArbitrator(Arbitration storage _arbitration) internal view returns (IArbitrator) {
+        return address(_arbitration.arbitrator) != address(0) ? _arbitration.arbitrator : arbitrator;
+    }
+
+    /**
+     * @notice Resets an arbitration whose dispute was not created, reimbursing the plaintiff.
+     * @param _arbitrationID The ID of the arbitration.
+     * @return arbitrable The address of the arbitrable contract.
+     * @return arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function cancelRequest(uint256 _arbitrationID) internal returns (address arbitrable, uint256 arbitrableItemID) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        arbitrable = arbitration.arbitrable;
+        arbitrableItemID = arbitration.arbitrableItemID;
+        address payable plaintiff = arbitration.plaintiff;
+        IERC20 token = arbitration.token;
+        // At this point, the sum of the deposits only holds the deposit of the plaintiff.
+        uint256 deposit = arbitration.sumDeposit;
+
+        delete arbitrations[_arbitrationID];
+
+        pay(token, plaintiff, deposit);
+    }
+
+    /**
+     * @notice Pays the deposits left to the parties according to the ruling.
+     * @dev If there is no ruling, the deposits are split equally.
+     * @param _arbitration The arbitration.
+     */
+    function payDeposits(Arbitration storage _arbitration) internal {
+        if (_arbitration.ruling == Party.None) {
+            uint256 amount = _arbitration.sumDeposit / 2;
+            pay(_arbitration.token, _arbitration.plaintiff, amount);
+            pay(_arbitration.token, _arbitration.defendant, amount);
+        } else if (_arbitration.ruling == Party.Defendant) {
+            pay(_arbitration.token, _arbitration.defendant, _arbitration.sumDeposit);
+        } else {
+            pay(_arbitration.token, _arbitration.plaintiff, _arbitration.sumDeposit);
+        }
+        _arbitration.sumDeposit = 0;
+    }
+
+    /**
+     * @notice Sends a message to the home proxy through the AMB, with the gas limit of its handler.
+     * @dev The message is wrapped in a call to `receiveMessage`, so it can be retried if it fails on the Home Chain.
+     * @param _methodSelector The selector of the message handler.
+     * @param _data The calldata for the message handler.
+     */
+    function sendMessage(bytes4 _methodSelector, bytes memory _data) internal {
+        bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveMessage.selector;
+        amb.requireToPassMessage(
+            homeProxy,
+            abi.encodeWithSelector(methodSelector, _data),
+            messageGasLimits[_methodSelector]
         );
-        require(
-            metaEvidenceChanges.arbitrableItemIDs.length > 0 &&
-                metaEvidenceChanges.arbitrableItemIDs[0] <= _arbitrableItemID,
-            "MetaEvidence not found"
+    }
+
+    /**
+     * @notice Sends a message about a dispute request of an arbitrable item to the home proxy.
+     * @param _methodSelector The selector of the message handler, which only takes the dispute request.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the dispute was requested, so the home proxy ignores the messages about
+     * a previous request.
+     */
+    function sendItemMessage(
+        bytes4 _methodSelector,
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) internal {
+        sendMessage(
+            _methodSelector,
+            abi.encodeWithSelector(_methodSelector, _arbitrable, _arbitrableItemID, _requestedAt)
         );
+    }
+
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the home proxy.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit.
+     */
+    function setMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) internal {
+        messageGasLimits[_methodSelector] = _gasLimit;
 
-        arbitratorExtraData = arbitratorExtraDataChanges.values[
-            findBestIndex(arbitratorExtraDataChanges.arbitrableItemIDs, _arbitrableItemID)
-        ];
+        emit MessageGasLimitChanged(_methodSelector, _gasLimit);
+    }
+
+    /**
+     * @notice Sends the ruling of an arbitration to the home proxy.
+     * @param _arbitration The arbitration.
+     */
+    function sendRuling(Arbitration storage _arbitration) internal {
+        bytes4 methodSelector = IHomeBinaryArbitrationProxy(0).receiveRuling.selector;
+        sendMessage(
+            methodSelector,
+            abi.encodeWithSelector(
+                methodSelector,
+                _arbitration.arbitrable,
+                _arbitration.arbitrableItemID,
+                _arbitration.ruling
+            )
+        );
+    }
 
-        metaEvidence = metaEvidenceChanges.values[
-            findBestIndex(metaEvidenceChanges.arbitrableItemIDs, _arbitrableItemID)
-        ];
+    /**
+     * @notice Checks the call is made by the governor.
+     */
+    function checkGovernor() internal view {
+        require(msg.sender == governor, "Only governor allowed");
     }
 
     /**
-     * @notice Finds the best index for a value in a sorted list. O(log n) in worst case.
-     * @dev Finds the index `n` such _list[0], _list[1], ... list[n] <= _value < _list[n + 1] ...
-     * @param _list The sorted list.
-     * @param _value The value to search.
-     * @return The index for the value.
+     * @notice Checks the call is made by the proxy itself.
      */
-    function findBestIndex(uint256[] storage _list, uint256 _value) internal view returns (uint256) {
-        uint256 left = 0;
-        uint256 right = _list.length;
+    function checkSelf() internal view {
+        require(msg.sender == address(this), "Only self allowed");
+    }
 
-        // Optimizaiton for a common access pattern
-        if (_value > _list[right - 1]) {
-            return right - 1;
-        }
+    /**
+     * @notice Checks an arbitration is in the expected status.
+     * @dev The check is made in a function, so its message is not repeated for every status check.
+     * @param _status The status of the arbitration.
+     * @param _expected The expected status.
+     */
+    function checkStatus(Status _status, Status _expected) internal pure {
+        require(_status == _expected, "Invalid arbitration status");
+    }
 
-        while (left < right) {
-            uint256 pivot = (left + right / 2);
-            if (_list[pivot] <= _value) {
-                left = pivot + 1;
-            } else {
-                right = pivot;
+    /**
+     * @notice Checks an arbitrator is allowed, i.e.: it is whitelisted or it is the one allowed by default.
+     * @param _arbitrator The arbitrator.
+     * @param _defaultArbitrator The arbitrator allowed without being whitelisted.
+     */
+    function checkArbitrator(IArbitrator _arbitrator, IArbitrator _defaultArbitrator) internal view {
+        require(_arbitrator == _defaultArbitrator || arbitratorWhitelist[_arbitrator], "Arbitrator not allowed");
+    }
+
+    /**
+     * @notice Checks a payment is made in the token of an arbitration.
+     * @param _arbitration The arbitration.
+     * @param _token The token of the payment.
+     */
+    function checkPaymentToken(Arbitration storage _arbitration, IERC20 _token) internal view {
+        require(_token == _arbitration.token, "Invalid payment token");
+    }
+
+    /**
+     * @notice Checks a payment covers the required deposit.
+     * @param _amount The amount paid.
+     * @param _deposit The required deposit.
+     */
+    function checkDeposit(uint256 _amount, uint256 _deposit) internal pure {
+        require(_amount >= _deposit, "Deposit value too low");
+    }
+
+    /**
+     * @notice Checks an answer from the Home Chain is about the pending dispute request of an arbitration.
+     * @dev A failed answer to a previous request, which timed out, could otherwise be retried for the current one.
+     * @param _arbitration The arbitration.
+     * @param _requestedAt The time when the answered dispute was requested.
+     */
+    function checkRequest(Arbitration storage _arbitration, uint256 _requestedAt) internal view {
+        checkStatus(_arbitration.status, Status.Requested);
+        require(_arbitration.requestedAt == _requestedAt, "Dispute request does not match");
+    }
+
+    /**
+     * @notice Checks evidence can still be submitted for an arbitration, i.e.: it is not ruled yet.
+     * @param _status The status of the arbitration.
+     */
+    function checkEvidencePeriod(Status _status) internal pure {
+        require(_status < Status.Ruled, "Invalid status");
+    }
+
+    /**
+     * @notice Checks the call is a message from the home proxy relayed by the AMB.
+     */
+    function checkHomeProxy() internal view {
+        require(msg.sender == address(amb), "Only AMB allowed");
+        require(amb.messageSourceChainId() == bytes32(homeChainId), "Only home chain allowed");
+        require(amb.messageSender() == homeProxy, "Only home proxy allowed");
+    }
+
+    /**
+     * @notice Takes a payment from the payer.
+     * @dev ETH is already held by the contract, so only the remainder is sent back.
+     * Tokens are pulled from the payer, so only the amount taken is transferred.
+     * @param _token The token used for the payment. Zero for ETH.
+     * @param _payer The address of the payer.
+     * @param _available The amount offered by the payer.
+     * @param _taken The amount taken from the offer.
+     */
+    function receivePayment(
+        IERC20 _token,
+        address payable _payer,
+        uint256 _available,
+        uint256 _taken
+    ) internal {
+        if (address(_token) == address(0)) {
+            if (_available > _taken) {
+                // Reimburse the contributor with the remaining value.
+                pay(_token, _payer, _available - _taken);
             }
+        } else {
+            _token.pullFrom(_payer, _taken);
         }
+    }
 
-        return right - 1;
+    /**
+     * @notice Pays an amount in ETH or tokens.
+     * @dev A failed payment does not revert, so a single beneficiary cannot block the arbitration.
+     * The amount which cannot be sent is credited to the pending balance of the beneficiary instead.
+     * Tokens are credited before the transfer, so the token cannot reenter before the balance is updated.
+     * @param _token The token to pay with. Zero for ETH.
+     * @param _to The beneficiary.
+     * @param _amount The amount to pay.
+     */
+    function pay(
+        IERC20 _token,
+        address payable _to,
+        uint256 _amount
+    ) internal {
+        if (address(_token) == address(0)) {
+            if (!_to.send(_amount)) {
+                pendingBalances[_to] += _amount;
+
+                emit PendingBalanceCredited(_to, _amount);
+            }
+        } else {
+            _token.payOrCredit(pendingTokenBalances, _to, _amount);
+        }
     }
 
     /**
-     * @dev Returns the contribution value and remainder from available ETH and required amount.
-     * @param _available The amount of ETH available for the contribution.
-     * @param _requiredAmount The amount of ETH required for the contribution.
-     * @return taken The amount of ETH taken.
-     * @return remainder The amount of ETH left from the contribution.
+     * @notice Converts tokens into an exact amount of ETH through the swap adapter of the token.
+     * @param _token The token to convert. Zero for ETH, in which case nothing is converted.
+     * @param _ethAmount The amount of ETH required.
+     * @param _maxTokenAmount The maximum amount of tokens to spend.
+     * @return The amount of tokens spent, or `_ethAmount` for ETH.
      */
-    function calculateContribution(uint256 _available, uint256 _requiredAmount)
-        internal
-        pure
-        returns (uint256 taken, uint256 remainder)
-    {
-        if (_requiredAmount > _available) {
-            // Take whatever is available, return 0 as leftover ETH.
-            return (_available, 0);
+    function convertToETH(
+        IERC20 _token,
+        uint256 _ethAmount,
+        uint256 _maxTokenAmount
+    ) internal returns (uint256) {
+        if (address(_token) == address(0)) {
+            return _ethAmount;
         }
 
-        remainder = _available - _requiredAmount;
-        return (_requiredAmount, remainder);
+        return _token.swapTokensForExactETH(swapAdapters[_token], _ethAmount, _maxTokenAmount);
     }
 
     /**
@@ -959,97 +1656,113 @@ contract ForeignBinaryArbitrationProxy is IForeignBinaryArbitrationProxy, IEvide
      * @dev This function was extracted from `fundAppeal` because of the stack depth problem.
      * @param _arbitration The arbitration object.
      * @param _party The party appealing.
-     * @param _arbitratorExtraData The extra data for the arbitrator.
      * @return appealCost The actual appeal cost.  @return totalCost The total cost for the appeal. */
-    function getAppealFeeComponents(
-        Arbitration storage _arbitration,
-        Party _party,
-        bytes storage _arbitratorExtraData
-    ) internal view returns (uint256 appealCost, uint256 totalCost) {
-        (uint256 appealPeriodStart, uint256 appealPeriodEnd) =
-            _arbitration.arbitrator.appealPeriod(_arbitration.arbitratorDisputeID);
+    function getAppealFeeComponents(Arbitration storage _arbitration, Party _party)
+        internal
+        view
+        returns (uint256 appealCost, uint256 totalCost)
+    {
+        (uint256 appealPeriodStart, uint256 appealPeriodEnd, uint256 deadline, uint256 multiplier) =
+            getAppealDeadline(_arbitration, _party);
         require(block.timestamp >= appealPeriodStart && block.timestamp < appealPeriodEnd, "Appeal period is over");
+        require(block.timestamp < deadline, "Loser party deadline is over");
 
-        uint256 winner = _arbitration.arbitrator.currentRuling(_arbitration.arbitratorDisputeID);
-        uint256 multiplier;
-        if (winner == 0) {
-            multiplier = sharedStakeMultiplier;
-        } else if (winner == uint256(_party)) {
-            multiplier = winnerStakeMultiplier;
-        } else {
-            require(
-                block.timestamp - appealPeriodStart < (appealPeriodEnd - appealPeriodStart) / 2,
-                "Loser party deadline is over"
-            );
-            multiplier = loserStakeMultiplier;
-        }
+        return getAppealCosts(_arbitration, multiplier);
+    }
 
-        appealCost = _arbitration.arbitrator.appealCost(_arbitration.arbitratorDisputeID, _arbitratorExtraData);
-        totalCost = appealCost.addCap((appealCost.mulCap(multiplier)) / MULTIPLIER_DIVISOR);
+    /**
+     * @notice Returns the appeal period of an arbitration, and the deadline and stake multiplier of a party in it.
+     * @dev The loser of the current ruling can only fund the appeal during the first half of the appeal period.
+     * @param _arbitration The arbitration object.
+     * @param _party The party appealing.
+     * @return appealPeriodStart The start of the appeal period.
+     * @return appealPeriodEnd The end of the appeal period.
+     * @return deadline The time from which the party can no longer fund the appeal.
+     * @return multiplier The stake multiplier of the party.
+     */
+    function getAppealDeadline(Arbitration storage _arbitration, Party _party)
+        internal
+        view
+        returns (
+            uint256 appealPeriodStart,
+            uint256 appealPeriodEnd,
+            uint256 deadline,
+            uint256 multiplier
+        )
+    {
+        return
+            AppealRounds.getAppealDeadline(
+                _arbitration.arbitrator,
+                _arbitration.arbitratorDisputeID,
+                uint256(_party),
+                sharedStakeMultiplier,
+                winnerStakeMultiplier,
+                loserStakeMultiplier
+            );
     }
 
     /**
-     * @notice Registers the withdrawal of fees and rewards for a given party in a given round.
-     * @dev This function is private because no checks are made on the arbitration state. Caller functions MUST do the check before calling this function.
+     * @notice Returns the appeal cost and the total cost a party with a given stake multiplier has to pay.
      * @param _arbitration The arbitration object.
+     * @param _multiplier The stake multiplier of the party.
+     * @return appealCost The actual appeal cost.
+     * @return totalCost The total cost for the appeal.
+     */
+    function getAppealCosts(Arbitration storage _arbitration, uint256 _multiplier)
+        internal
+        view
+        returns (uint256 appealCost, uint256 totalCost)
+    {
+        (bytes storage arbitratorExtraData, , ) =
+            getDisputeParamsStorage(_arbitration.arbitrable, _arbitration.arbitrableItemID);
+        return
+            AppealRounds.getAppealCosts(
+                _arbitration.arbitrator,
+                _arbitration.arbitratorDisputeID,
+                arbitratorExtraData,
+                _multiplier
+            );
+    }
+
+    /**
+     * @notice Withdraws the contributions of a beneficiary to a range of appeal rounds of an arbitration.
+     * @dev The amount is paid in the token of the arbitration.
+     * @param _arbitrationID The ID of the arbitration.
      * @param _beneficiary The address that made contributions.
-     * @param _roundNumber The round from which to withdraw.
-     * @return The withdrawn amount.
+     * @param _cursor The round from where to start withdrawing.
+     * @param _count The number of rounds to iterate. 0 to iterate until the last round.
+     * @return amount The withdrawn amount.
      */
-    function registerWithdrawal(
-        Arbitration storage _arbitration,
-        address _beneficiary,
-        uint256 _roundNumber
-    ) internal returns (uint256) {
-        uint256 amount = getWithdrawableAmount(_arbitration, _beneficiary, _roundNumber);
+    function withdrawRounds(
+        uint256 _arbitrationID,
+        address payable _beneficiary,
+        uint256 _cursor,
+        uint256 _count
+    ) internal returns (uint256 amount) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        require(arbitration.status >= Status.Ruled, "The arbitration is not settled");
 
-        uint256[3] storage addressContributions = _arbitration.rounds[_roundNumber].contributions[_beneficiary];
-        addressContributions[uint256(Party.Defendant)] = 0;
-        addressContributions[uint256(Party.Plaintiff)] = 0;
+        amount = arbitration.rounds.registerWithdrawals(_beneficiary, uint256(arbitration.ruling), _cursor, _count);
 
-        return amount;
+        pay(arbitration.token, _beneficiary, amount);
     }
 
     /**
-     * @notice Returns the sum of withdrawable wei from a specific appeal round.
-     * @dev This function is internal because no checks are made on the task state. Caller functions MUST do the check before calling this function.
-     * @param _arbitration The arbitration object.
-     * @param _beneficiary The contributor for which to query.
-     * @param _roundNumber The number of the round.
-     * @return The amount of wei available to withdraw from the round.
+     * @notice Converts an amount of ETH into the amount of tokens required to pay for it.
+     * @param _token The token. Zero for ETH.
+     * @param _ethAmount The amount of ETH.
+     * @return The amount of tokens.
      */
-    function getWithdrawableAmount(
-        Arbitration storage _arbitration,
-        address _beneficiary,
-        uint256 _roundNumber
-    ) internal view returns (uint256) {
-        Round storage round = _arbitration.rounds[_roundNumber];
-
-        if (!round.fullyPaid[uint256(Party.Defendant)] || !round.fullyPaid[uint256(Party.Plaintiff)]) {
-            // If the round is not fully funded, reimburse according to the contributions.
-            return
-                round.contributions[_beneficiary][uint256(Party.Defendant)] +
-                round.contributions[_beneficiary][uint256(Party.Plaintiff)];
-        } else if (_arbitration.ruling == Party.None) {
-            uint256 rewardDefendant =
-                round.paidFees[uint256(Party.Defendant)] > 0
-                    ? (round.contributions[_beneficiary][uint256(Party.Defendant)] * round.feeRewards) /
-                        (round.paidFees[uint256(Party.Defendant)] + round.paidFees[uint256(Party.Plaintiff)])
-                    : 0;
-            uint256 rewardPlaintiff =
-                round.paidFees[uint256(Party.Plaintiff)] > 0
-                    ? (round.contributions[_beneficiary][uint256(Party.Plaintiff)] * round.feeRewards) /
-                        (round.paidFees[uint256(Party.Defendant)] + round.paidFees[uint256(Party.Plaintiff)])
-                    : 0;
-
-            return rewardDefendant + rewardPlaintiff;
-        } else {
-            return
-                round.paidFees[uint256(_arbitration.ruling)] > 0
-                    ? (round.contributions[_beneficiary][uint256(_arbitration.ruling)] * round.feeRewards) /
-                        round.paidFees[uint256(_arbitration.ruling)]
-                    : 0;
+    function getTokenAmount(IERC20 _token, uint256 _ethAmount) public view returns (uint256) {
+        if (address(_token) == address(0)) {
+            return _ethAmount;
         }
+
+        ISwapAdapter swapAdapter = swapAdapters[_token];
+        require(address(swapAdapter) != address(0), "Token not supported");
+
+        return swapAdapter.getAmountIn(_token, _ethAmount);
     }
 
     /**
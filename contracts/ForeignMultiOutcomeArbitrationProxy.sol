@@ -0,0 +1,1251 @@
+/**
+ * @authors: [@hbarcelos]
+ * @reviewers: []
+ * @auditors: []
+ * @bounties: []
+ * @deployments: []
+ *
+ * SPDX-License-Identifier: MIT
+ */
+pragma solidity ^0.7.6;
+
+import "@kleros/erc-792/contracts/IArbitrable.sol";
+import "@kleros/erc-792/contracts/IArbitrator.sol";
+import "@kleros/erc-792/contracts/erc-1497/IEvidence.sol";
+import "@kleros/ethereum-libraries/contracts/CappedMath.sol";
+import "./dependencies/IAMB.sol";
+import "./CrossChainMultiOutcomeArbitration.sol";
+import "./DisputeParams.sol";
+
+contract ForeignMultiOutcomeArbitrationProxy is IForeignMultiOutcomeArbitrationProxy, IEvidence {
+    using CappedMath for uint256;
+    using DisputeParams for DisputeParams.Changes;
+
+    /**
+     * State chart for Arbitration status.
+     * (I) Means the initial state.
+     * (F) Means a final state.
+     * [condition] Means a guard condition.
+     *
+     *                                                                                [Defendant did not pay]
+     *                                                                                       |
+     * +-(I)--+   Request Dispute   +-----------+                  +----------------+        |        +--(F)--+
+     * | None +-------------------->+ Requested +----------------->+ DepositPending +---------------->+ Ruled |
+     * +------+    [Registered]     +-----+-----+    [Accepted]    +-------+--------+                 +---+---+
+     *     A                              |                                |                              ^
+     *     |                              |                                |                              |
+     *     |                              | [Rejected or Timeout]          | [Defendant Paid]             |
+     *     |                              |                                |                              | Rule
+     *     |                              |                                |                              |
+     *     |                              |                                |          +---------+         |
+     *     +------------------------------+--------------------------------+--------->+ Ongoing +---------+
+     *                                                               |           |    +---------+
+     *                                                               |           |
+     *                                            [Create Dispute Failed]      [Create Dispute Created]
+     */
+    enum Status {None, Requested, DepositPending, Ongoing, Ruled}
+
+    struct Arbitration {
+        Status status; // Status of the request.
+        uint240 acceptedAt; // The time when the dispute creation was accepted.
+        uint256 requestedAt; // The time when the dispute was requested.
+        address payable plaintiff; // The address of the plaintiff.
+        address payable defendant; // The address of the defendant.
+        uint256 sumDeposit; // The sum of deposits from the defendant and the plaintiff
+        address arbitrable; // The address of the arbitrable contract.
+        uint256 arbitrableItemID; // The ID of the arbitration item in the contract.
+        uint256 numberOfRulingOptions; // The number of ruling options the arbitrator can give, not counting 0.
+        uint256 plaintiffRuling; // The ruling given when the defendant fails to pay the arbitration fee.
+        uint256 ruling; // The ruling of the dispute.
+        IArbitrator arbitrator; // The address of the arbitrator contract.
+        uint256 arbitratorDisputeID; // The ID of the dispute in the arbitrator.
+        Round[] rounds; // Rounds of the dispute
+    }
+
+    struct Round {
+        mapping(uint256 => uint256) paidFees; // Tracks the fees paid for each ruling option in this round.
+        mapping(uint256 => bool) fullyPaid; // True when the ruling option has fully paid its fee. False otherwise.
+        uint256 feeRewards; // Sum of reimbursable fees and stake rewards available to the parties that made contributions to the ruling option that ultimately wins a dispute.
+        mapping(address => mapping(uint256 => uint256)) contributions; // Maps contributors to their contributions for each ruling option.
+        uint256[] fundedRulings; // Stores the ruling options that are fully funded. An appeal is created when there are two of them.
+    }
+
+    /// @dev A value depositor won't be able to pay.
+    uint256 private constant NON_PAYABLE_VALUE = (2**256 - 2) / 2;
+
+    /// @dev Divisor parameter for multipliers.
+    uint256 public constant MULTIPLIER_DIVISOR = 10000;
+
+    /// @dev The contract governor. TRUSTED.
+    address public governor = msg.sender;
+
+    /// @dev The amount of time the defendant side have to deposit the arbitration fee.
+    uint240 public feeDepositTimeout;
+
+    /// @dev The amount of time the Home Chain has to accept or reject a dispute request before the plaintiff can be reimbursed.
+    uint240 public requestTimeout;
+
+    /// @dev The address of the arbitrator. TRUSTED.
+    IArbitrator public arbitrator;
+
+    /// @dev ArbitraryMessageBridge contract address. TRUSTED.
+    IAMB public amb;
+
+    /// @dev Address of the counter-party proxy on the Home Chain. TRUSTED.
+    address public homeProxy;
+
+    /// @dev The chain ID where the home proxy is deployed.
+    uint256 public homeChainId;
+
+    /// @dev The gas limit of the messages sent to the home proxy, by the selector of their handler. messageGasLimits[selector].
+    mapping(bytes4 => uint256) public messageGasLimits;
+
+    /// @dev The ETH which could not be sent to each account, to be withdrawn with `withdrawPendingBalance`. pendingBalances[account].
+    mapping(address => uint256) public pendingBalances;
+
+    /// @dev Multiplier for calculating the appeal fee that must be paid by submitter in the case where there isn't a winner and loser (e.g. when the arbitrator ruled "refuse to arbitrate").
+    uint256 public sharedStakeMultiplier;
+
+    /// @dev Multiplier for calculating the appeal fee of the party that won the previous round.
+    uint256 public winnerStakeMultiplier;
+
+    /// @dev  Multiplier for calculating the appeal fee of the party that lost the previous round.
+    uint256 public loserStakeMultiplier;
+
+    /// @dev The arbitrations by arbitrationID.
+    mapping(uint256 => Arbitration) public arbitrations;
+
+    /// @dev Maps the disputeIDs to arbitrationIDs.
+    mapping(uint256 => uint256) public disputeIDToArbitrationID;
+
+    /// @dev Stores disputeParamChanges for dispute creation for contracts and items.
+    mapping(address => DisputeParams.Changes) private disputeParamChanges;
+
+    /**
+     * @dev Emitted when someone contributes to a dispute or appeal.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option which received the contribution.
+     * @param _contributor The address of the contributor.
+     * @param _amount The amount contributed.
+     * @param _roundNumber The round from which to withdraw.
+     */
+    event FeeContribution(
+        uint256 indexed _arbitrationID,
+        uint256 _ruling,
+        address indexed _contributor,
+        uint256 _amount,
+        uint256 indexed _roundNumber
+    );
+
+    /**
+     * @dev Emitted when someone pays for the full dispute or appeal fee.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option which was fully funded.
+     * @param _roundNumber The round from which to withdraw.
+     */
+    event FeePaid(uint256 indexed _arbitrationID, uint256 indexed _ruling, uint256 indexed _roundNumber);
+
+    modifier onlyGovernor() {
+        require(msg.sender == governor, "Only governor allowed");
+        _;
+    }
+
+    modifier onlyHomeProxy() {
+        require(msg.sender == address(amb), "Only AMB allowed");
+        require(amb.messageSourceChainId() == bytes32(homeChainId), "Only home chain allowed");
+        require(amb.messageSender() == homeProxy, "Only home proxy allowed");
+        _;
+    }
+
+    modifier onlyIfInitialized() {
+        require(homeProxy != address(0), "Not initialized yet");
+        _;
+    }
+
+    /**
+     * @notice Creates an arbitration proxy on the foreign chain.
+     * @param _amb ArbitraryMessageBridge contract address.
+     * @param _arbitrator Arbitrator contract address.
+     * @param _feeDepositTimeout The amount of time (seconds) within the defendant side must deposit the arbitration
+     * fee, otherwise she will automatically loose the dispute.
+     * @param _requestTimeout The amount of time (seconds) within the dispute request must be accepted or rejected
+     * on the Home Chain, otherwise the plaintiff can be reimbursed.
+     */
+    constructor(
+        IAMB _amb,
+        IArbitrator _arbitrator,
+        uint240 _feeDepositTimeout,
+        uint240 _requestTimeout,
+        uint256 _sharedStakeMultiplier,
+        uint256 _winnerStakeMultiplier,
+        uint256 _loserStakeMultiplier
+    ) {
+        amb = _amb;
+        arbitrator = _arbitrator;
+        feeDepositTimeout = _feeDepositTimeout;
+        requestTimeout = _requestTimeout;
+        sharedStakeMultiplier = _sharedStakeMultiplier;
+        winnerStakeMultiplier = _winnerStakeMultiplier;
+        loserStakeMultiplier = _loserStakeMultiplier;
+
+        setMessageGasLimit(IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeRequest.selector, 500000);
+        setMessageGasLimit(IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeCreated.selector, 200000);
+        setMessageGasLimit(IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeFailed.selector, 300000);
+        setMessageGasLimit(IHomeMultiOutcomeArbitrationProxy(0).receiveRequestTimeout.selector, 300000);
+        setMessageGasLimit(IHomeMultiOutcomeArbitrationProxy(0).receiveRuling.selector, 500000);
+    }
+
+    /**
+     * @notice Sets the address of a new governor.
+     * @param _governor The address of the new governor.
+     */
+    function changeGovernor(address _governor) external onlyGovernor {
+        governor = _governor;
+    }
+
+    /**
+     * @notice Sets the address of the arbitrator.
+     * @param _arbitrator The address of the new arbitrator.
+     */
+    function changeArbitrator(IArbitrator _arbitrator) external onlyGovernor {
+        arbitrator = _arbitrator;
+    }
+
+    /**
+     * @notice Sets the address of the ArbitraryMessageBridge.
+     * @param _amb The address of the new ArbitraryMessageBridge.
+     */
+    function changeAmb(IAMB _amb) external onlyGovernor {
+        amb = _amb;
+    }
+
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the home proxy.
+     * @dev The message fails on the Home Chain if its handler runs out of gas, so the limit must cover it.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit. Cannot be higher than the one allowed by the AMB.
+     */
+    function changeMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) external onlyGovernor {
+        require(_gasLimit <= amb.maxGasPerTx(), "Gas limit too high");
+
+        setMessageGasLimit(_methodSelector, _gasLimit);
+    }
+
+    /**
+     * @notice Sets the address of the arbitration proxy on the Home Chain.
+     * @param _homeProxy The address of the proxy.
+     * @param _homeChainId The chain ID where the home proxy is deployed.
+     */
+    function setHomeProxy(address _homeProxy, uint256 _homeChainId) external onlyGovernor {
+        require(homeProxy == address(0), "Home proxy already set");
+
+        homeProxy = _homeProxy;
+        homeChainId = _homeChainId;
+    }
+
+    /**
+     * @notice Sets the amount of time the defendant has to deposit the arbitration fee.
+     * @param _feeDepositTimeout The amount of time (seconds) to deposit.
+     */
+    function changeFeeDepositTimeout(uint240 _feeDepositTimeout) external onlyGovernor {
+        feeDepositTimeout = _feeDepositTimeout;
+    }
+
+    /**
+     * @notice Sets the amount of time the Home Chain has to accept or reject a dispute request.
+     * @param _requestTimeout The amount of time (seconds) to accept or reject.
+     */
+    function changeRequestTimeout(uint240 _requestTimeout) external onlyGovernor {
+        requestTimeout = _requestTimeout;
+    }
+
+    /**
+     * @notice Changes the percentage of arbitration fees that must be paid by parties as a fee stake if there was no winner and loser in the previous round.
+     * @param _sharedStakeMultiplier A new value of the multiplier of the appeal cost in case when there is no winner/loser in previous round. In basis point.
+     */
+    function changeSharedStakeMultiplier(uint256 _sharedStakeMultiplier) external onlyGovernor {
+        sharedStakeMultiplier = _sharedStakeMultiplier;
+    }
+
+    /**
+     * @notice Changes the percentage of arbitration fees that must be paid as a fee stake by the party that won the previous round.
+     * @param _winnerStakeMultiplier A new value of the multiplier of the appeal cost that the winner of the previous round has to pay. In basis points.
+     */
+    function changeWinnerStakeMultiplier(uint256 _winnerStakeMultiplier) external onlyGovernor {
+        winnerStakeMultiplier = _winnerStakeMultiplier;
+    }
+
+    /**
+     * @notice Changes the percentage of arbitration fees that must be paid as a fee stake by the party that lost the previous round.
+     * @param _loserStakeMultiplier A new value of the multiplier of the appeal cost that the party that lost the previous round has to pay. In basis points.
+     */
+    function changeLoserStakeMultiplier(uint256 _loserStakeMultiplier) external onlyGovernor {
+        loserStakeMultiplier = _loserStakeMultiplier;
+    }
+
+    /**
+     * @notice Receives meta evidence at arbitrable item level.
+     * @dev Should be called only by the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _metaEvidence The MetaEvicence related to the arbitrable item.
+     */
+    function receiveMetaEvidence(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        string calldata _metaEvidence
+    ) external override {
+        disputeParamChanges[_arbitrable].addMetaEvidence(_arbitrableItemID, _metaEvidence);
+
+        emit MetaEvidenceReceived(_arbitrable, _arbitrableItemID, _metaEvidence);
+    }
+
+    /**
+     * @notice Receives arbitrator extra data at arbitrable item level.
+     * @dev Should be called only by the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     */
+    function receiveArbitratorExtraData(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        bytes calldata _arbitratorExtraData
+    ) external override onlyHomeProxy {
+        // The multi-outcome proxies only use the default arbitrator.
+        disputeParamChanges[_arbitrable].addArbitratorExtraData(_arbitrableItemID, IArbitrator(0), _arbitratorExtraData);
+
+        emit ArbitratorExtraDataReceived(_arbitrable, _arbitrableItemID, _arbitratorExtraData);
+    }
+
+    /**
+     * @notice Requests the creation of a dispute for an arbitrable item.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function requestDispute(address _arbitrable, uint256 _arbitrableItemID) external payable onlyIfInitialized {
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        Arbitration storage arbitration = arbitrations[arbitrationID];
+        (bytes storage arbitratorExtraData, ) = getDisputeParamsStorage(_arbitrable, _arbitrableItemID);
+        uint256 arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+
+        require(arbitration.status == Status.None, "Dispute already requested");
+        require(msg.value >= arbitrationCost, "Deposit value too low");
+
+        (, uint256 remainder) = calculateContribution(msg.value, arbitrationCost);
+
+        arbitration.arbitrable = _arbitrable;
+        arbitration.arbitrableItemID = _arbitrableItemID;
+        arbitration.status = Status.Requested;
+        arbitration.requestedAt = block.timestamp;
+        arbitration.plaintiff = msg.sender;
+        arbitration.sumDeposit = arbitrationCost;
+
+        if (remainder > 0) {
+            pay(msg.sender, remainder);
+        }
+
+        emit DisputeRequested(arbitrationID, msg.sender);
+
+        bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeRequest.selector;
+        bytes memory data =
+            abi.encodeWithSelector(
+                methodSelector,
+                arbitration.arbitrable,
+                arbitration.arbitrableItemID,
+                msg.sender,
+                block.timestamp
+            );
+        amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+    }
+
+    /**
+     * @notice Receives from the Home Chain that the dispute has been accepted.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _numberOfRulingOptions The number of ruling options the arbitrator can give, not counting 0.
+     * @param _plaintiffRuling The ruling given when the defendant fails to pay the arbitration fee.
+     * @param _requestedAt The time when the accepted dispute was requested.
+     */
+    function receiveDisputeAccepted(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _numberOfRulingOptions,
+        uint256 _plaintiffRuling,
+        uint256 _requestedAt
+    ) external override onlyHomeProxy {
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        Arbitration storage arbitration = arbitrations[arbitrationID];
+
+        checkRequest(arbitration, _requestedAt);
+
+        arbitration.status = Status.DepositPending;
+        arbitration.acceptedAt = uint240(block.timestamp);
+        arbitration.numberOfRulingOptions = _numberOfRulingOptions;
+        arbitration.plaintiffRuling = _plaintiffRuling;
+
+        emit DisputeAccepted(arbitrationID, _numberOfRulingOptions);
+    }
+
+    /**
+     * @notice Receives from the Home Chain that the dispute has been rejected.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     * @param _requestedAt The time when the rejected dispute was requested.
+     */
+    function receiveDisputeRejected(
+        address _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlyHomeProxy {
+        uint256 arbitrationID = getArbitrationID(_arbitrable, _arbitrableItemID);
+        Arbitration storage arbitration = arbitrations[arbitrationID];
+
+        checkRequest(arbitration, _requestedAt);
+        address payable plaintiff = arbitration.plaintiff;
+        // At this point, only the plantiff have contributed.
+        uint256 deposit = arbitration.sumDeposit;
+
+        delete arbitrations[arbitrationID];
+
+        pay(plaintiff, deposit);
+
+        emit DisputeRejected(arbitrationID);
+    }
+
+    /**
+     * @notice Funds the defendant side of the dispute after it has been accepted.
+     * @dev We require both sides to pay the full arbitration cost, so the winner can be refunded after.
+     * The plaintiff already paid it when the dispute was requested.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function payDefendantFee(uint256 _arbitrationID) external payable {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        (bytes storage arbitratorExtraData, string storage metaEvidence) =
+            getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
+
+        require(arbitration.status == Status.DepositPending, "Invalid arbitration status");
+        require(block.timestamp <= arbitration.acceptedAt + feeDepositTimeout, "Deadline for deposit has expired");
+
+        uint256 arbitrationCost = arbitrator.arbitrationCost(arbitratorExtraData);
+        require(msg.value >= arbitrationCost, "Deposit value too low");
+
+        (, uint256 remainder) = calculateContribution(msg.value, arbitrationCost);
+        arbitration.sumDeposit = arbitration.sumDeposit.addCap(arbitrationCost);
+        arbitration.defendant = msg.sender;
+
+        if (createDispute(_arbitrationID, arbitrationCost, arbitratorExtraData)) {
+            emit MetaEvidence(_arbitrationID, metaEvidence);
+
+            if (remainder > 0) {
+                // Reimburse the contributor with the remaining value.
+                pay(msg.sender, remainder);
+            }
+
+            bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeCreated.selector;
+            bytes memory data =
+                abi.encodeWithSelector(
+                    methodSelector,
+                    arbitration.arbitrable,
+                    arbitration.arbitrableItemID,
+                    arbitration.arbitrator,
+                    arbitration.arbitratorDisputeID
+                );
+            amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+        } else {
+            address arbitrable = arbitration.arbitrable;
+            uint256 arbitrableItemID = arbitration.arbitrableItemID;
+            uint256 requestedAt = arbitration.requestedAt;
+            address payable plaintiff = arbitration.plaintiff;
+            uint256 plaintiffDeposit = arbitration.sumDeposit.subCap(arbitrationCost);
+
+            delete arbitrations[_arbitrationID];
+
+            // If the dispute creation fails, fully reimburse the defendant and the plaintiff
+            pay(msg.sender, msg.value);
+            pay(plaintiff, plaintiffDeposit);
+
+            bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveDisputeFailed.selector;
+            bytes memory data = abi.encodeWithSelector(methodSelector, arbitrable, arbitrableItemID, requestedAt);
+            amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+        }
+    }
+
+    /**
+     * @notice Creates a dispute in the arbitrator.
+     * @param _arbitrationID The already calculated arbitrable ID to save up some gas.
+     * @param _arbitrationCost The cost of arbitration.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     * @return Whether the dispute creation succeeded or not.
+     */
+    function createDispute(
+        uint256 _arbitrationID,
+        uint256 _arbitrationCost,
+        bytes storage _arbitratorExtraData
+    ) internal returns (bool) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        try
+            arbitrator.createDispute{value: _arbitrationCost}(arbitration.numberOfRulingOptions, _arbitratorExtraData)
+        returns (uint256 arbitratorDisputeID) {
+            uint256 disputeID = getDisputeID(arbitrator, arbitratorDisputeID);
+
+            arbitration.status = Status.Ongoing;
+            arbitration.arbitrator = arbitrator;
+            arbitration.arbitratorDisputeID = arbitratorDisputeID;
+            arbitration.sumDeposit = arbitration.sumDeposit.subCap(_arbitrationCost);
+            // Create a new round for a possible appeal.
+            arbitration.rounds.push();
+
+            disputeIDToArbitrationID[disputeID] = _arbitrationID;
+
+            emit Dispute(arbitrator, arbitratorDisputeID, _arbitrationID, _arbitrationID);
+            emit DisputeOngoing(_arbitrationID, arbitrator, arbitratorDisputeID);
+
+            return true;
+        } catch {
+            emit DisputeFailed(_arbitrationID, arbitrator, _arbitratorExtraData);
+
+            return false;
+        }
+    }
+
+    /**
+     * @notice Reimburses the rest.
+     * @dev Takes up to the total amount required to fund a ruling option of an appeal.
+     * If users send more than required, they will be reimbursed of the remaining.
+     * Creates an appeal if two ruling options are fully funded.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option which the contribution is for.
+     */
+    function fundAppeal(uint256 _arbitrationID, uint256 _ruling) external payable {
+        require(msg.value > 0, "Must pay non-zero value");
+
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        (bytes storage arbitratorExtraData, ) =
+            getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
+
+        require(_ruling > 0 && _ruling <= arbitration.numberOfRulingOptions, "Invalid ruling option");
+        require(arbitration.status == Status.Ongoing, "Invalid arbitration status");
+
+        Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
+        require(!round.fullyPaid[_ruling], "Appeal fee already paid");
+
+        (uint256 appealCost, uint256 totalCost) = getAppealFeeComponents(arbitration, _ruling);
+
+        (uint256 remainder, ) = contribute(_arbitrationID, _ruling, msg.sender, msg.value, totalCost);
+
+        if (round.fundedRulings.length > 1) {
+            round.feeRewards = round.feeRewards.subCap(appealCost);
+            arbitration.rounds.push();
+
+            // The appeal must happen on the same arbitrator the original dispute was created.
+            arbitration.arbitrator.appeal{value: appealCost}(arbitration.arbitratorDisputeID, arbitratorExtraData);
+        }
+
+        pay(msg.sender, remainder);
+    }
+
+    /**
+     * @notice Allows to submit evidence for a particular arbitration.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _evidenceURI Link to evidence.
+     */
+    function submitEvidence(uint256 _arbitrationID, string calldata _evidenceURI) external override {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        require(arbitration.status < Status.Ruled, "Invalid status");
+
+        if (bytes(_evidenceURI).length > 0) {
+            emit Evidence(arbitrator, _arbitrationID, msg.sender, _evidenceURI);
+        }
+    }
+
+    /**
+     * @notice Give a ruling for a dispute. Must be called by the arbitrator.
+     * The purpose of this function is to ensure that the address calling it has the right to rule on the contract.
+     * @param _arbitratorDisputeID ID of the dispute in the Arbitrator contract.
+     * @param _ruling Ruling given by the arbitrator. Note that 0 is reserved for "Not able/wanting to make a decision".
+     */
+    function rule(uint256 _arbitratorDisputeID, uint256 _ruling) external override {
+        uint256 disputeID = getDisputeID(IArbitrator(msg.sender), _arbitratorDisputeID);
+        uint256 arbitrationID = disputeIDToArbitrationID[disputeID];
+        Arbitration storage arbitration = arbitrations[arbitrationID];
+
+        require(address(arbitration.arbitrator) == msg.sender, "Only dispute arbitrator allowed");
+        require(arbitration.status == Status.Ongoing, "Invalid arbitration status");
+
+        arbitration.status = Status.Ruled;
+        Round storage round = arbitration.rounds[arbitration.rounds.length - 1];
+
+        /**
+         * @notice If only one ruling option paid its fees, we assume the ruling to be in its favor.
+         * It is not possible for a round to have two ruling options paying the full fees AND
+         * being the latest round at the same time.
+         * When the second ruling option pays its fees, a new round is automatically created.
+         */
+        if (round.fundedRulings.length == 1) {
+            arbitration.ruling = round.fundedRulings[0];
+        } else {
+            arbitration.ruling = _ruling;
+        }
+
+        payDeposits(arbitration);
+
+        emit Ruling(arbitration.arbitrator, _arbitratorDisputeID, arbitration.ruling);
+        emit DisputeRuled(arbitrationID, arbitration.ruling);
+
+        bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveRuling.selector;
+        bytes memory data =
+            abi.encodeWithSelector(
+                methodSelector,
+                arbitration.arbitrable,
+                arbitration.arbitrableItemID,
+                arbitration.ruling
+            );
+        amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+    }
+
+    /**
+     * @notice Reimburses the plaintiff when the dispute request was neither accepted nor rejected in time.
+     * This can happen if the dispute request message is dropped by the bridge or if the acceptance or rejection
+     * is never relayed from the Home Chain.
+     * @dev The Home Proxy is notified so the arbitrable item can be reset there as well.
+     * If the acceptance or rejection is relayed after this, the message will fail on this side.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function claimRequestTimeout(uint256 _arbitrationID) external {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        require(arbitration.status == Status.Requested, "Invalid arbitration status");
+        uint256 requestedAt = arbitration.requestedAt;
+        require(block.timestamp > requestedAt + requestTimeout, "Dispute request still pending");
+
+        address arbitrable = arbitration.arbitrable;
+        uint256 arbitrableItemID = arbitration.arbitrableItemID;
+        address payable plaintiff = arbitration.plaintiff;
+        // At this point, only the plantiff have contributed.
+        uint256 deposit = arbitration.sumDeposit;
+
+        delete arbitrations[_arbitrationID];
+
+        pay(plaintiff, deposit);
+
+        emit DisputeRequestTimedOut(_arbitrationID);
+
+        bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveRequestTimeout.selector;
+        bytes memory data = abi.encodeWithSelector(methodSelector, arbitrable, arbitrableItemID, requestedAt);
+        amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+    }
+
+    /**
+     * @notice Claims the win in favor of the plaintiff when the defendant side fails to fund her side of the dispute.
+     * @dev We require both sides to pay the full arbitration cost, so the winner can be refunded after.
+     * The plaintiff already paid for their part when requested the dispute.
+     * The arbitration is ruled with the `plaintiffRuling` informed by the arbitrable contract.
+     * @param _arbitrationID The ID of the arbitration.
+     */
+    function claimPlaintiffWin(uint256 _arbitrationID) external {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        require(arbitration.status == Status.DepositPending, "Invalid arbitration status");
+        require(block.timestamp > arbitration.acceptedAt + feeDepositTimeout, "Defendant deposit still possible");
+
+        uint256 deposit = arbitration.sumDeposit;
+
+        arbitration.status = Status.Ruled;
+        arbitration.ruling = arbitration.plaintiffRuling;
+        arbitration.sumDeposit = 0;
+
+        pay(arbitration.plaintiff, deposit);
+
+        emit DisputeRuled(_arbitrationID, arbitration.ruling);
+
+        bytes4 methodSelector = IHomeMultiOutcomeArbitrationProxy(0).receiveRuling.selector;
+        bytes memory data =
+            abi.encodeWithSelector(
+                methodSelector,
+                arbitration.arbitrable,
+                arbitration.arbitrableItemID,
+                arbitration.ruling
+            );
+        amb.requireToPassMessage(homeProxy, data, messageGasLimits[methodSelector]);
+    }
+
+    /**
+     * @dev Withdraws contributions of multiple appeal rounds at once.
+     * @notice This function is O(n) where n is the number of rounds. This could exceed the gas limit, therefore this function should be used only as a utility and not be relied upon by other contracts.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _beneficiary The address that made contributions.
+     * @param _cursor The round from where to start withdrawing.
+     * @param _count The number of rounds to iterate. If set to 0 or a value larger than the number of rounds, iterates until the last round.
+     * @param _ruling The ruling option to which the contributions were made.
+     */
+    function batchWithdrawFeesAndRewards(
+        uint256 _arbitrationID,
+        address payable _beneficiary,
+        uint256 _cursor,
+        uint256 _count,
+        uint256 _ruling
+    ) external {
+        pay(_beneficiary, registerRoundsWithdrawal(_arbitrationID, _beneficiary, _cursor, _count, _ruling));
+    }
+
+    /**
+     * @dev Withdraws the contributions of a beneficiary to all the appeal rounds of multiple arbitrations at once.
+     * @notice This function is O(n) where n is the total number of rounds. This could exceed the gas limit, therefore this function should be used only as a utility and not be relied upon by other contracts.
+     * @param _arbitrationIDs The IDs of the arbitrations. They MUST all be ruled.
+     * @param _rulings The ruling option to which the contributions were made, for each arbitration. An arbitration can be repeated to withdraw from several ruling options.
+     * @param _beneficiary The address that made contributions.
+     */
+    function withdrawFeesAndRewardsForArbitrations(
+        uint256[] calldata _arbitrationIDs,
+        uint256[] calldata _rulings,
+        address payable _beneficiary
+    ) external {
+        require(_arbitrationIDs.length == _rulings.length, "Invalid rulings length");
+
+        uint256 amount;
+        for (uint256 i = 0; i < _arbitrationIDs.length; i++) {
+            amount += registerRoundsWithdrawal(_arbitrationIDs[i], _beneficiary, 0, 0, _rulings[i]);
+        }
+
+        pay(_beneficiary, amount);
+    }
+
+    /**
+     * @dev Withdraws contributions of a specific appeal round.
+     * @notice Reimburses contributions if no appeals were raised; otherwise sends the fee stake rewards and reimbursements proportional to the contributions made to the winner of a dispute.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _beneficiary The address that made contributions.
+     * @param _roundNumber The round from which to withdraw.
+     * @param _ruling The ruling option to which the contributions were made.
+     * @return amount The withdrawn amount.
+     */
+    function withdrawFeesAndRewards(
+        uint256 _arbitrationID,
+        address payable _beneficiary,
+        uint256 _roundNumber,
+        uint256 _ruling
+    ) external returns (uint256 amount) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        require(arbitration.status == Status.Ruled, "The arbitration is not settled");
+        require(arbitration.rounds.length > 0, "No appeal rounds");
+
+        amount = registerWithdrawal(arbitration, _beneficiary, _roundNumber, _ruling);
+
+        pay(_beneficiary, amount);
+    }
+
+    /**
+     * @notice Withdraws the ETH which could not be sent to the caller.
+     * @dev The whole pending balance is sent with all the gas left, so contract wallets can receive it.
+     * @param _beneficiary The address to send the balance to.
+     */
+    function withdrawPendingBalance(address payable _beneficiary) external override {
+        uint256 amount = pendingBalances[msg.sender];
+        require(amount > 0, "No pending balance");
+        pendingBalances[msg.sender] = 0;
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = _beneficiary.call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit PendingBalanceWithdrawn(msg.sender, _beneficiary, amount);
+    }
+
+    /**
+     * @notice Returns the arbitration cost for a given arbitrable item.
+     * @param _arbitrationID The ID of the arbitration.
+     * @return The dispute fee.
+     */
+    function getDisputeFee(uint256 _arbitrationID) external view returns (uint256) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        (bytes storage arbitratorExtraData, ) =
+            getDisputeParamsStorage(arbitration.arbitrable, arbitration.arbitrableItemID);
+        if (arbitration.status <= Status.DepositPending) {
+            return arbitrator.arbitrationCost(arbitratorExtraData);
+        } else {
+            return NON_PAYABLE_VALUE;
+        }
+    }
+
+    /**
+     * @notice Returns the appeal cost for a given arbitrable item.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option to get the appeal fee for.
+     * @return The appeal fee. `NON_PAYABLE_VALUE` if the ruling option cannot be funded at the moment.
+     */
+    function getAppealFee(uint256 _arbitrationID, uint256 _ruling) external view returns (uint256) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        (uint256 appealPeriodStart, , uint256 deadline, uint256 multiplier) = getAppealDeadline(arbitration, _ruling);
+
+        if (!(block.timestamp >= appealPeriodStart && block.timestamp < deadline)) {
+            return NON_PAYABLE_VALUE;
+        }
+
+        (, uint256 totalCost) = getAppealCosts(arbitration, multiplier);
+        return totalCost;
+    }
+
+    /**
+     * @notice Returns until when a ruling option can be funded in the current round of appeal and how much it still needs.
+     * @dev The contributions are accepted while `block.timestamp` is lower than the deadline of the ruling option.
+     * The ruling options other than the current ruling can only be funded during the first half of the appeal period.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option.
+     * @return deadline The deadline of the ruling option. Zero if the arbitration is not ongoing.
+     * @return remainingAmount The amount the ruling option needs to be fully funded.
+     * `NON_PAYABLE_VALUE` if the ruling option cannot be funded at the moment.
+     */
+    function getAppealFundingStatus(uint256 _arbitrationID, uint256 _ruling)
+        external
+        view
+        returns (uint256 deadline, uint256 remainingAmount)
+    {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        remainingAmount = NON_PAYABLE_VALUE;
+        if (arbitration.status != Status.Ongoing || _ruling == 0 || _ruling > arbitration.numberOfRulingOptions) {
+            return (0, remainingAmount);
+        }
+
+        uint256 appealPeriodStart;
+        uint256 multiplier;
+        (appealPeriodStart, , deadline, multiplier) = getAppealDeadline(arbitration, _ruling);
+
+        if (block.timestamp >= appealPeriodStart && block.timestamp < deadline) {
+            (, uint256 totalCost) = getAppealCosts(arbitration, multiplier);
+            remainingAmount = totalCost.subCap(arbitration.rounds[arbitration.rounds.length - 1].paidFees[_ruling]);
+        }
+    }
+
+    /**
+     * @dev Gets the number of rounds of arbitration.
+     * @param _arbitrationID The ID of the arbitration.
+     * @return The number of rounds.
+     */
+    function getNumberOfRounds(uint256 _arbitrationID) external view returns (uint256) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        return arbitration.rounds.length;
+    }
+
+    /**
+     * @notice Gets the information of a round of an arbitration.
+     * @dev The arrays are indexed by ruling option, from 0 to `numberOfRulingOptions`.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _roundNumber The round to get the information for.
+     * @return paidFees The amount of fees paid for each ruling option.
+     * @return fullyPaid Whether each ruling option has paid all the required appeal fees or not.
+     * @return feeRewards The total amount of appeal fees to be used as crowdfunding rewards.
+     * @return fundedRulings The ruling options which were fully funded, in the order they were funded.
+     */
+    function getRoundInfo(uint256 _arbitrationID, uint256 _roundNumber)
+        external
+        view
+        returns (
+            uint256[] memory paidFees,
+            bool[] memory fullyPaid,
+            uint256 feeRewards,
+            uint256[] memory fundedRulings
+        )
+    {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        Round storage round = arbitration.rounds[_roundNumber];
+
+        paidFees = new uint256[](arbitration.numberOfRulingOptions + 1);
+        fullyPaid = new bool[](arbitration.numberOfRulingOptions + 1);
+        for (uint256 i = 0; i <= arbitration.numberOfRulingOptions; i++) {
+            paidFees[i] = round.paidFees[i];
+            fullyPaid[i] = round.fullyPaid[i];
+        }
+
+        return (paidFees, fullyPaid, round.feeRewards, round.fundedRulings);
+    }
+
+    /**
+     * @dev Gets the contributions made by a party for a given round of task appeal.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _contributor The address of the contributor.
+     * @param _roundNumber The position of the round.
+     * @return contributions The contributions to each ruling option, from 0 to `numberOfRulingOptions`.
+     */
+    function getContributions(
+        uint256 _arbitrationID,
+        address _contributor,
+        uint256 _roundNumber
+    ) external view returns (uint256[] memory contributions) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        Round storage round = arbitration.rounds[_roundNumber];
+
+        contributions = new uint256[](arbitration.numberOfRulingOptions + 1);
+        for (uint256 i = 0; i <= arbitration.numberOfRulingOptions; i++) {
+            contributions[i] = round.contributions[_contributor][i];
+        }
+    }
+
+    /**
+     * @notice Returns the sum of withdrawable wei from appeal rounds. This function is O(n), where n is the number of rounds of the task. This could exceed the gas limit, therefore this function should only be used for interface display and not by other contracts.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _beneficiary The contributor for which to query.
+     * @param _ruling The ruling option to which the contributions were made.
+     * @return total The total amount of wei available to withdraw.
+     */
+    function getTotalWithdrawableAmount(
+        uint256 _arbitrationID,
+        address _beneficiary,
+        uint256 _ruling
+    ) external view returns (uint256 total) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        // Only Ruled arbitrations or those one which failed and where reset are withdrawable.
+        if (arbitration.status != Status.Ruled) {
+            return 0;
+        }
+
+        for (uint256 i = 0; i < arbitration.rounds.length; i++) {
+            total += getWithdrawableAmount(arbitration, _beneficiary, i, _ruling);
+        }
+
+        return total;
+    }
+
+    /**
+     * @notice Makes a fee contribution to the current round.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _ruling The ruling option which to contribute.
+     * @param _contributor The address of the contributor.
+     * @param _availableAmount The amount the contributor has sent.
+     * @param _totalRequired The total amount required for the ruling option.
+     * @return remainder The remainder to send back to the contributor.
+     * @return fullyPaid Whether or not the contribution is enough to cover the total required.
+     */
+    function contribute(
+        uint256 _arbitrationID,
+        uint256 _ruling,
+        address _contributor,
+        uint256 _availableAmount,
+        uint256 _totalRequired
+    ) internal returns (uint256 remainder, bool fullyPaid) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+        uint256 roundNumber = arbitration.rounds.length - 1;
+        Round storage round = arbitration.rounds[roundNumber];
+
+        uint256 contribution;
+        (contribution, remainder) = calculateContribution(
+            _availableAmount,
+            _totalRequired.subCap(round.paidFees[_ruling])
+        );
+
+        round.paidFees[_ruling] += contribution;
+        round.contributions[_contributor][_ruling] += contribution;
+
+        emit FeeContribution(_arbitrationID, _ruling, _contributor, contribution, roundNumber);
+
+        if (round.paidFees[_ruling] >= _totalRequired) {
+            // Only the fees of fully funded ruling options are used for the appeal and the rewards.
+            round.feeRewards += round.paidFees[_ruling];
+            round.fullyPaid[_ruling] = true;
+            round.fundedRulings.push(_ruling);
+
+            emit FeePaid(_arbitrationID, _ruling, roundNumber);
+        }
+
+        return (remainder, round.fullyPaid[_ruling]);
+    }
+
+    /**
+     * @notice Gets the dispute params for a given arbitrable item.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return arbitratorExtraData The extra data for the arbitrator.
+     * @return metaEvidence The meta evidence for the item.
+     */
+    function getDisputeParams(address _arbitrable, uint256 _arbitrableItemID)
+        external
+        view
+        returns (bytes memory arbitratorExtraData, string memory metaEvidence)
+    {
+        return getDisputeParamsStorage(_arbitrable, _arbitrableItemID);
+    }
+
+    /**
+     * @notice Gets the arbitrator extra data for a given arbitrable item, decoded as KlerosLiquid does.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return subcourtID The ID of the subcourt.
+     * @return minJurors The minimum number of jurors.
+     */
+    function getCourtParams(address _arbitrable, uint256 _arbitrableItemID)
+        external
+        view
+        returns (uint256 subcourtID, uint256 minJurors)
+    {
+        return disputeParamChanges[_arbitrable].getCourtParams(_arbitrableItemID);
+    }
+
+    /**
+     * @notice Gets the storage pointer for the dispute params for a given arbitrable item.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item.
+     * @return arbitratorExtraData The extra data for the arbitrator.
+     * @return metaEvidence The meta evidence for the item.
+     */
+    function getDisputeParamsStorage(address _arbitrable, uint256 _arbitrableItemID)
+        internal
+        view
+        returns (bytes storage arbitratorExtraData, string storage metaEvidence)
+    {
+        (arbitratorExtraData, metaEvidence, ) = disputeParamChanges[_arbitrable].get(_arbitrableItemID);
+    }
+
+    /**
+     * @dev Returns the contribution value and remainder from available ETH and required amount.
+     * @param _available The amount of ETH available for the contribution.
+     * @param _requiredAmount The amount of ETH required for the contribution.
+     * @return taken The amount of ETH taken.
+     * @return remainder The amount of ETH left from the contribution.
+     */
+    function calculateContribution(uint256 _available, uint256 _requiredAmount)
+        internal
+        pure
+        returns (uint256 taken, uint256 remainder)
+    {
+        if (_requiredAmount > _available) {
+            // Take whatever is available, return 0 as leftover ETH.
+            return (_available, 0);
+        }
+
+        remainder = _available - _requiredAmount;
+        return (_requiredAmount, remainder);
+    }
+
+    /**
+     * @notice Calculates the appeal fee and total cost for an arbitration.
+     * @dev This function was extracted from `fundAppeal` because of the stack depth problem.
+     * @param _arbitration The arbitration object.
+     * @param _ruling The ruling option being funded.
+     * @return appealCost The actual appeal cost.  @return totalCost The total cost for the appeal. */
+    function getAppealFeeComponents(Arbitration storage _arbitration, uint256 _ruling)
+        internal
+        view
+        returns (uint256 appealCost, uint256 totalCost)
+    {
+        (uint256 appealPeriodStart, uint256 appealPeriodEnd, uint256 deadline, uint256 multiplier) =
+            getAppealDeadline(_arbitration, _ruling);
+        require(block.timestamp >= appealPeriodStart && block.timestamp < appealPeriodEnd, "Appeal period is over");
+        require(block.timestamp < deadline, "Loser party deadline is over");
+
+        return getAppealCosts(_arbitration, multiplier);
+    }
+
+    /**
+     * @notice Returns the appeal period of an arbitration, and the deadline and stake multiplier of a ruling option in it.
+     * @dev The ruling options other than the current ruling can only be funded during the first half of the appeal period.
+     * @param _arbitration The arbitration object.
+     * @param _ruling The ruling option being funded.
+     * @return appealPeriodStart The start of the appeal period.
+     * @return appealPeriodEnd The end of the appeal period.
+     * @return deadline The time from which the ruling option can no longer be funded.
+     * @return multiplier The stake multiplier of the ruling option.
+     */
+    function getAppealDeadline(Arbitration storage _arbitration, uint256 _ruling)
+        internal
+        view
+        returns (
+            uint256 appealPeriodStart,
+            uint256 appealPeriodEnd,
+            uint256 deadline,
+            uint256 multiplier
+        )
+    {
+        (appealPeriodStart, appealPeriodEnd) = _arbitration.arbitrator.appealPeriod(_arbitration.arbitratorDisputeID);
+        deadline = appealPeriodEnd;
+
+        uint256 winner = _arbitration.arbitrator.currentRuling(_arbitration.arbitratorDisputeID);
+        if (winner == 0) {
+            multiplier = sharedStakeMultiplier;
+        } else if (winner == _ruling) {
+            multiplier = winnerStakeMultiplier;
+        } else {
+            deadline = appealPeriodStart + (appealPeriodEnd - appealPeriodStart) / 2;
+            multiplier = loserStakeMultiplier;
+        }
+    }
+
+    /**
+     * @notice Returns the appeal cost and the total cost a ruling option with a given stake multiplier needs.
+     * @param _arbitration The arbitration object.
+     * @param _multiplier The stake multiplier of the ruling option.
+     * @return appealCost The actual appeal cost.
+     * @return totalCost The total cost for the appeal.
+     */
+    function getAppealCosts(Arbitration storage _arbitration, uint256 _multiplier)
+        internal
+        view
+        returns (uint256 appealCost, uint256 totalCost)
+    {
+        (bytes storage arbitratorExtraData, ) =
+            getDisputeParamsStorage(_arbitration.arbitrable, _arbitration.arbitrableItemID);
+        appealCost = _arbitration.arbitrator.appealCost(_arbitration.arbitratorDisputeID, arbitratorExtraData);
+        totalCost = appealCost.addCap((appealCost.mulCap(_multiplier)) / MULTIPLIER_DIVISOR);
+    }
+
+    /**
+     * @notice Registers the withdrawal of fees and rewards for a given ruling option in a range of rounds.
+     * @dev Caller functions MUST send the withdrawn amount to the beneficiary.
+     * @param _arbitrationID The ID of the arbitration.
+     * @param _beneficiary The address that made contributions.
+     * @param _cursor The round from where to start withdrawing.
+     * @param _count The number of rounds to iterate. 0 to iterate until the last round.
+     * @param _ruling The ruling option to which the contributions were made.
+     * @return amount The withdrawn amount.
+     */
+    function registerRoundsWithdrawal(
+        uint256 _arbitrationID,
+        address _beneficiary,
+        uint256 _cursor,
+        uint256 _count,
+        uint256 _ruling
+    ) internal returns (uint256 amount) {
+        Arbitration storage arbitration = arbitrations[_arbitrationID];
+
+        require(arbitration.status == Status.Ruled, "The arbitration is not settled");
+
+        for (uint256 i = _cursor; i < arbitration.rounds.length && (_count == 0 || i < _cursor + _count); i++) {
+            amount += registerWithdrawal(arbitration, _beneficiary, i, _ruling);
+        }
+    }
+
+    /**
+     * @notice Registers the withdrawal of fees and rewards for a given ruling option in a given round.
+     * @dev This function is private because no checks are made on the arbitration state. Caller functions MUST do the check before calling this function.
+     * @param _arbitration The arbitration object.
+     * @param _beneficiary The address that made contributions.
+     * @param _roundNumber The round from which to withdraw.
+     * @param _ruling The ruling option to which the contributions were made.
+     * @return The withdrawn amount.
+     */
+    function registerWithdrawal(
+        Arbitration storage _arbitration,
+        address _beneficiary,
+        uint256 _roundNumber,
+        uint256 _ruling
+    ) internal returns (uint256) {
+        uint256 amount = getWithdrawableAmount(_arbitration, _beneficiary, _roundNumber, _ruling);
+
+        _arbitration.rounds[_roundNumber].contributions[_beneficiary][_ruling] = 0;
+
+        return amount;
+    }
+
+    /**
+     * @notice Returns the withdrawable wei from a specific appeal round for a given ruling option.
+     * @dev This function is internal because no checks are made on the task state. Caller functions MUST do the check before calling this function.
+     * @param _arbitration The arbitration object.
+     * @param _beneficiary The contributor for which to query.
+     * @param _roundNumber The number of the round.
+     * @param _ruling The ruling option to which the contributions were made.
+     * @return The amount of wei available to withdraw from the round.
+     */
+    function getWithdrawableAmount(
+        Arbitration storage _arbitration,
+        address _beneficiary,
+        uint256 _roundNumber,
+        uint256 _ruling
+    ) internal view returns (uint256) {
+        Round storage round = _arbitration.rounds[_roundNumber];
+
+        if (!round.fullyPaid[_ruling]) {
+            // If the ruling option was not fully funded, reimburse according to the contributions.
+            return round.contributions[_beneficiary][_ruling];
+        } else if (!round.fullyPaid[_arbitration.ruling]) {
+            // If the final ruling was not funded, reimburse the funded options proportionally.
+            // Notice that if only one ruling option is funded it becomes the final ruling, so there are two of them here.
+            return
+                (round.contributions[_beneficiary][_ruling] * round.feeRewards) /
+                (round.paidFees[round.fundedRulings[0]] + round.paidFees[round.fundedRulings[1]]);
+        } else if (_ruling == _arbitration.ruling) {
+            return
+                round.paidFees[_ruling] > 0
+                    ? (round.contributions[_beneficiary][_ruling] * round.feeRewards) / round.paidFees[_ruling]
+                    : 0;
+        } else {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Turns the address of the arbitrable contract and the ID of the arbitrable item into an identifier.
+     * @param _arbitrable The arbitrable contract address.
+     * @param _arbitrableItemID The ID of the arbitration item.
+     */
+    function getArbitrationID(address _arbitrable, uint256 _arbitrableItemID) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(_arbitrable, _arbitrableItemID)));
+    }
+
+    /**
+     * @dev Turns the address of the arbitrator contract and the ID of the dispute in that contract into an identifier.
+     * @param _arbitrator The arbitrable contract address.
+     * @param _arbitratorDisputeID The ID of the dispute in the arbitrator.
+     */
+    function getDisputeID(IArbitrator _arbitrator, uint256 _arbitratorDisputeID) public pure returns (uint256) {
+        return uint256(keccak256(abi.encodePacked(_arbitrator, _arbitratorDisputeID)));
+    }
+
+    /**
+     * @notice Sends an amount of ETH.
+     * @dev A failed payment does not revert, so a single beneficiary cannot block the arbitration.
+     * The ETH which cannot be sent is credited to the pending balance of the beneficiary instead.
+     * @param _to The beneficiary.
+     * @param _amount The amount to send.
+     */
+    function pay(address payable _to, uint256 _amount) internal {
+        if (!_to.send(_amount)) {
+            pendingBalances[_to] += _amount;
+
+            emit PendingBalanceCredited(_to, _amount);
+        }
+    }
+
+    /**
+     * @notice Checks an answer from the Home Chain is about the pending dispute request of an arbitration.
+     * @dev A late answer to a previous request, which timed out, could otherwise be taken for the current one.
+     * @param _arbitration The arbitration.
+     * @param _requestedAt The time when the answered dispute was requested.
+     */
+    function checkRequest(Arbitration storage _arbitration, uint256 _requestedAt) internal view {
+        require(_arbitration.status == Status.Requested, "Invalid arbitration status");
+        require(_arbitration.requestedAt == _requestedAt, "Dispute request does not match");
+    }
+
+    /**
+     * @notice Pays the deposits left to the parties according to the ruling.
+     * @dev The plaintiff is paid when the ruling is the one in its favor, as informed by the arbitrable contract,
+     * and the defendant for any other ruling. If there is no ruling, the deposits are split equally.
+     * @param _arbitration The arbitration.
+     */
+    function payDeposits(Arbitration storage _arbitration) internal {
+        if (_arbitration.ruling == 0) {
+            uint256 amount = _arbitration.sumDeposit / 2;
+            pay(_arbitration.plaintiff, amount);
+            pay(_arbitration.defendant, amount);
+        } else if (_arbitration.ruling == _arbitration.plaintiffRuling) {
+            pay(_arbitration.plaintiff, _arbitration.sumDeposit);
+        } else {
+            pay(_arbitration.defendant, _arbitration.sumDeposit);
+        }
+        _arbitration.sumDeposit = 0;
+    }
+
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the home proxy.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit.
+     */
+    function setMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) internal {
+        messageGasLimits[_methodSelector] = _gasLimit;
+
+        emit MessageGasLimitChanged(_methodSelector, _gasLimit);
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * @authors: [@hbarcelos]
+ * @reviewers: []
+ * @auditors: []
+ * @bounties: []
+ * @deployments: []
+ *
+ * SPDX-License-Identifier: MIT
+ */
+pragma solidity ^0.7.6;
+
+/**
+ * @title GovernedUpgradeabilityProxy
+ * @dev Delegates every call to an implementation contract, so an arbitration proxy can be upgraded without
+ * redeploying it and linking it again. The implementation address is kept in the ERC-1967 slot, so it never
+ * collides with the storage of the implementation.
+ * Upgrades are governed by the `governor` of the implementation, read from the storage of this contract.
+ */
+contract GovernedUpgradeabilityProxy {
+    /// @dev The ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1).
+    bytes32 private constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @dev Emitted when the implementation changes.
+     * @param _implementation The address of the new implementation.
+     */
+    event Upgraded(address indexed _implementation);
+
+    /**
+     * @notice Creates a proxy delegating to an implementation.
+     * @param _implementation The address of the implementation.
+     * @param _data The call to initialize the storage of the proxy with. Empty to skip the initialization.
+     */
+    constructor(address _implementation, bytes memory _data) {
+        setImplementation(_implementation);
+
+        if (_data.length > 0) {
+            // solhint-disable-next-line avoid-low-level-calls
+            (bool success, ) = _implementation.delegatecall(_data);
+            require(success, "Initialization failed");
+        }
+    }
+
+    fallback() external payable {
+        delegate();
+    }
+
+    receive() external payable {
+        delegate();
+    }
+
+    /**
+     * @notice Changes the implementation the calls are delegated to.
+     * @dev The storage layout of the new implementation MUST be compatible with the current one.
+     * Use the `upgrade` task, which checks it before upgrading.
+     * @param _implementation The address of the new implementation.
+     */
+    function upgradeTo(address _implementation) external {
+        require(msg.sender == getGovernor(), "Only governor allowed");
+
+        setImplementation(_implementation);
+    }
+
+    /**
+     * @notice Returns the address of the implementation.
+     * @return implementation_ The address of the implementation.
+     */
+    function implementation() public view returns (address implementation_) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            implementation_ := sload(slot)
+        }
+    }
+
+    /**
+     * @notice Sets the address of the implementation.
+     * @param _implementation The address of the implementation.
+     */
+    function setImplementation(address _implementation) internal {
+        uint256 size;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            size := extcodesize(_implementation)
+        }
+        require(size > 0, "Implementation is not a contract");
+
+        bytes32 slot = IMPLEMENTATION_SLOT;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            sstore(slot, _implementation)
+        }
+
+        emit Upgraded(_implementation);
+    }
+
+    /**
+     * @notice Returns the governor of the implementation, from the storage of this contract.
+     * @return The address of the governor.
+     */
+    function getGovernor() internal returns (address) {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory result) = implementation().delegatecall(abi.encodeWithSignature("governor()"));
+        require(success && result.length == 32, "No governor");
+        return abi.decode(result, (address));
+    }
+
+    /**
+     * @notice Delegates the current call to the implementation and returns or reverts with its result.
+     */
+    function delegate() internal {
+        address target = implementation();
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+                case 0 {
+                    revert(0, returndatasize())
+                }
+                default {
+                    return(0, returndatasize())
+                }
+        }
+    }
+}
@@ -11,6 +11,7 @@ pragma solidity ^0.7.6;
 
 import "@kleros/erc-792/contracts/erc-1497/IEvidence.sol";
 import "./dependencies/IAMB.sol";
+import "./dependencies/IValueBridge.sol";
 import "./CrossChainBinaryArbitration.sol";
 
 contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
@@ -30,21 +31,36 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
      * | None +<----------------------+
      * +--+---+                       |
      *    |                           |
-     *    |                           | Receive Dispute Failed
+     *    |                           | Receive Dispute Failed or Request Timeout
      *    |                           |
      *    | Receive Request     +-----+----+                     +--(F)--+
      *    +-------------------->+ Accepted +-------------------->+ Ruled |
-     *       [Accepted]         +----------+   Receive Ruling    +-------+
+     *       [Accepted]         +-----+----+   Receive Ruling    +-------+
+     *                                |
+     *                                | Receive Settlement
+     *                                |
+     *                          +--(F)+----+
+     *                          | Settled  |
+     *                          +----------+
      */
-    enum Status {None, Rejected, Accepted, Ruled}
+    enum Status {None, Rejected, Accepted, Ruled, Settled}
 
+    // The whole item is reset when a request is rejected, fails or times out, so nothing carries over to the next request.
     struct ArbitrableItem {
         Status status;
         address arbitrator;
         uint256 arbitratorDisputeID;
         uint256 ruling;
+        address plaintiff;
+        address defendant;
+        bool plaintiffSettled; // Whether the plaintiff requested to settle the dispute.
+        bool defendantSettled; // Whether the defendant requested to settle the dispute.
+        uint256 requestedAt; // The time when the dispute was requested on the Foreign Chain, which identifies the request there.
     }
 
+    /// @dev The gas kept by `receiveMessage` to record a failed message, whatever the gas used by its handler.
+    uint256 private constant MESSAGE_FAILURE_GAS_RESERVE = 50000;
+
     /// @dev Maps an arbitrable contract and and arbitrable item ID to a status
     mapping(ICrossChainArbitrable => mapping(uint256 => ArbitrableItem)) public arbitrableItems;
 
@@ -60,6 +76,15 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
     /// @dev The chain ID where the foreign proxy is deployed.
     uint256 public foreignChainId;
 
+    /// @dev The gas limit of the messages sent to the foreign proxy, by the selector of their handler. messageGasLimits[selector].
+    mapping(bytes4 => uint256) public messageGasLimits;
+
+    /// @dev The bridge used to send the defendant fees to the Foreign Chain. TRUSTED.
+    IValueBridge public valueBridge;
+
+    /// @dev The hashes of the messages from the Foreign Chain which failed to execute. failedMessages[messageId].
+    mapping(bytes32 => bytes32) public failedMessages;
+
     modifier onlyGovernor() {
         require(msg.sender == governor, "Only governor allowed");
         _;
@@ -72,6 +97,11 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         _;
     }
 
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only self allowed");
+        _;
+    }
+
     modifier onlyIfInitialized() {
         require(foreignProxy != address(0), "Not initialized yet");
         _;
@@ -82,6 +112,25 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
      */
     constructor(IAMB _amb) {
         amb = _amb;
+
+        // The defendant fee creates the dispute on the arbitrator, which makes it the most expensive message by far.
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveMetaEvidence.selector, 300000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveArbitratorExtraData.selector, 300000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveDisputeAccepted.selector, 100000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveDisputeRejected.selector, 200000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveEvidence.selector, 200000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveDefendantFee.selector, 1000000);
+        setMessageGasLimit(IForeignBinaryArbitrationProxy(0).receiveSettlement.selector, 200000);
+    }
+
+    /**
+     * @notice Makes the caller the governor of an upgradeability proxy which delegates to this contract.
+     * @dev The constructor does not run for the storage of the upgradeability proxy, so it calls this function when it
+     * is deployed. The rest of the configuration is then set through the governance functions.
+     */
+    function initialize() external {
+        require(governor == address(0), "Already initialized");
+        governor = msg.sender;
     }
 
     /**
@@ -100,6 +149,26 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         amb = _amb;
     }
 
+    /**
+     * @notice Sets the address of the bridge used to send the defendant fees to the Foreign Chain.
+     * @param _valueBridge The address of the new bridge.
+     */
+    function changeValueBridge(IValueBridge _valueBridge) external onlyGovernor {
+        valueBridge = _valueBridge;
+    }
+
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the foreign proxy.
+     * @dev The limit must leave room for recording the failure, otherwise a failed message cannot be retried.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit. Cannot be higher than the one allowed by the AMB.
+     */
+    function changeMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) external onlyGovernor {
+        require(_gasLimit <= amb.maxGasPerTx(), "Gas limit too high");
+
+        setMessageGasLimit(_methodSelector, _gasLimit);
+    }
+
     /**
      * @notice Sets the address of the arbitration proxy on the Foreign Chain.
      * @param _foreignProxy The address of the proxy.
@@ -112,6 +181,47 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         foreignChainId = _foreignChainId;
     }
 
+    /**
+     * @notice Receives a message from the Foreign Chain and executes it.
+     * @dev Should only be called by the xDAI/ETH bridge.
+     * A failed execution does not revert, otherwise the message would be lost. It is recorded instead, so it can be
+     * retried with `retryMessage` once the reason it failed is solved (i.e.: the arbitrable contract is fixed).
+     * The handler runs with the gas left minus a fixed reserve, so a handler which runs out of gas still leaves enough
+     * to record its failure.
+     * @param _data The calldata for the message handler.
+     */
+    function receiveMessage(bytes calldata _data) external override onlyForeignProxy {
+        bytes32 messageId = amb.messageId();
+        require(gasleft() > MESSAGE_FAILURE_GAS_RESERVE, "Not enough gas");
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = address(this).call{gas: gasleft() - MESSAGE_FAILURE_GAS_RESERVE}(_data);
+
+        if (!success) {
+            failedMessages[messageId] = keccak256(_data);
+
+            emit MessageFailed(messageId, _data);
+        }
+    }
+
+    /**
+     * @notice Retries a message from the Foreign Chain which failed to execute.
+     * @dev Anyone can retry a failed message. If it fails again, the call reverts and the message can be retried later.
+     * @param _messageId The ID of the message in the AMB.
+     * @param _data The calldata for the message handler, as emitted by `MessageFailed`.
+     */
+    function retryMessage(bytes32 _messageId, bytes calldata _data) external override {
+        require(failedMessages[_messageId] == keccak256(_data), "Message did not fail");
+
+        delete failedMessages[_messageId];
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = address(this).call(_data);
+        require(success, "Message failed again");
+
+        emit MessageRetried(_messageId);
+    }
+
     /**
      * @notice Registers the meta evidence at the arbitrable item level.
      * @dev Should be called only by the arbitrable contract.
@@ -127,7 +237,7 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
 
         bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveMetaEvidence.selector;
         bytes memory data = abi.encodeWithSelector(methodSelector, msg.sender, _arbitrableItemID, _metaEvidence);
-        amb.requireToPassMessage(foreignProxy, data, amb.maxGasPerTx());
+        sendMessage(methodSelector, data);
     }
 
     /**
@@ -141,29 +251,70 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         override
         onlyIfInitialized
     {
-        emit ArbitratorExtraDataRegistered(ICrossChainArbitrable(msg.sender), _arbitrableItemID, _arbitratorExtraData);
+        relayArbitrator(_arbitrableItemID, address(0), _arbitratorExtraData);
+    }
+
+    /**
+     * @notice Registers the arbitrator and its extra data at the arbitrable item level.
+     * @dev Should be called only by the arbitrable contract.
+     * The arbitrator must be whitelisted on the Foreign Proxy, otherwise the message fails and can be retried once it is.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator on the Foreign Chain. Zero for the default arbitrator.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     */
+    function registerArbitrator(
+        uint256 _arbitrableItemID,
+        address _arbitrator,
+        bytes calldata _arbitratorExtraData
+    ) external override onlyIfInitialized {
+        relayArbitrator(_arbitrableItemID, _arbitrator, _arbitratorExtraData);
+    }
+
+    /**
+     * @notice Relays the arbitrator and its extra data registered by the sender to the Foreign Chain.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _arbitrator The address of the arbitrator on the Foreign Chain. Zero for the default arbitrator.
+     * @param _arbitratorExtraData The extra data for the arbitrator.
+     */
+    function relayArbitrator(
+        uint256 _arbitrableItemID,
+        address _arbitrator,
+        bytes calldata _arbitratorExtraData
+    ) internal {
+        emit ArbitratorExtraDataRegistered(
+            ICrossChainArbitrable(msg.sender),
+            _arbitrableItemID,
+            _arbitrator,
+            _arbitratorExtraData
+        );
 
         bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveArbitratorExtraData.selector;
-        bytes memory data = abi.encodeWithSelector(methodSelector, msg.sender, _arbitrableItemID, _arbitratorExtraData);
-        amb.requireToPassMessage(foreignProxy, data, amb.maxGasPerTx());
+        bytes memory data =
+            abi.encodeWithSelector(methodSelector, msg.sender, _arbitrableItemID, _arbitrator, _arbitratorExtraData);
+        sendMessage(methodSelector, data);
     }
 
     /**
      * @notice Receives a dispute request for an arbitrable item from the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
      * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
      * @param _plaintiff The address of the dispute creator.
+     * @param _requestedAt The time when the dispute was requested, which identifies the request on the Foreign Chain.
      */
     function receiveDisputeRequest(
         ICrossChainArbitrable _arbitrable,
         uint256 _arbitrableItemID,
-        address _plaintiff
-    ) external override onlyForeignProxy {
+        address _plaintiff,
+        uint256 _requestedAt
+    ) external override onlySelf {
         ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
 
         require(arbitrableItem.status == Status.None, "Dispute request already exists");
 
+        arbitrableItem.plaintiff = _plaintiff;
+        arbitrableItem.requestedAt = _requestedAt;
+
         try _arbitrable.notifyDisputeRequest(_arbitrableItemID, _plaintiff) {
             arbitrableItem.status = Status.Accepted;
             emit DisputeAccepted(_arbitrable, _arbitrableItemID);
@@ -186,8 +337,9 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
 
         bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveDisputeAccepted.selector;
-        bytes memory data = abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID);
-        amb.requireToPassMessage(foreignProxy, data, amb.maxGasPerTx());
+        bytes memory data =
+            abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID, arbitrableItem.requestedAt);
+        sendMessage(methodSelector, data);
     }
 
     /**
@@ -205,61 +357,100 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
 
         require(arbitrableItem.status == Status.Rejected, "Dispute is not rejected");
 
-        delete arbitrableItems[_arbitrable][_arbitrableItemID].status;
+        uint256 requestedAt = arbitrableItem.requestedAt;
+        delete arbitrableItems[_arbitrable][_arbitrableItemID];
 
         bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveDisputeRejected.selector;
-        bytes memory data = abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID);
-        amb.requireToPassMessage(foreignProxy, data, amb.maxGasPerTx());
+        bytes memory data =
+            abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID, requestedAt);
+        sendMessage(methodSelector, data);
     }
 
     /**
      * @notice Receives the dispute created on the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
      * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
      * @param _arbitrator The address of the arbitrator in the home chain.
      * @param _arbitratorDisputeID The dispute ID.
+     * @param _defendant The address of the defendant.
      */
     function receiveDisputeCreated(
         ICrossChainArbitrable _arbitrable,
         uint256 _arbitrableItemID,
         address _arbitrator,
-        uint256 _arbitratorDisputeID
-    ) external override onlyForeignProxy {
+        uint256 _arbitratorDisputeID,
+        address _defendant
+    ) external override onlySelf {
         ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
 
         require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
 
         arbitrableItem.arbitrator = _arbitrator;
         arbitrableItem.arbitratorDisputeID = _arbitratorDisputeID;
+        arbitrableItem.defendant = _defendant;
 
         emit DisputeCreated(_arbitrable, _arbitrableItemID, _arbitratorDisputeID);
     }
 
     /**
      * @notice Receives the failed dispute creation on the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
      * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _requestedAt The time when the failed dispute was requested. The message is ignored for any other request.
      */
-    function receiveDisputeFailed(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID)
-        external
-        override
-        onlyForeignProxy
-    {
+    function receiveDisputeFailed(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlySelf {
         ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
 
+        if (arbitrableItem.requestedAt != _requestedAt) {
+            return;
+        }
         require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
 
-        delete arbitrableItems[_arbitrable][_arbitrableItemID].status;
+        delete arbitrableItems[_arbitrable][_arbitrableItemID];
         _arbitrable.cancelDispute(_arbitrableItemID);
 
         emit DisputeFailed(_arbitrable, _arbitrableItemID);
     }
 
+    /**
+     * @notice Receives from the Foreign Chain that the dispute request timed out before being accepted or rejected.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
+     * The dispute was never created at this point, so the item is reset and the request is canceled if it was accepted.
+     * A late timeout must not reset a later request of the item, so the message is ignored for any other request.
+     * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _requestedAt The time when the timed out dispute was requested.
+     */
+    function receiveRequestTimeout(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlySelf {
+        ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
+
+        if (arbitrableItem.requestedAt != _requestedAt) {
+            return;
+        }
+        Status status = arbitrableItem.status;
+
+        delete arbitrableItems[_arbitrable][_arbitrableItemID];
+
+        if (status == Status.Accepted) {
+            _arbitrable.cancelDispute(_arbitrableItemID);
+        }
+
+        emit DisputeRequestTimedOut(_arbitrable, _arbitrableItemID);
+    }
+
     /**
      * @notice Receives the ruling for a dispute from the Foreign Chain.
-     * @dev Should only be called by the xDAI/ETH bridge.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
      * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
      * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
      * @param _ruling The ruling given by the arbitrator.
@@ -268,7 +459,7 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
         ICrossChainArbitrable _arbitrable,
         uint256 _arbitrableItemID,
         uint256 _ruling
-    ) external override onlyForeignProxy {
+    ) external override onlySelf {
         ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
 
         // Allow receiving ruling if the dispute was accepted but not created.
@@ -282,4 +473,150 @@ contract HomeBinaryArbitrationProxy is IHomeBinaryArbitrationProxy {
 
         emit DisputeRuled(_arbitrable, _arbitrableItemID, _ruling);
     }
+
+    /**
+     * @notice Receives from the Foreign Chain that the dispute was settled.
+     * @dev Should only be called by the proxy itself, when executing a message from the Foreign Chain.
+     * The arbitrable contract is notified through `cancelDispute`, since there will be no ruling.
+     * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _requestedAt The time when the settled dispute was requested. The message is ignored for any other request.
+     */
+    function receiveDisputeSettled(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        uint256 _requestedAt
+    ) external override onlySelf {
+        ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
+
+        if (arbitrableItem.requestedAt != _requestedAt) {
+            return;
+        }
+        require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
+
+        arbitrableItem.status = Status.Settled;
+        _arbitrable.cancelDispute(_arbitrableItemID);
+
+        emit DisputeSettled(_arbitrable, _arbitrableItemID);
+    }
+
+    /**
+     * @notice Submits evidence for an arbitrable item to be relayed to the Foreign Chain.
+     * @dev Can only be called by the parties of the dispute or the arbitrable contract.
+     * Before the dispute is created, the defendant is not known yet, so the arbitrable contract must relay the evidence on its behalf.
+     * @param _arbitrable The address of the arbitrable contract. UNTRUSTED.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     * @param _evidenceURI Link to evidence.
+     */
+    function submitEvidence(
+        ICrossChainArbitrable _arbitrable,
+        uint256 _arbitrableItemID,
+        string calldata _evidenceURI
+    ) external override onlyIfInitialized {
+        ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
+
+        require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
+        require(
+            msg.sender == address(_arbitrable) ||
+                msg.sender == arbitrableItem.plaintiff ||
+                msg.sender == arbitrableItem.defendant,
+            "Only parties allowed"
+        );
+        require(bytes(_evidenceURI).length > 0, "Evidence URI is empty");
+
+        emit EvidenceSubmitted(_arbitrable, _arbitrableItemID, msg.sender, _evidenceURI);
+
+        bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveEvidence.selector;
+        bytes memory data =
+            abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID, msg.sender, _evidenceURI);
+        sendMessage(methodSelector, data);
+    }
+
+    /**
+     * @notice Pays the defendant fee for an arbitrable item from the Home Chain.
+     * @dev The value is sent to the Foreign Chain through the value bridge. If the payment cannot be accepted when it
+     * is received on the Foreign Chain (i.e.: the deposit deadline expired in the meantime), the defendant is reimbursed there.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitration item on the arbitrable contract.
+     */
+    function payDefendantFee(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID)
+        external
+        payable
+        override
+        onlyIfInitialized
+    {
+        require(address(valueBridge) != address(0), "Value bridge not set");
+        require(arbitrableItems[_arbitrable][_arbitrableItemID].status == Status.Accepted, "Dispute is not accepted");
+        require(msg.value > 0, "Must pay non-zero value");
+
+        emit DefendantFeeSent(_arbitrable, _arbitrableItemID, msg.sender, msg.value);
+
+        valueBridge.relayValue{value: msg.value}(foreignProxy);
+
+        bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveDefendantFee.selector;
+        bytes memory data =
+            abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID, msg.sender, msg.value);
+        sendMessage(methodSelector, data);
+    }
+
+    /**
+     * @notice Requests to settle the dispute for an arbitrable item without waiting for the ruling.
+     * @dev The arbitrable contract can settle the dispute on its own. Otherwise, both the plaintiff and the defendant
+     * must request it, so the defendant can only do it once the dispute is created.
+     * The item is only settled once the settlement is received by the Foreign Chain, which refunds the deposits left.
+     * If the dispute is ruled in the meantime, the ruling prevails.
+     * @param _arbitrable The address of the arbitrable contract.
+     * @param _arbitrableItemID The ID of the arbitrable item on the arbitrable contract.
+     */
+    function settleDispute(ICrossChainArbitrable _arbitrable, uint256 _arbitrableItemID) external override {
+        ArbitrableItem storage arbitrableItem = arbitrableItems[_arbitrable][_arbitrableItemID];
+
+        require(arbitrableItem.status == Status.Accepted, "Dispute is not accepted");
+
+        if (msg.sender == arbitrableItem.plaintiff) {
+            arbitrableItem.plaintiffSettled = true;
+        } else if (msg.sender == arbitrableItem.defendant) {
+            arbitrableItem.defendantSettled = true;
+        } else {
+            require(msg.sender == address(_arbitrable), "Only parties allowed");
+        }
+
+        emit SettlementRequested(_arbitrable, _arbitrableItemID, msg.sender);
+
+        if (
+            msg.sender == address(_arbitrable) || (arbitrableItem.plaintiffSettled && arbitrableItem.defendantSettled)
+        ) {
+            bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveSettlement.selector;
+            sendMessage(
+                methodSelector,
+                abi.encodeWithSelector(methodSelector, address(_arbitrable), _arbitrableItemID)
+            );
+        }
+    }
+
+    /**
+     * @notice Sends a message to the foreign proxy through the AMB, with the gas limit of its handler.
+     * @dev The message is wrapped in a call to `receiveMessage`, so it can be retried if it fails on the Foreign Chain.
+     * @param _methodSelector The selector of the message handler.
+     * @param _data The calldata for the message handler.
+     */
+    function sendMessage(bytes4 _methodSelector, bytes memory _data) internal {
+        bytes4 methodSelector = IForeignBinaryArbitrationProxy(0).receiveMessage.selector;
+        amb.requireToPassMessage(
+            foreignProxy,
+            abi.encodeWithSelector(methodSelector, _data),
+            messageGasLimits[_methodSelector]
+        );
+    }
+
+    /**
+     * @notice Sets the gas limit of the messages for a handler on the foreign proxy.
+     * @param _methodSelector The selector of the message handler.
+     * @param _gasLimit The gas limit.
+     */
+    function setMessageGasLimit(bytes4 _methodSelector, uint256 _gasLimit) internal {
+        messageGasLimits[_methodSelector] = _gasLimit;
+
+        emit MessageGasLimitChanged(_methodSelector, _gasLimit);
+    }
 }
@@ -0,0 +1,145 @@
+/**
+ * @authors: [@hbarcelos]
+ * @reviewers: []
+ * @auditors: []
+ * @bounties: []
+ * @deployments: []
+ *
+ * SPDX-License-Identifier: MIT
+ */
+pragma solidity ^0.7.6;
+
+import "./dependencies/IERC20.sol";
+import "./dependencies/ISwapAdapter.sol";
+
+/**
+ * @title TokenPayments
+ * @dev Moves the ERC-20 tokens held by the foreign proxy. Some tokens do not return anything from `transfer`,
+ * `transferFrom` and `approve`, in which case a call succeeds if it does not revert.
+ * The functions are public so the library is deployed once and linked, which keeps the foreign proxy under the
+ * contract size limit. They are called with `DELEGATECALL`, so the tokens are moved on behalf of the proxy.
+ */
+library TokenPayments {
+    /**
+     * @dev Emitted when tokens cannot be sent to an account and are credited to its pending token balance instead.
+     * Mirrors `ForeignBinaryArbitrationProxy.PendingTokenBalanceCredited`.
+     * @param _token The token.
+     * @param _account The account.
+     * @param _amount The amount credited.
+     */
+    event PendingTokenBalanceCredited(IERC20 indexed _token, address indexed _account, uint256 _amount);
+
+    /**
+     * @notice Pulls tokens from an account, which must have approved the caller to spend them.
+     * @param _token The token.
+     * @param _from The account to pull the tokens from.
+     * @param _amount The amount of tokens.
+     */
+    function pullFrom(IERC20 _token, address _from, uint256 _amount) public {
+        require(
+            callToken(_token, abi.encodeWithSelector(_token.transferFrom.selector, _from, address(this), _amount)),
+            "Token transfer failed"
+        );
+    }
+
+    /**
+     * @notice Sends tokens to an account.
+     * @dev It does not revert, so the caller can credit the amount when the transfer fails.
+     * @param _token The token.
+     * @param _to The beneficiary.
+     * @param _amount The amount of tokens.
+     * @return Whether the transfer succeeded.
+     */
+    function tryTransfer(IERC20 _token, address _to, uint256 _amount) public returns (bool) {
+        return callToken(_token, abi.encodeWithSelector(_token.transfer.selector, _to, _amount));
+    }
+
+    /**
+     * @notice Sends tokens to an account, crediting them to its pending token balance if the transfer fails.
+     * @dev The tokens are credited before the transfer, so the token cannot reenter before the balance is updated.
+     * @param _token The token.
+     * @param _pendingTokenBalances The pending token balances of the caller. pendingTokenBalances[token][account].
+     * @param _to The beneficiary.
+     * @param _amount The amount of tokens.
+     */
+    function payOrCredit(
+        IERC20 _token,
+        mapping(IERC20 => mapping(address => uint256)) storage _pendingTokenBalances,
+        address _to,
+        uint256 _amount
+    ) public {
+        _pendingTokenBalances[_token][_to] += _amount;
+
+        if (tryTransfer(_token, _to, _amount)) {
+            _pendingTokenBalances[_token][_to] -= _amount;
+        } else {
+            emit PendingTokenBalanceCredited(_token, _to, _amount);
+        }
+    }
+
+    /**
+     * @notice Converts tokens into an exact amount of ETH through a swap adapter.
+     * @dev The adapter is only approved for the duration of the swap.
+     * @param _token The token to convert.
+     * @param _swapAdapter The swap adapter of the token.
+     * @param _ethAmount The amount of ETH required.
+     * @param _maxTokenAmount The maximum amount of tokens to spend.
+     * @return The amount of tokens spent.
+     */
+    function swapTokensForExactETH(
+        IERC20 _token,
+        ISwapAdapter _swapAdapter,
+        uint256 _ethAmount,
+        uint256 _maxTokenAmount
+    ) public returns (uint256) {
+        approve(_token, address(_swapAdapter), _maxTokenAmount);
+        uint256 spent = _swapAdapter.swapTokensForExactETH(_token, _ethAmount, _maxTokenAmount);
+        approve(_token, address(_swapAdapter), 0);
+
+        return spent;
+    }
+
+    /**
+     * @notice Approves a spender to use the tokens held by the caller.
+     * @param _token The token.
+     * @param _spender The spender.
+     * @param _amount The amount the spender can use.
+     */
+    function approve(IERC20 _token, address _spender, uint256 _amount) internal {
+        require(
+            callToken(_token, abi.encodeWithSelector(_token.approve.selector, _spender, _amount)),
+            "Approval failed"
+        );
+    }
+
+    /**
+     * @notice Calls a function of a token which returns whether it succeeded.
+     * @dev Calls to an account without code always succeed, so they are treated as failures. Tokens which return
+     * nothing are treated as successful, and return data which cannot be decoded as a boolean as a failure.
+     * @param _token The token.
+     * @param _data The calldata.
+     * @return Whether the call succeeded.
+     */
+    function callToken(IERC20 _token, bytes memory _data) internal returns (bool) {
+        uint256 codeSize;
+        // solhint-disable-next-line no-inline-assembly
+        assembly {
+            codeSize := extcodesize(_token)
+        }
+        if (codeSize == 0) {
+            return false;
+        }
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory returnData) = address(_token).call(_data);
+        if (!success) {
+            return false;
+        }
+
+        if (returnData.length == 0) {
+            return true;
+        }
+
+        return returnData.length >= 32 && abi.decode(returnData, (bool));
+    }
+}
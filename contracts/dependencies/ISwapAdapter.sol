@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "./IERC20.sol";
+
+/**
+ * @dev Converts ERC-20 tokens into ETH, either by swapping them on an exchange or by unwrapping them (i.e.: WETH).
+ */
+interface ISwapAdapter {
+    /**
+     * @notice Gets the amount of tokens required to get an exact amount of ETH.
+     * @param _token The token to convert.
+     * @param _ethAmount The amount of ETH to get.
+     * @return The amount of tokens required.
+     */
+    function getAmountIn(IERC20 _token, uint256 _ethAmount) external view returns (uint256);
+
+    /**
+     * @notice Converts tokens from the caller into an exact amount of ETH, which is sent to the caller.
+     * @dev The caller must have approved the adapter to spend at least `_maxTokenAmount`.
+     * @param _token The token to convert.
+     * @param _ethAmount The amount of ETH to get.
+     * @param _maxTokenAmount The maximum amount of tokens to spend.
+     * @return The amount of tokens spent.
+     */
+    function swapTokensForExactETH(
+        IERC20 _token,
+        uint256 _ethAmount,
+        uint256 _maxTokenAmount
+    ) external returns (uint256);
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+/**
+ * @dev Stand-in for the bridge which carries value from the Home Chain to the Foreign Chain (i.e.: the xDAI bridge).
+ * The value is delivered to the receiver on the Foreign Chain as ETH, independently from the AMB messages.
+ */
+interface IValueBridge {
+    /**
+     * @notice Relays the value sent along with the call to a receiver on the other chain.
+     * @param _receiver The address of the receiver on the other chain.
+     */
+    function relayValue(address _receiver) external payable;
+}
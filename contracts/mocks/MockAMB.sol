@@ -10,23 +10,49 @@ import "../dependencies/IAMB.sol";
 contract MockAMB is IAMB {
     uint256 private currentMessageId;
     address private currentMessageSender;
+    uint256 private nestedGasUsed;
+    bool private executing;
 
-    event MessagePassed(address _contract, bytes _data, uint256 _gas);
+    /**
+     * @dev `_gasUsed` is the gas used by the execution of the message, excluding the messages it sent in turn, which
+     * would be executed on their own by the real bridge. It is never above `_gas`.
+     */
+    event MessagePassed(address _contract, bytes _data, uint256 _gas, uint256 _gasUsed);
 
+    /**
+     * @dev The message is executed right away, along with the messages it sends in turn, so it gets all the gas left
+     * instead of `_gas`. The call reverts if the message used more than `_gas`, since it would fail on the real bridge.
+     */
     function requireToPassMessage(
         address _contract,
         bytes memory _data,
         uint256 _gas
     ) external override returns (bytes32) {
+        // The real bridge executes the message with the whole gas limit, so it must be available here too. The messages
+        // sent while executing another one share the gas of the outermost one instead.
+        require(executing || gasleft() >= _gas + 50000, "Not enough gas");
+        bool outerExecuting = executing;
+        executing = true;
+
         currentMessageId += 1;
         currentMessageSender = msg.sender;
 
+        uint256 outerNestedGasUsed = nestedGasUsed;
+        nestedGasUsed = 0;
+        uint256 gasBefore = gasleft();
+
         // solhint-disable-next-line avoid-low-level-calls
-        (bool success, ) = _contract.call{gas: _gas}(_data);
+        (bool success, ) = _contract.call(_data);
+        executing = outerExecuting;
+
+        uint256 gasUsed = gasBefore - gasleft();
+        uint256 ownGasUsed = gasUsed - nestedGasUsed;
+        nestedGasUsed = outerNestedGasUsed + gasUsed;
 
         require(success, "Failed to call contract");
+        require(ownGasUsed <= _gas, "Gas limit exceeded");
 
-        emit MessagePassed(_contract, _data, _gas);
+        emit MessagePassed(_contract, _data, _gas, ownGasUsed);
         return bytes32(currentMessageId);
     }
 
@@ -29,6 +29,9 @@ contract MockArbitrable is ICrossChainArbitrable {
     string public metaEvidence;
     Item[] public items;
     mapping(uint256 => uint256) public disputeIDToItemID;
+    bool public rulingBlocked;
+    bool public rulingOutOfGas; // Whether `rule` uses all the gas it is given.
+    bool public disputableAfterCancel; // Whether an item can be disputed again once its dispute is canceled.
 
     modifier onlyGovernor() {
         require(msg.sender == governor, "Only governor allowed");
@@ -57,6 +60,34 @@ contract MockArbitrable is ICrossChainArbitrable {
         arbitrator.registerArbitratorExtraData(startingID, arbitratorExtraData);
     }
 
+    function registerMetaEvidence(uint256 _startingID, string calldata _metaEvidence) external onlyGovernor {
+        arbitrator.registerMetaEvidence(_startingID, _metaEvidence);
+    }
+
+    function registerArbitrator(
+        uint256 _startingID,
+        address _arbitrator,
+        bytes calldata _arbitratorExtraData
+    ) external onlyGovernor {
+        arbitrator.registerArbitrator(_startingID, _arbitrator, _arbitratorExtraData);
+    }
+
+    function setRulingBlocked(bool _rulingBlocked) external onlyGovernor {
+        rulingBlocked = _rulingBlocked;
+    }
+
+    function setRulingOutOfGas(bool _rulingOutOfGas) external onlyGovernor {
+        rulingOutOfGas = _rulingOutOfGas;
+    }
+
+    function setDisputableAfterCancel(bool _disputableAfterCancel) external onlyGovernor {
+        disputableAfterCancel = _disputableAfterCancel;
+    }
+
+    function settleDispute(uint256 _arbitrableItemID) external onlyGovernor {
+        arbitrator.settleDispute(this, _arbitrableItemID);
+    }
+
     function createItem() external {
         Item storage item = items.push();
         uint256 arbitrableItemID = items.length - 1;
@@ -81,6 +112,12 @@ contract MockArbitrable is ICrossChainArbitrable {
         item.status = Status.Settled;
     }
 
+    function submitEvidence(uint256 _arbitrableItemID, string calldata _evidenceURI) external {
+        require(items[_arbitrableItemID].creator == msg.sender, "Only creator allowed");
+
+        arbitrator.submitEvidence(this, _arbitrableItemID, _evidenceURI);
+    }
+
     function notifyDisputeRequest(uint256 _arbitrableItemID, address _plaintiff) external override onlyArbitrator {
         Item storage item = items[_arbitrableItemID];
         require(item.status == Status.Created, "Invalid status");
@@ -97,7 +134,7 @@ contract MockArbitrable is ICrossChainArbitrable {
         Item storage item = items[_arbitrableItemID];
         require(item.status == Status.DisputeRequested, "Invalid status");
 
-        item.status = Status.Settled;
+        item.status = disputableAfterCancel ? Status.Created : Status.Settled;
 
         emit ItemDisputeCanceled(_arbitrableItemID);
     }
@@ -105,6 +142,9 @@ contract MockArbitrable is ICrossChainArbitrable {
     function rule(uint256 _arbitrableItemID, uint256 _ruling) external override onlyArbitrator {
         Item storage item = items[_arbitrableItemID];
 
+        require(!rulingBlocked, "Ruling blocked");
+        // An invalid opcode, which uses all the gas left.
+        assert(!rulingOutOfGas);
         require(item.status >= Status.DisputeRequested, "Invalid dispute status");
 
         item.status = Status.Settled;
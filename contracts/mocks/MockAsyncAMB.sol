@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "../dependencies/IAMB.sol";
+
+/**
+ * @dev One side of a simulated ArbitraryMessageBridge, where messages are only executed when relayed.
+ * Outgoing messages are queued as events, to be delivered by the test harness on the AMB of the other side, in any
+ * order, or never. As in the real AMB, a failed execution does not revert and its status is recorded.
+ * This code only exists for purposes of testing and SHOULD NOT be used in production environments.
+ */
+contract MockAsyncAMB is IAMB {
+    /// @dev The gas limit of the AMB on xDAI.
+    uint256 public constant MAX_GAS_PER_TX = 2000000;
+
+    /// @dev The ID of the simulated chain this side of the bridge is deployed on.
+    uint256 public chainId;
+
+    /// @dev The number of messages sent from this side of the bridge.
+    uint256 public nonce;
+
+    /// @dev Whether each message executed on this side of the bridge succeeded. messageCallStatus[messageId].
+    mapping(bytes32 => bool) public messageCallStatus;
+
+    /// @dev Whether each message was already executed on this side of the bridge. executed[messageId].
+    mapping(bytes32 => bool) public executed;
+
+    bytes32 private currentMessageId;
+    address private currentMessageSender;
+    uint256 private currentSourceChainId;
+
+    event MessageQueued(
+        bytes32 indexed _messageId,
+        address indexed _sender,
+        address _contract,
+        bytes _data,
+        uint256 _gas
+    );
+
+    event RelayedMessage(bytes32 indexed _messageId, address indexed _sender, address _contract, bool _status);
+
+    constructor(uint256 _chainId) {
+        chainId = _chainId;
+    }
+
+    function requireToPassMessage(
+        address _contract,
+        bytes memory _data,
+        uint256 _gas
+    ) external override returns (bytes32) {
+        require(_gas <= MAX_GAS_PER_TX, "Gas limit exceeded");
+
+        bytes32 id = keccak256(abi.encodePacked(address(this), chainId, nonce++));
+        emit MessageQueued(id, msg.sender, _contract, _data, _gas);
+        return id;
+    }
+
+    /**
+     * @dev Executes a message sent from the other side of the bridge.
+     * @param _messageId The ID of the message.
+     * @param _sender The contract which sent the message.
+     * @param _contract The contract to call.
+     * @param _data The calldata.
+     * @param _gas The gas limit of the call.
+     * @param _sourceChainId The ID of the chain the message was sent from.
+     */
+    function executeMessage(
+        bytes32 _messageId,
+        address _sender,
+        address _contract,
+        bytes calldata _data,
+        uint256 _gas,
+        uint256 _sourceChainId
+    ) external {
+        require(!executed[_messageId], "Message already executed");
+        require(gasleft() >= _gas + 50000, "Not enough gas");
+
+        executed[_messageId] = true;
+        currentMessageId = _messageId;
+        currentMessageSender = _sender;
+        currentSourceChainId = _sourceChainId;
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = _contract.call{gas: _gas}(_data);
+
+        messageCallStatus[_messageId] = success;
+        currentMessageId = bytes32(0);
+        currentMessageSender = address(0);
+        currentSourceChainId = 0;
+
+        emit RelayedMessage(_messageId, _sender, _contract, success);
+    }
+
+    function maxGasPerTx() external pure override returns (uint256) {
+        return MAX_GAS_PER_TX;
+    }
+
+    function messageSender() external view override returns (address) {
+        return currentMessageSender;
+    }
+
+    function messageSourceChainId() external view override returns (bytes32) {
+        return bytes32(currentSourceChainId);
+    }
+
+    function messageId() external view override returns (bytes32) {
+        return currentMessageId;
+    }
+}
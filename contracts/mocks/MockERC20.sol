@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "../dependencies/IERC20.sol";
+
+/**
+ * @dev This is a barebones ERC-20 token with an open mint function.
+ * The transfers to and the approvals of a blocked account return `false`, like some tokens do instead of reverting.
+ * With `malformedReturnData`, the transfers to a blocked account return data which cannot be decoded as a boolean.
+ * This code only exists for purposes of testing and SHOULD NOT be used in production environments.
+ */
+contract MockERC20 is IERC20 {
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18; // solhint-disable-line const-name-snakecase
+    uint256 public override totalSupply;
+
+    mapping(address => uint256) public override balanceOf;
+    mapping(address => mapping(address => uint256)) public override allowance;
+    mapping(address => bool) public blocked;
+    bool public malformedReturnData;
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function mint(address _account, uint256 _amount) external {
+        totalSupply += _amount;
+        balanceOf[_account] += _amount;
+
+        emit Transfer(address(0), _account, _amount);
+    }
+
+    function setBlocked(address _account, bool _blocked) external {
+        blocked[_account] = _blocked;
+    }
+
+    function setMalformedReturnData(bool _malformedReturnData) external {
+        malformedReturnData = _malformedReturnData;
+    }
+
+    function transfer(address _recipient, uint256 _amount) external override returns (bool) {
+        if (blocked[_recipient]) {
+            if (malformedReturnData) {
+                // solhint-disable-next-line no-inline-assembly
+                assembly {
+                    return(0, 1)
+                }
+            }
+            return false;
+        }
+
+        transferTokens(msg.sender, _recipient, _amount);
+        return true;
+    }
+
+    function approve(address _spender, uint256 _amount) external override returns (bool) {
+        if (blocked[_spender]) {
+            return false;
+        }
+
+        allowance[msg.sender][_spender] = _amount;
+
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+
+    function transferFrom(address _sender, address _recipient, uint256 _amount) external override returns (bool) {
+        require(allowance[_sender][msg.sender] >= _amount, "Insufficient allowance");
+
+        allowance[_sender][msg.sender] -= _amount;
+        transferTokens(_sender, _recipient, _amount);
+        return true;
+    }
+
+    function transferTokens(address _sender, address _recipient, uint256 _amount) internal {
+        require(balanceOf[_sender] >= _amount, "Insufficient balance");
+
+        balanceOf[_sender] -= _amount;
+        balanceOf[_recipient] += _amount;
+
+        emit Transfer(_sender, _recipient, _amount);
+    }
+}
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "../CrossChainMultiOutcomeArbitration.sol";
+
+contract MockMultiOutcomeArbitrable is ICrossChainMultiOutcomeArbitrable {
+    event ItemCreated(uint256 indexed _arbitrableItemID);
+    event ItemDisputeRequest(uint256 indexed _arbitrableItemID, address indexed _plaintiff);
+    event ItemDisputeCanceled(uint256 indexed _arbitrableItemID);
+    event ItemDisputeRuled(uint256 indexed _arbitrableItemID, uint256 _ruling);
+
+    enum Status {None, Created, DisputeRequested, DisputeOngoing, Settled}
+
+    struct Item {
+        Status status;
+        uint256 disputableUntil;
+        address creator;
+        address plaintiff;
+        uint256 ruling;
+    }
+
+    address public governor = msg.sender;
+    IHomeMultiOutcomeArbitrationProxy public arbitrator;
+    uint256 public disputeTimeout;
+    bytes public arbitratorExtraData;
+    string public metaEvidence;
+    uint256 public numberOfRulingOptions;
+    uint256 public plaintiffRuling;
+    Item[] public items;
+
+    modifier onlyGovernor() {
+        require(msg.sender == governor, "Only governor allowed");
+        _;
+    }
+
+    modifier onlyArbitrator() {
+        require(msg.sender == address(arbitrator), "Only arbitrator allowed");
+        _;
+    }
+
+    constructor(
+        string memory _metaEvidence,
+        IHomeMultiOutcomeArbitrationProxy _arbitrator,
+        bytes memory _arbitratorExtraData,
+        uint256 _disputeTimeout,
+        uint256 _numberOfRulingOptions,
+        uint256 _plaintiffRuling
+    ) {
+        metaEvidence = _metaEvidence;
+        arbitrator = _arbitrator;
+        arbitratorExtraData = _arbitratorExtraData;
+        disputeTimeout = _disputeTimeout;
+        numberOfRulingOptions = _numberOfRulingOptions;
+        plaintiffRuling = _plaintiffRuling;
+    }
+
+    function registerForArbitration(uint256 startingID) external onlyGovernor {
+        arbitrator.registerMetaEvidence(startingID, metaEvidence);
+        arbitrator.registerArbitratorExtraData(startingID, arbitratorExtraData);
+    }
+
+    function changeRulingOptions(uint256 _numberOfRulingOptions, uint256 _plaintiffRuling) external onlyGovernor {
+        numberOfRulingOptions = _numberOfRulingOptions;
+        plaintiffRuling = _plaintiffRuling;
+    }
+
+    function createItem() external {
+        Item storage item = items.push();
+        uint256 arbitrableItemID = items.length - 1;
+        item.status = Status.Created;
+        item.creator = msg.sender;
+        item.disputableUntil = block.timestamp + disputeTimeout;
+
+        emit ItemCreated(arbitrableItemID);
+    }
+
+    function notifyDisputeRequest(uint256 _arbitrableItemID, address _plaintiff)
+        external
+        override
+        onlyArbitrator
+        returns (uint256, uint256)
+    {
+        Item storage item = items[_arbitrableItemID];
+        require(item.status == Status.Created, "Invalid status");
+        require(block.timestamp <= item.disputableUntil, "Dispute timeout expired");
+
+        item.status = Status.DisputeRequested;
+        item.plaintiff = _plaintiff;
+
+        emit ItemDisputeRequest(_arbitrableItemID, _plaintiff);
+
+        return (numberOfRulingOptions, plaintiffRuling);
+    }
+
+    function cancelDispute(uint256 _arbitrableItemID) external override onlyArbitrator {
+        Item storage item = items[_arbitrableItemID];
+        require(item.status == Status.DisputeRequested, "Invalid status");
+
+        item.status = Status.Settled;
+
+        emit ItemDisputeCanceled(_arbitrableItemID);
+    }
+
+    function rule(uint256 _arbitrableItemID, uint256 _ruling) external override onlyArbitrator {
+        Item storage item = items[_arbitrableItemID];
+
+        require(item.status >= Status.DisputeRequested, "Invalid dispute status");
+
+        item.status = Status.Settled;
+        item.ruling = _ruling;
+
+        emit ItemDisputeRuled(_arbitrableItemID, _ruling);
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+/**
+ * @dev This is a barebones contract account which forwards calls and can refuse to receive ETH.
+ * This code only exists for purposes of testing and SHOULD NOT be used in production environments.
+ */
+contract MockRevertingReceiver {
+    /// @dev Whether the contract accepts ETH transfers.
+    bool public acceptsETH;
+
+    receive() external payable {
+        require(acceptsETH, "ETH not accepted");
+    }
+
+    function setAcceptsETH(bool _acceptsETH) external {
+        acceptsETH = _acceptsETH;
+    }
+
+    function execute(address _target, bytes calldata _data) external payable {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, bytes memory result) = _target.call{value: msg.value}(_data);
+        if (!success) {
+            // solhint-disable-next-line no-inline-assembly
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
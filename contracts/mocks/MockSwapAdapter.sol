@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "../dependencies/ISwapAdapter.sol";
+
+/**
+ * @dev This is a barebones swap adapter which converts tokens into ETH at a fixed rate.
+ * It must be funded with ETH before being used.
+ * This code only exists for purposes of testing and SHOULD NOT be used in production environments.
+ */
+contract MockSwapAdapter is ISwapAdapter {
+    uint256 public constant RATE_DIVISOR = 1e18;
+
+    /// @dev The amount of tokens per ETH for each token, multiplied by `RATE_DIVISOR`.
+    mapping(IERC20 => uint256) public rates;
+
+    // solhint-disable-next-line no-empty-blocks
+    receive() external payable {}
+
+    function setRate(IERC20 _token, uint256 _rate) external {
+        rates[_token] = _rate;
+    }
+
+    function getAmountIn(IERC20 _token, uint256 _ethAmount) public view override returns (uint256) {
+        require(rates[_token] > 0, "Token not supported");
+        return (_ethAmount * rates[_token]) / RATE_DIVISOR;
+    }
+
+    function swapTokensForExactETH(
+        IERC20 _token,
+        uint256 _ethAmount,
+        uint256 _maxTokenAmount
+    ) external override returns (uint256 amountIn) {
+        amountIn = getAmountIn(_token, _ethAmount);
+        require(amountIn <= _maxTokenAmount, "Excessive input amount");
+        require(_token.transferFrom(msg.sender, address(this), amountIn), "Token transfer failed");
+
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = msg.sender.call{value: _ethAmount}("");
+        require(success, "ETH transfer failed");
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.7.6;
+
+import "../dependencies/IValueBridge.sol";
+
+/**
+ * @dev Delivers the value right away, like `MockAMB` does with the messages, unless it is paused.
+ * While paused, the transfers are queued until `deliverPending` is called.
+ * This allows to simulate the value arriving after the AMB message.
+ */
+contract MockValueBridge is IValueBridge {
+    struct Transfer {
+        address receiver;
+        uint256 value;
+    }
+
+    bool public paused;
+
+    Transfer[] public pendingTransfers;
+
+    function setPaused(bool _paused) external {
+        paused = _paused;
+    }
+
+    function relayValue(address _receiver) external payable override {
+        if (paused) {
+            pendingTransfers.push(Transfer({receiver: _receiver, value: msg.value}));
+        } else {
+            deliver(_receiver, msg.value);
+        }
+    }
+
+    function deliverPending() external {
+        for (uint256 i = 0; i < pendingTransfers.length; i++) {
+            deliver(pendingTransfers[i].receiver, pendingTransfers[i].value);
+        }
+        delete pendingTransfers;
+    }
+
+    function deliver(address _receiver, uint256 _value) internal {
+        // solhint-disable-next-line avoid-low-level-calls
+        (bool success, ) = _receiver.call{value: _value}("");
+        require(success, "Value transfer failed");
+    }
+}
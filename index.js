@@ -0,0 +1,69 @@
+const { createForeignProxyClient, NON_PAYABLE_VALUE } = require("./src/clients/foreignProxy");
+const { createHomeProxyClient } = require("./src/clients/homeProxy");
+const {
+  findBestIndex,
+  resolveDisputeParams,
+  fetchDisputeParamsHistory,
+  getDisputeParamsHistoryFromEvents,
+  crossCheckDisputeParams,
+} = require("./src/disputeParams");
+const { ForeignStatus, HomeStatus, Party, decodeEnum, encodeEnum } = require("./src/enums");
+const {
+  DEFAULT_MIN_JURORS,
+  encodeArbitratorExtraData,
+  decodeArbitratorExtraData,
+  previewDisputeCost,
+} = require("./src/arbitratorExtraData");
+const {
+  BINARY_RULING_TITLES,
+  computeMultihash,
+  validateMetaEvidence,
+  validateEvidence,
+  buildMetaEvidence,
+  buildEvidence,
+  uploadFile,
+  publishDocument,
+  verifyDocument,
+  createFileSystemEvidenceStore,
+} = require("./src/evidence");
+const { ProxyError, getRevertReason } = require("./src/errors");
+const { createIndexer } = require("./src/indexer");
+const { IssueCode, reconcileItem } = require("./src/indexer/reconcile");
+const { getArbitrationID, getDisputeID } = require("./src/utils/ids");
+
+module.exports = {
+  createForeignProxyClient,
+  createHomeProxyClient,
+  NON_PAYABLE_VALUE,
+  ForeignStatus,
+  HomeStatus,
+  Party,
+  decodeEnum,
+  encodeEnum,
+  ProxyError,
+  getRevertReason,
+  getArbitrationID,
+  getDisputeID,
+  createIndexer,
+  IssueCode,
+  reconcileItem,
+  findBestIndex,
+  resolveDisputeParams,
+  fetchDisputeParamsHistory,
+  getDisputeParamsHistoryFromEvents,
+  crossCheckDisputeParams,
+  BINARY_RULING_TITLES,
+  computeMultihash,
+  validateMetaEvidence,
+  validateEvidence,
+  buildMetaEvidence,
+  buildEvidence,
+  uploadFile,
+  publishDocument,
+  verifyDocument,
+  createFileSystemEvidenceStore,
+  DEFAULT_MIN_JURORS,
+  encodeArbitratorExtraData,
+  decodeArbitratorExtraData,
+  previewDisputeCost,
+};
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { getContract } = require("../src/contracts");
+const { createAppealReporter, createDashboardServer } = require("../src/dashboard");
+
+/**
+ * Serves the appeal crowdfunding reports of a foreign binary proxy as JSON at `/arbitrations/:arbitrationID/appeal`.
+ *
+ * Required environment variables:
+ *   FOREIGN_RPC_URL        JSON-RPC endpoint for the Foreign Chain.
+ *   FOREIGN_PROXY_ADDRESS  Address of the foreign proxy.
+ *
+ * Optional environment variables:
+ *   START_BLOCK            Block from which to look for the contributions. Default: 0.
+ *   HOST                   Host to listen on. Default: `127.0.0.1`.
+ *   PORT                   Port to listen on. Default: 8080.
+ */
+async function main() {
+  const env = process.env;
+  const required = ["FOREIGN_RPC_URL", "FOREIGN_PROXY_ADDRESS"];
+  const missing = required.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  const foreignProvider = new ethers.providers.JsonRpcProvider(env.FOREIGN_RPC_URL);
+
+  const reporter = createAppealReporter({
+    foreignProxy: getContract("ForeignBinaryArbitrationProxy", env.FOREIGN_PROXY_ADDRESS, foreignProvider),
+    fromBlock: Number(env.START_BLOCK || 0),
+  });
+  const server = createDashboardServer({ reporter, logger: console });
+
+  const host = env.HOST || "127.0.0.1";
+  const port = Number(env.PORT || 8080);
+  server.listen(port, host, () => console.info(`Serving the appeal reports on http://${host}:${port}`));
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
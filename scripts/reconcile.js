@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { getContract } = require("../src/contracts");
+const { createIndexer } = require("../src/indexer");
+const { createFileStore } = require("../src/utils/stores");
+
+/**
+ * Indexes the events of both proxies and prints the items which are inconsistent or stuck as JSON.
+ *
+ * Required environment variables:
+ *   HOME_RPC_URL           JSON-RPC endpoint for the Home Chain.
+ *   FOREIGN_RPC_URL        JSON-RPC endpoint for the Foreign Chain.
+ *   HOME_PROXY_ADDRESS     Address of the home proxy.
+ *   FOREIGN_PROXY_ADDRESS  Address of the foreign proxy.
+ *
+ * Optional environment variables:
+ *   STATE_FILE             Where to persist the indexed data. Default: `./indexer-state.json`.
+ *   HOME_START_BLOCK       Block from which to start scanning the Home Chain. Default: 0.
+ *   FOREIGN_START_BLOCK    Block from which to start scanning the Foreign Chain. Default: 0.
+ *   CONFIRMATIONS          Blocks to wait before indexing events. Default: 0.
+ *   BRIDGE_TIMEOUT         How long (seconds) a message might take to cross the bridge. Default: 3600.
+ */
+async function main() {
+  const env = process.env;
+  const required = ["HOME_RPC_URL", "FOREIGN_RPC_URL", "HOME_PROXY_ADDRESS", "FOREIGN_PROXY_ADDRESS"];
+  const missing = required.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  const homeProvider = new ethers.providers.JsonRpcProvider(env.HOME_RPC_URL);
+  const foreignProvider = new ethers.providers.JsonRpcProvider(env.FOREIGN_RPC_URL);
+
+  const indexer = createIndexer({
+    homeProxy: getContract("HomeBinaryArbitrationProxy", env.HOME_PROXY_ADDRESS, homeProvider),
+    foreignProxy: getContract("ForeignBinaryArbitrationProxy", env.FOREIGN_PROXY_ADDRESS, foreignProvider),
+    store: createFileStore(env.STATE_FILE || "./indexer-state.json"),
+    startBlocks: { home: Number(env.HOME_START_BLOCK || 0), foreign: Number(env.FOREIGN_START_BLOCK || 0) },
+    confirmations: Number(env.CONFIRMATIONS || 0),
+  });
+
+  await indexer.sync();
+
+  const { timestamp: now } = await foreignProvider.getBlock("latest");
+  const items = await indexer.reconcile({ now, bridgeTimeout: Number(env.BRIDGE_TIMEOUT || 60 * 60) });
+
+  console.log(JSON.stringify(items, null, 2));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
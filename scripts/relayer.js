@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { getContract } = require("../src/contracts");
+const { createRelayer } = require("../src/relayer");
+const { createFileStore } = require("../src/utils/stores");
+
+/**
+ * Runs the dispute relayer bot.
+ *
+ * Required environment variables:
+ *   HOME_RPC_URL           JSON-RPC endpoint for the Home Chain.
+ *   FOREIGN_RPC_URL        JSON-RPC endpoint for the Foreign Chain.
+ *   HOME_PROXY_ADDRESS     Address of the home proxy.
+ *   FOREIGN_PROXY_ADDRESS  Address of the foreign proxy.
+ *   PRIVATE_KEY            Key of the account paying for the relay transactions on the Home Chain.
+ *
+ * Optional environment variables:
+ *   STATE_FILE             Where to persist the relayer state. Default: `./relayer-state.json`.
+ *   START_BLOCK            Block from which to start scanning when there is no state. Default: 0.
+ *   CONFIRMATIONS          Blocks to wait before processing events. Default: 0.
+ *   POLL_INTERVAL          Interval between runs in ms. Default: 60000.
+ *   RELAY_TIMEOUT          Time to wait for the bridge before relaying again in ms. Default: 3600000.
+ */
+async function main() {
+  const env = process.env;
+  const required = ["HOME_RPC_URL", "FOREIGN_RPC_URL", "HOME_PROXY_ADDRESS", "FOREIGN_PROXY_ADDRESS", "PRIVATE_KEY"];
+  const missing = required.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  const homeSigner = new ethers.Wallet(env.PRIVATE_KEY, new ethers.providers.JsonRpcProvider(env.HOME_RPC_URL));
+  const foreignProvider = new ethers.providers.JsonRpcProvider(env.FOREIGN_RPC_URL);
+
+  const relayer = createRelayer({
+    homeProxy: getContract("HomeBinaryArbitrationProxy", env.HOME_PROXY_ADDRESS, homeSigner),
+    foreignProxy: getContract("ForeignBinaryArbitrationProxy", env.FOREIGN_PROXY_ADDRESS, foreignProvider),
+    store: createFileStore(env.STATE_FILE || "./relayer-state.json"),
+    startBlock: Number(env.START_BLOCK || 0),
+    confirmations: Number(env.CONFIRMATIONS || 0),
+    pollInterval: Number(env.POLL_INTERVAL || 60 * 1000),
+    relayTimeout: Number(env.RELAY_TIMEOUT || 60 * 60 * 1000),
+    logger: console,
+  });
+
+  relayer.start();
+
+  const shutdown = async () => {
+    await relayer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
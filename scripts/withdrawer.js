@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+const { ethers } = require("ethers");
+const { getContract } = require("../src/contracts");
+const { getProxyContractNames } = require("../src/deploy");
+const { createWithdrawer } = require("../src/withdrawer");
+const { createFileStore } = require("../src/utils/stores");
+
+/**
+ * Runs the bot which withdraws the fees and rewards of the appeal crowdfunders on their behalf.
+ *
+ * Required environment variables:
+ *   FOREIGN_RPC_URL        JSON-RPC endpoint for the Foreign Chain.
+ *   FOREIGN_PROXY_ADDRESS  Address of the foreign proxy.
+ *   PRIVATE_KEY            Key of the account paying for the withdrawal transactions on the Foreign Chain.
+ *
+ * Optional environment variables:
+ *   PROXY_VARIANT          Either `binary` or `multi-outcome`. Default: `binary`.
+ *   STATE_FILE             Where to persist the withdrawer state. Default: `./withdrawer-state.json`.
+ *   START_BLOCK            Block from which to start scanning when there is no state. Default: 0.
+ *   CONFIRMATIONS          Blocks to wait before processing events. Default: 0.
+ *   POLL_INTERVAL          Interval between runs in ms. Default: 600000.
+ *   GAS_BUDGET             Maximum gas of a withdrawal transaction. Default: 2000000.
+ *   MAX_BATCH_SIZE         Maximum number of claims withdrawn in the same transaction. Default: 20.
+ */
+async function main() {
+  const env = process.env;
+  const required = ["FOREIGN_RPC_URL", "FOREIGN_PROXY_ADDRESS", "PRIVATE_KEY"];
+  const missing = required.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing environment variables: ${missing.join(", ")}`);
+  }
+
+  const variant = env.PROXY_VARIANT || "binary";
+  const foreignSigner = new ethers.Wallet(env.PRIVATE_KEY, new ethers.providers.JsonRpcProvider(env.FOREIGN_RPC_URL));
+
+  const withdrawer = createWithdrawer({
+    foreignProxy: getContract(getProxyContractNames(variant).foreign, env.FOREIGN_PROXY_ADDRESS, foreignSigner),
+    variant,
+    store: createFileStore(env.STATE_FILE || "./withdrawer-state.json"),
+    startBlock: Number(env.START_BLOCK || 0),
+    confirmations: Number(env.CONFIRMATIONS || 0),
+    pollInterval: Number(env.POLL_INTERVAL || 10 * 60 * 1000),
+    gasBudget: Number(env.GAS_BUDGET || 2000000),
+    maxBatchSize: Number(env.MAX_BATCH_SIZE || 20),
+    logger: console,
+  });
+
+  withdrawer.start();
+
+  const shutdown = async () => {
+    await withdrawer.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+const { ethers } = require("ethers");
+const { getContract } = require("./contracts");
+
+/**
+ * The number of jurors KlerosLiquid uses when the extra data does not set it.
+ * Mirrors `DisputeParams.DEFAULT_MIN_JURORS`.
+ */
+const DEFAULT_MIN_JURORS = 3;
+
+/**
+ * The ID of the general court, which KlerosLiquid uses when the extra data does not set the subcourt.
+ */
+const GENERAL_COURT_ID = 0;
+
+/**
+ * @typedef {object} CourtParams
+ * @property {ethers.BigNumber} subcourtID The ID of the subcourt.
+ * @property {ethers.BigNumber} minJurors The minimum number of jurors.
+ */
+
+/**
+ * @typedef {object} DisputeCostPreview
+ * @property {string} arbitratorExtraData The extra data for the arbitrator.
+ * @property {ethers.BigNumber} subcourtID The ID of the subcourt.
+ * @property {ethers.BigNumber} minJurors The minimum number of jurors.
+ * @property {string} arbitrator The arbitrator the dispute would be created on.
+ * @property {ethers.BigNumber} arbitrationCost The cost of the dispute, in ETH.
+ */
+
+function toUint256(name, value) {
+  try {
+    const number = ethers.BigNumber.from(value);
+    if (number.isNegative() || number.gt(ethers.constants.MaxUint256)) {
+      throw new RangeError("out of the uint256 range");
+    }
+    return number;
+  } catch (err) {
+    throw new TypeError(`Invalid ${name}: ${JSON.stringify(value)} (${err.reason || err.message})`);
+  }
+}
+
+/**
+ * Encodes KlerosLiquid-style arbitrator extra data: the subcourt ID and the minimum number of jurors as two 32-byte
+ * words.
+ * @param {object} [params]
+ * @param {ethers.BigNumberish} [params.subcourtID=0] The ID of the subcourt. Default: the general court.
+ * @param {ethers.BigNumberish} [params.minJurors=3] The minimum number of jurors.
+ * @return {string} The extra data, as a hex string.
+ */
+function encodeArbitratorExtraData({ subcourtID = GENERAL_COURT_ID, minJurors = DEFAULT_MIN_JURORS } = {}) {
+  return ethers.utils.defaultAbiCoder.encode(
+    ["uint256", "uint256"],
+    [toUint256("subcourtID", subcourtID), toUint256("minJurors", minJurors)]
+  );
+}
+
+/**
+ * Decodes KlerosLiquid-style arbitrator extra data, as KlerosLiquid does.
+ * Shorter extra data falls back to the general court and zero jurors to the default number of jurors.
+ * Mirrors `DisputeParams.decodeArbitratorExtraData`.
+ * @dev KlerosLiquid also falls back to the general court when the subcourt does not exist, which is not checked here.
+ * @param {ethers.BytesLike} arbitratorExtraData The extra data for the arbitrator.
+ * @return {CourtParams} The decoded params.
+ */
+function decodeArbitratorExtraData(arbitratorExtraData) {
+  if (!ethers.utils.isBytesLike(arbitratorExtraData)) {
+    throw new TypeError(`Invalid arbitrator extra data: ${JSON.stringify(arbitratorExtraData)}`);
+  }
+
+  const bytes = ethers.utils.arrayify(arbitratorExtraData);
+  if (bytes.length < 64) {
+    return {
+      subcourtID: ethers.BigNumber.from(GENERAL_COURT_ID),
+      minJurors: ethers.BigNumber.from(DEFAULT_MIN_JURORS),
+    };
+  }
+
+  const [subcourtID, minJurors] = ethers.utils.defaultAbiCoder.decode(["uint256", "uint256"], bytes.slice(0, 64));
+  return { subcourtID, minJurors: minJurors.isZero() ? ethers.BigNumber.from(DEFAULT_MIN_JURORS) : minJurors };
+}
+
+/**
+ * Previews the cost of the dispute which would be created on the arbitrator for some extra data.
+ * The extra data is either the one in effect for an arbitrable item, with the arbitrator registered for it, or the given
+ * one, with the default arbitrator of the proxy.
+ * @param {ethers.Contract} foreignProxy The foreign proxy, either binary or multi-outcome.
+ * @param {object} params
+ * @param {string} [params.arbitrable] The address of the arbitrable contract.
+ * @param {ethers.BigNumberish} [params.arbitrableItemID] The ID of the arbitrable item.
+ * @param {ethers.BytesLike} [params.arbitratorExtraData] The extra data, when no arbitrable item is given.
+ * @return {Promise<DisputeCostPreview>} The preview.
+ */
+async function previewDisputeCost(foreignProxy, { arbitrable, arbitrableItemID, arbitratorExtraData }) {
+  let arbitrator;
+  if (arbitrable !== undefined) {
+    // The multi-outcome proxies do not return the arbitrator of the item, as they only have the default one.
+    [arbitratorExtraData, , arbitrator] = await foreignProxy.getDisputeParams(arbitrable, arbitrableItemID);
+  } else if (arbitratorExtraData === undefined) {
+    throw new TypeError("Either the arbitrable item or the arbitrator extra data is required");
+  }
+  arbitrator = arbitrator || (await foreignProxy.arbitrator());
+
+  const arbitratorContract = getContract("IArbitrator", arbitrator, foreignProxy.provider);
+  const arbitrationCost = await arbitratorContract.arbitrationCost(arbitratorExtraData);
+
+  return {
+    arbitratorExtraData: ethers.utils.hexlify(arbitratorExtraData),
+    ...decodeArbitratorExtraData(arbitratorExtraData),
+    arbitrator,
+    arbitrationCost,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_JURORS,
+  GENERAL_COURT_ID,
+  encodeArbitratorExtraData,
+  decodeArbitratorExtraData,
+  previewDisputeCost,
+};
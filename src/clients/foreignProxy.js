@@ -0,0 +1,441 @@
+const { ethers } = require("ethers");
+const { getContract } = require("../contracts");
+const { fetchDisputeParamsHistory, crossCheckDisputeParams } = require("../disputeParams");
+const { ForeignStatus, Party, decodeEnum, encodeEnum } = require("../enums");
+const { withProxyErrors } = require("../errors");
+const { getArbitrationID } = require("../utils/ids");
+
+/**
+ * The value returned by the foreign proxy when a fee cannot be paid.
+ * Mirrors `ForeignBinaryArbitrationProxy.NON_PAYABLE_VALUE`.
+ */
+const NON_PAYABLE_VALUE = ethers.constants.MaxUint256.sub(1).div(2);
+
+/**
+ * @typedef {object} Arbitration
+ * @property {string} status The name of the status of the arbitration. See `ForeignStatus`.
+ * @property {string} ruling The name of the party in favor of which the arbitration was ruled. See `Party`.
+ * @property {number} acceptedAt The time when the dispute request was accepted.
+ * @property {number} requestedAt The time when the dispute was requested.
+ * @property {string} plaintiff The address of the plaintiff.
+ * @property {string} defendant The address of the defendant.
+ * @property {ethers.BigNumber} sumDeposit The sum of the deposits of the plaintiff and the defendant.
+ * @property {string} token The token used to pay the deposits and the appeal fees. The zero address for ETH.
+ * @property {string} arbitrable The address of the arbitrable contract.
+ * @property {ethers.BigNumber} arbitrableItemID The ID of the item on the arbitrable contract.
+ * @property {string} arbitrator The address of the arbitrator contract.
+ * @property {ethers.BigNumber} arbitratorDisputeID The ID of the dispute on the arbitrator contract.
+ */
+
+/**
+ * @typedef {object} RoundInfo
+ * @property {{Defendant: ethers.BigNumber, Plaintiff: ethers.BigNumber}} paidFees The amount paid by each side.
+ * @property {{Defendant: boolean, Plaintiff: boolean}} fullyPaid Whether each side has fully paid its fee.
+ * @property {ethers.BigNumber} feeRewards The total amount of appeal fees to be used as crowdfunding rewards.
+ */
+
+/**
+ * @typedef {object} AppealFundingStatus
+ * @property {{Defendant: number, Plaintiff: number}} deadlines The time from which each side can no longer be funded.
+ * @property {{Defendant: ethers.BigNumber, Plaintiff: ethers.BigNumber}} remainingAmounts The amount each side still
+ * has to pay, in the token of the arbitration. `NON_PAYABLE_VALUE` if it cannot be paid at the moment.
+ */
+
+function byParty(values) {
+  return {
+    Defendant: values[Party.Defendant],
+    Plaintiff: values[Party.Plaintiff],
+  };
+}
+
+function decodeArbitration(arbitration) {
+  return {
+    status: decodeEnum(ForeignStatus, arbitration.status),
+    ruling: decodeEnum(Party, arbitration.ruling),
+    acceptedAt: Number(arbitration.acceptedAt),
+    requestedAt: Number(arbitration.requestedAt),
+    plaintiff: arbitration.plaintiff,
+    defendant: arbitration.defendant,
+    sumDeposit: arbitration.sumDeposit,
+    token: arbitration.token,
+    arbitrable: arbitration.arbitrable,
+    arbitrableItemID: arbitration.arbitrableItemID,
+    arbitrator: arbitration.arbitrator,
+    arbitratorDisputeID: arbitration.arbitratorDisputeID,
+  };
+}
+
+function encodeParty(party) {
+  const value = encodeEnum(Party, party);
+  if (value === Party.None) {
+    throw new RangeError("Party must be either Defendant or Plaintiff");
+  }
+  return value;
+}
+
+/**
+ * Creates a client for the foreign proxy.
+ * Either `contract` or both `address` and `signerOrProvider` must be provided.
+ * Reverts are thrown as `ProxyError`s with an error code derived from the revert reason.
+ * @param {object} params
+ * @param {ethers.Contract} [params.contract] The foreign proxy contract instance.
+ * @param {string} [params.address] The address of the foreign proxy.
+ * @param {ethers.Signer|ethers.providers.Provider} [params.signerOrProvider] The signer or provider to use.
+ * @return {object} The client.
+ */
+function createForeignProxyClient({ contract, address, signerOrProvider }) {
+  const foreignProxy = contract || getContract("ForeignBinaryArbitrationProxy", address, signerOrProvider);
+
+  async function getArbitrator(arbitratorAddress) {
+    return getContract(
+      "IArbitrator",
+      arbitratorAddress || (await foreignProxy.arbitrator()),
+      foreignProxy.signer || foreignProxy.provider
+    );
+  }
+
+  /**
+   * Gets an arbitration with its enums decoded.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<Arbitration>} The arbitration.
+   */
+  async function getArbitration(arbitrationID) {
+    return withProxyErrors(async () => decodeArbitration(await foreignProxy.arbitrations(arbitrationID)));
+  }
+
+  /**
+   * Gets the arbitration for an arbitrable item.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @return {Promise<Arbitration>} The arbitration.
+   */
+  async function getArbitrationForItem(arbitrable, arbitrableItemID) {
+    return getArbitration(getArbitrationID(arbitrable, arbitrableItemID));
+  }
+
+  /**
+   * Gets the dispute params in effect for an arbitrable item.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @return {Promise<{arbitratorExtraData: string, metaEvidence: string, arbitrator: string}>} The dispute params.
+   */
+  async function getDisputeParams(arbitrable, arbitrableItemID) {
+    return withProxyErrors(async () => {
+      const { arbitratorExtraData, metaEvidence, itemArbitrator } = await foreignProxy.getDisputeParams(
+        arbitrable,
+        arbitrableItemID
+      );
+      return { arbitratorExtraData, metaEvidence, arbitrator: itemArbitrator };
+    });
+  }
+
+  /**
+   * Gets the dispute params change history stored for an arbitrable contract.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {object} [options]
+   * @param {number} [options.cursor=0] The index of the first change to get.
+   * @param {number} [options.count=0] The maximum number of changes of each kind to get. 0 means all of them.
+   * @return {Promise<DisputeParamsHistory>} The change history. See `fetchDisputeParamsHistory`.
+   */
+  async function getDisputeParamsHistory(arbitrable, options) {
+    return withProxyErrors(() => fetchDisputeParamsHistory(foreignProxy, arbitrable, options));
+  }
+
+  /**
+   * Cross-checks the dispute params resolved off-chain from the events against the contract.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish[]} arbitrableItemIDs The IDs of the items to check.
+   * @param {{fromBlock: ethers.providers.BlockTag, toBlock: ethers.providers.BlockTag}} [options] The block range.
+   * @return {Promise<string[]>} The description of each mismatch found. Empty if both sides agree.
+   */
+  async function checkDisputeParams(arbitrable, arbitrableItemIDs, options) {
+    return crossCheckDisputeParams(foreignProxy, arbitrable, arbitrableItemIDs, options);
+  }
+
+  /**
+   * Gets the deposit required to request a dispute for an arbitrable item.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @return {Promise<ethers.BigNumber>} The required deposit.
+   */
+  async function getRequestDisputeFee(arbitrable, arbitrableItemID) {
+    const { arbitratorExtraData, arbitrator: arbitratorAddress } = await getDisputeParams(arbitrable, arbitrableItemID);
+    const arbitrator = await getArbitrator(arbitratorAddress);
+
+    return withProxyErrors(() => arbitrator.arbitrationCost(arbitratorExtraData));
+  }
+
+  /**
+   * Gets the arbitration cost for an already requested arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<ethers.BigNumber>} The dispute fee. `NON_PAYABLE_VALUE` if it cannot be paid anymore.
+   */
+  async function getDisputeFee(arbitrationID) {
+    return withProxyErrors(() => foreignProxy.getDisputeFee(arbitrationID));
+  }
+
+  /**
+   * Converts an amount of ETH into the amount of a token the foreign proxy requires to pay for it.
+   * @param {string} token The address of the token. The zero address for ETH.
+   * @param {ethers.BigNumberish} ethAmount The amount of ETH.
+   * @return {Promise<ethers.BigNumber>} The amount of tokens.
+   */
+  async function getTokenAmount(token, ethAmount) {
+    return withProxyErrors(() => foreignProxy.getTokenAmount(token, ethAmount));
+  }
+
+  /**
+   * Requests a dispute for an arbitrable item.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {object} [overrides] Transaction overrides. `value` defaults to the required deposit.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function requestDispute(arbitrable, arbitrableItemID, overrides = {}) {
+    const value = overrides.value || (await getRequestDisputeFee(arbitrable, arbitrableItemID));
+
+    return withProxyErrors(() => foreignProxy.requestDispute(arbitrable, arbitrableItemID, { ...overrides, value }));
+  }
+
+  /**
+   * Requests a dispute for an arbitrable item paying the deposit with a token.
+   * The foreign proxy must have been approved to spend the amount beforehand.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {string} token The address of the token.
+   * @param {ethers.BigNumberish} [amount] The maximum amount of tokens to pay. Defaults to the required deposit.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function requestDisputeWithToken(arbitrable, arbitrableItemID, token, amount, overrides = {}) {
+    const tokenAmount =
+      amount || (await getTokenAmount(token, await getRequestDisputeFee(arbitrable, arbitrableItemID)));
+
+    return withProxyErrors(() =>
+      foreignProxy.requestDisputeWithToken(arbitrable, arbitrableItemID, token, tokenAmount, overrides)
+    );
+  }
+
+  /**
+   * Pays the defendant fee, which creates the dispute on the arbitrator.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {object} [overrides] Transaction overrides. `value` defaults to the dispute fee.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function payDefendantFee(arbitrationID, overrides = {}) {
+    const value = overrides.value || (await getDisputeFee(arbitrationID));
+
+    return withProxyErrors(() => foreignProxy.payDefendantFee(arbitrationID, { ...overrides, value }));
+  }
+
+  /**
+   * Pays the defendant fee with the token used by the plaintiff, which creates the dispute on the arbitrator.
+   * The foreign proxy must have been approved to spend the amount beforehand.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {ethers.BigNumberish} [amount] The maximum amount of tokens to pay. Defaults to the dispute fee.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function payDefendantFeeWithToken(arbitrationID, amount, overrides = {}) {
+    const { token } = await getArbitration(arbitrationID);
+    const tokenAmount = amount || (await getTokenAmount(token, await getDisputeFee(arbitrationID)));
+
+    return withProxyErrors(() => foreignProxy.payDefendantFeeWithToken(arbitrationID, token, tokenAmount, overrides));
+  }
+
+  /**
+   * Claims the win in favor of the plaintiff when the defendant did not pay the fee in time.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function claimPlaintiffWin(arbitrationID, overrides = {}) {
+    return withProxyErrors(() => foreignProxy.claimPlaintiffWin(arbitrationID, overrides));
+  }
+
+  /**
+   * Reimburses the plaintiff when the dispute request was not accepted or rejected in time by the Home Chain.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function claimRequestTimeout(arbitrationID, overrides = {}) {
+    return withProxyErrors(() => foreignProxy.claimRequestTimeout(arbitrationID, overrides));
+  }
+
+  /**
+   * Gets the total appeal fee a party must pay in the current round.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string|number} party The party. Either `Defendant` or `Plaintiff`.
+   * @return {Promise<ethers.BigNumber>} The appeal fee. `NON_PAYABLE_VALUE` if it cannot be paid.
+   */
+  async function getAppealFee(arbitrationID, party) {
+    return withProxyErrors(() => foreignProxy.getAppealFee(arbitrationID, encodeParty(party)));
+  }
+
+  /**
+   * Gets the number of rounds of an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<number>} The number of rounds.
+   */
+  async function getNumberOfRounds(arbitrationID) {
+    return withProxyErrors(async () => Number(await foreignProxy.getNumberOfRounds(arbitrationID)));
+  }
+
+  /**
+   * Gets the information of a round of an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {number} roundNumber The number of the round.
+   * @return {Promise<RoundInfo>} The round information.
+   */
+  async function getRoundInfo(arbitrationID, roundNumber) {
+    return withProxyErrors(async () => {
+      const { paidFees, fullyPaid, feeRewards } = await foreignProxy.getRoundInfo(arbitrationID, roundNumber);
+      return { paidFees: byParty(paidFees), fullyPaid: byParty(fullyPaid), feeRewards };
+    });
+  }
+
+  /**
+   * Gets until when each party can fund the current round of appeal and the amount still missing for it to be fully
+   * funded. The loser of the current ruling can only fund during the first half of the appeal period.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<AppealFundingStatus>} The funding status of each party.
+   */
+  async function getAppealFundingStatus(arbitrationID) {
+    return withProxyErrors(async () => {
+      const { deadlines, remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+      return { deadlines: byParty(deadlines.map(Number)), remainingAmounts: byParty(remainingAmounts) };
+    });
+  }
+
+  /**
+   * Gets the amount still missing for a party to be fully funded in the current round.
+   * The amount is denominated in the token used to pay the arbitration fees, if any.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string|number} party The party. Either `Defendant` or `Plaintiff`.
+   * @return {Promise<ethers.BigNumber>} The remaining amount. `NON_PAYABLE_VALUE` if it cannot be paid.
+   */
+  async function getRemainingAppealFee(arbitrationID, party) {
+    const partyName = decodeEnum(Party, encodeParty(party));
+    const { remainingAmounts } = await getAppealFundingStatus(arbitrationID);
+
+    return remainingAmounts[partyName];
+  }
+
+  /**
+   * Contributes to the appeal fee of a party.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string|number} party The party. Either `Defendant` or `Plaintiff`.
+   * @param {object} [overrides] Transaction overrides. `value` defaults to the remaining amount for the party.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function fundAppeal(arbitrationID, party, overrides = {}) {
+    const value = overrides.value || (await getRemainingAppealFee(arbitrationID, party));
+
+    return withProxyErrors(() => foreignProxy.fundAppeal(arbitrationID, encodeParty(party), { ...overrides, value }));
+  }
+
+  /**
+   * Contributes to the appeal fee of a party with the token used to pay the arbitration fees.
+   * The foreign proxy must have been approved to spend the amount beforehand.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string|number} party The party. Either `Defendant` or `Plaintiff`.
+   * @param {ethers.BigNumberish} [amount] The maximum amount of tokens to contribute.
+   * Defaults to the remaining amount for the party.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function fundAppealWithToken(arbitrationID, party, amount, overrides = {}) {
+    const { token } = await getArbitration(arbitrationID);
+    const tokenAmount = amount || (await getRemainingAppealFee(arbitrationID, party));
+
+    return withProxyErrors(() =>
+      foreignProxy.fundAppealWithToken(arbitrationID, encodeParty(party), token, tokenAmount, overrides)
+    );
+  }
+
+  /**
+   * Submits evidence for an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string} evidenceURI The URI of the evidence.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function submitEvidence(arbitrationID, evidenceURI, overrides = {}) {
+    return withProxyErrors(() => foreignProxy.submitEvidence(arbitrationID, evidenceURI, overrides));
+  }
+
+  /**
+   * Gets the contributions of an address in a given round.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string} contributor The address of the contributor.
+   * @param {number} roundNumber The number of the round.
+   * @return {Promise<{Defendant: ethers.BigNumber, Plaintiff: ethers.BigNumber}>} The contributions to each side.
+   */
+  async function getContributions(arbitrationID, contributor, roundNumber) {
+    return withProxyErrors(async () =>
+      byParty(await foreignProxy.getContributions(arbitrationID, contributor, roundNumber))
+    );
+  }
+
+  /**
+   * Gets the total amount a beneficiary can withdraw from an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string} beneficiary The address of the beneficiary.
+   * @return {Promise<ethers.BigNumber>} The withdrawable amount.
+   */
+  async function getTotalWithdrawableAmount(arbitrationID, beneficiary) {
+    return withProxyErrors(() => foreignProxy.getTotalWithdrawableAmount(arbitrationID, beneficiary));
+  }
+
+  /**
+   * Withdraws the fees and rewards of a beneficiary from all the rounds of an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @param {string} beneficiary The address of the beneficiary.
+   * @param {object} [options]
+   * @param {number} [options.cursor=0] The round from where to start withdrawing.
+   * @param {number} [options.count=0] The number of rounds to iterate. 0 means all of them.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function withdrawFeesAndRewards(arbitrationID, beneficiary, { cursor = 0, count = 0 } = {}, overrides = {}) {
+    return withProxyErrors(() =>
+      foreignProxy.batchWithdrawFeesAndRewards(arbitrationID, beneficiary, cursor, count, overrides)
+    );
+  }
+
+  return {
+    contract: foreignProxy,
+    getArbitrationID,
+    getArbitration,
+    getArbitrationForItem,
+    getDisputeParams,
+    getDisputeParamsHistory,
+    checkDisputeParams,
+    getRequestDisputeFee,
+    getDisputeFee,
+    getTokenAmount,
+    requestDispute,
+    requestDisputeWithToken,
+    payDefendantFee,
+    payDefendantFeeWithToken,
+    claimPlaintiffWin,
+    claimRequestTimeout,
+    getAppealFee,
+    getAppealFundingStatus,
+    getRemainingAppealFee,
+    getNumberOfRounds,
+    getRoundInfo,
+    fundAppeal,
+    fundAppealWithToken,
+    submitEvidence,
+    getContributions,
+    getTotalWithdrawableAmount,
+    withdrawFeesAndRewards,
+  };
+}
+
+module.exports = {
+  NON_PAYABLE_VALUE,
+  createForeignProxyClient,
+};
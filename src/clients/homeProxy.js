@@ -0,0 +1,109 @@
+const { getContract } = require("../contracts");
+const { HomeStatus, decodeEnum } = require("../enums");
+const { withProxyErrors } = require("../errors");
+
+/**
+ * @typedef {object} ArbitrableItem
+ * @property {string} status The name of the status of the item. See `HomeStatus`.
+ * @property {string} arbitrator The address of the arbitrator on the Foreign Chain.
+ * @property {ethers.BigNumber} arbitratorDisputeID The ID of the dispute on the arbitrator.
+ * @property {ethers.BigNumber} ruling The ruling relayed from the Foreign Chain.
+ * @property {string} plaintiff The address of the plaintiff.
+ * @property {string} defendant The address of the defendant, once the dispute is created.
+ */
+
+/**
+ * Creates a client for the home proxy.
+ * Either `contract` or both `address` and `signerOrProvider` must be provided.
+ * Reverts are thrown as `ProxyError`s with an error code derived from the revert reason.
+ * @param {object} params
+ * @param {ethers.Contract} [params.contract] The home proxy contract instance.
+ * @param {string} [params.address] The address of the home proxy.
+ * @param {ethers.Signer|ethers.providers.Provider} [params.signerOrProvider] The signer or provider to use.
+ * @return {object} The client.
+ */
+function createHomeProxyClient({ contract, address, signerOrProvider }) {
+  const homeProxy = contract || getContract("HomeBinaryArbitrationProxy", address, signerOrProvider);
+
+  /**
+   * Gets an arbitrable item with its status decoded.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @return {Promise<ArbitrableItem>} The arbitrable item.
+   */
+  async function getArbitrableItem(arbitrable, arbitrableItemID) {
+    return withProxyErrors(async () => {
+      const { status, arbitrator, arbitratorDisputeID, ruling, plaintiff, defendant } = await homeProxy.arbitrableItems(
+        arbitrable,
+        arbitrableItemID
+      );
+      return { status: decodeEnum(HomeStatus, status), arbitrator, arbitratorDisputeID, ruling, plaintiff, defendant };
+    });
+  }
+
+  /**
+   * Relays to the Foreign Chain that a dispute request has been accepted.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function relayDisputeAccepted(arbitrable, arbitrableItemID, overrides = {}) {
+    return withProxyErrors(() => homeProxy.relayDisputeAccepted(arbitrable, arbitrableItemID, overrides));
+  }
+
+  /**
+   * Relays to the Foreign Chain that a dispute request has been rejected.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function relayDisputeRejected(arbitrable, arbitrableItemID, overrides = {}) {
+    return withProxyErrors(() => homeProxy.relayDisputeRejected(arbitrable, arbitrableItemID, overrides));
+  }
+
+  /**
+   * Submits evidence for an arbitrable item, which is relayed to the Foreign Chain.
+   * Only the parties of the dispute or the arbitrable contract itself are allowed to submit evidence.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {string} evidenceURI Link to the evidence.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function submitEvidence(arbitrable, arbitrableItemID, evidenceURI, overrides = {}) {
+    return withProxyErrors(() => homeProxy.submitEvidence(arbitrable, arbitrableItemID, evidenceURI, overrides));
+  }
+
+  /**
+   * Pays the defendant fee for an arbitrable item from the Home Chain.
+   * The value is bridged to the Foreign Chain, so it should cover the dispute fee quoted by the foreign proxy
+   * (see `getDisputeFee` on the foreign proxy client). If the fee cannot be accepted when it reaches the Foreign Chain,
+   * the defendant is reimbursed there.
+   * @param {string} arbitrable The address of the arbitrable contract.
+   * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+   * @param {object} overrides Transaction overrides. `value` is required.
+   * @return {Promise<ethers.providers.TransactionResponse>} The transaction.
+   */
+  async function payDefendantFee(arbitrable, arbitrableItemID, overrides) {
+    if (!overrides || !overrides.value) {
+      throw new TypeError("The value of the defendant fee is required");
+    }
+
+    return withProxyErrors(() => homeProxy.payDefendantFee(arbitrable, arbitrableItemID, overrides));
+  }
+
+  return {
+    contract: homeProxy,
+    getArbitrableItem,
+    relayDisputeAccepted,
+    relayDisputeRejected,
+    submitEvidence,
+    payDefendantFee,
+  };
+}
+
+module.exports = {
+  createHomeProxyClient,
+};
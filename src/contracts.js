@@ -0,0 +1,85 @@
+const path = require("path");
+const { ethers } = require("ethers");
+
+const ARTIFACTS_DIR = path.resolve(__dirname, "..", "artifacts");
+
+/**
+ * Gets the ABI of a contract from the Buidler artifacts.
+ * @dev The contracts must be compiled beforehand (`yarn build`).
+ * @param {string} contractName The name of the contract.
+ * @return {object[]} The contract ABI.
+ */
+function getAbi(contractName) {
+  return getArtifact(contractName).abi;
+}
+
+/**
+ * Gets the names of the libraries a contract must be linked to before it is deployed.
+ * @dev The contracts must be compiled beforehand (`yarn build`).
+ * @param {string} contractName The name of the contract.
+ * @return {string[]} The library names.
+ */
+function getLibraryNames(contractName) {
+  return Object.values(getArtifact(contractName).linkReferences).flatMap((libraries) => Object.keys(libraries));
+}
+
+/**
+ * Gets an ethers contract factory to deploy a contract.
+ * @dev The contracts must be compiled beforehand (`yarn build`).
+ * @param {string} contractName The name of the contract.
+ * @param {ethers.Signer} signer The signer deploying the contract.
+ * @param {object<string, string>} [libraries] The address of each library the contract is linked to, by name.
+ * @return {ethers.ContractFactory} The contract factory.
+ */
+function getContractFactory(contractName, signer, libraries = {}) {
+  return new ethers.ContractFactory(getAbi(contractName), getBytecode(contractName, libraries), signer);
+}
+
+/**
+ * Gets the bytecode to deploy a contract, linked to its libraries.
+ * @dev The contracts must be compiled beforehand (`yarn build`).
+ * @param {string} contractName The name of the contract.
+ * @param {object<string, string>} [libraries] The address of each library the contract is linked to, by name.
+ * @return {string} The bytecode.
+ */
+function getBytecode(contractName, libraries = {}) {
+  const { bytecode, linkReferences } = getArtifact(contractName);
+
+  let linked = bytecode;
+  Object.values(linkReferences).forEach((references) => {
+    Object.entries(references).forEach(([libraryName, offsets]) => {
+      if (!libraries[libraryName]) {
+        throw new Error(`${contractName} must be linked to the ${libraryName} library`);
+      }
+      const address = ethers.utils.getAddress(libraries[libraryName]).slice(2).toLowerCase();
+      offsets.forEach(({ start, length }) => {
+        const position = 2 + start * 2;
+        linked = linked.slice(0, position) + address + linked.slice(position + length * 2);
+      });
+    });
+  });
+  return linked;
+}
+
+/**
+ * Gets an ethers contract instance for a deployed contract.
+ * @param {string} contractName The name of the contract.
+ * @param {string} address The address of the deployed contract.
+ * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider The signer or provider to connect to.
+ * @return {ethers.Contract} The contract instance.
+ */
+function getContract(contractName, address, signerOrProvider) {
+  return new ethers.Contract(address, getAbi(contractName), signerOrProvider);
+}
+
+function getArtifact(contractName) {
+  return require(path.join(ARTIFACTS_DIR, `${contractName}.json`));
+}
+
+module.exports = {
+  getAbi,
+  getBytecode,
+  getContract,
+  getContractFactory,
+  getLibraryNames,
+};
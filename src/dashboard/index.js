@@ -0,0 +1,228 @@
+const { ethers } = require("ethers");
+const { NON_PAYABLE_VALUE } = require("../clients/foreignProxy");
+const { getContract } = require("../contracts");
+const { ForeignStatus, Party, decodeEnum } = require("../enums");
+const { createDashboardServer } = require("./server");
+
+/**
+ * The precision of the reward multipliers, which are returned as plain numbers.
+ */
+const RATIO_PRECISION = 1e6;
+
+const PARTIES = ["Defendant", "Plaintiff"];
+
+/**
+ * @typedef {object} ContributorEntry
+ * @property {string} contributor The address of the contributor.
+ * @property {string} amount The sum of the contributions, in the token of the arbitration.
+ */
+
+/**
+ * @typedef {object} PartyRoundReport
+ * @property {string|null} required The total amount the side has to pay in the round. Null when it is not known,
+ * i.e.: the side can no longer be funded in the current round.
+ * @property {string} paid The amount paid so far.
+ * @property {boolean} fullyPaid Whether the side is fully funded.
+ * @property {number|null} deadline For the round being funded, the time from which the side can no longer be funded.
+ * @property {number|null} expectedRewardMultiplier How much each contributor gets back per unit contributed if the side
+ * wins. For the round being funded, it is derived from the stake multipliers. For the appealed rounds, from the actual
+ * fee rewards. The contributions to a round which was not appealed are reimbursed, so it is 1.
+ * @property {ContributorEntry[]} contributors The contributors to the side, from the largest to the smallest.
+ */
+
+/**
+ * @typedef {object} RoundReport
+ * @property {number} roundNumber The number of the round.
+ * @property {boolean} appealed Whether both sides were funded and the appeal was created.
+ * @property {string} feeRewards The fees and rewards to be shared by the contributors to the winner.
+ * @property {{Defendant: PartyRoundReport, Plaintiff: PartyRoundReport}} parties The report of each side.
+ */
+
+/**
+ * @typedef {object} AppealReport
+ * @property {string} arbitrationID The ID of the arbitration.
+ * @property {string} status The name of the status of the arbitration. See `ForeignStatus`.
+ * @property {string} ruling The name of the party the arbitration was ruled in favor of. See `Party`.
+ * @property {string|null} currentRuling While the arbitration is ongoing, the current ruling of the arbitrator. The
+ * name of the party when it is one, the raw ruling otherwise.
+ * @property {string} token The token the appeal fees are paid with. The zero address for ETH.
+ * @property {{shared: string, winner: string, loser: string, divisor: string}} stakeMultipliers The current stake
+ * multipliers of the proxy.
+ * @property {RoundReport[]} rounds The appeal rounds, the last one being funded while the arbitration is ongoing.
+ */
+
+function ratio(numerator, denominator) {
+  if (denominator.isZero()) {
+    return null;
+  }
+  return numerator.mul(RATIO_PRECISION).div(denominator).toNumber() / RATIO_PRECISION;
+}
+
+function compareContributions(a, b) {
+  if (a.amount.eq(b.amount)) {
+    return 0;
+  }
+  return a.amount.gt(b.amount) ? -1 : 1;
+}
+
+/**
+ * Creates a reporter which puts together the state of the appeal crowdfunding of the arbitrations of a binary proxy.
+ *
+ * The report stitches `getRoundInfo`, `getAppealFundingStatus` and the stake multipliers of the proxy together with
+ * the `FeeContribution` events, so it can be served as is to the users following an appeal campaign.
+ *
+ * @param {object} params
+ * @param {ethers.Contract} params.foreignProxy The foreign binary proxy contract, connected to the Foreign Chain.
+ * @param {number} [params.fromBlock=0] The block from which to look for the contributions.
+ * @return {{getAppealReport: function(ethers.BigNumberish): Promise<AppealReport|undefined>}} The reporter.
+ */
+function createAppealReporter({ foreignProxy, fromBlock = 0 }) {
+  async function getStakeMultipliers() {
+    const [shared, winner, loser, divisor] = await Promise.all([
+      foreignProxy.sharedStakeMultiplier(),
+      foreignProxy.winnerStakeMultiplier(),
+      foreignProxy.loserStakeMultiplier(),
+      foreignProxy.MULTIPLIER_DIVISOR(),
+    ]);
+
+    return { shared, winner, loser, divisor };
+  }
+
+  async function getCurrentRuling({ status, arbitrator, arbitratorDisputeID }) {
+    if (status !== ForeignStatus.Ongoing) {
+      return undefined;
+    }
+
+    const arbitratorContract = getContract("IArbitrator", arbitrator, foreignProxy.provider);
+    return arbitratorContract.currentRuling(arbitratorDisputeID);
+  }
+
+  function formatRuling(ruling) {
+    if (ruling === undefined) {
+      return null;
+    }
+    return Object.values(Party).some((party) => ruling.eq(party)) ? decodeEnum(Party, ruling) : String(ruling);
+  }
+
+  async function getContributors(arbitrationID) {
+    const events = await foreignProxy.queryFilter(
+      foreignProxy.filters.FeeContribution(arbitrationID),
+      fromBlock,
+      "latest"
+    );
+
+    const amountsByRoundAndParty = new Map();
+    for (const { args } of events) {
+      const key = `${args._roundNumber}:${args._party}`;
+      const amounts = amountsByRoundAndParty.get(key) || new Map();
+      amounts.set(args._contributor, (amounts.get(args._contributor) || ethers.constants.Zero).add(args._amount));
+      amountsByRoundAndParty.set(key, amounts);
+    }
+
+    return (roundNumber, party) =>
+      [...(amountsByRoundAndParty.get(`${roundNumber}:${party}`) || [])]
+        .map(([contributor, amount]) => ({ contributor, amount }))
+        .sort(compareContributions)
+        .map(({ contributor, amount }) => ({ contributor, amount: String(amount) }));
+  }
+
+  function getExpectedMultipliers(stakeMultipliers, currentRuling) {
+    const { shared, winner, loser, divisor } = stakeMultipliers;
+    const multipliers = {};
+
+    for (const partyName of PARTIES) {
+      const party = Party[partyName];
+      if (!currentRuling || currentRuling.isZero()) {
+        multipliers[partyName] = shared;
+      } else {
+        multipliers[partyName] = currentRuling.eq(party) ? winner : loser;
+      }
+    }
+
+    // Each side pays `appealCost * (divisor + multiplier) / divisor` and the winner takes both minus the appeal cost.
+    const total = divisor.add(multipliers.Defendant).add(multipliers.Plaintiff);
+    return Object.fromEntries(
+      PARTIES.map((partyName) => [partyName, ratio(total, divisor.add(multipliers[partyName]))])
+    );
+  }
+
+  /**
+   * Gets the report of the appeal crowdfunding of an arbitration.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<AppealReport|undefined>} The report. Undefined if the arbitration does not exist.
+   */
+  async function getAppealReport(arbitrationID) {
+    const arbitration = await foreignProxy.arbitrations(arbitrationID);
+    if (arbitration.status === ForeignStatus.None) {
+      return undefined;
+    }
+
+    const [numberOfRounds, stakeMultipliers, fundingStatus, currentRuling, getRoundContributors] = await Promise.all([
+      foreignProxy.getNumberOfRounds(arbitrationID),
+      getStakeMultipliers(),
+      foreignProxy.getAppealFundingStatus(arbitrationID),
+      getCurrentRuling(arbitration),
+      getContributors(arbitrationID),
+    ]);
+    const roundInfos = await Promise.all(
+      [...Array(Number(numberOfRounds)).keys()].map((roundNumber) =>
+        foreignProxy.getRoundInfo(arbitrationID, roundNumber)
+      )
+    );
+
+    const isOngoing = arbitration.status === ForeignStatus.Ongoing;
+    const expectedMultipliers = getExpectedMultipliers(stakeMultipliers, currentRuling);
+
+    const rounds = roundInfos.map(({ paidFees, fullyPaid, feeRewards }, roundNumber) => {
+      const isLastRound = roundNumber === roundInfos.length - 1;
+      const isBeingFunded = isOngoing && isLastRound;
+      const appealed = !isLastRound;
+
+      const parties = {};
+      for (const partyName of PARTIES) {
+        const party = Party[partyName];
+        const paid = paidFees[party];
+
+        let required = fullyPaid[party] ? paid : null;
+        let expectedRewardMultiplier = appealed ? ratio(feeRewards, paid) : 1;
+        if (isBeingFunded) {
+          const remaining = fundingStatus.remainingAmounts[party];
+          required = remaining.eq(NON_PAYABLE_VALUE) ? null : paid.add(remaining);
+          expectedRewardMultiplier = expectedMultipliers[partyName];
+        }
+
+        parties[partyName] = {
+          required: required && String(required),
+          paid: String(paid),
+          fullyPaid: fullyPaid[party],
+          deadline: isBeingFunded ? Number(fundingStatus.deadlines[party]) : null,
+          expectedRewardMultiplier,
+          contributors: getRoundContributors(roundNumber, party),
+        };
+      }
+
+      return { roundNumber, appealed, feeRewards: String(feeRewards), parties };
+    });
+
+    return {
+      arbitrationID: String(arbitrationID),
+      status: decodeEnum(ForeignStatus, arbitration.status),
+      ruling: decodeEnum(Party, arbitration.ruling),
+      currentRuling: formatRuling(currentRuling),
+      token: arbitration.token,
+      stakeMultipliers: Object.fromEntries(
+        Object.entries(stakeMultipliers).map(([name, value]) => [name, String(value)])
+      ),
+      rounds,
+    };
+  }
+
+  return {
+    getAppealReport,
+  };
+}
+
+module.exports = {
+  createAppealReporter,
+  createDashboardServer,
+};
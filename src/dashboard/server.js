@@ -0,0 +1,68 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { silentLogger } = require("../utils/logger");
+
+const APPEAL_REPORT_PATH = /^\/arbitrations\/([^/]+)\/appeal\/?$/;
+
+function sendJSON(response, statusCode, body) {
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+}
+
+function parseArbitrationID(value) {
+  try {
+    return ethers.BigNumber.from(decodeURIComponent(value));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Creates an HTTP server which serves the appeal crowdfunding reports as JSON.
+ *
+ * Routes:
+ *   GET /arbitrations/:arbitrationID/appeal  The `AppealReport` of the arbitration. The ID can be decimal or hex.
+ *
+ * @param {object} params
+ * @param {{getAppealReport: function(ethers.BigNumberish): Promise<object|undefined>}} params.reporter The reporter.
+ * See `createAppealReporter`.
+ * @param {object} [params.logger] An object with `info`, `warn` and `error` methods.
+ * @return {http.Server} The server, not listening yet.
+ */
+function createDashboardServer({ reporter, logger = silentLogger }) {
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const match = APPEAL_REPORT_PATH.exec(pathname);
+
+    if (request.method !== "GET" || !match) {
+      sendJSON(response, 404, { error: "Not found" });
+      return;
+    }
+
+    const arbitrationID = parseArbitrationID(match[1]);
+    if (!arbitrationID) {
+      sendJSON(response, 400, { error: "Invalid arbitration ID" });
+      return;
+    }
+
+    try {
+      const report = await reporter.getAppealReport(arbitrationID);
+      if (!report) {
+        sendJSON(response, 404, { error: "Arbitration not found" });
+        return;
+      }
+
+      sendJSON(response, 200, report);
+    } catch (err) {
+      logger.error(`Could not get the appeal report of ${arbitrationID}`, err);
+      sendJSON(response, 500, { error: "Internal error" });
+    }
+  });
+}
+
+module.exports = {
+  createDashboardServer,
+};
@@ -0,0 +1,427 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { getAbi, getContract, getContractFactory, getLibraryNames } = require("./contracts");
+const { createFileStore } = require("./utils/stores");
+
+/**
+ * The default directory for the deployments JSON, relative to the working directory.
+ */
+const DEFAULT_DEPLOYMENTS_DIR = "./deployments";
+
+/**
+ * The contracts of each pair of proxies.
+ */
+const ProxyVariant = Object.freeze({
+  binary: Object.freeze({ home: "HomeBinaryArbitrationProxy", foreign: "ForeignBinaryArbitrationProxy" }),
+  "multi-outcome": Object.freeze({
+    home: "HomeMultiOutcomeArbitrationProxy",
+    foreign: "ForeignMultiOutcomeArbitrationProxy",
+  }),
+});
+
+/**
+ * The settings each upgradeable proxy copies from its implementation, by getter, along with their governance function.
+ * The message gas limits are copied as well, for every handler of the counterpart proxy.
+ */
+const UpgradeableSettings = Object.freeze({
+  HomeBinaryArbitrationProxy: Object.freeze({ amb: "changeAmb" }),
+  ForeignBinaryArbitrationProxy: Object.freeze({
+    amb: "changeAmb",
+    arbitrator: "changeArbitrator",
+    feeDepositTimeout: "changeFeeDepositTimeout",
+    requestTimeout: "changeRequestTimeout",
+    sharedStakeMultiplier: "changeSharedStakeMultiplier",
+    winnerStakeMultiplier: "changeWinnerStakeMultiplier",
+    loserStakeMultiplier: "changeLoserStakeMultiplier",
+  }),
+});
+
+/**
+ * @typedef {object} DeploymentRecord
+ * @property {string} address The address of the contract.
+ * @property {string} transactionHash The hash of the deployment transaction.
+ * @property {number} blockNumber The block in which the contract was deployed.
+ * @property {string[]} args The constructor arguments.
+ * @property {object<string, string>} [libraries] The address of each library the contract is linked to, by name.
+ * @property {object} [linkedTo] For the proxies, the counterpart proxy once linked (`network`, `chainId`, `address`).
+ * @property {DeploymentRecord} [implementation] For the upgradeable proxies, the implementation the calls are delegated
+ * to. Its record also holds its `storageLayout`, to check the upgrades against.
+ */
+
+/**
+ * @typedef {object} Deployments
+ * @property {number} chainId The ID of the chain of the network.
+ * @property {object<string, DeploymentRecord>} contracts The deployed contracts by name.
+ */
+
+/**
+ * Gets the names of the home and foreign proxy contracts of a variant.
+ * @param {string} variant The variant of the proxies. See `ProxyVariant`.
+ * @return {{home: string, foreign: string}} The contract names.
+ */
+function getProxyContractNames(variant) {
+  const names = ProxyVariant[variant];
+  if (!names) {
+    throw new Error(`Unknown proxy variant "${variant}". Expected one of: ${Object.keys(ProxyVariant).join(", ")}`);
+  }
+  return names;
+}
+
+/**
+ * Gets the names of the home and foreign proxy contracts of a variant which can be deployed as upgradeable.
+ * @param {string} [variant] The variant of the proxies. See `ProxyVariant`. Default: `"binary"`.
+ * @return {{home: string, foreign: string}} The contract names.
+ */
+function getUpgradeableProxyContractNames(variant = "binary") {
+  const names = getProxyContractNames(variant);
+  if (!UpgradeableSettings[names.home] || !UpgradeableSettings[names.foreign]) {
+    throw new Error(`The ${variant} proxies cannot be deployed as upgradeable`);
+  }
+  return names;
+}
+
+/**
+ * Deploys a contract and waits for it to be mined.
+ * @param {string} contractName The name of the contract.
+ * @param {any[]} args The constructor arguments.
+ * @param {ethers.Signer} signer The signer deploying the contract.
+ * @param {object<string, string>} [libraries] The address of each library the contract is linked to, by name.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The contract and its deployment record.
+ */
+async function deployContract(contractName, args, signer, libraries = {}) {
+  const contract = await getContractFactory(contractName, signer, libraries).deploy(...args);
+  const receipt = await contract.deployTransaction.wait();
+
+  return {
+    contract,
+    deployment: {
+      address: contract.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      args: args.map(String),
+      ...(Object.keys(libraries).length > 0 ? { libraries } : {}),
+    },
+  };
+}
+
+/**
+ * Deploys the libraries a contract must be linked to, except for those which are already deployed.
+ * @param {string} contractName The name of the contract.
+ * @param {ethers.Signer} signer The deployer.
+ * @param {object<string, string>} [libraries] The address of the libraries already deployed, by name.
+ * @return {Promise<object<string, string>>} The address of each library the contract is linked to, by name.
+ */
+async function deployLibraries(contractName, signer, libraries = {}) {
+  const linked = {};
+  for (const libraryName of getLibraryNames(contractName)) {
+    linked[libraryName] = libraries[libraryName] || (await deployContract(libraryName, [], signer)).contract.address;
+  }
+  return linked;
+}
+
+/**
+ * Deploys the mock AMB, for networks where there is no bridge.
+ * @param {ethers.Signer} signer The deployer.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The contract and its deployment record.
+ */
+async function deployMockAMB(signer) {
+  return deployContract("MockAMB", [], signer);
+}
+
+/**
+ * Deploys the mock arbitrator, which handles its own appeals, for networks where there is no arbitrator.
+ * @param {ethers.Signer} signer The deployer.
+ * @param {object} params
+ * @param {ethers.BigNumberish} params.arbitrationFee The arbitration fee.
+ * @param {ethers.BigNumberish} params.appealTimeout The appeal period in seconds.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The contract and its deployment record.
+ */
+async function deployMockArbitrator(signer, { arbitrationFee, appealTimeout }) {
+  const result = await deployContract("MockAppealableArbitrator", [arbitrationFee, appealTimeout], signer);
+  await (await result.contract.changeArbitrator(result.contract.address)).wait();
+  return result;
+}
+
+/**
+ * Deploys a home proxy.
+ * @param {ethers.Signer} signer The deployer, which becomes the governor of the proxy.
+ * @param {object} params
+ * @param {string} [params.variant] The variant of the proxy. See `ProxyVariant`. Default: `"binary"`.
+ * @param {string} params.amb The address of the AMB on the Home Chain.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The contract and its deployment record.
+ */
+async function deployHomeProxy(signer, { variant = "binary", amb }) {
+  return deployContract(getProxyContractNames(variant).home, [amb], signer);
+}
+
+/**
+ * Deploys a foreign proxy.
+ * @param {ethers.Signer} signer The deployer, which becomes the governor of the proxy.
+ * @param {object} params
+ * @param {string} [params.variant] The variant of the proxy. See `ProxyVariant`. Default: `"binary"`.
+ * @param {string} params.amb The address of the AMB on the Foreign Chain.
+ * @param {string} params.arbitrator The address of the arbitrator.
+ * @param {ethers.BigNumberish} params.feeDepositTimeout The time the defendant has to deposit the fee, in seconds.
+ * @param {ethers.BigNumberish} params.requestTimeout The time to wait for the dispute request answer, in seconds.
+ * @param {ethers.BigNumberish} params.sharedMultiplier The appeal stake multiplier when there is no winner or loser.
+ * @param {ethers.BigNumberish} params.winnerMultiplier The appeal stake multiplier for the winner.
+ * @param {ethers.BigNumberish} params.loserMultiplier The appeal stake multiplier for the loser.
+ * @param {object<string, string>} [params.libraries] The libraries already deployed, by name. The missing ones are
+ * deployed along with the proxy.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The contract and its deployment record.
+ */
+async function deployForeignProxy(
+  signer,
+  {
+    variant = "binary",
+    amb,
+    arbitrator,
+    feeDepositTimeout,
+    requestTimeout,
+    sharedMultiplier,
+    winnerMultiplier,
+    loserMultiplier,
+    libraries,
+  }
+) {
+  const contractName = getProxyContractNames(variant).foreign;
+  return deployContract(
+    contractName,
+    [amb, arbitrator, feeDepositTimeout, requestTimeout, sharedMultiplier, winnerMultiplier, loserMultiplier],
+    signer,
+    await deployLibraries(contractName, signer, libraries)
+  );
+}
+
+/**
+ * Deploys a proxy behind a `GovernedUpgradeabilityProxy`, which makes the signer its governor.
+ * @dev The implementation is deployed with the given params, which the upgradeability proxy then copies through the
+ * governance functions, since the constructor of the implementation does not run for its storage.
+ * @param {ethers.Signer} signer The deployer, which becomes the governor of the proxy.
+ * @param {object} params
+ * @param {string} params.contractName The name of the proxy contract. See `UpgradeableSettings`.
+ * @param {{contract: ethers.Contract, deployment: DeploymentRecord}} params.implementation The deployed implementation.
+ * @param {string} params.counterpartName The name of the counterpart proxy contract, whose handlers have a gas limit.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The proxy, with the ABI of the
+ * implementation, and its deployment record.
+ */
+async function deployBehindUpgradeabilityProxy(signer, { contractName, implementation, counterpartName }) {
+  const { contract: upgradeabilityProxy, deployment } = await deployContract(
+    "GovernedUpgradeabilityProxy",
+    [implementation.contract.address, implementation.contract.interface.encodeFunctionData("initialize", [])],
+    signer
+  );
+  const contract = getContract(contractName, upgradeabilityProxy.address, signer);
+
+  for (const [getter, setter] of Object.entries(UpgradeableSettings[contractName])) {
+    await (await contract[setter](await implementation.contract[getter]())).wait();
+  }
+  const counterpartInterface = new ethers.utils.Interface(getAbi(counterpartName));
+  for (const selector of Object.keys(counterpartInterface.functions).map((f) => counterpartInterface.getSighash(f))) {
+    const gasLimit = await implementation.contract.messageGasLimits(selector);
+    if (!gasLimit.isZero()) {
+      await (await contract.changeMessageGasLimit(selector, gasLimit)).wait();
+    }
+  }
+
+  return { contract, deployment: { ...deployment, implementation: implementation.deployment } };
+}
+
+/**
+ * Deploys a binary home proxy which can be upgraded by its governor.
+ * @param {ethers.Signer} signer The deployer, which becomes the governor of the proxy.
+ * @param {object} params The params of `deployHomeProxy`. Only the binary variant can be upgraded.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The proxy and its deployment record.
+ */
+async function deployUpgradeableHomeProxy(signer, params) {
+  const names = getUpgradeableProxyContractNames(params.variant);
+  return deployBehindUpgradeabilityProxy(signer, {
+    contractName: names.home,
+    implementation: await deployHomeProxy(signer, params),
+    counterpartName: names.foreign,
+  });
+}
+
+/**
+ * Deploys a binary foreign proxy which can be upgraded by its governor.
+ * @param {ethers.Signer} signer The deployer, which becomes the governor of the proxy.
+ * @param {object} params The params of `deployForeignProxy`. Only the binary variant can be upgraded.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The proxy and its deployment record.
+ */
+async function deployUpgradeableForeignProxy(signer, params) {
+  const names = getUpgradeableProxyContractNames(params.variant);
+  return deployBehindUpgradeabilityProxy(signer, {
+    contractName: names.foreign,
+    implementation: await deployForeignProxy(signer, params),
+    counterpartName: names.home,
+  });
+}
+
+/**
+ * Deploys a new implementation for an upgradeable proxy and makes the proxy delegate to it.
+ * @dev The storage layout of the new implementation is not checked here. See `compareStorageLayouts`.
+ * The libraries are deployed again, since they may have changed along with the implementation.
+ * @param {ethers.Signer} signer The governor of the proxy.
+ * @param {object} params
+ * @param {string} params.contractName The name of the proxy contract.
+ * @param {string} params.address The address of the upgradeable proxy.
+ * @param {any[]} params.args The constructor arguments of the new implementation.
+ * @return {Promise<{implementation: DeploymentRecord, transactionHash: string}>} The deployment record of the new
+ * implementation and the hash of the upgrade transaction.
+ */
+async function upgradeProxy(signer, { contractName, address, args }) {
+  const { deployment: implementation } = await deployContract(
+    contractName,
+    args,
+    signer,
+    await deployLibraries(contractName, signer)
+  );
+
+  const upgradeabilityProxy = getContract("GovernedUpgradeabilityProxy", ethers.utils.getAddress(address), signer);
+  const tx = await upgradeabilityProxy.upgradeTo(implementation.address);
+  await tx.wait();
+
+  return { implementation, transactionHash: tx.hash };
+}
+
+/**
+ * Checks that a pair of proxies point to each other.
+ * @param {object} params
+ * @param {ethers.Contract} params.homeProxy The home proxy, connected to the Home Chain.
+ * @param {ethers.Contract} params.foreignProxy The foreign proxy, connected to the Foreign Chain.
+ * @param {number} params.homeChainId The ID of the Home Chain.
+ * @param {number} params.foreignChainId The ID of the Foreign Chain.
+ * @return {Promise<string[]>} The description of each problem found. Empty if the proxies are correctly linked.
+ */
+async function verifyLinkage({ homeProxy, foreignProxy, homeChainId, foreignChainId }) {
+  const [homeCode, foreignCode] = await Promise.all([
+    homeProxy.provider.getCode(homeProxy.address),
+    foreignProxy.provider.getCode(foreignProxy.address),
+  ]);
+
+  const problems = [];
+  if (homeCode === "0x") {
+    problems.push(`There is no contract at the home proxy address ${homeProxy.address}`);
+  }
+  if (foreignCode === "0x") {
+    problems.push(`There is no contract at the foreign proxy address ${foreignProxy.address}`);
+  }
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const [linkedForeignProxy, linkedForeignChainId, linkedHomeProxy, linkedHomeChainId] = await Promise.all([
+    homeProxy.foreignProxy(),
+    homeProxy.foreignChainId(),
+    foreignProxy.homeProxy(),
+    foreignProxy.homeChainId(),
+  ]);
+
+  if (linkedForeignProxy !== foreignProxy.address) {
+    problems.push(
+      `The home proxy points to the foreign proxy ${linkedForeignProxy} instead of ${foreignProxy.address}`
+    );
+  }
+  if (!linkedForeignChainId.eq(foreignChainId)) {
+    problems.push(`The home proxy points to the foreign chain ${linkedForeignChainId} instead of ${foreignChainId}`);
+  }
+  if (linkedHomeProxy !== homeProxy.address) {
+    problems.push(`The foreign proxy points to the home proxy ${linkedHomeProxy} instead of ${homeProxy.address}`);
+  }
+  if (!linkedHomeChainId.eq(homeChainId)) {
+    problems.push(`The foreign proxy points to the home chain ${linkedHomeChainId} instead of ${homeChainId}`);
+  }
+  return problems;
+}
+
+/**
+ * Links a pair of proxies to each other and verifies the linkage.
+ * @dev The proxies can only be linked once, so the proxies which already point to their counterpart are skipped.
+ * The foreign proxy is linked first, so the home proxy never relays messages the foreign proxy would reject.
+ * @param {object} params
+ * @param {string} [params.variant] The variant of the proxies. See `ProxyVariant`. Default: `"binary"`.
+ * @param {{address: string, signer: ethers.Signer}} params.home The home proxy and the governor on the Home Chain.
+ * @param {{address: string, signer: ethers.Signer}} params.foreign The foreign proxy and the governor on the Foreign Chain.
+ * @return {Promise<{homeChainId: number, foreignChainId: number, transactionHashes: string[]}>} The linkage.
+ */
+async function linkProxies({ variant = "binary", home, foreign }) {
+  const names = getProxyContractNames(variant);
+  const homeProxy = getContract(names.home, ethers.utils.getAddress(home.address), home.signer);
+  const foreignProxy = getContract(names.foreign, ethers.utils.getAddress(foreign.address), foreign.signer);
+
+  const [{ chainId: homeChainId }, { chainId: foreignChainId }] = await Promise.all([
+    home.signer.provider.getNetwork(),
+    foreign.signer.provider.getNetwork(),
+  ]);
+
+  const transactionHashes = [];
+  if ((await foreignProxy.homeProxy()) === ethers.constants.AddressZero) {
+    const tx = await foreignProxy.setHomeProxy(homeProxy.address, homeChainId);
+    await tx.wait();
+    transactionHashes.push(tx.hash);
+  }
+  if ((await homeProxy.foreignProxy()) === ethers.constants.AddressZero) {
+    const tx = await homeProxy.setForeignProxy(foreignProxy.address, foreignChainId);
+    await tx.wait();
+    transactionHashes.push(tx.hash);
+  }
+
+  const problems = await verifyLinkage({ homeProxy, foreignProxy, homeChainId, foreignChainId });
+  if (problems.length > 0) {
+    throw new Error(`The proxies are not linked correctly:\n  ${problems.join("\n  ")}`);
+  }
+
+  return { homeChainId, foreignChainId, transactionHashes };
+}
+
+/**
+ * Creates a store for the deployments of a network, kept as `<network>.json` in the deployments directory.
+ * @param {string} deploymentsDir The deployments directory.
+ * @param {string} network The name of the network.
+ * @return {{load: function(): Promise<Deployments|undefined>, save: function(Deployments): Promise<void>}} The store.
+ */
+function createDeploymentStore(deploymentsDir, network) {
+  return createFileStore(path.resolve(deploymentsDir, `${network}.json`));
+}
+
+/**
+ * Adds or replaces the deployment record of a contract in a deployments store.
+ * @param {object} store The deployments store.
+ * @param {object} params
+ * @param {number} params.chainId The ID of the chain of the network.
+ * @param {string} params.contractName The name of the contract.
+ * @param {DeploymentRecord} params.deployment The deployment record.
+ * @return {Promise<Deployments>} The updated deployments.
+ */
+async function recordDeployment(store, { chainId, contractName, deployment }) {
+  const deployments = (await store.load()) || { chainId, contracts: {} };
+  if (deployments.chainId !== chainId) {
+    throw new Error(
+      `The deployments were made on chain ${deployments.chainId}, but the network is on chain ${chainId}`
+    );
+  }
+
+  deployments.contracts[contractName] = deployment;
+  await store.save(deployments);
+  return deployments;
+}
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  ProxyVariant,
+  getProxyContractNames,
+  getUpgradeableProxyContractNames,
+  deployContract,
+  deployLibraries,
+  deployMockAMB,
+  deployMockArbitrator,
+  deployHomeProxy,
+  deployForeignProxy,
+  deployUpgradeableHomeProxy,
+  deployUpgradeableForeignProxy,
+  upgradeProxy,
+  verifyLinkage,
+  linkProxies,
+  createDeploymentStore,
+  recordDeployment,
+};
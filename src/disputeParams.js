@@ -0,0 +1,217 @@
+const { ethers } = require("ethers");
+
+/**
+ * @typedef {object} MetaEvidenceChange
+ * @property {ethers.BigNumber} arbitrableItemID The first arbitrable item ID the change applies to.
+ * @property {string} metaEvidence The meta evidence.
+ */
+
+/**
+ * @typedef {object} ArbitratorExtraDataChange
+ * @property {ethers.BigNumber} arbitrableItemID The first arbitrable item ID the change applies to.
+ * @property {string} arbitratorExtraData The extra data for the arbitrator.
+ * @property {string} arbitrator The arbitrator, as registered. The zero address for the default arbitrator.
+ */
+
+/**
+ * @typedef {object} DisputeParamsHistory
+ * @property {MetaEvidenceChange[]} metaEvidence The meta evidence changes, in registration order.
+ * @property {ArbitratorExtraDataChange[]} arbitratorExtraData The arbitrator extra data changes, in registration order.
+ */
+
+/**
+ * Finds the index of the change in effect for a value in a sorted list.
+ * Mirrors `DisputeParams.findBestIndex`.
+ *
+ * It is a slight variation of the Binary Search Rightmost algorithm:
+ * https://en.wikipedia.org/wiki/Binary_search_algorithm#Procedure_for_finding_the_leftmost_element
+ *
+ * @param {ethers.BigNumberish[]} list The sorted list.
+ * @param {ethers.BigNumberish} value The value to search.
+ * @return {number} The index `n` such that `list[n] <= value < list[n + 1]`.
+ */
+function findBestIndex(list, value) {
+  const target = ethers.BigNumber.from(value);
+  if (list.length === 0 || target.lt(list[0])) {
+    throw new Error("Not found");
+  }
+
+  let left = 0;
+  let right = list.length;
+
+  if (target.gt(list[right - 1])) {
+    return right - 1;
+  }
+
+  while (left < right) {
+    const pivot = Math.floor((left + right) / 2);
+    if (target.gte(list[pivot])) {
+      left = pivot + 1;
+    } else {
+      right = pivot;
+    }
+  }
+
+  return right - 1;
+}
+
+/**
+ * Resolves the dispute params in effect for an arbitrable item from the change history, as the foreign proxy does.
+ * @param {DisputeParamsHistory} history The change history of the arbitrable contract.
+ * @param {ethers.BigNumberish} arbitrableItemID The ID of the item on the arbitrable contract.
+ * @param {string} defaultArbitrator The default arbitrator of the foreign proxy.
+ * @return {{arbitratorExtraData: string, metaEvidence: string, arbitrator: string}} The dispute params.
+ */
+function resolveDisputeParams(history, arbitrableItemID, defaultArbitrator) {
+  const find = (changes, reason) => {
+    const arbitrableItemIDs = changes.map((change) => change.arbitrableItemID);
+    try {
+      return changes[findBestIndex(arbitrableItemIDs, arbitrableItemID)];
+    } catch (err) {
+      throw new Error(reason);
+    }
+  };
+
+  const { arbitratorExtraData, arbitrator } = find(history.arbitratorExtraData, "ArbitratorExtraData not found");
+  const { metaEvidence } = find(history.metaEvidence, "MetaEvidence not found");
+
+  return {
+    arbitratorExtraData,
+    metaEvidence,
+    arbitrator: arbitrator === ethers.constants.AddressZero ? defaultArbitrator : arbitrator,
+  };
+}
+
+/**
+ * Pages through the dispute params change history stored by the foreign proxy for an arbitrable contract.
+ * @param {ethers.Contract} foreignProxy The foreign proxy contract instance.
+ * @param {string} arbitrable The address of the arbitrable contract.
+ * @param {object} [options]
+ * @param {number} [options.cursor=0] The index of the first change to get, for both kinds of changes.
+ * @param {number} [options.count=0] The maximum number of changes of each kind to get. 0 means all of them.
+ * @return {Promise<DisputeParamsHistory>} The change history.
+ */
+async function fetchDisputeParamsHistory(foreignProxy, arbitrable, { cursor = 0, count = 0 } = {}) {
+  const { metaEvidenceCount, arbitratorExtraDataCount } = await foreignProxy.getDisputeParamChangesCount(arbitrable);
+  const page = (total) => {
+    const end = count === 0 ? total.toNumber() : Math.min(total.toNumber(), cursor + count);
+    return Array.from({ length: Math.max(end - cursor, 0) }, (_, i) => cursor + i);
+  };
+
+  const [metaEvidence, arbitratorExtraData] = await Promise.all([
+    Promise.all(
+      page(metaEvidenceCount).map(async (index) => {
+        const change = await foreignProxy.getMetaEvidenceChange(arbitrable, index);
+        return { arbitrableItemID: change.arbitrableItemID, metaEvidence: change.metaEvidence };
+      })
+    ),
+    Promise.all(
+      page(arbitratorExtraDataCount).map(async (index) => {
+        const change = await foreignProxy.getArbitratorExtraDataChange(arbitrable, index);
+        return {
+          arbitrableItemID: change.arbitrableItemID,
+          arbitratorExtraData: change.arbitratorExtraData,
+          arbitrator: change.itemArbitrator,
+        };
+      })
+    ),
+  ]);
+
+  return { metaEvidence, arbitratorExtraData };
+}
+
+/**
+ * Rebuilds the dispute params change history of an arbitrable contract from the events of the foreign proxy.
+ * @dev Only the messages the foreign proxy accepted emit the events, so failed messages are left out until retried.
+ * @param {ethers.Contract} foreignProxy The foreign proxy contract instance.
+ * @param {string} arbitrable The address of the arbitrable contract.
+ * @param {object} [options]
+ * @param {ethers.providers.BlockTag} [options.fromBlock=0] The block from where to search the events.
+ * @param {ethers.providers.BlockTag} [options.toBlock="latest"] The block up to where to search the events.
+ * @return {Promise<DisputeParamsHistory>} The change history.
+ */
+async function getDisputeParamsHistoryFromEvents(foreignProxy, arbitrable, { fromBlock = 0, toBlock = "latest" } = {}) {
+  const [metaEvidenceEvents, arbitratorExtraDataEvents] = await Promise.all([
+    foreignProxy.queryFilter(foreignProxy.filters.MetaEvidenceReceived(arbitrable), fromBlock, toBlock),
+    foreignProxy.queryFilter(foreignProxy.filters.ArbitratorExtraDataReceived(arbitrable), fromBlock, toBlock),
+  ]);
+
+  return {
+    metaEvidence: metaEvidenceEvents.map(({ args }) => ({
+      arbitrableItemID: args._arbitrableItemID,
+      metaEvidence: args._metaEvidence,
+    })),
+    arbitratorExtraData: arbitratorExtraDataEvents.map(({ args }) => ({
+      arbitrableItemID: args._arbitrableItemID,
+      arbitratorExtraData: args._arbitratorExtraData,
+      arbitrator: args._arbitrator,
+    })),
+  };
+}
+
+/**
+ * Cross-checks the dispute params resolved off-chain from the events against the foreign proxy.
+ * Both the stored change history and the params of each given item are compared.
+ * @param {ethers.Contract} foreignProxy The foreign proxy contract instance.
+ * @param {string} arbitrable The address of the arbitrable contract.
+ * @param {ethers.BigNumberish[]} arbitrableItemIDs The IDs of the items to check.
+ * @param {object} [options] The block range of the events. See `getDisputeParamsHistoryFromEvents`.
+ * @return {Promise<string[]>} The description of each mismatch found. Empty if both sides agree.
+ */
+async function crossCheckDisputeParams(foreignProxy, arbitrable, arbitrableItemIDs, options = {}) {
+  const [history, storedHistory, defaultArbitrator] = await Promise.all([
+    getDisputeParamsHistoryFromEvents(foreignProxy, arbitrable, options),
+    fetchDisputeParamsHistory(foreignProxy, arbitrable),
+    foreignProxy.arbitrator(),
+  ]);
+
+  const mismatches = [];
+  Object.keys(history).forEach((kind) => {
+    if (history[kind].length !== storedHistory[kind].length) {
+      mismatches.push(
+        `The events have ${history[kind].length} ${kind} changes, but the contract has ${storedHistory[kind].length}`
+      );
+    }
+  });
+
+  const itemMismatches = await Promise.all(
+    arbitrableItemIDs.map(async (arbitrableItemID) => {
+      const [expected, actual] = await Promise.all([
+        settle(() => resolveDisputeParams(history, arbitrableItemID, defaultArbitrator)),
+        settle(() => foreignProxy.getDisputeParams(arbitrable, arbitrableItemID)),
+      ]);
+
+      if (expected.error || actual.error) {
+        return expected.error && actual.error
+          ? []
+          : [`Item ${arbitrableItemID}: ${expected.error ? "the events" : "the contract"} have no dispute params`];
+      }
+
+      const { arbitratorExtraData, metaEvidence, itemArbitrator } = actual.value;
+      return Object.entries({ arbitratorExtraData, metaEvidence, arbitrator: itemArbitrator })
+        .filter(([field, value]) => expected.value[field] !== value)
+        .map(
+          ([field, value]) =>
+            `Item ${arbitrableItemID}: ${field} is ${expected.value[field]} in the events, but ${value} in the contract`
+        );
+    })
+  );
+
+  return [...mismatches, ...itemMismatches.flat()];
+}
+
+async function settle(fn) {
+  try {
+    return { value: await fn() };
+  } catch (error) {
+    return { error };
+  }
+}
+
+module.exports = {
+  findBestIndex,
+  resolveDisputeParams,
+  fetchDisputeParamsHistory,
+  getDisputeParamsHistoryFromEvents,
+  crossCheckDisputeParams,
+};
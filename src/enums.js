@@ -0,0 +1,75 @@
+/**
+ * Status of an arbitration on the foreign proxy.
+ * Mirrors `ForeignBinaryArbitrationProxy.Status`.
+ */
+const ForeignStatus = Object.freeze({
+  None: 0,
+  Requested: 1,
+  DepositPending: 2,
+  Ongoing: 3,
+  Ruled: 4,
+  Settled: 5,
+});
+
+/**
+ * Status of an arbitrable item on the home proxy.
+ * Mirrors `HomeBinaryArbitrationProxy.Status`.
+ */
+const HomeStatus = Object.freeze({
+  None: 0,
+  Rejected: 1,
+  Accepted: 2,
+  Ruled: 3,
+  Settled: 4,
+});
+
+/**
+ * The parties of a binary arbitration. Also used as the ruling options.
+ * Mirrors `ForeignBinaryArbitrationProxy.Party`.
+ */
+const Party = Object.freeze({
+  None: 0,
+  Defendant: 1,
+  Plaintiff: 2,
+});
+
+/**
+ * Gets the name of an enum value.
+ * @param {object} enumObject One of the enums in this module.
+ * @param {number|string|{toNumber: function(): number}} value The numeric value.
+ * @return {string} The name of the value.
+ */
+function decodeEnum(enumObject, value) {
+  const numericValue = Number(value);
+  const entry = Object.entries(enumObject).find(([, enumValue]) => enumValue === numericValue);
+
+  if (!entry) {
+    throw new RangeError(`Invalid enum value: ${value}`);
+  }
+
+  return entry[0];
+}
+
+/**
+ * Gets the numeric value of an enum entry, accepting either the name or the value itself.
+ * @param {object} enumObject One of the enums in this module.
+ * @param {number|string} nameOrValue The name or the numeric value.
+ * @return {number} The numeric value.
+ */
+function encodeEnum(enumObject, nameOrValue) {
+  if (Object.prototype.hasOwnProperty.call(enumObject, nameOrValue)) {
+    return enumObject[nameOrValue];
+  }
+
+  // Validates the value
+  decodeEnum(enumObject, nameOrValue);
+  return Number(nameOrValue);
+}
+
+module.exports = {
+  ForeignStatus,
+  HomeStatus,
+  Party,
+  decodeEnum,
+  encodeEnum,
+};
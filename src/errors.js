@@ -0,0 +1,155 @@
+/**
+ * Maps the revert reasons of the proxies to error codes.
+ */
+const revertReasonToCode = Object.freeze({
+  // Shared
+  "Only governor allowed": "ONLY_GOVERNOR",
+  "Only AMB allowed": "ONLY_AMB",
+  "Not initialized yet": "NOT_INITIALIZED",
+  "Only self allowed": "ONLY_SELF",
+  "Message did not fail": "MESSAGE_DID_NOT_FAIL",
+  "Message failed again": "MESSAGE_FAILED_AGAIN",
+  "Already initialized": "ALREADY_INITIALIZED",
+  // Home proxy
+  "Only foreign chain allowed": "ONLY_FOREIGN_CHAIN",
+  "Only foreign proxy allowed": "ONLY_FOREIGN_PROXY",
+  "Foreign proxy already set": "FOREIGN_PROXY_ALREADY_SET",
+  "Dispute request already exists": "DISPUTE_REQUEST_ALREADY_EXISTS",
+  "Dispute is not accepted": "DISPUTE_NOT_ACCEPTED",
+  "Dispute is not rejected": "DISPUTE_NOT_REJECTED",
+  "Dispute cannot be ruled": "DISPUTE_CANNOT_BE_RULED",
+  "Only parties allowed": "ONLY_PARTIES",
+  "Evidence URI is empty": "EMPTY_EVIDENCE_URI",
+  "Value bridge not set": "VALUE_BRIDGE_NOT_SET",
+  // Foreign proxy
+  "Only home chain allowed": "ONLY_HOME_CHAIN",
+  "Only home proxy allowed": "ONLY_HOME_PROXY",
+  "Home proxy already set": "HOME_PROXY_ALREADY_SET",
+  "Item ID value lower than latest": "ITEM_ID_LOWER_THAN_LATEST",
+  "MetaEvidence should be different": "META_EVIDENCE_NOT_CHANGED",
+  "Extra data should be different": "EXTRA_DATA_NOT_CHANGED",
+  "ArbitratorExtraData not found": "ARBITRATOR_EXTRA_DATA_NOT_FOUND",
+  "MetaEvidence not found": "META_EVIDENCE_NOT_FOUND",
+  "Arbitrator not allowed": "ARBITRATOR_NOT_ALLOWED",
+  "Dispute already requested": "DISPUTE_ALREADY_REQUESTED",
+  "Deposit value too low": "DEPOSIT_TOO_LOW",
+  "Invalid arbitration status": "INVALID_ARBITRATION_STATUS",
+  "Invalid status": "INVALID_STATUS",
+  "Deadline for deposit has expired": "DEPOSIT_DEADLINE_EXPIRED",
+  "Defendant deposit still possible": "DEFENDANT_DEPOSIT_STILL_POSSIBLE",
+  "Dispute request still pending": "DISPUTE_REQUEST_STILL_PENDING",
+  "Dispute request does not match": "DISPUTE_REQUEST_MISMATCH",
+  "Token not supported": "TOKEN_NOT_SUPPORTED",
+  "Invalid payment token": "INVALID_PAYMENT_TOKEN",
+  "Token transfer failed": "TOKEN_TRANSFER_FAILED",
+  "Bridged value not received": "BRIDGED_VALUE_NOT_RECEIVED",
+  "Must pay non-zero value": "ZERO_VALUE",
+  "Invalid side": "INVALID_SIDE",
+  "Invalid ruling option": "INVALID_RULING_OPTION",
+  "Appeal fee already paid": "APPEAL_FEE_ALREADY_PAID",
+  "Appeal period is over": "APPEAL_PERIOD_OVER",
+  "Loser party deadline is over": "LOSER_DEADLINE_OVER",
+  "Only dispute arbitrator allowed": "ONLY_DISPUTE_ARBITRATOR",
+  "The arbitration is not settled": "ARBITRATION_NOT_SETTLED",
+  "No appeal rounds": "NO_APPEAL_ROUNDS",
+  "Invalid rulings length": "INVALID_RULINGS_LENGTH",
+  "No pending balance": "NO_PENDING_BALANCE",
+});
+
+const revertReasonPatterns = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^"\n]*)/,
+  /VM Exception while processing transaction: revert ([^"\n]*)/,
+];
+
+/**
+ * Error thrown by the proxy clients when a call or transaction reverts.
+ */
+class ProxyError extends Error {
+  /**
+   * @param {string} code The error code. `UNKNOWN` when the revert reason is not known.
+   * @param {string} [reason] The revert reason, if any.
+   * @param {Error} [cause] The original error.
+   */
+  constructor(code, reason, cause) {
+    super(reason ? `${code}: ${reason}` : code);
+    this.name = "ProxyError";
+    this.code = code;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+/**
+ * How deep `getRevertReason` looks into the errors wrapped by an error.
+ */
+const MAX_ERROR_DEPTH = 10;
+
+/**
+ * Extracts the revert reason from an error thrown by ethers or the node.
+ * @dev The errors wrapped in `err.error` are looked into as well. Some versions of ethers wrap errors which refer back
+ * to their wrapper, so the errors already seen are skipped.
+ * @param {Error} err The error.
+ * @return {string|undefined} The revert reason, if any.
+ */
+function getRevertReason(err) {
+  const seen = new Set();
+  for (let current = err; current && !seen.has(current) && seen.size < MAX_ERROR_DEPTH; current = current.error) {
+    seen.add(current);
+
+    if (typeof current.reason === "string" && current.reason !== "") {
+      const match = revertReasonPatterns.map((pattern) => pattern.exec(current.reason)).find(Boolean);
+      return match ? match[1].trim() : current.reason;
+    }
+
+    for (const message of [current.message, current.body]) {
+      if (typeof message === "string") {
+        const match = revertReasonPatterns.map((pattern) => pattern.exec(message)).find(Boolean);
+        if (match) {
+          return match[1].trim();
+        }
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Wraps an error into a `ProxyError` when it was caused by a revert.
+ * @param {Error} err The original error.
+ * @return {Error} The `ProxyError` or the original error when it is not a revert.
+ */
+function toProxyError(err) {
+  if (err instanceof ProxyError) {
+    return err;
+  }
+
+  const reason = getRevertReason(err);
+  if (reason === undefined) {
+    return err;
+  }
+
+  return new ProxyError(revertReasonToCode[reason] || "UNKNOWN", reason, err);
+}
+
+/**
+ * Calls `fn` turning reverts into `ProxyError`s.
+ * @param {function(): Promise<*>} fn The function to call.
+ * @return {Promise<*>} The value returned by `fn`.
+ */
+async function withProxyErrors(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    throw toProxyError(err);
+  }
+}
+
+module.exports = {
+  ProxyError,
+  revertReasonToCode,
+  getRevertReason,
+  toProxyError,
+  withProxyErrors,
+};
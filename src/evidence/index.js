@@ -0,0 +1,439 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { Party } = require("../enums");
+const { createFileSystemEvidenceStore } = require("./stores");
+
+/**
+ * The hash functions supported to check the file hashes, by multihash code.
+ */
+const MultihashFunction = Object.freeze({
+  "1b": Object.freeze({ name: "keccak-256", digest: (data) => ethers.utils.keccak256(data).slice(2) }),
+  12: Object.freeze({ name: "sha2-256", digest: (data) => ethers.utils.sha256(data).slice(2) }),
+});
+
+/**
+ * The ruling option types of ERC-1497.
+ */
+const RULING_OPTION_TYPES = Object.freeze([
+  "single-select",
+  "multiple-select",
+  "uint",
+  "int",
+  "string",
+  "datetime",
+  "hash",
+]);
+
+/**
+ * The titles of the rulings of the binary proxies. The title of the ruling `n` is at `n - 1`, as in ERC-1497.
+ */
+const BINARY_RULING_TITLES = Object.freeze(
+  Object.entries(Party)
+    .filter(([, value]) => value !== Party.None)
+    .sort(([, a], [, b]) => a - b)
+    .map(([name]) => name)
+);
+
+/**
+ * The URI fields of the documents along with the field holding the hash of their content.
+ */
+const HASHED_URI_FIELDS = Object.freeze([
+  Object.freeze({ uri: "fileURI", hash: "fileHash", required: true }),
+  Object.freeze({ uri: "evidenceDisplayInterfaceURI", hash: "evidenceDisplayInterfaceHash", required: false }),
+  Object.freeze({ uri: "dynamicScriptURI", hash: "dynamicScriptHash", required: false }),
+]);
+
+/**
+ * @typedef {object} MetaEvidence An ERC-1497 meta evidence document.
+ * @property {string} title The title of the dispute.
+ * @property {string} description The description of the dispute.
+ * @property {string} question The question the jurors have to answer.
+ * @property {{type: string, titles: string[], descriptions: string[]}} rulingOptions The rulings the arbitrator can
+ * give. For the binary proxies, the titles are always `BINARY_RULING_TITLES`.
+ * @property {string} [category] The category of the dispute.
+ * @property {object<string, string>} [aliases] The names of the parties, by address.
+ * @property {string} [fileURI] The URI of the primary document, i.e.: the policy.
+ * @property {string} [fileHash] The multihash of the primary document. Required along with `fileURI`.
+ * @property {string} [fileTypeExtension] The extension of the primary document, without the dot.
+ * @property {string} [evidenceDisplayInterfaceURI] The URI of the interface which displays the evidence.
+ * @property {string} [evidenceDisplayInterfaceHash] The multihash of the evidence display interface.
+ * @property {string} [dynamicScriptURI] The URI of the script which adds the dynamic content.
+ * @property {string} [dynamicScriptHash] The multihash of the dynamic script.
+ */
+
+/**
+ * @typedef {object} Evidence An ERC-1497 evidence document.
+ * @property {string} name The name of the evidence.
+ * @property {string} [description] The description of the evidence.
+ * @property {string} [fileURI] The URI of the evidence file.
+ * @property {string} [fileHash] The multihash of the evidence file. Required along with `fileURI`.
+ * @property {string} [fileTypeExtension] The extension of the evidence file, without the dot.
+ */
+
+/**
+ * Computes the keccak-256 multihash of some content, as a hex string without the `0x` prefix, as used by ERC-1497.
+ * @param {Buffer|string} data The content.
+ * @return {string} The multihash.
+ */
+function computeMultihash(data) {
+  return `1b20${ethers.utils.keccak256(Buffer.from(data)).slice(2)}`;
+}
+
+/**
+ * Decodes a multihash.
+ * @param {string} multihash The multihash as a hex string, with or without the `0x` prefix.
+ * @return {{code: string, digest: string}|undefined} The hash function code and the digest. Undefined if it is not a
+ * valid multihash.
+ */
+function decodeMultihash(multihash) {
+  const hex = multihash.replace(/^0x/, "").toLowerCase();
+  if (!/^([0-9a-f]{2})+$/.test(hex) || hex.length < 4) {
+    return undefined;
+  }
+
+  const digest = hex.slice(4);
+  if (parseInt(hex.slice(2, 4), 16) * 2 !== digest.length) {
+    return undefined;
+  }
+  return { code: hex.slice(0, 2), digest };
+}
+
+function isString(value) {
+  return typeof value === "string";
+}
+
+function isNonEmptyString(value) {
+  return isString(value) && value.trim().length > 0;
+}
+
+function checkStrings(document, fields, { required }, problems) {
+  for (const field of fields) {
+    const value = document[field];
+    if (value === undefined) {
+      if (required) {
+        problems.push(`${field} is required`);
+      }
+    } else if (!(required ? isNonEmptyString(value) : isString(value))) {
+      problems.push(`${field} must be a${required ? " non-empty" : ""} string`);
+    }
+  }
+}
+
+function checkFileFields(document, problems) {
+  for (const { uri, hash, required } of HASHED_URI_FIELDS) {
+    if (document[hash] !== undefined && document[uri] === undefined) {
+      problems.push(`${hash} is set without ${uri}`);
+    } else if (required && document[uri] !== undefined && document[hash] === undefined) {
+      problems.push(`${uri} is set without ${hash}`);
+    }
+    if (isString(document[hash]) && !decodeMultihash(document[hash])) {
+      problems.push(`${hash} must be a hex multihash`);
+    }
+  }
+
+  const { fileTypeExtension } = document;
+  if (isString(fileTypeExtension) && !/^[a-z0-9]+$/i.test(fileTypeExtension)) {
+    problems.push("fileTypeExtension must be alphanumeric, without the dot");
+  }
+}
+
+function checkDocument(document, problems) {
+  if (typeof document !== "object" || document === null || Array.isArray(document)) {
+    problems.push("The document must be a JSON object");
+    return false;
+  }
+  return true;
+}
+
+function checkVariant(variant) {
+  if (variant !== "binary" && variant !== "multi-outcome") {
+    throw new Error(`Unknown proxy variant "${variant}". Expected one of: binary, multi-outcome`);
+  }
+}
+
+function checkRulingOptions(rulingOptions, variant, problems) {
+  if (typeof rulingOptions !== "object" || rulingOptions === null || Array.isArray(rulingOptions)) {
+    problems.push("rulingOptions must be an object");
+    return;
+  }
+
+  const { type, titles, descriptions } = rulingOptions;
+  if (!RULING_OPTION_TYPES.includes(type)) {
+    problems.push(`rulingOptions.type must be one of: ${RULING_OPTION_TYPES.join(", ")}`);
+  }
+
+  const isSelect = type === "single-select" || type === "multiple-select";
+  if (titles !== undefined || isSelect) {
+    if (!Array.isArray(titles) || !titles.every(isNonEmptyString)) {
+      problems.push("rulingOptions.titles must be a list of non-empty strings");
+    }
+  }
+  if (descriptions !== undefined) {
+    if (!Array.isArray(descriptions) || !descriptions.every(isString)) {
+      problems.push("rulingOptions.descriptions must be a list of strings");
+    } else if (Array.isArray(titles) && descriptions.length > titles.length) {
+      problems.push("rulingOptions.descriptions has more entries than rulingOptions.titles");
+    }
+  }
+
+  if (variant === "binary") {
+    if (type !== "single-select") {
+      problems.push('rulingOptions.type must be "single-select" on the binary proxies');
+    }
+    const matchesParties =
+      Array.isArray(titles) &&
+      titles.length === BINARY_RULING_TITLES.length &&
+      titles.every((title, i) => title === BINARY_RULING_TITLES[i]);
+    if (!matchesParties) {
+      problems.push(`rulingOptions.titles must be ${JSON.stringify(BINARY_RULING_TITLES)} on the binary proxies`);
+    }
+  }
+}
+
+function checkAliases(aliases, problems) {
+  if (aliases === undefined) {
+    return;
+  }
+  if (typeof aliases !== "object" || aliases === null || Array.isArray(aliases)) {
+    problems.push("aliases must be an object");
+    return;
+  }
+
+  for (const [address, alias] of Object.entries(aliases)) {
+    if (!ethers.utils.isAddress(address)) {
+      problems.push(`The alias ${JSON.stringify(address)} is not an address`);
+    } else if (!isNonEmptyString(alias)) {
+      problems.push(`The alias of ${address} must be a non-empty string`);
+    }
+  }
+}
+
+/**
+ * Checks the schema of a meta evidence document.
+ * @param {MetaEvidence} metaEvidence The document.
+ * @param {object} [options]
+ * @param {string} [options.variant="binary"] The variant of the proxies the document is registered on.
+ * @return {string[]} The problems found. Empty if the document is valid.
+ */
+function validateMetaEvidence(metaEvidence, { variant = "binary" } = {}) {
+  checkVariant(variant);
+
+  const problems = [];
+  if (!checkDocument(metaEvidence, problems)) {
+    return problems;
+  }
+
+  checkStrings(metaEvidence, ["title", "description", "question"], { required: true }, problems);
+  checkStrings(
+    metaEvidence,
+    ["category", "fileTypeExtension", ...HASHED_URI_FIELDS.flatMap(({ uri, hash }) => [uri, hash])],
+    { required: false },
+    problems
+  );
+  checkFileFields(metaEvidence, problems);
+  checkAliases(metaEvidence.aliases, problems);
+  if (metaEvidence.rulingOptions === undefined) {
+    problems.push("rulingOptions is required");
+  } else {
+    checkRulingOptions(metaEvidence.rulingOptions, variant, problems);
+  }
+
+  return problems;
+}
+
+/**
+ * Checks the schema of an evidence document.
+ * @param {Evidence} evidence The document.
+ * @return {string[]} The problems found. Empty if the document is valid.
+ */
+function validateEvidence(evidence) {
+  const problems = [];
+  if (!checkDocument(evidence, problems)) {
+    return problems;
+  }
+
+  checkStrings(evidence, ["name"], { required: true }, problems);
+  checkStrings(evidence, ["description", "fileURI", "fileHash", "fileTypeExtension"], { required: false }, problems);
+  checkFileFields(evidence, problems);
+
+  return problems;
+}
+
+/**
+ * Checks that the files a document links to match their hashes.
+ * @param {MetaEvidence|Evidence} document The document. Its schema must be valid.
+ * @param {EvidenceStore} store The store to download the files from.
+ * @return {Promise<string[]>} The problems found. Empty if every hash matches.
+ */
+async function verifyFileHashes(document, store) {
+  const problems = [];
+
+  for (const { uri, hash } of HASHED_URI_FIELDS) {
+    if (document[uri] === undefined || document[hash] === undefined) {
+      continue;
+    }
+
+    const { code, digest } = decodeMultihash(document[hash]);
+    const hashFunction = MultihashFunction[code];
+    if (!hashFunction) {
+      problems.push(`${hash} uses an unsupported hash function (0x${code})`);
+      continue;
+    }
+
+    let content;
+    try {
+      content = await store.download(document[uri]);
+    } catch (err) {
+      problems.push(`Could not download ${uri} ${document[uri]}: ${err.message}`);
+      continue;
+    }
+    if (hashFunction.digest(content) !== digest) {
+      problems.push(`${hash} does not match the content of ${document[uri]}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * The documents which can be built and validated. `fileName` is the name they are uploaded with.
+ */
+const DocumentKind = Object.freeze({
+  "meta-evidence": Object.freeze({ fileName: "metaEvidence.json", validate: validateMetaEvidence }),
+  evidence: Object.freeze({ fileName: "evidence.json", validate: validateEvidence }),
+});
+
+function getDocumentKind(kind) {
+  const documentKind = DocumentKind[kind];
+  if (!documentKind) {
+    throw new Error(`Unknown document kind "${kind}". Expected one of: ${Object.keys(DocumentKind).join(", ")}`);
+  }
+  return documentKind;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function assertValid(problems, kind) {
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${kind}:\n  ${problems.join("\n  ")}`);
+  }
+}
+
+/**
+ * Builds a meta evidence document and checks its schema.
+ * On the binary proxies, the ruling options are filled in from `Party`: only their descriptions can be given.
+ * @param {object} params The fields of the document. See `MetaEvidence`.
+ * @param {string} [params.variant="binary"] The variant of the proxies the document is registered on.
+ * @param {string[]} [params.rulingDescriptions] On the binary proxies, the description of each ruling.
+ * @return {MetaEvidence} The document.
+ * @throws {Error} If the document is not valid.
+ */
+function buildMetaEvidence({ variant = "binary", rulingDescriptions, ...fields }) {
+  checkVariant(variant);
+
+  const metaEvidence = withoutUndefined(fields);
+  if (variant === "binary" && metaEvidence.rulingOptions === undefined) {
+    metaEvidence.rulingOptions = withoutUndefined({
+      type: "single-select",
+      titles: [...BINARY_RULING_TITLES],
+      descriptions: rulingDescriptions,
+    });
+  }
+
+  assertValid(validateMetaEvidence(metaEvidence, { variant }), "meta evidence");
+  return metaEvidence;
+}
+
+/**
+ * Builds an evidence document and checks its schema.
+ * @param {Evidence} fields The fields of the document.
+ * @return {Evidence} The document.
+ * @throws {Error} If the document is not valid.
+ */
+function buildEvidence(fields) {
+  const evidence = withoutUndefined(fields);
+
+  assertValid(validateEvidence(evidence), "evidence");
+  return evidence;
+}
+
+/**
+ * Uploads a file to be linked from a document.
+ * @param {EvidenceStore} store The store.
+ * @param {string} fileName The name of the file.
+ * @param {Buffer|string} data The content of the file.
+ * @return {Promise<{fileURI: string, fileHash: string, fileTypeExtension: string|undefined}>} The fields linking to the
+ * file, to be spread into the document.
+ */
+async function uploadFile(store, fileName, data) {
+  const extension = path.extname(fileName).slice(1);
+
+  return {
+    fileURI: await store.upload(fileName, data),
+    fileHash: computeMultihash(data),
+    fileTypeExtension: extension || undefined,
+  };
+}
+
+/**
+ * Checks the schema and the file hashes of a document, then uploads it.
+ * @param {EvidenceStore} store The store.
+ * @param {MetaEvidence|Evidence} document The document.
+ * @param {object} [options]
+ * @param {string} [options.kind="meta-evidence"] Either `meta-evidence` or `evidence`.
+ * @param {string} [options.variant="binary"] For the meta evidence, the variant of the proxies.
+ * @return {Promise<string>} The URI of the document, to be passed to `registerMetaEvidence` or `submitEvidence`.
+ * @throws {Error} If the document is not valid.
+ */
+async function publishDocument(store, document, { kind = "meta-evidence", variant = "binary" } = {}) {
+  const { fileName, validate } = getDocumentKind(kind);
+
+  const problems = validate(document, { variant });
+  assertValid(problems.length > 0 ? problems : await verifyFileHashes(document, store), kind);
+
+  return store.upload(fileName, JSON.stringify(document, null, 2));
+}
+
+/**
+ * Downloads a published document and checks its schema and its file hashes.
+ * @param {EvidenceStore} store The store.
+ * @param {string} uri The URI of the document, i.e.: as emitted in `MetaEvidence` or `Evidence`.
+ * @param {object} [options]
+ * @param {string} [options.kind="meta-evidence"] Either `meta-evidence` or `evidence`.
+ * @param {string} [options.variant="binary"] For the meta evidence, the variant of the proxies.
+ * @return {Promise<{document: object|undefined, problems: string[]}>} The document, if it could be parsed, and the
+ * problems found.
+ */
+async function verifyDocument(store, uri, { kind = "meta-evidence", variant = "binary" } = {}) {
+  const { validate } = getDocumentKind(kind);
+
+  let document;
+  try {
+    document = JSON.parse((await store.download(uri)).toString("utf8"));
+  } catch (err) {
+    return { document: undefined, problems: [`Could not read the document at ${uri}: ${err.message}`] };
+  }
+
+  const problems = validate(document, { variant });
+  if (problems.length > 0) {
+    return { document, problems };
+  }
+  return { document, problems: await verifyFileHashes(document, store) };
+}
+
+module.exports = {
+  BINARY_RULING_TITLES,
+  computeMultihash,
+  decodeMultihash,
+  validateMetaEvidence,
+  validateEvidence,
+  verifyFileHashes,
+  buildMetaEvidence,
+  buildEvidence,
+  uploadFile,
+  publishDocument,
+  verifyDocument,
+  createFileSystemEvidenceStore,
+};
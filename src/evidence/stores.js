@@ -0,0 +1,56 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL, fileURLToPath } = require("url");
+const { ethers } = require("ethers");
+
+/**
+ * @typedef {object} EvidenceStore
+ * @property {function(string, Buffer|string): Promise<string>} upload Uploads a file, given its name and content, and
+ * resolves to its URI.
+ * @property {function(string): Promise<Buffer>} download Downloads the content of a file from its URI.
+ */
+
+/**
+ * Creates a store which keeps the files in a local directory. Useful for tests and for staging the files before
+ * pinning them elsewhere.
+ * @dev The files are content-addressed: each one is written under a directory named after the keccak256 of its content,
+ * so uploading a new version never overwrites the previous one.
+ * @param {string} directory The directory where the files are kept.
+ * @return {EvidenceStore} The store. The URIs are `file://` URLs.
+ */
+function createFileSystemEvidenceStore(directory) {
+  const root = path.resolve(directory);
+
+  return {
+    async upload(fileName, data) {
+      if (path.basename(fileName) !== fileName) {
+        throw new TypeError(`Invalid file name: ${fileName}`);
+      }
+
+      const content = Buffer.from(data);
+      const fileDirectory = path.join(root, ethers.utils.keccak256(content).slice(2));
+      const filePath = path.join(fileDirectory, fileName);
+
+      await fs.promises.mkdir(fileDirectory, { recursive: true });
+      await fs.promises.writeFile(filePath, content);
+      return pathToFileURL(filePath).href;
+    },
+    async download(uri) {
+      let filePath;
+      try {
+        filePath = fileURLToPath(uri);
+      } catch (err) {
+        throw new TypeError(`Unsupported URI: ${uri}`);
+      }
+
+      if (path.relative(root, filePath).startsWith("..")) {
+        throw new Error(`${uri} is not in the store`);
+      }
+      return fs.promises.readFile(filePath);
+    },
+  };
+}
+
+module.exports = {
+  createFileSystemEvidenceStore,
+};
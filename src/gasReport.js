@@ -0,0 +1,267 @@
+const { ethers } = require("ethers");
+
+/**
+ * @typedef {object} GasMeasurement
+ * @property {string} scenario The scenario in which the call was made.
+ * @property {string} contract The name of the contract called.
+ * @property {string} method The function called.
+ * @property {boolean} bridged Whether the call is the execution of a message received through the AMB.
+ * @property {number} gasUsed The gas used by the call.
+ */
+
+/**
+ * @typedef {object} DeploymentCost
+ * @property {string} contract The name of the contract.
+ * @property {number} gasUsed The gas used by the deployment.
+ * @property {number} codeSize The size of the deployed bytecode in bytes, out of the 24576 bytes allowed.
+ */
+
+/**
+ * @typedef {object} GasSummary
+ * @property {string} key The `Contract.method` the summary is about.
+ * @property {string} contract The name of the contract.
+ * @property {string} method The function.
+ * @property {boolean} bridged Whether the function is a receiver of bridged messages.
+ * @property {number} calls The number of measured calls.
+ * @property {number} min The lowest gas used.
+ * @property {number} max The highest gas used.
+ * @property {number} avg The average gas used, rounded.
+ * @property {string} maxScenario The scenario of the call which used the most gas.
+ */
+
+/**
+ * The event `MockAMB` emits for each message it executes.
+ */
+const MESSAGE_PASSED_ABI = ["event MessagePassed(address _contract, bytes _data, uint256 _gas, uint256 _gasUsed)"];
+
+/**
+ * Creates a recorder of the gas used by the transactions sent to a set of contracts.
+ * The messages executed by the mock AMB during a transaction are measured on their own, as bridged calls.
+ * @param {object} params
+ * @param {ethers.Contract} params.amb The `MockAMB` the contracts send their messages through.
+ * @return {object} The recorder.
+ */
+function createGasRecorder({ amb }) {
+  const ambInterface = new ethers.utils.Interface(MESSAGE_PASSED_ABI);
+  const contracts = new Map();
+  const measurements = [];
+  const deployments = [];
+
+  function getContractName(address) {
+    const entry = contracts.get(ethers.utils.getAddress(address));
+    return entry ? entry.name : address;
+  }
+
+  /**
+   * Decodes the function called with some calldata, unwrapping it from `receiveMessage` if needed.
+   * @param {string} address The address of the contract called.
+   * @param {string} data The calldata.
+   * @return {string} The name of the function, or its selector if the contract is unknown.
+   */
+  function decodeMethod(address, data) {
+    const entry = contracts.get(ethers.utils.getAddress(address));
+    if (!entry) {
+      return data.slice(0, 10);
+    }
+
+    const { name, args } = entry.contract.interface.parseTransaction({ data });
+    return name === "receiveMessage" ? decodeMethod(address, args._data) : name;
+  }
+
+  return {
+    /**
+     * Registers a contract, so the calls made to it are reported under its name.
+     * @param {string} name The name of the contract.
+     * @param {ethers.Contract} contract The contract instance.
+     */
+    register(name, contract) {
+      contracts.set(ethers.utils.getAddress(contract.address), { name, contract });
+    },
+
+    /**
+     * Registers a contract and records the cost of its deployment.
+     * @param {string} name The name of the contract.
+     * @param {object} deployed The result of one of the deploy functions of `src/deploy`.
+     * @param {ethers.Contract} deployed.contract The contract instance.
+     * @param {DeploymentRecord} deployed.deployment The deployment record.
+     * @return {Promise<DeploymentCost>} The cost of the deployment.
+     */
+    async measureDeployment(name, { contract, deployment: { transactionHash } }) {
+      this.register(name, contract);
+
+      const [receipt, code] = await Promise.all([
+        contract.provider.getTransactionReceipt(transactionHash),
+        contract.provider.getCode(contract.address),
+      ]);
+      const deployment = { contract: name, gasUsed: receipt.gasUsed.toNumber(), codeSize: (code.length - 2) / 2 };
+      deployments.push(deployment);
+      return deployment;
+    },
+
+    /**
+     * Waits for a transaction and records the gas it used, along with the gas used by each message it executed.
+     * @param {string} scenario The scenario the transaction belongs to.
+     * @param {Promise<ethers.providers.TransactionResponse>} txPromise The transaction.
+     * @return {Promise<ethers.providers.TransactionReceipt>} The receipt.
+     */
+    async measure(scenario, txPromise) {
+      const tx = await txPromise;
+      const receipt = await tx.wait();
+
+      measurements.push({
+        scenario,
+        contract: getContractName(tx.to),
+        method: decodeMethod(tx.to, tx.data),
+        bridged: false,
+        gasUsed: receipt.gasUsed.toNumber(),
+      });
+
+      receipt.logs
+        .filter(({ address }) => address === amb.address)
+        .map((log) => ambInterface.parseLog(log).args)
+        .forEach(({ _contract, _data, _gasUsed }) => {
+          measurements.push({
+            scenario,
+            contract: getContractName(_contract),
+            method: decodeMethod(_contract, _data),
+            bridged: true,
+            gasUsed: _gasUsed.toNumber(),
+          });
+        });
+
+      return receipt;
+    },
+
+    /**
+     * @return {GasMeasurement[]} The measurements so far.
+     */
+    getMeasurements() {
+      return [...measurements];
+    },
+
+    /**
+     * @return {DeploymentCost[]} The deployments measured so far.
+     */
+    getDeployments() {
+      return [...deployments];
+    },
+  };
+}
+
+/**
+ * Summarizes the measurements of each function.
+ * @param {GasMeasurement[]} measurements The measurements.
+ * @return {GasSummary[]} The summary of each function, sorted by contract, with the bridged receivers last.
+ */
+function summarizeGasMeasurements(measurements) {
+  const summaries = new Map();
+
+  for (const { scenario, contract, method, bridged, gasUsed } of measurements) {
+    const key = `${contract}.${method}`;
+    const summary = summaries.get(key) || {
+      key,
+      contract,
+      method,
+      bridged,
+      calls: 0,
+      min: Infinity,
+      max: 0,
+      total: 0,
+      maxScenario: scenario,
+    };
+
+    summary.calls += 1;
+    summary.min = Math.min(summary.min, gasUsed);
+    summary.total += gasUsed;
+    if (gasUsed > summary.max) {
+      summary.max = gasUsed;
+      summary.maxScenario = scenario;
+    }
+    summaries.set(key, summary);
+  }
+
+  return [...summaries.values()]
+    .map(({ total, ...summary }) => ({ ...summary, avg: Math.round(total / summary.calls) }))
+    .sort((a, b) => a.contract.localeCompare(b.contract) || a.bridged - b.bridged || a.method.localeCompare(b.method));
+}
+
+/**
+ * Checks the gas used by the bridged receivers against their budgets.
+ * @param {GasSummary[]} summaries The summary of each function.
+ * @param {object<string, number>} budgets The gas budget of each receiver, by `Contract.method`.
+ * @return {{violations: {key: string, max: number, budget: number, scenario: string}[], unbudgeted: string[]}} The
+ * receivers which exceeded their budget and the ones with no budget.
+ */
+function checkGasBudgets(summaries, budgets) {
+  const receivers = summaries.filter(({ bridged }) => bridged);
+
+  return {
+    violations: receivers
+      .filter(({ key, max }) => budgets[key] !== undefined && max > budgets[key])
+      .map(({ key, max, maxScenario }) => ({ key, max, budget: budgets[key], scenario: maxScenario })),
+    unbudgeted: receivers.filter(({ key }) => budgets[key] === undefined).map(({ key }) => key),
+  };
+}
+
+/**
+ * Gets the gas limit the bridged receivers are sent with, as configured on the proxies which send the messages.
+ * @param {GasSummary[]} summaries The summary of each function.
+ * @param {object<string, {receiver: ethers.Contract, sender: ethers.Contract}>} links The receiving proxy and the proxy
+ * which sends it the messages, by the name of the receiving proxy.
+ * @return {Promise<object<string, number>>} The gas limit of each receiver, by `Contract.method`.
+ */
+async function getMessageGasLimits(summaries, links) {
+  const receivers = summaries.filter(({ bridged, contract }) => bridged && links[contract]);
+  const limits = await Promise.all(
+    receivers.map(({ contract, method }) => {
+      const { receiver, sender } = links[contract];
+      return sender.messageGasLimits(receiver.interface.getSighash(method));
+    })
+  );
+
+  return receivers.reduce((acc, { key }, i) => ({ ...acc, [key]: limits[i].toNumber() }), {});
+}
+
+/**
+ * Formats a gas report as a plain text table.
+ * @param {object} params
+ * @param {GasSummary[]} params.summaries The summary of each function.
+ * @param {DeploymentCost[]} params.deployments The cost of each deployment.
+ * @param {object<string, number>} [params.budgets] The gas budget of each receiver, by `Contract.method`.
+ * @param {object<string, number>} [params.limits] The gas limit each receiver is sent with, by `Contract.method`.
+ * @return {string} The report.
+ */
+function formatGasReport({ summaries, deployments, budgets = {}, limits = {} }) {
+  const row = (cells) => cells.map((cell, i) => (i === 0 ? cell.padEnd(64) : cell.padStart(10))).join("");
+  const format = (value) => (value !== undefined ? String(value) : "-");
+  const lines = [row(["Function", "Calls", "Min", "Avg", "Max", "Budget", "Limit"])];
+
+  for (const { key, bridged, calls, min, avg, max } of summaries) {
+    lines.push(
+      row([
+        `${bridged ? "<- " : ""}${key}`,
+        String(calls),
+        String(min),
+        String(avg),
+        String(max),
+        format(budgets[key]),
+        format(limits[key]),
+      ])
+    );
+  }
+
+  lines.push("", row(["Deployment", "Gas", "Code size"]));
+  for (const { contract, gasUsed, codeSize } of deployments) {
+    lines.push(row([contract, String(gasUsed), String(codeSize)]));
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  createGasRecorder,
+  summarizeGasMeasurements,
+  checkGasBudgets,
+  getMessageGasLimits,
+  formatGasReport,
+};
@@ -0,0 +1,429 @@
+const { ethers } = require("ethers");
+const {
+  deployContract,
+  deployMockAMB,
+  deployMockArbitrator,
+  deployHomeProxy,
+  deployForeignProxy,
+} = require("./deploy");
+const { Party } = require("./enums");
+
+/**
+ * The params of the deployment the scenarios run on.
+ */
+const BENCHMARK_CONFIG = Object.freeze({
+  metaEvidence: "ipfs/X",
+  arbitratorExtraData: "0x00",
+  // Keep the items disputable for the whole benchmark.
+  disputeTimeout: 365 * 24 * 3600,
+  feeDepositTimeout: 100,
+  requestTimeout: 200,
+  appealTimeout: 3600,
+  sharedMultiplier: 10000,
+  winnerMultiplier: 5000,
+  loserMultiplier: 20000,
+  arbitrationFee: ethers.utils.parseEther("1"),
+});
+
+/**
+ * The default size of the scenarios.
+ */
+const DEFAULT_SCENARIO_SIZES = Object.freeze({
+  rounds: 10,
+  contributors: 10,
+  historyLength: 50,
+});
+
+/**
+ * Deploys a pair of binary proxies linked through a mock AMB, with a mock arbitrator and value bridge, and registers
+ * them in a gas recorder along with the cost of their deployment.
+ * @param {object} params
+ * @param {ethers.Signer} params.governor The deployer.
+ * @param {function({amb: ethers.Contract}): object} params.createRecorder Creates the gas recorder. See `createGasRecorder`.
+ * @return {Promise<object>} The deployed contracts and the recorder.
+ */
+async function deployBenchmark({ governor, createRecorder }) {
+  const config = BENCHMARK_CONFIG;
+
+  const ambDeployment = await deployMockAMB(governor);
+  const recorder = createRecorder({ amb: ambDeployment.contract });
+  await recorder.measureDeployment("MockAMB", ambDeployment);
+
+  const arbitrator = (await deployMockArbitrator(governor, config)).contract;
+  recorder.register("MockAppealableArbitrator", arbitrator);
+
+  const disputeParams = await deployContract("DisputeParams", [], governor);
+  await recorder.measureDeployment("DisputeParams", disputeParams);
+  const tokenPayments = await deployContract("TokenPayments", [], governor);
+  await recorder.measureDeployment("TokenPayments", tokenPayments);
+  const appealRounds = await deployContract("AppealRounds", [], governor);
+  await recorder.measureDeployment("AppealRounds", appealRounds);
+
+  const homeProxyDeployment = await deployHomeProxy(governor, { amb: ambDeployment.contract.address });
+  await recorder.measureDeployment("HomeBinaryArbitrationProxy", homeProxyDeployment);
+  const foreignProxyDeployment = await deployForeignProxy(governor, {
+    ...config,
+    amb: ambDeployment.contract.address,
+    arbitrator: arbitrator.address,
+    libraries: {
+      DisputeParams: disputeParams.contract.address,
+      TokenPayments: tokenPayments.contract.address,
+      AppealRounds: appealRounds.contract.address,
+    },
+  });
+  await recorder.measureDeployment("ForeignBinaryArbitrationProxy", foreignProxyDeployment);
+
+  const homeProxy = homeProxyDeployment.contract;
+  const foreignProxy = foreignProxyDeployment.contract;
+  const valueBridge = (await deployContract("MockValueBridge", [], governor)).contract;
+
+  await (await foreignProxy.setHomeProxy(homeProxy.address, 0)).wait();
+  await (await homeProxy.setForeignProxy(foreignProxy.address, 0)).wait();
+  await (await homeProxy.changeValueBridge(valueBridge.address)).wait();
+  await (await foreignProxy.changeValueBridge(valueBridge.address)).wait();
+
+  return { arbitrator, homeProxy, foreignProxy, recorder, config };
+}
+
+/**
+ * Creates the helpers shared by the scenarios.
+ * @param {object} benchmark The result of `deployBenchmark`.
+ * @param {object} params
+ * @param {ethers.Signer[]} params.signers The accounts. The first one is the governor of every contract.
+ * @param {function(number): Promise<void>} params.increaseTime Moves the time of the chain forward, in seconds.
+ * @return {object} The helpers.
+ */
+function createScenarioContext(benchmark, { signers, increaseTime }) {
+  const { arbitrator, homeProxy, foreignProxy, recorder, config } = benchmark;
+  const [governor, plaintiff, defendant, ...crowdfunders] = signers;
+
+  /**
+   * Deploys a fresh arbitrable contract, so the history of each scenario does not affect the others.
+   * @param {string} scenario The name of the scenario.
+   * @return {Promise<ethers.Contract>} The arbitrable contract, already registered for arbitration.
+   */
+  async function deployArbitrable(scenario) {
+    const { contract: arbitrable } = await deployContract(
+      "MockArbitrable",
+      [config.metaEvidence, homeProxy.address, config.arbitratorExtraData, config.disputeTimeout],
+      governor
+    );
+    recorder.register("MockArbitrable", arbitrable);
+    await recorder.measure(scenario, arbitrable.registerForArbitration(0));
+    return arbitrable;
+  }
+
+  /**
+   * Creates an item, with the defendant as its creator.
+   * @param {string} scenario The name of the scenario.
+   * @param {ethers.Contract} arbitrable The arbitrable contract.
+   * @return {Promise<ethers.BigNumber>} The ID of the item.
+   */
+  async function createItem(scenario, arbitrable) {
+    const receipt = await recorder.measure(scenario, arbitrable.connect(defendant).createItem());
+    return arbitrable.interface.parseLog(receipt.logs[receipt.logs.length - 1]).args._arbitrableItemID;
+  }
+
+  /**
+   * Creates an item and gets a dispute for it accepted on both chains.
+   * @param {string} scenario The name of the scenario.
+   * @param {ethers.Contract} arbitrable The arbitrable contract.
+   * @return {Promise<{arbitrableItemID: ethers.BigNumber, arbitrationID: ethers.BigNumber}>} The IDs of the item.
+   */
+  async function requestAcceptedDispute(scenario, arbitrable) {
+    const arbitrableItemID = await createItem(scenario, arbitrable);
+    const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+    await recorder.measure(
+      scenario,
+      foreignProxy
+        .connect(plaintiff)
+        .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+    );
+    await recorder.measure(scenario, homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID));
+
+    return { arbitrableItemID, arbitrationID };
+  }
+
+  /**
+   * Gets the ID of the dispute the arbitrator rules on in the current round.
+   * @param {ethers.BigNumber} arbitrationID The ID of the arbitration.
+   * @return {Promise<ethers.BigNumber>} The dispute ID.
+   */
+  async function getCurrentDisputeID(arbitrationID) {
+    const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+    return arbitrator.getAppealDisputeID(arbitratorDisputeID);
+  }
+
+  /**
+   * Fully funds the appeal of a side, split among some contributors.
+   * @param {string} scenario The name of the scenario.
+   * @param {ethers.BigNumber} arbitrationID The ID of the arbitration.
+   * @param {number} party The side to fund.
+   * @param {ethers.Signer[]} contributors The contributors.
+   */
+  async function fundSide(scenario, arbitrationID, party, contributors) {
+    const appealFee = await foreignProxy.getAppealFee(arbitrationID, party);
+    const share = appealFee.div(contributors.length);
+
+    for (let i = 0; i < contributors.length; i++) {
+      // The last contributor covers the rounding.
+      const value = i === contributors.length - 1 ? appealFee.sub(share.mul(i)) : share;
+      await recorder.measure(
+        scenario,
+        foreignProxy.connect(contributors[i]).fundAppeal(arbitrationID, party, { value })
+      );
+    }
+  }
+
+  /**
+   * Gives the final ruling of the current round, once its appeal period is over.
+   * @param {string} scenario The name of the scenario.
+   * @param {ethers.BigNumber} arbitrationID The ID of the arbitration.
+   * @param {number} ruling The ruling.
+   */
+  async function giveFinalRuling(scenario, arbitrationID, ruling) {
+    await increaseTime(config.appealTimeout + 1);
+    await recorder.measure(scenario, arbitrator.giveRuling(await getCurrentDisputeID(arbitrationID), ruling));
+  }
+
+  return {
+    signers: { governor, plaintiff, defendant, crowdfunders },
+    contracts: { arbitrator, homeProxy, foreignProxy },
+    config,
+    recorder,
+    increaseTime,
+    deployArbitrable,
+    createItem,
+    requestAcceptedDispute,
+    getCurrentDisputeID,
+    fundSide,
+    giveFinalRuling,
+  };
+}
+
+/**
+ * The scenarios, by name. Each one runs a flow through both proxies, recording the gas used by each call.
+ * @type {object<string, function(object, object): Promise<void>>}
+ */
+const scenarios = {
+  /**
+   * A dispute ruled after a single appeal round, with evidence submitted from the Home Chain.
+   */
+  async "single round"(context) {
+    const scenario = "single round";
+    const { recorder, contracts, signers, config } = context;
+    const { foreignProxy, arbitrator } = contracts;
+
+    const arbitrable = await context.deployArbitrable(scenario);
+    const { arbitrableItemID, arbitrationID } = await context.requestAcceptedDispute(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      foreignProxy.connect(signers.defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    );
+    await recorder.measure(
+      scenario,
+      arbitrable.connect(signers.defendant).submitEvidence(arbitrableItemID, "ipfs/evidence")
+    );
+    await recorder.measure(scenario, foreignProxy.connect(signers.plaintiff).submitEvidence(arbitrationID, "ipfs/e"));
+
+    await recorder.measure(
+      scenario,
+      arbitrator.giveRuling(await context.getCurrentDisputeID(arbitrationID), Party.Defendant)
+    );
+    await context.fundSide(scenario, arbitrationID, Party.Plaintiff, [signers.plaintiff]);
+    await context.giveFinalRuling(scenario, arbitrationID, Party.Defendant);
+
+    for (const beneficiary of [signers.plaintiff, signers.defendant]) {
+      await recorder.measure(
+        scenario,
+        foreignProxy.withdrawFeesAndRewards(arbitrationID, await beneficiary.getAddress(), 0)
+      );
+    }
+  },
+
+  /**
+   * A dispute appealed many times, with the rewards of every round withdrawn at once.
+   */
+  async "many rounds"(context, { rounds }) {
+    const scenario = "many rounds";
+    const { recorder, contracts, signers, config } = context;
+    const { foreignProxy, arbitrator } = contracts;
+
+    const arbitrable = await context.deployArbitrable(scenario);
+    const { arbitrationID } = await context.requestAcceptedDispute(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      foreignProxy.connect(signers.defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    );
+
+    for (let round = 0; round < rounds; round++) {
+      await recorder.measure(
+        scenario,
+        arbitrator.giveRuling(await context.getCurrentDisputeID(arbitrationID), Party.Defendant)
+      );
+      await context.fundSide(scenario, arbitrationID, Party.Plaintiff, [signers.plaintiff]);
+      await context.fundSide(scenario, arbitrationID, Party.Defendant, [signers.defendant]);
+    }
+    await recorder.measure(
+      scenario,
+      arbitrator.giveRuling(await context.getCurrentDisputeID(arbitrationID), Party.Defendant)
+    );
+    await context.giveFinalRuling(scenario, arbitrationID, Party.Defendant);
+
+    for (const beneficiary of [signers.plaintiff, signers.defendant]) {
+      await recorder.measure(
+        scenario,
+        foreignProxy.batchWithdrawFeesAndRewards(arbitrationID, await beneficiary.getAddress(), 0, 0)
+      );
+    }
+  },
+
+  /**
+   * An appeal round crowdfunded by many contributors on each side, who then withdraw their rewards.
+   */
+  async "many contributors"(context, { contributors }) {
+    const scenario = "many contributors";
+    const { recorder, contracts, signers, config } = context;
+    const { foreignProxy, arbitrator } = contracts;
+    const crowdfunders = Array.from(
+      { length: contributors },
+      (_, i) => signers.crowdfunders[i % signers.crowdfunders.length]
+    );
+
+    const arbitrable = await context.deployArbitrable(scenario);
+    const { arbitrationID } = await context.requestAcceptedDispute(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      foreignProxy.connect(signers.defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    );
+
+    await recorder.measure(
+      scenario,
+      arbitrator.giveRuling(await context.getCurrentDisputeID(arbitrationID), Party.Plaintiff)
+    );
+    await context.fundSide(scenario, arbitrationID, Party.Defendant, crowdfunders);
+    await context.fundSide(scenario, arbitrationID, Party.Plaintiff, crowdfunders);
+    await recorder.measure(
+      scenario,
+      arbitrator.giveRuling(await context.getCurrentDisputeID(arbitrationID), Party.Plaintiff)
+    );
+    await context.giveFinalRuling(scenario, arbitrationID, Party.Plaintiff);
+
+    const beneficiaries = new Set(await Promise.all(crowdfunders.map((crowdfunder) => crowdfunder.getAddress())));
+    for (const beneficiary of beneficiaries) {
+      await recorder.measure(scenario, foreignProxy.batchWithdrawFeesAndRewards(arbitrationID, beneficiary, 0, 0));
+    }
+  },
+
+  /**
+   * A dispute for an item with a long history of dispute params changes behind it.
+   */
+  async "long history"(context, { historyLength }) {
+    const scenario = "long history";
+    const { recorder, contracts, signers, config } = context;
+    const { foreignProxy } = contracts;
+
+    const arbitrable = await context.deployArbitrable(scenario);
+    for (let i = 1; i < historyLength; i++) {
+      await recorder.measure(scenario, arbitrable.registerMetaEvidence(i, `${config.metaEvidence}/${i}`));
+      await recorder.measure(
+        scenario,
+        arbitrable.registerArbitrator(i, ethers.constants.AddressZero, ethers.utils.hexlify(i))
+      );
+    }
+    // Get the dispute for an item in the middle of the history.
+    for (let i = 0; i < Math.floor(historyLength / 2); i++) {
+      await context.createItem(scenario, arbitrable);
+    }
+    const { arbitrationID } = await context.requestAcceptedDispute(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      foreignProxy.connect(signers.defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    );
+  },
+
+  /**
+   * The flows which end the dispute early: rejection, timeouts, settlement and the fee paid from the Home Chain.
+   */
+  async "early endings"(context) {
+    const scenario = "early endings";
+    const { recorder, contracts, signers, config, increaseTime } = context;
+    const { foreignProxy, homeProxy } = contracts;
+
+    const arbitrable = await context.deployArbitrable(scenario);
+
+    // The dispute request for an item which is no longer disputable is rejected by the arbitrable contract.
+    const expiredItemID = await context.createItem(scenario, arbitrable);
+    await increaseTime(config.disputeTimeout + 1);
+    await recorder.measure(
+      scenario,
+      foreignProxy
+        .connect(signers.plaintiff)
+        .requestDispute(arbitrable.address, expiredItemID, { value: config.arbitrationFee })
+    );
+    await recorder.measure(scenario, homeProxy.relayDisputeRejected(arbitrable.address, expiredItemID));
+
+    // The defendant never pays the fee.
+    const unpaid = await context.requestAcceptedDispute(scenario, arbitrable);
+    await increaseTime(config.feeDepositTimeout + 1);
+    await recorder.measure(scenario, foreignProxy.claimPlaintiffWin(unpaid.arbitrationID));
+
+    // The acceptance is never relayed.
+    const timedOutItemID = await context.createItem(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      foreignProxy
+        .connect(signers.plaintiff)
+        .requestDispute(arbitrable.address, timedOutItemID, { value: config.arbitrationFee })
+    );
+    await increaseTime(config.requestTimeout + 1);
+    await recorder.measure(
+      scenario,
+      foreignProxy.claimRequestTimeout(await foreignProxy.getArbitrationID(arbitrable.address, timedOutItemID))
+    );
+
+    // The fee is paid from the Home Chain and both parties settle.
+    const settled = await context.requestAcceptedDispute(scenario, arbitrable);
+    await recorder.measure(
+      scenario,
+      homeProxy
+        .connect(signers.defendant)
+        .payDefendantFee(arbitrable.address, settled.arbitrableItemID, { value: config.arbitrationFee })
+    );
+    for (const party of [signers.plaintiff, signers.defendant]) {
+      await recorder.measure(
+        scenario,
+        homeProxy.connect(party).settleDispute(arbitrable.address, settled.arbitrableItemID)
+      );
+    }
+  },
+};
+
+/**
+ * Deploys the benchmark and runs every scenario on it.
+ * @dev Only meant for the Buidler EVM network, where the time can be moved forward.
+ * @param {object} params
+ * @param {ethers.Signer[]} params.signers The accounts. The first one is the governor of every contract.
+ * @param {function(number): Promise<void>} params.increaseTime Moves the time of the chain forward, in seconds.
+ * @param {function({amb: ethers.Contract}): object} params.createRecorder Creates the gas recorder.
+ * @param {object} [params.sizes] The size of the scenarios. See `DEFAULT_SCENARIO_SIZES`.
+ * @return {Promise<object>} The deployed contracts and the recorder, with every measurement.
+ */
+async function runGasScenarios({ signers, increaseTime, createRecorder, sizes = {} }) {
+  const benchmark = await deployBenchmark({ governor: signers[0], createRecorder });
+  const context = createScenarioContext(benchmark, { signers, increaseTime });
+
+  for (const run of Object.values(scenarios)) {
+    await run(context, { ...DEFAULT_SCENARIO_SIZES, ...sizes });
+  }
+
+  return benchmark;
+}
+
+module.exports = {
+  BENCHMARK_CONFIG,
+  DEFAULT_SCENARIO_SIZES,
+  scenarios,
+  runGasScenarios,
+};
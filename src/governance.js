@@ -0,0 +1,158 @@
+const { ethers } = require("ethers");
+
+/**
+ * @typedef {object} GovernedParam
+ * @property {string} name The name of the param, as in the params files. Also the name of its getter.
+ * @property {string} setter The name of the `onlyGovernor` function which changes the param.
+ * @property {string} type Either `"address"` or `"uint"`.
+ */
+
+/**
+ * The params of the foreign proxy which can be changed by the governor.
+ * @dev The governor is always changed last, since the batch could not be executed after it is changed.
+ * @type {GovernedParam[]}
+ */
+const FOREIGN_PROXY_PARAMS = Object.freeze([
+  { name: "feeDepositTimeout", setter: "changeFeeDepositTimeout", type: "uint" },
+  { name: "requestTimeout", setter: "changeRequestTimeout", type: "uint" },
+  { name: "sharedStakeMultiplier", setter: "changeSharedStakeMultiplier", type: "uint" },
+  { name: "winnerStakeMultiplier", setter: "changeWinnerStakeMultiplier", type: "uint" },
+  { name: "loserStakeMultiplier", setter: "changeLoserStakeMultiplier", type: "uint" },
+  { name: "arbitrator", setter: "changeArbitrator", type: "address" },
+  { name: "amb", setter: "changeAmb", type: "address" },
+  { name: "valueBridge", setter: "changeValueBridge", type: "address" },
+  { name: "governor", setter: "changeGovernor", type: "address" },
+]);
+
+/**
+ * @typedef {object} ParamChange
+ * @property {string} name The name of the param.
+ * @property {string} setter The name of the function which changes the param.
+ * @property {string} from The current value.
+ * @property {string} to The desired value.
+ */
+
+/**
+ * @typedef {object} UnsignedTransaction
+ * @property {string} to The address of the proxy.
+ * @property {string} value Always `"0"`.
+ * @property {string} data The encoded call.
+ * @property {string} description A human readable description of the call.
+ */
+
+/**
+ * Gets the governed params available on a proxy, since not every variant has all of them.
+ * @param {ethers.Contract} proxy The foreign proxy.
+ * @return {GovernedParam[]} The params.
+ */
+function getGovernedParams(proxy) {
+  const functionNames = new Set(Object.values(proxy.interface.functions).map(({ name }) => name));
+  return FOREIGN_PROXY_PARAMS.filter(({ name, setter }) => functionNames.has(name) && functionNames.has(setter));
+}
+
+/**
+ * Normalizes the value of a param, so values from the chain and from params files can be compared.
+ * @param {GovernedParam} param The param.
+ * @param {any} value The value: an address for address params, or a number, numeric string or BigNumber otherwise.
+ * @return {string} The checksummed address or the decimal string.
+ */
+function normalizeParamValue({ name, type }, value) {
+  try {
+    if (type === "address") {
+      return ethers.utils.getAddress(value);
+    }
+
+    const number = ethers.BigNumber.from(value);
+    if (number.isNegative()) {
+      throw new RangeError("negative value");
+    }
+    return number.toString();
+  } catch (err) {
+    throw new TypeError(`Invalid value for ${name}: ${JSON.stringify(value)} (${err.reason || err.message})`);
+  }
+}
+
+/**
+ * Reads the current value of the governed params of a proxy.
+ * @param {ethers.Contract} proxy The foreign proxy.
+ * @return {Promise<object<string, string>>} The normalized values by param name.
+ */
+async function getCurrentParams(proxy) {
+  const params = getGovernedParams(proxy);
+  const values = await Promise.all(params.map(({ name }) => proxy[name]()));
+
+  return Object.fromEntries(params.map((param, i) => [param.name, normalizeParamValue(param, values[i])]));
+}
+
+/**
+ * Computes the changes required to go from the current params to the desired ones.
+ * Params missing from the desired params are left unchanged.
+ * @param {ethers.Contract} proxy The foreign proxy.
+ * @param {object<string, string>} current The current params. See `getCurrentParams`.
+ * @param {object<string, any>} desired The desired params, i.e.: parsed from a params file.
+ * @return {ParamChange[]} The changes, in the order they must be executed.
+ */
+function diffParams(proxy, current, desired) {
+  const params = getGovernedParams(proxy);
+  const unknown = Object.keys(desired).filter((name) => !params.some((param) => param.name === name));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown params: ${unknown.join(", ")}`);
+  }
+
+  return params
+    .filter(({ name }) => desired[name] !== undefined)
+    .map((param) => ({
+      name: param.name,
+      setter: param.setter,
+      from: current[param.name],
+      to: normalizeParamValue(param, desired[param.name]),
+    }))
+    .filter(({ from, to }) => from !== to);
+}
+
+/**
+ * Encodes the changes as unsigned transactions, i.e.: to be proposed to a multisig governor.
+ * @param {ethers.Contract} proxy The foreign proxy.
+ * @param {ParamChange[]} changes The changes. See `diffParams`.
+ * @return {UnsignedTransaction[]} The transactions, in the order they must be executed.
+ */
+function encodeChanges(proxy, changes) {
+  return changes.map(({ name, setter, from, to }) => ({
+    to: proxy.address,
+    value: "0",
+    data: proxy.interface.encodeFunctionData(setter, [to]),
+    description: `${setter}(${to}) // ${name}: ${from} -> ${to}`,
+  }));
+}
+
+/**
+ * Sends the changes one by one, waiting for each of them to be mined.
+ * @dev The signer of the proxy must be the governor.
+ * @param {ethers.Contract} proxy The foreign proxy, connected to the governor.
+ * @param {ParamChange[]} changes The changes. See `diffParams`.
+ * @return {Promise<string[]>} The hashes of the transactions.
+ */
+async function executeChanges(proxy, changes) {
+  const governor = await proxy.governor();
+  const sender = await proxy.signer.getAddress();
+  if (governor !== sender) {
+    throw new Error(`The sender ${sender} is not the governor ${governor}`);
+  }
+
+  const transactionHashes = [];
+  for (const { setter, to } of changes) {
+    const tx = await proxy[setter](to);
+    await tx.wait();
+    transactionHashes.push(tx.hash);
+  }
+  return transactionHashes;
+}
+
+module.exports = {
+  FOREIGN_PROXY_PARAMS,
+  getGovernedParams,
+  getCurrentParams,
+  diffParams,
+  encodeChanges,
+  executeChanges,
+};
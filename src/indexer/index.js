@@ -0,0 +1,258 @@
+const { ethers } = require("ethers");
+const { ForeignStatus, HomeStatus, decodeEnum } = require("../enums");
+const { getArbitrationID } = require("../utils/ids");
+const { createMemoryStore } = require("../utils/stores");
+const { reconcileItem } = require("./reconcile");
+
+const HOME_EVENTS = [
+  "DisputeAccepted",
+  "DisputeRejected",
+  "DisputeCreated",
+  "DisputeFailed",
+  "DisputeRuled",
+  "DisputeRequestTimedOut",
+  "DefendantFeeSent",
+  "DisputeSettled",
+];
+
+const FOREIGN_EVENTS = [
+  "DisputeRequested",
+  "DisputeAccepted",
+  "DisputeRejected",
+  "DisputeOngoing",
+  "DisputeFailed",
+  "DisputeRuled",
+  "DisputeRequestTimedOut",
+  "DefendantFeeRefunded",
+  "DisputeSettled",
+];
+
+/**
+ * @typedef {object} TimelineEntry
+ * @property {string} chain Either `home` or `foreign`.
+ * @property {string} event The name of the event.
+ * @property {number} blockNumber The block in which the event was emitted.
+ * @property {number} logIndex The index of the log in the block.
+ * @property {string} transactionHash The hash of the transaction which emitted the event.
+ * @property {number} timestamp The timestamp of the block.
+ * @property {Object<string, string>} args The event arguments, stringified.
+ */
+
+/**
+ * @typedef {object} IndexedItem
+ * @property {string} arbitrationID The ID of the arbitration on the foreign proxy.
+ * @property {string} [arbitrable] The address of the arbitrable contract, once known.
+ * @property {string} [arbitrableItemID] The ID of the item on the arbitrable contract, once known.
+ * @property {TimelineEntry[]} timeline The events of both chains related to the item, sorted by time.
+ * @property {{status: string, ruling: string, disputeCreated: boolean}} home The state of the item on the home proxy.
+ * @property {{status: string, ruling: string, acceptedAt: number, requestedAt: number}} foreign The state of the arbitration on the foreign proxy.
+ */
+
+function stringifyArgs(args) {
+  return Object.fromEntries(
+    Object.entries(args)
+      .filter(([key]) => Number.isNaN(Number(key)))
+      .map(([key, value]) => [key, String(value)])
+  );
+}
+
+function compareEntries(a, b) {
+  return a.timestamp - b.timestamp || a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Creates an indexer which joins the state of arbitrable items across the home and foreign proxies.
+ *
+ * The foreign `arbitrations` and the home `arbitrableItems` evolve independently and only converge when the bridge
+ * messages are delivered and the relays are made. The indexer collects the events of both proxies into a per-item
+ * timeline, keeps a snapshot of the on-chain state of each item and flags the items which are inconsistent or stuck,
+ * along with the call needed to unstick them.
+ *
+ * @param {object} params
+ * @param {ethers.Contract} params.homeProxy The home proxy contract, connected to the Home Chain.
+ * @param {ethers.Contract} params.foreignProxy The foreign proxy contract, connected to the Foreign Chain.
+ * @param {StateStore} [params.store] Where to persist the indexed data. Defaults to an in-memory store.
+ * @param {{home: number, foreign: number}} [params.startBlocks] The blocks from which to start scanning each chain.
+ * @param {number} [params.confirmations=0] How many blocks to wait before indexing events.
+ * @param {number} [params.blockRange=10000] The maximum number of blocks to query at once.
+ * @return {object} The indexer.
+ */
+function createIndexer({
+  homeProxy,
+  foreignProxy,
+  store = createMemoryStore(),
+  startBlocks = { home: 0, foreign: 0 },
+  confirmations = 0,
+  blockRange = 10000,
+}) {
+  async function loadState() {
+    return (
+      (await store.load()) || {
+        cursors: { home: startBlocks.home, foreign: startBlocks.foreign },
+        feeDepositTimeout: 0,
+        requestTimeout: 0,
+        items: {},
+      }
+    );
+  }
+
+  function getOrCreateItem(state, arbitrationID) {
+    if (!state.items[arbitrationID]) {
+      state.items[arbitrationID] = {
+        arbitrationID,
+        timeline: [],
+        home: { status: "None", ruling: "0", disputeCreated: false },
+        foreign: { status: "None", ruling: "0", acceptedAt: 0, requestedAt: 0 },
+      };
+    }
+    return state.items[arbitrationID];
+  }
+
+  async function fetchEvents(contract, chain, eventNames, fromBlock, toBlock) {
+    const results = await Promise.all(
+      eventNames.map((eventName) => contract.queryFilter(contract.filters[eventName](), fromBlock, toBlock))
+    );
+    const events = results.flat();
+
+    const blockNumbers = [...new Set(events.map(({ blockNumber }) => blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((blockNumber) => contract.provider.getBlock(blockNumber)));
+    const timestamps = new Map(blocks.map(({ number, timestamp }) => [number, timestamp]));
+
+    return events.map(({ event, args, blockNumber, logIndex, transactionHash }) => ({
+      chain,
+      event,
+      blockNumber,
+      logIndex,
+      transactionHash,
+      timestamp: timestamps.get(blockNumber),
+      args: stringifyArgs(args),
+    }));
+  }
+
+  async function scanChain(state, chain, touched) {
+    const contract = chain === "home" ? homeProxy : foreignProxy;
+    const eventNames = chain === "home" ? HOME_EVENTS : FOREIGN_EVENTS;
+    const toBlock = (await contract.provider.getBlockNumber()) - confirmations;
+
+    for (let fromBlock = state.cursors[chain]; fromBlock <= toBlock; fromBlock += blockRange) {
+      const rangeEnd = Math.min(fromBlock + blockRange - 1, toBlock);
+      const entries = await fetchEvents(contract, chain, eventNames, fromBlock, rangeEnd);
+
+      for (const entry of entries) {
+        let arbitrationID;
+        if (chain === "home") {
+          arbitrationID = String(getArbitrationID(entry.args._arbitrable, entry.args._arbitrableItemID));
+        } else {
+          arbitrationID = entry.args._arbitrationID;
+        }
+
+        const item = getOrCreateItem(state, arbitrationID);
+        if (chain === "home") {
+          item.arbitrable = ethers.utils.getAddress(entry.args._arbitrable);
+          item.arbitrableItemID = entry.args._arbitrableItemID;
+        }
+        item.timeline.push(entry);
+        touched.add(arbitrationID);
+      }
+
+      state.cursors[chain] = rangeEnd + 1;
+    }
+  }
+
+  async function refreshSnapshot(item) {
+    const arbitration = await foreignProxy.arbitrations(item.arbitrationID);
+    if (arbitration.arbitrable !== ethers.constants.AddressZero) {
+      item.arbitrable = arbitration.arbitrable;
+      item.arbitrableItemID = String(arbitration.arbitrableItemID);
+    }
+
+    item.foreign = {
+      status: decodeEnum(ForeignStatus, arbitration.status),
+      ruling: String(arbitration.ruling),
+      acceptedAt: Number(arbitration.acceptedAt),
+      requestedAt: Number(arbitration.requestedAt),
+    };
+
+    if (item.arbitrable !== undefined) {
+      const arbitrableItem = await homeProxy.arbitrableItems(item.arbitrable, item.arbitrableItemID);
+      item.home = {
+        status: decodeEnum(HomeStatus, arbitrableItem.status),
+        ruling: String(arbitrableItem.ruling),
+        disputeCreated: arbitrableItem.arbitrator !== ethers.constants.AddressZero,
+      };
+    }
+  }
+
+  /**
+   * Indexes the events of both chains since the last sync and refreshes the state of the affected items.
+   * @return {Promise<{updated: string[]}>} The IDs of the arbitrations which were updated.
+   */
+  async function sync() {
+    const state = await loadState();
+    const touched = new Set();
+
+    await scanChain(state, "home", touched);
+    await scanChain(state, "foreign", touched);
+
+    for (const arbitrationID of touched) {
+      const item = state.items[arbitrationID];
+      item.timeline.sort(compareEntries);
+      await refreshSnapshot(item);
+    }
+
+    state.feeDepositTimeout = Number(await foreignProxy.feeDepositTimeout());
+    state.requestTimeout = Number(await foreignProxy.requestTimeout());
+    await store.save(state);
+
+    return { updated: [...touched] };
+  }
+
+  /**
+   * Gets all the indexed items.
+   * @return {Promise<IndexedItem[]>} The items.
+   */
+  async function getItems() {
+    const state = await loadState();
+    return Object.values(state.items);
+  }
+
+  /**
+   * Gets an indexed item.
+   * @param {ethers.BigNumberish} arbitrationID The ID of the arbitration.
+   * @return {Promise<IndexedItem|undefined>} The item, if indexed.
+   */
+  async function getItem(arbitrationID) {
+    const state = await loadState();
+    return state.items[String(arbitrationID)];
+  }
+
+  /**
+   * Finds the items which are inconsistent or stuck.
+   * @param {object} [params]
+   * @param {number} [params.now] The current time (seconds). Defaults to the system clock.
+   * @param {number} [params.bridgeTimeout=3600] How long (seconds) a message might take to cross the bridge.
+   * @return {Promise<Array<IndexedItem & {issues: Issue[]}>>} The items with problems.
+   */
+  async function reconcile({ now = Math.floor(Date.now() / 1000), bridgeTimeout = 60 * 60 } = {}) {
+    const state = await loadState();
+    const { feeDepositTimeout, requestTimeout } = state;
+
+    return Object.values(state.items)
+      .map((item) => ({
+        ...item,
+        issues: reconcileItem(item, { now, bridgeTimeout, feeDepositTimeout, requestTimeout }),
+      }))
+      .filter(({ issues }) => issues.length > 0);
+  }
+
+  return {
+    sync,
+    getItems,
+    getItem,
+    reconcile,
+  };
+}
+
+module.exports = {
+  createIndexer,
+};
@@ -0,0 +1,210 @@
+/**
+ * The kinds of problems which can be detected on the joint state of an item.
+ */
+const IssueCode = Object.freeze({
+  RequestNotDelivered: "REQUEST_NOT_DELIVERED",
+  AcceptanceNotRelayed: "ACCEPTANCE_NOT_RELAYED",
+  RejectionNotRelayed: "REJECTION_NOT_RELAYED",
+  RejectionNotDelivered: "REJECTION_NOT_DELIVERED",
+  RequestTimeoutNotDelivered: "REQUEST_TIMEOUT_NOT_DELIVERED",
+  DefendantDepositExpired: "DEFENDANT_DEPOSIT_EXPIRED",
+  DefendantFeeNotDelivered: "DEFENDANT_FEE_NOT_DELIVERED",
+  DisputeCreationNotDelivered: "DISPUTE_CREATION_NOT_DELIVERED",
+  DisputeFailureNotDelivered: "DISPUTE_FAILURE_NOT_DELIVERED",
+  RulingNotDelivered: "RULING_NOT_DELIVERED",
+  RulingMismatch: "RULING_MISMATCH",
+  SettlementNotDelivered: "SETTLEMENT_NOT_DELIVERED",
+  StatusMismatch: "STATUS_MISMATCH",
+});
+
+/**
+ * @typedef {object} Issue
+ * @property {string} code One of `IssueCode`.
+ * @property {string} description A human readable description of the problem.
+ * @property {{chain: string, method: string, args: string[]}|null} action The call which unsticks the item, if any.
+ */
+
+function issue(code, description, action = null) {
+  return { code, description, action };
+}
+
+function homeAction(method, item) {
+  return { chain: "home", method, args: [item.arbitrable, item.arbitrableItemID] };
+}
+
+function foreignAction(method, item) {
+  return { chain: "foreign", method, args: [item.arbitrationID] };
+}
+
+function lastEvent(item, chain) {
+  const events = item.timeline.filter((entry) => entry.chain === chain);
+  return events.length > 0 ? events[events.length - 1] : undefined;
+}
+
+function isDefendantFeeInFlight(lastHomeEvent, lastForeignEvent) {
+  if (!lastHomeEvent || lastHomeEvent.event !== "DefendantFeeSent") {
+    return false;
+  }
+
+  // When the fee cannot be accepted, the foreign proxy refunds the defendant and waits for the deposit as usual.
+  return !(
+    lastForeignEvent &&
+    lastForeignEvent.event === "DefendantFeeRefunded" &&
+    lastForeignEvent.timestamp >= lastHomeEvent.timestamp
+  );
+}
+
+/**
+ * Checks the joint state of an item across both chains.
+ *
+ * Messages in flight through the bridge are expected to make both sides drift for a while, so some problems are
+ * only reported once the foreign side has been stale for longer than `bridgeTimeout`.
+ *
+ * @param {object} item An indexed item. See `createIndexer`.
+ * @param {object} params
+ * @param {number} params.now The current time (seconds).
+ * @param {number} params.bridgeTimeout How long (seconds) a message might take to cross the bridge.
+ * @param {number} params.feeDepositTimeout The foreign proxy `feeDepositTimeout`.
+ * @param {number} [params.requestTimeout=Infinity] The foreign proxy `requestTimeout`.
+ * @return {Issue[]} The problems found.
+ */
+function reconcileItem(item, { now, bridgeTimeout, feeDepositTimeout, requestTimeout = Infinity }) {
+  const { home, foreign } = item;
+  const lastForeignEvent = lastEvent(item, "foreign");
+  const lastHomeEvent = lastEvent(item, "home");
+  const foreignStale = lastForeignEvent !== undefined && now - lastForeignEvent.timestamp > bridgeTimeout;
+  const mismatch = issue(
+    IssueCode.StatusMismatch,
+    `Home status ${home.status} contradicts foreign status ${foreign.status}`
+  );
+
+  switch (foreign.status) {
+    case "None":
+      if (home.status === "None") {
+        return [];
+      }
+      if (home.status === "Accepted" && lastForeignEvent && lastForeignEvent.event === "DisputeFailed") {
+        return foreignStale
+          ? [
+              issue(
+                IssueCode.DisputeFailureNotDelivered,
+                "The dispute creation failure was not received by the home proxy"
+              ),
+            ]
+          : [];
+      }
+      if (lastForeignEvent && lastForeignEvent.event === "DisputeRequestTimedOut") {
+        return foreignStale
+          ? [
+              issue(
+                IssueCode.RequestTimeoutNotDelivered,
+                "The dispute request timeout was not received by the home proxy"
+              ),
+            ]
+          : [];
+      }
+      return [mismatch];
+
+    case "Requested":
+      if (home.status === "Accepted") {
+        return [
+          issue(
+            IssueCode.AcceptanceNotRelayed,
+            "The dispute was accepted on the home proxy but the foreign proxy is still waiting",
+            homeAction("relayDisputeAccepted", item)
+          ),
+        ];
+      }
+      if (home.status === "Rejected") {
+        return [
+          issue(
+            IssueCode.RejectionNotRelayed,
+            "The dispute was rejected on the home proxy but the foreign proxy is still waiting",
+            homeAction("relayDisputeRejected", item)
+          ),
+        ];
+      }
+      if (home.status === "None") {
+        if (!foreignStale) {
+          return [];
+        }
+        const action = now > foreign.requestedAt + requestTimeout ? foreignAction("claimRequestTimeout", item) : null;
+        return lastHomeEvent && lastHomeEvent.event === "DisputeRejected"
+          ? [
+              issue(
+                IssueCode.RejectionNotDelivered,
+                "The dispute rejection was not received by the foreign proxy",
+                action
+              ),
+            ]
+          : [issue(IssueCode.RequestNotDelivered, "The dispute request was not received by the home proxy", action)];
+      }
+      return [mismatch];
+
+    case "DepositPending":
+      if (home.status !== "Accepted") {
+        return [mismatch];
+      }
+      if (isDefendantFeeInFlight(lastHomeEvent, lastForeignEvent)) {
+        return now - lastHomeEvent.timestamp > bridgeTimeout
+          ? [
+              issue(
+                IssueCode.DefendantFeeNotDelivered,
+                "The defendant fee paid on the home proxy was not received by the foreign proxy"
+              ),
+            ]
+          : [];
+      }
+      return now > foreign.acceptedAt + feeDepositTimeout
+        ? [
+            issue(
+              IssueCode.DefendantDepositExpired,
+              "The defendant did not pay the arbitration fee in time",
+              foreignAction("claimPlaintiffWin", item)
+            ),
+          ]
+        : [];
+
+    case "Ongoing":
+      if (home.status !== "Accepted") {
+        return [mismatch];
+      }
+      return !home.disputeCreated && foreignStale
+        ? [issue(IssueCode.DisputeCreationNotDelivered, "The dispute creation was not received by the home proxy")]
+        : [];
+
+    case "Ruled":
+      if (home.status === "Accepted") {
+        return foreignStale
+          ? [issue(IssueCode.RulingNotDelivered, "The ruling was not received by the home proxy")]
+          : [];
+      }
+      if (home.status === "Ruled") {
+        return home.ruling === foreign.ruling
+          ? []
+          : [
+              issue(
+                IssueCode.RulingMismatch,
+                `Home ruling ${home.ruling} is different from foreign ruling ${foreign.ruling}`
+              ),
+            ];
+      }
+      return [mismatch];
+
+    case "Settled":
+      if (home.status === "Accepted") {
+        return foreignStale
+          ? [issue(IssueCode.SettlementNotDelivered, "The settlement was not confirmed to the home proxy")]
+          : [];
+      }
+      return home.status === "Settled" ? [] : [mismatch];
+
+    default:
+      return [mismatch];
+  }
+}
+
+module.exports = {
+  IssueCode,
+  reconcileItem,
+};
@@ -0,0 +1,273 @@
+const { ForeignStatus, HomeStatus } = require("../enums");
+const { getArbitrationID } = require("../utils/ids");
+const { silentLogger } = require("../utils/logger");
+const { retry } = require("../utils/retry");
+const { createMemoryStore } = require("../utils/stores");
+
+const Action = Object.freeze({
+  Accepted: "accepted",
+  Rejected: "rejected",
+});
+
+/**
+ * @typedef {object} RelayerState
+ * @property {number} fromBlock The next block on the Home Chain to be scanned.
+ * @property {Object<string, PendingRelay>} pending The relays which failed or were sent and not yet acknowledged by the
+ * foreign proxy, by arbitration ID.
+ */
+
+/**
+ * @typedef {object} PendingRelay
+ * @property {string} arbitrable The address of the arbitrable contract.
+ * @property {string} arbitrableItemID The ID of the arbitrable item.
+ * @property {string} action Either `accepted` or `rejected`.
+ * @property {string} [txHash] The hash of the relay transaction.
+ * @property {number} [relayedAt] The time (ms) when the relay transaction was mined.
+ * @property {boolean} [failed] Whether the relay failed after all its retries, in which case it is relayed again on the
+ * next run.
+ */
+
+/**
+ * Creates a bot which relays the dispute requests accepted or rejected on the Home Chain to the Foreign Chain.
+ *
+ * The home proxy cannot answer a dispute request in the same cross-chain message, so someone has to call
+ * `relayDisputeAccepted` or `relayDisputeRejected` for every `DisputeAccepted` and `DisputeRejected` event.
+ * The bot scans those events from a persisted cursor and only relays items whose arbitration is still `Requested`
+ * on the foreign proxy. Relays are remembered until the foreign proxy acknowledges them, so the same item is not
+ * relayed again while the bridge message is in flight. Failed relays are remembered as well, so they are relayed again
+ * on the next run even though the cursor moved past their events.
+ *
+ * @param {object} params
+ * @param {ethers.Contract} params.homeProxy The home proxy contract, connected to a signer on the Home Chain.
+ * @param {ethers.Contract} params.foreignProxy The foreign proxy contract, connected to a provider on the Foreign Chain.
+ * @param {StateStore} [params.store] Where to persist the relayer state. Defaults to an in-memory store.
+ * @param {number} [params.startBlock=0] The block from which to start scanning when there is no persisted state.
+ * @param {number} [params.confirmations=0] How many blocks to wait before processing events.
+ * @param {number} [params.blockRange=10000] The maximum number of blocks to query at once.
+ * @param {number} [params.relayTimeout=3600000] How long (ms) to wait for the bridge before relaying again.
+ * @param {number} [params.pollInterval=60000] The interval (ms) between runs when started with `start()`.
+ * @param {object} [params.retryOptions] Options for retrying failed transactions. See `utils/retry`.
+ * @param {object} [params.logger] An object with `info`, `warn` and `error` methods.
+ * @return {{runOnce: function(): Promise<object>, start: function(): void, stop: function(): Promise<void>}} The relayer.
+ */
+function createRelayer({
+  homeProxy,
+  foreignProxy,
+  store = createMemoryStore(),
+  startBlock = 0,
+  confirmations = 0,
+  blockRange = 10000,
+  relayTimeout = 60 * 60 * 1000,
+  pollInterval = 60 * 1000,
+  retryOptions = {},
+  logger = silentLogger,
+}) {
+  let timeoutID;
+  let currentRun = Promise.resolve();
+  let running = false;
+
+  async function getStatuses(arbitrable, arbitrableItemID) {
+    const arbitrationID = getArbitrationID(arbitrable, arbitrableItemID);
+    const [arbitrableItem, arbitration] = await Promise.all([
+      homeProxy.arbitrableItems(arbitrable, arbitrableItemID),
+      foreignProxy.arbitrations(arbitrationID),
+    ]);
+
+    return { homeStatus: arbitrableItem.status, foreignStatus: arbitration.status };
+  }
+
+  function getRequiredAction({ homeStatus, foreignStatus }) {
+    if (foreignStatus !== ForeignStatus.Requested) {
+      return undefined;
+    }
+
+    if (homeStatus === HomeStatus.Accepted) {
+      return Action.Accepted;
+    }
+
+    if (homeStatus === HomeStatus.Rejected) {
+      return Action.Rejected;
+    }
+
+    // The request was not received on the Home Chain yet or a rejection is already on its way.
+    return undefined;
+  }
+
+  async function relay(action, arbitrable, arbitrableItemID) {
+    return retry(
+      async (attempt) => {
+        if (attempt > 0) {
+          // A previous attempt might have been mined after all, so check whether the relay is still needed.
+          const statuses = await getStatuses(arbitrable, arbitrableItemID);
+          if (getRequiredAction(statuses) !== action) {
+            return undefined;
+          }
+        }
+
+        const tx =
+          action === Action.Accepted
+            ? await homeProxy.relayDisputeAccepted(arbitrable, arbitrableItemID)
+            : await homeProxy.relayDisputeRejected(arbitrable, arbitrableItemID);
+
+        return tx.wait();
+      },
+      {
+        ...retryOptions,
+        onRetry: (err, attempt) =>
+          logger.warn(`Relay ${action} for ${arbitrable}/${arbitrableItemID} failed (attempt ${attempt + 1})`, err),
+      }
+    );
+  }
+
+  async function processItem(state, arbitrable, arbitrableItemID) {
+    const key = String(getArbitrationID(arbitrable, arbitrableItemID));
+    const action = getRequiredAction(await getStatuses(arbitrable, arbitrableItemID));
+
+    if (action === undefined) {
+      delete state.pending[key];
+      return undefined;
+    }
+
+    const pendingRelay = state.pending[key];
+    if (
+      pendingRelay &&
+      !pendingRelay.failed &&
+      pendingRelay.action === action &&
+      Date.now() - pendingRelay.relayedAt < relayTimeout
+    ) {
+      return undefined;
+    }
+
+    try {
+      const receipt = await relay(action, arbitrable, arbitrableItemID);
+      if (!receipt) {
+        return undefined;
+      }
+
+      state.pending[key] = {
+        arbitrable,
+        arbitrableItemID: String(arbitrableItemID),
+        action,
+        txHash: receipt.transactionHash,
+        relayedAt: Date.now(),
+      };
+      logger.info(`Relayed dispute ${action} for ${arbitrable}/${arbitrableItemID}: ${receipt.transactionHash}`);
+
+      return { arbitrationID: key, arbitrable, arbitrableItemID: String(arbitrableItemID), action };
+    } catch (err) {
+      state.pending[key] = { arbitrable, arbitrableItemID: String(arbitrableItemID), action, failed: true };
+      logger.error(`Could not relay dispute ${action} for ${arbitrable}/${arbitrableItemID}`, err);
+      return undefined;
+    }
+  }
+
+  async function getItemsFromEvents(fromBlock, toBlock) {
+    const [acceptedEvents, rejectedEvents] = await Promise.all([
+      homeProxy.queryFilter(homeProxy.filters.DisputeAccepted(), fromBlock, toBlock),
+      homeProxy.queryFilter(homeProxy.filters.DisputeRejected(), fromBlock, toBlock),
+    ]);
+
+    const items = new Map();
+    for (const { args } of [...acceptedEvents, ...rejectedEvents]) {
+      const { _arbitrable: arbitrable, _arbitrableItemID: arbitrableItemID } = args;
+      items.set(String(getArbitrationID(arbitrable, arbitrableItemID)), { arbitrable, arbitrableItemID });
+    }
+
+    return [...items.values()];
+  }
+
+  /**
+   * Scans the new events since the last run and processes the pending relays.
+   * @return {Promise<{fromBlock: number, toBlock: number, relayed: object[]}>} A summary of the run.
+   */
+  async function runOnce() {
+    const state = (await store.load()) || { fromBlock: startBlock, pending: {} };
+    const initialFromBlock = state.fromBlock;
+    const processed = new Set();
+    const relayed = [];
+
+    const latestBlock = await homeProxy.provider.getBlockNumber();
+    const toBlock = latestBlock - confirmations;
+
+    for (let fromBlock = state.fromBlock; fromBlock <= toBlock; fromBlock += blockRange) {
+      const rangeEnd = Math.min(fromBlock + blockRange - 1, toBlock);
+      const items = await getItemsFromEvents(fromBlock, rangeEnd);
+
+      for (const { arbitrable, arbitrableItemID } of items) {
+        processed.add(String(getArbitrationID(arbitrable, arbitrableItemID)));
+        const result = await processItem(state, arbitrable, arbitrableItemID);
+        if (result) {
+          relayed.push(result);
+        }
+      }
+
+      state.fromBlock = rangeEnd + 1;
+      await store.save(state);
+    }
+
+    for (const [key, { arbitrable, arbitrableItemID }] of Object.entries(state.pending)) {
+      // The items found in the new events were just processed, so their failed relays wait for the next run.
+      if (processed.has(key)) {
+        continue;
+      }
+
+      const result = await processItem(state, arbitrable, arbitrableItemID);
+      if (result) {
+        relayed.push(result);
+      }
+    }
+    await store.save(state);
+
+    return { fromBlock: initialFromBlock, toBlock: state.fromBlock - 1, relayed };
+  }
+
+  function scheduleNextRun() {
+    timeoutID = setTimeout(() => {
+      currentRun = runOnce()
+        .catch((err) => logger.error("Relayer run failed", err))
+        .then(() => {
+          if (running) {
+            scheduleNextRun();
+          }
+        });
+    }, pollInterval);
+  }
+
+  /**
+   * Runs the relayer periodically, every `pollInterval` ms, until `stop()` is called.
+   */
+  function start() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    currentRun = runOnce()
+      .catch((err) => logger.error("Relayer run failed", err))
+      .then(() => {
+        if (running) {
+          scheduleNextRun();
+        }
+      });
+  }
+
+  /**
+   * Stops the relayer, waiting for the current run to finish.
+   */
+  async function stop() {
+    running = false;
+    clearTimeout(timeoutID);
+    await currentRun;
+  }
+
+  return {
+    runOnce,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  Action,
+  createRelayer,
+};
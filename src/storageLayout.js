@@ -0,0 +1,166 @@
+/**
+ * @typedef {object} StorageType
+ * @property {string} encoding How the type is stored: `inplace`, `mapping`, `dynamic_array` or `bytes`.
+ * @property {string} label The name of the type, i.e.: `uint256` or `struct ForeignBinaryArbitrationProxy.Arbitration`.
+ * @property {number} numberOfBytes The bytes the type takes in place.
+ * @property {StorageType} [key] For mappings, the type of the keys.
+ * @property {StorageType} [value] For mappings, the type of the values.
+ * @property {StorageType} [base] For arrays, the type of the elements.
+ * @property {StorageVariable[]} [members] For structs, the members.
+ */
+
+/**
+ * @typedef {object} StorageVariable
+ * @property {string} label The name of the state variable or struct member.
+ * @property {number} slot The slot it starts at, relative to its container.
+ * @property {number} offset The byte it starts at within the slot.
+ * @property {StorageType} type The type.
+ */
+
+/**
+ * The types stored as 20 bytes addresses, which can be used interchangeably.
+ */
+const ADDRESS_LABEL = /^(address( payable)?|contract .+)$/;
+
+/**
+ * Turns the `storageLayout` output of the compiler into self-contained variables.
+ * @dev The compiler identifies the types with AST IDs, which change between compilations, so the types are inlined.
+ * @param {{storage: object[], types: object<string, object>}} storageLayout The compiler output.
+ * @return {StorageVariable[]} The state variables, in storage order.
+ */
+function normalizeStorageLayout({ storage, types }) {
+  function normalizeType(typeId) {
+    const { encoding, label, numberOfBytes, key, value, base, members } = types[typeId];
+
+    return {
+      encoding,
+      label,
+      numberOfBytes: Number(numberOfBytes),
+      ...(key ? { key: normalizeType(key), value: normalizeType(value) } : {}),
+      ...(base ? { base: normalizeType(base) } : {}),
+      ...(members ? { members: members.map(normalizeVariable) } : {}),
+    };
+  }
+
+  function normalizeVariable({ label, slot, offset, type }) {
+    return { label, slot: Number(slot), offset, type: normalizeType(type) };
+  }
+
+  return storage.map(normalizeVariable);
+}
+
+/**
+ * Describes why a type cannot replace another one in storage.
+ * @param {StorageType} previous The type in the deployed implementation.
+ * @param {StorageType} next The type in the new implementation.
+ * @param {boolean} canGrow Whether a struct can have members added at its end, which is only the case for the values of
+ * a mapping, since nothing is stored after them.
+ * @return {string|undefined} The incompatibility, or undefined if the new type is compatible.
+ */
+function getTypeIncompatibility(previous, next, canGrow) {
+  if (previous.encoding !== next.encoding) {
+    return `${previous.label} became ${next.label}`;
+  }
+
+  if (previous.encoding === "mapping") {
+    return (
+      getTypeIncompatibility(previous.key, next.key, false) || getTypeIncompatibility(previous.value, next.value, true)
+    );
+  }
+
+  if (previous.encoding === "dynamic_array") {
+    return getTypeIncompatibility(previous.base, next.base, false);
+  }
+
+  if (previous.members || next.members) {
+    if (!previous.members || !next.members) {
+      return `${previous.label} became ${next.label}`;
+    }
+    return getMembersIncompatibility(previous, next, canGrow);
+  }
+
+  if (previous.base) {
+    if (!next.base || previous.numberOfBytes !== next.numberOfBytes) {
+      return `${previous.label} became ${next.label}`;
+    }
+    return getTypeIncompatibility(previous.base, next.base, false);
+  }
+
+  const sameLabel =
+    previous.label === next.label || (ADDRESS_LABEL.test(previous.label) && ADDRESS_LABEL.test(next.label));
+  if (!sameLabel || previous.numberOfBytes !== next.numberOfBytes) {
+    return `${previous.label} became ${next.label}`;
+  }
+
+  return undefined;
+}
+
+/**
+ * Describes why the members of a struct cannot replace the previous ones in storage.
+ * @param {StorageType} previous The struct in the deployed implementation.
+ * @param {StorageType} next The struct in the new implementation.
+ * @param {boolean} canGrow Whether members can be added at the end of the struct.
+ * @return {string|undefined} The incompatibility, or undefined if the new struct is compatible.
+ */
+function getMembersIncompatibility(previous, next, canGrow) {
+  for (const [i, member] of previous.members.entries()) {
+    const nextMember = next.members[i];
+    if (!nextMember || nextMember.label !== member.label) {
+      return `${previous.label} lost the member ${member.label} at position ${i}`;
+    }
+    if (nextMember.slot !== member.slot || nextMember.offset !== member.offset) {
+      return `${previous.label} moved the member ${member.label}`;
+    }
+
+    const incompatibility = getTypeIncompatibility(member.type, nextMember.type, false);
+    if (incompatibility) {
+      return `${previous.label}.${member.label}: ${incompatibility}`;
+    }
+  }
+
+  if (!canGrow && next.members.length > previous.members.length) {
+    return `${previous.label} has new members but is not the value of a mapping`;
+  }
+
+  return undefined;
+}
+
+/**
+ * Compares the storage layout of a deployed implementation with the one of the implementation replacing it.
+ * @dev State variables can only be added after the existing ones, and members can only be added at the end of the
+ * structs which are the values of a mapping. The variables cannot be removed, renamed, moved nor change their type.
+ * @param {StorageVariable[]} previous The normalized layout of the deployed implementation.
+ * @param {StorageVariable[]} next The normalized layout of the new implementation.
+ * @return {{label: string, problem: string}[]} The state variables the upgrade would corrupt, with the reason.
+ * Empty if the upgrade is safe.
+ */
+function compareStorageLayouts(previous, next) {
+  const nextByLabel = new Map(next.map((variable) => [variable.label, variable]));
+  const problems = [];
+
+  for (const variable of previous) {
+    const { label, slot, offset, type } = variable;
+    const nextVariable = nextByLabel.get(label);
+
+    if (!nextVariable) {
+      problems.push({ label, problem: "Removed or renamed" });
+    } else if (nextVariable.slot !== slot || nextVariable.offset !== offset) {
+      problems.push({
+        label,
+        problem: `Moved from slot ${slot} (offset ${offset}) to slot ${nextVariable.slot} (offset ${nextVariable.offset})`,
+      });
+    } else {
+      const incompatibility = getTypeIncompatibility(type, nextVariable.type, false);
+      if (incompatibility) {
+        problems.push({ label, problem: `Incompatible type: ${incompatibility}` });
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  normalizeStorageLayout,
+  compareStorageLayouts,
+};
@@ -0,0 +1,30 @@
+const { ethers } = require("ethers");
+
+/**
+ * Turns the address of the arbitrable contract and the ID of the arbitrable item into an identifier.
+ * Mirrors `ForeignBinaryArbitrationProxy.getArbitrationID`.
+ * @param {string} arbitrable The arbitrable contract address.
+ * @param {ethers.BigNumberish} arbitrableItemID The ID of the arbitration item.
+ * @return {ethers.BigNumber} The arbitration ID.
+ */
+function getArbitrationID(arbitrable, arbitrableItemID) {
+  return ethers.BigNumber.from(ethers.utils.solidityKeccak256(["address", "uint256"], [arbitrable, arbitrableItemID]));
+}
+
+/**
+ * Turns the address of the arbitrator contract and the ID of the dispute in that contract into an identifier.
+ * Mirrors `ForeignBinaryArbitrationProxy.getDisputeID`.
+ * @param {string} arbitrator The arbitrator contract address.
+ * @param {ethers.BigNumberish} arbitratorDisputeID The ID of the dispute in the arbitrator.
+ * @return {ethers.BigNumber} The dispute ID.
+ */
+function getDisputeID(arbitrator, arbitratorDisputeID) {
+  return ethers.BigNumber.from(
+    ethers.utils.solidityKeccak256(["address", "uint256"], [arbitrator, arbitratorDisputeID])
+  );
+}
+
+module.exports = {
+  getArbitrationID,
+  getDisputeID,
+};
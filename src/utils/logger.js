@@ -0,0 +1,12 @@
+/**
+ * A logger which discards everything, used by the bots and the dashboard when no logger is given.
+ */
+const silentLogger = Object.freeze({
+  info() {},
+  warn() {},
+  error() {},
+});
+
+module.exports = {
+  silentLogger,
+};
@@ -0,0 +1,41 @@
+/**
+ * Waits for the given amount of time.
+ * @param {number} ms The amount of milliseconds to wait.
+ * @return {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls `fn` until it succeeds or the number of retries is exhausted, with exponential backoff between attempts.
+ * @param {function(number): Promise<*>} fn The function to call. Receives the attempt number, starting at 0.
+ * @param {object} [options]
+ * @param {number} [options.retries=3] How many times to retry after the first failure.
+ * @param {number} [options.minDelay=1000] The delay before the first retry in milliseconds.
+ * @param {number} [options.factor=2] The factor by which the delay grows after each retry.
+ * @param {function(Error, number): void} [options.onRetry] Called with the error and the attempt number before retrying.
+ * @return {Promise<*>} The value returned by `fn`.
+ */
+async function retry(fn, { retries = 3, minDelay = 1000, factor = 2, onRetry = () => {} } = {}) {
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries) {
+        throw err;
+      }
+
+      onRetry(err, attempt);
+      await delay(minDelay * factor ** attempt);
+      attempt += 1;
+    }
+  }
+}
+
+module.exports = {
+  delay,
+  retry,
+};
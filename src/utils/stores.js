@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} StateStore
+ * @property {function(): Promise<object|undefined>} load Loads the persisted state, if any.
+ * @property {function(object): Promise<void>} save Persists the state.
+ */
+
+/**
+ * Creates a store which keeps the state as a JSON file on disk.
+ * @dev The file is written to a temporary path and then renamed, so a crash never leaves a partial file behind.
+ * @param {string} filePath The path of the JSON file.
+ * @return {StateStore} The store.
+ */
+function createFileStore(filePath) {
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return undefined;
+        }
+        throw err;
+      }
+    },
+    async save(state) {
+      const tmpFilePath = `${filePath}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpFilePath, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmpFilePath, filePath);
+    },
+  };
+}
+
+/**
+ * Creates a store which keeps the state in memory. Useful for tests and one-off runs.
+ * @param {object} [initialState] The initial state.
+ * @return {StateStore} The store.
+ */
+function createMemoryStore(initialState) {
+  let state = initialState && JSON.parse(JSON.stringify(initialState));
+
+  return {
+    async load() {
+      return state && JSON.parse(JSON.stringify(state));
+    },
+    async save(newState) {
+      state = JSON.parse(JSON.stringify(newState));
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+  createMemoryStore,
+};
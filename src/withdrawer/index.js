@@ -0,0 +1,312 @@
+const { ForeignStatus } = require("../enums");
+const { silentLogger } = require("../utils/logger");
+const { retry } = require("../utils/retry");
+const { createMemoryStore } = require("../utils/stores");
+
+/**
+ * @typedef {object} WithdrawerState
+ * @property {number} fromBlock The next block on the Foreign Chain to be scanned.
+ * @property {Object<string, Object<string, number[]>>} claims The contributions not withdrawn yet, by beneficiary
+ * and arbitration ID, with the sides (the ruling options, on the multi-outcome proxies) they were made to.
+ */
+
+/**
+ * @typedef {object} Claim
+ * @property {string} arbitrationID The ID of the arbitration.
+ * @property {number} [ruling] The ruling option the contributions were made to. Only for the multi-outcome proxies.
+ * @property {ethers.BigNumber} [amount] The amount to withdraw, once known.
+ */
+
+/**
+ * Creates a bot which withdraws the fees and rewards of the appeal crowdfunders on their behalf.
+ *
+ * Contributors have to withdraw from each ruled arbitration themselves, and many never do. The bot scans the
+ * `FeeContribution` events from a persisted cursor and remembers each contributor until the arbitration is ruled.
+ * Then it uses `getTotalWithdrawableAmount` to find the claimable funds and withdraws them with
+ * `withdrawFeesAndRewardsForArbitrations`, batching the arbitrations of each beneficiary. Batches which would use
+ * more than `gasBudget` are split. The funds are always sent to the beneficiary, the bot only pays for the gas.
+ *
+ * @param {object} params
+ * @param {ethers.Contract} params.foreignProxy The foreign proxy contract, connected to a signer on the Foreign Chain.
+ * @param {string} [params.variant="binary"] The variant of the proxy. Either `binary` or `multi-outcome`.
+ * @param {StateStore} [params.store] Where to persist the withdrawer state. Defaults to an in-memory store.
+ * @param {number} [params.startBlock=0] The block from which to start scanning when there is no persisted state.
+ * @param {number} [params.confirmations=0] How many blocks to wait before processing events.
+ * @param {number} [params.blockRange=10000] The maximum number of blocks to query at once.
+ * @param {number} [params.gasBudget=2000000] The maximum gas a withdrawal transaction can use.
+ * @param {number} [params.maxBatchSize=20] The maximum number of claims withdrawn in the same transaction.
+ * @param {number} [params.pollInterval=600000] The interval (ms) between runs when started with `start()`.
+ * @param {object} [params.retryOptions] Options for retrying failed transactions. See `utils/retry`.
+ * @param {object} [params.logger] An object with `info`, `warn` and `error` methods.
+ * @return {{runOnce: function(): Promise<object>, start: function(): void, stop: function(): Promise<void>}} The withdrawer.
+ */
+function createWithdrawer({
+  foreignProxy,
+  variant = "binary",
+  store = createMemoryStore(),
+  startBlock = 0,
+  confirmations = 0,
+  blockRange = 10000,
+  gasBudget = 2000000,
+  maxBatchSize = 20,
+  pollInterval = 10 * 60 * 1000,
+  retryOptions = {},
+  logger = silentLogger,
+}) {
+  if (variant !== "binary" && variant !== "multi-outcome") {
+    throw new Error(`Unknown proxy variant "${variant}". Expected one of: binary, multi-outcome`);
+  }
+  const isMultiOutcome = variant === "multi-outcome";
+
+  let timeoutID;
+  let currentRun = Promise.resolve();
+  let running = false;
+
+  function getClaims(contributions) {
+    return Object.entries(contributions).flatMap(([arbitrationID, rulings]) =>
+      // On the binary proxies, the contributions to both sides are withdrawn at once.
+      isMultiOutcome ? rulings.map((ruling) => ({ arbitrationID, ruling })) : [{ arbitrationID }]
+    );
+  }
+
+  function removeClaim(state, beneficiary, { arbitrationID, ruling }) {
+    const contributions = state.claims[beneficiary];
+    const remainingRulings = isMultiOutcome ? contributions[arbitrationID].filter((r) => r !== ruling) : [];
+
+    if (remainingRulings.length > 0) {
+      contributions[arbitrationID] = remainingRulings;
+    } else {
+      delete contributions[arbitrationID];
+    }
+
+    if (Object.keys(contributions).length === 0) {
+      delete state.claims[beneficiary];
+    }
+  }
+
+  async function getWithdrawableAmount(beneficiary, { arbitrationID, ruling }) {
+    return isMultiOutcome
+      ? foreignProxy.getTotalWithdrawableAmount(arbitrationID, beneficiary, ruling)
+      : foreignProxy.getTotalWithdrawableAmount(arbitrationID, beneficiary);
+  }
+
+  function getWithdrawArgs(beneficiary, claims) {
+    const arbitrationIDs = claims.map(({ arbitrationID }) => arbitrationID);
+
+    return isMultiOutcome
+      ? [arbitrationIDs, claims.map(({ ruling }) => ruling), beneficiary]
+      : [arbitrationIDs, beneficiary];
+  }
+
+  async function withdraw(beneficiary, claims) {
+    return retry(
+      async (attempt) => {
+        let pendingClaims = claims;
+        if (attempt > 0) {
+          // A previous attempt might have been mined after all, so only withdraw what is still there.
+          const amounts = await Promise.all(claims.map((claim) => getWithdrawableAmount(beneficiary, claim)));
+          pendingClaims = claims.filter((claim, i) => !amounts[i].isZero());
+          if (pendingClaims.length === 0) {
+            return undefined;
+          }
+        }
+
+        const args = getWithdrawArgs(beneficiary, pendingClaims);
+        const tx = await foreignProxy.withdrawFeesAndRewardsForArbitrations(...args, { gasLimit: gasBudget });
+
+        return tx.wait();
+      },
+      {
+        ...retryOptions,
+        onRetry: (err, attempt) => logger.warn(`Withdrawal for ${beneficiary} failed (attempt ${attempt + 1})`, err),
+      }
+    );
+  }
+
+  /**
+   * Splits the claims of a beneficiary in batches which can be withdrawn within the gas budget.
+   * @param {string} beneficiary The beneficiary.
+   * @param {Claim[]} claims The claims.
+   * @return {Promise<Claim[][]>} The batches. The claims which cannot be withdrawn within the budget on their own are left out.
+   */
+  async function splitInBatches(beneficiary, claims) {
+    if (claims.length > maxBatchSize) {
+      const batches = [];
+      for (let i = 0; i < claims.length; i += maxBatchSize) {
+        batches.push(...(await splitInBatches(beneficiary, claims.slice(i, i + maxBatchSize))));
+      }
+      return batches;
+    }
+
+    const gasEstimate = await foreignProxy.estimateGas.withdrawFeesAndRewardsForArbitrations(
+      ...getWithdrawArgs(beneficiary, claims)
+    );
+    if (gasEstimate.lte(gasBudget)) {
+      return [claims];
+    }
+
+    if (claims.length === 1) {
+      logger.warn(
+        `Withdrawing ${claims[0].arbitrationID} for ${beneficiary} needs ${gasEstimate} gas, above the budget of ${gasBudget}`
+      );
+      return [];
+    }
+
+    const middle = Math.ceil(claims.length / 2);
+    return [
+      ...(await splitInBatches(beneficiary, claims.slice(0, middle))),
+      ...(await splitInBatches(beneficiary, claims.slice(middle))),
+    ];
+  }
+
+  async function processBeneficiary(state, beneficiary, getStatus) {
+    const claimable = [];
+
+    for (const claim of getClaims(state.claims[beneficiary])) {
+      if ((await getStatus(claim.arbitrationID)) < ForeignStatus.Ruled) {
+        continue;
+      }
+
+      const amount = await getWithdrawableAmount(beneficiary, claim);
+      if (amount.isZero()) {
+        // Withdrawn by someone else already, or the contributions were not rewarded.
+        removeClaim(state, beneficiary, claim);
+      } else {
+        claimable.push({ ...claim, amount });
+      }
+    }
+
+    if (claimable.length === 0) {
+      return [];
+    }
+
+    let batches;
+    try {
+      batches = await splitInBatches(beneficiary, claimable);
+    } catch (err) {
+      logger.error(`Could not estimate the withdrawals for ${beneficiary}`, err);
+      return [];
+    }
+
+    const withdrawals = [];
+    for (const batch of batches) {
+      try {
+        const receipt = await withdraw(beneficiary, batch);
+        for (const claim of batch) {
+          removeClaim(state, beneficiary, claim);
+        }
+        if (!receipt) {
+          continue;
+        }
+
+        logger.info(`Withdrew ${batch.length} claims for ${beneficiary}: ${receipt.transactionHash}`);
+        withdrawals.push({ beneficiary, claims: batch, txHash: receipt.transactionHash });
+      } catch (err) {
+        logger.error(`Could not withdraw ${batch.length} claims for ${beneficiary}`, err);
+      }
+    }
+
+    return withdrawals;
+  }
+
+  async function addClaimsFromEvents(state, fromBlock, toBlock) {
+    const events = await foreignProxy.queryFilter(foreignProxy.filters.FeeContribution(), fromBlock, toBlock);
+
+    for (const { args } of events) {
+      const beneficiary = args._contributor;
+      const arbitrationID = String(args._arbitrationID);
+      const ruling = Number(isMultiOutcome ? args._ruling : args._party);
+
+      const contributions = state.claims[beneficiary] || (state.claims[beneficiary] = {});
+      const rulings = contributions[arbitrationID] || (contributions[arbitrationID] = []);
+      if (!rulings.includes(ruling)) {
+        rulings.push(ruling);
+      }
+    }
+  }
+
+  /**
+   * Scans the new contributions since the last run and withdraws the claimable ones.
+   * @return {Promise<{fromBlock: number, toBlock: number, withdrawals: object[]}>} A summary of the run.
+   */
+  async function runOnce() {
+    const state = (await store.load()) || { fromBlock: startBlock, claims: {} };
+    const initialFromBlock = state.fromBlock;
+
+    const latestBlock = await foreignProxy.provider.getBlockNumber();
+    const toBlock = latestBlock - confirmations;
+
+    for (let fromBlock = state.fromBlock; fromBlock <= toBlock; fromBlock += blockRange) {
+      const rangeEnd = Math.min(fromBlock + blockRange - 1, toBlock);
+      await addClaimsFromEvents(state, fromBlock, rangeEnd);
+
+      state.fromBlock = rangeEnd + 1;
+      await store.save(state);
+    }
+
+    const statuses = new Map();
+    const getStatus = async (arbitrationID) => {
+      if (!statuses.has(arbitrationID)) {
+        statuses.set(arbitrationID, (await foreignProxy.arbitrations(arbitrationID)).status);
+      }
+      return statuses.get(arbitrationID);
+    };
+
+    const withdrawals = [];
+    for (const beneficiary of Object.keys(state.claims)) {
+      withdrawals.push(...(await processBeneficiary(state, beneficiary, getStatus)));
+    }
+    await store.save(state);
+
+    return { fromBlock: initialFromBlock, toBlock: state.fromBlock - 1, withdrawals };
+  }
+
+  function scheduleNextRun() {
+    timeoutID = setTimeout(() => {
+      currentRun = runOnce()
+        .catch((err) => logger.error("Withdrawer run failed", err))
+        .then(() => {
+          if (running) {
+            scheduleNextRun();
+          }
+        });
+    }, pollInterval);
+  }
+
+  /**
+   * Runs the withdrawer periodically, every `pollInterval` ms, until `stop()` is called.
+   */
+  function start() {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    currentRun = runOnce()
+      .catch((err) => logger.error("Withdrawer run failed", err))
+      .then(() => {
+        if (running) {
+          scheduleNextRun();
+        }
+      });
+  }
+
+  /**
+   * Stops the withdrawer, waiting for the current run to finish.
+   */
+  async function stop() {
+    running = false;
+    clearTimeout(timeoutID);
+    await currentRun;
+  }
+
+  return {
+    runOnce,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createWithdrawer,
+};
@@ -0,0 +1,40 @@
+const { task, types } = require("@nomiclabs/buidler/config");
+const { ethers } = require("ethers");
+const { encodeArbitratorExtraData, previewDisputeCost } = require("../src/arbitratorExtraData");
+const { getForeignProxy, addProxyParams } = require("./governance");
+
+addProxyParams(
+  task(
+    "extradata:preview",
+    "Previews the court, the jurors and the cost of the dispute for an arbitrable item or for a court and jurors"
+  )
+)
+  .addOptionalParam("arbitrable", "The address of the arbitrable contract, to use the extra data in effect for an item")
+  .addOptionalParam("itemId", "The ID of the arbitrable item", undefined, types.string)
+  .addOptionalParam("subcourt", "The ID of the subcourt, to encode the extra data", undefined, types.string)
+  .addOptionalParam("jurors", "The minimum number of jurors, to encode the extra data", undefined, types.string)
+  .setAction(async (args, bre) => {
+    const { arbitrable, itemId, subcourt, jurors } = args;
+    if ((arbitrable === undefined) === (subcourt === undefined && jurors === undefined)) {
+      throw new Error("Either --arbitrable and --item-id or --subcourt and/or --jurors must be provided");
+    }
+    if (arbitrable !== undefined && itemId === undefined) {
+      throw new Error("--item-id is required along with --arbitrable");
+    }
+
+    const proxy = await getForeignProxy(bre, args);
+    const preview = await previewDisputeCost(
+      proxy,
+      arbitrable !== undefined
+        ? { arbitrable, arbitrableItemID: itemId }
+        : { arbitratorExtraData: encodeArbitratorExtraData({ subcourtID: subcourt, minJurors: jurors }) }
+    );
+
+    console.log(`Dispute on ${preview.arbitrator} through ${proxy.address} on ${bre.network.name}:`);
+    console.log(`  ${"extraData".padEnd(18)}${preview.arbitratorExtraData}`);
+    console.log(`  ${"subcourtID".padEnd(18)}${preview.subcourtID}`);
+    console.log(`  ${"minJurors".padEnd(18)}${preview.minJurors}`);
+    console.log(`  ${"arbitrationCost".padEnd(18)}${ethers.utils.formatEther(preview.arbitrationCost)} ETH`);
+
+    return preview;
+  });
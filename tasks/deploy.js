@@ -0,0 +1,281 @@
+const { task, internalTask, types } = require("@nomiclabs/buidler/config");
+const {
+  TASK_COMPILE_GET_COMPILER_INPUT,
+  TASK_COMPILE_RUN_COMPILER,
+} = require("@nomiclabs/buidler/builtin-tasks/task-names");
+const { ethers } = require("ethers");
+const {
+  DEFAULT_DEPLOYMENTS_DIR,
+  getProxyContractNames,
+  getUpgradeableProxyContractNames,
+  deployMockAMB,
+  deployMockArbitrator,
+  deployHomeProxy,
+  deployForeignProxy,
+  deployUpgradeableHomeProxy,
+  deployUpgradeableForeignProxy,
+  upgradeProxy,
+  linkProxies,
+  createDeploymentStore,
+  recordDeployment,
+} = require("../src/deploy");
+const { normalizeStorageLayout, compareStorageLayouts } = require("../src/storageLayout");
+
+/**
+ * Gets the signer for a network, which does not need to be the one the task is running on.
+ * @param {object} bre The Buidler runtime environment.
+ * @param {string} networkName The name of the network in the Buidler config.
+ * @return {Promise<ethers.Signer>} The first account of the network.
+ */
+async function getNetworkSigner(bre, networkName) {
+  if (networkName === bre.network.name) {
+    const [signer] = await bre.ethers.getSigners();
+    return signer;
+  }
+
+  const networkConfig = bre.config.networks[networkName];
+  if (!networkConfig || !networkConfig.url) {
+    throw new Error(`Network "${networkName}" is not configured or has no url`);
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(networkConfig.url);
+  if (Array.isArray(networkConfig.accounts) && networkConfig.accounts.length > 0) {
+    return new ethers.Wallet(networkConfig.accounts[0], provider);
+  }
+  return provider.getSigner(0);
+}
+
+/**
+ * Deploys a contract with a deploy function from `src/deploy` and records it in the deployments of the network.
+ * @param {object} bre The Buidler runtime environment.
+ * @param {object} params
+ * @param {string} params.deploymentsDir The deployments directory.
+ * @param {string} params.contractName The name of the contract.
+ * @param {function(ethers.Signer): Promise<object>} params.deploy Deploys the contract.
+ * @return {Promise<string>} The address of the contract.
+ */
+async function deployAndRecord(bre, { deploymentsDir, contractName, deploy }) {
+  const [signer] = await bre.ethers.getSigners();
+  const { chainId } = await signer.provider.getNetwork();
+  const { deployment } = await deploy(signer);
+
+  await recordDeployment(createDeploymentStore(deploymentsDir, bre.network.name), {
+    chainId,
+    contractName,
+    deployment,
+  });
+
+  return deployment.address;
+}
+
+/**
+ * Records the storage layout of the implementation of an upgradeable proxy in its deployment record.
+ * @param {object} bre The Buidler runtime environment.
+ * @param {string} contractName The name of the proxy contract.
+ * @param {{contract: ethers.Contract, deployment: DeploymentRecord}} deployed The upgradeable proxy.
+ * @return {Promise<{contract: ethers.Contract, deployment: DeploymentRecord}>} The upgradeable proxy.
+ */
+async function withStorageLayout(bre, contractName, { contract, deployment }) {
+  const storageLayout = await bre.run("storage:layout", { contractName });
+  return { contract, deployment: { ...deployment, implementation: { ...deployment.implementation, storageLayout } } };
+}
+
+internalTask("storage:layout", "Gets the normalized storage layout of a contract from the compiler")
+  .addParam("contractName", "The name of the contract")
+  .setAction(async ({ contractName }, { run }) => {
+    const input = await run(TASK_COMPILE_GET_COMPILER_INPUT);
+    input.settings.outputSelection = { "*": { "*": ["storageLayout"] } };
+    const output = await run(TASK_COMPILE_RUN_COMPILER, { input });
+
+    const contract = Object.values(output.contracts || {})
+      .map((contracts) => contracts[contractName])
+      .find(Boolean);
+    if (!contract) {
+      throw new Error(`Contract ${contractName} not found`);
+    }
+    return normalizeStorageLayout(contract.storageLayout);
+  });
+
+task("deploy:home", "Deploys a home proxy and records it in the deployments of the network")
+  .addOptionalParam("variant", "The variant of the proxy (binary or multi-outcome)", "binary")
+  .addOptionalParam("amb", "The address of the AMB. Required unless --mocks is used")
+  .addOptionalParam("deploymentsDir", "Where to write the deployments JSON", DEFAULT_DEPLOYMENTS_DIR)
+  .addFlag("mocks", "Deploys a mock AMB, for local networks")
+  .addFlag("upgradeable", "Deploys the proxy behind an upgradeability proxy governed by the governor")
+  .setAction(async ({ variant, amb, deploymentsDir, mocks, upgradeable }, bre) => {
+    const contractName = getProxyContractNames(variant).home;
+    if (!amb && !mocks) {
+      throw new Error("Either --amb or --mocks must be provided");
+    }
+
+    await bre.run("compile");
+
+    if (mocks) {
+      amb = await deployAndRecord(bre, { deploymentsDir, contractName: "MockAMB", deploy: deployMockAMB });
+      console.log(`MockAMB deployed to ${amb} on ${bre.network.name}`);
+    }
+
+    const address = await deployAndRecord(bre, {
+      deploymentsDir,
+      contractName,
+      deploy: async (signer) =>
+        upgradeable
+          ? withStorageLayout(bre, contractName, await deployUpgradeableHomeProxy(signer, { variant, amb }))
+          : deployHomeProxy(signer, { variant, amb }),
+    });
+    console.log(`${contractName} deployed to ${address} on ${bre.network.name}`);
+
+    return address;
+  });
+
+task("deploy:foreign", "Deploys a foreign proxy and records it in the deployments of the network")
+  .addOptionalParam("variant", "The variant of the proxy (binary or multi-outcome)", "binary")
+  .addOptionalParam("amb", "The address of the AMB. Required unless --mocks is used")
+  .addOptionalParam("arbitrator", "The address of the arbitrator. Required unless --mocks is used")
+  .addOptionalParam("feeDepositTimeout", "The time the defendant has to deposit the fee", 3 * 24 * 3600, types.int)
+  .addOptionalParam("requestTimeout", "The time to wait for the dispute request answer", 24 * 3600, types.int)
+  .addOptionalParam("sharedMultiplier", "The appeal stake multiplier when there is no winner or loser", "10000")
+  .addOptionalParam("winnerMultiplier", "The appeal stake multiplier for the winner", "10000")
+  .addOptionalParam("loserMultiplier", "The appeal stake multiplier for the loser", "20000")
+  .addOptionalParam("arbitrationFee", "The arbitration fee of the mock arbitrator, in wei", "1000000000000000000")
+  .addOptionalParam("appealTimeout", "The appeal period of the mock arbitrator", 3600, types.int)
+  .addOptionalParam("deploymentsDir", "Where to write the deployments JSON", DEFAULT_DEPLOYMENTS_DIR)
+  .addFlag("mocks", "Deploys a mock AMB and a mock arbitrator, for local networks")
+  .addFlag("upgradeable", "Deploys the proxy behind an upgradeability proxy governed by the governor")
+  .setAction(async (args, bre) => {
+    const { variant, deploymentsDir, mocks, upgradeable } = args;
+    const contractName = getProxyContractNames(variant).foreign;
+    let { amb, arbitrator } = args;
+    if ((!amb || !arbitrator) && !mocks) {
+      throw new Error("Either --amb and --arbitrator or --mocks must be provided");
+    }
+
+    await bre.run("compile");
+
+    if (mocks) {
+      amb = await deployAndRecord(bre, { deploymentsDir, contractName: "MockAMB", deploy: deployMockAMB });
+      arbitrator = await deployAndRecord(bre, {
+        deploymentsDir,
+        contractName: "MockAppealableArbitrator",
+        deploy: (signer) => deployMockArbitrator(signer, args),
+      });
+      console.log(`MockAMB deployed to ${amb} on ${bre.network.name}`);
+      console.log(`MockAppealableArbitrator deployed to ${arbitrator} on ${bre.network.name}`);
+    }
+
+    const address = await deployAndRecord(bre, {
+      deploymentsDir,
+      contractName,
+      deploy: async (signer) =>
+        upgradeable
+          ? withStorageLayout(
+              bre,
+              contractName,
+              await deployUpgradeableForeignProxy(signer, { ...args, amb, arbitrator })
+            )
+          : deployForeignProxy(signer, { ...args, amb, arbitrator }),
+    });
+    console.log(`${contractName} deployed to ${address} on ${bre.network.name}`);
+
+    return address;
+  });
+
+task("upgrade:check", "Checks the current sources can replace the implementation of an upgradeable proxy")
+  .addParam("proxy", "The proxy to check (home or foreign)")
+  .addOptionalParam("deploymentsDir", "Where the deployments JSON are", DEFAULT_DEPLOYMENTS_DIR)
+  .setAction(async ({ proxy, deploymentsDir }, bre) => {
+    const contractName = getUpgradeableProxyContractNames()[proxy];
+    if (!contractName) {
+      throw new Error(`Unknown proxy "${proxy}". Expected one of: home, foreign`);
+    }
+
+    const deployments = (await createDeploymentStore(deploymentsDir, bre.network.name).load()) || { contracts: {} };
+    const deployment = deployments.contracts[contractName];
+    if (!deployment || !deployment.implementation) {
+      throw new Error(`${contractName} is not deployed as upgradeable on ${bre.network.name}`);
+    }
+
+    const storageLayout = await bre.run("storage:layout", { contractName });
+    const problems = compareStorageLayouts(deployment.implementation.storageLayout, storageLayout);
+    if (problems.length > 0) {
+      const details = problems.map(({ label, problem }) => `${label}: ${problem}`);
+      throw new Error(`The upgrade would corrupt the storage of ${contractName}:\n  ${details.join("\n  ")}`);
+    }
+
+    return { contractName, deployment, storageLayout };
+  });
+
+task("upgrade", "Upgrades the implementation of an upgradeable proxy to the current sources")
+  .addParam("proxy", "The proxy to upgrade (home or foreign)")
+  .addOptionalParam("deploymentsDir", "Where the deployments JSON are", DEFAULT_DEPLOYMENTS_DIR)
+  .setAction(async ({ proxy, deploymentsDir }, bre) => {
+    await bre.run("compile");
+
+    const { contractName, deployment, storageLayout } = await bre.run("upgrade:check", { proxy, deploymentsDir });
+
+    const [signer] = await bre.ethers.getSigners();
+    const { chainId } = await signer.provider.getNetwork();
+    const { implementation, transactionHash } = await upgradeProxy(signer, {
+      contractName,
+      address: deployment.address,
+      args: deployment.implementation.args,
+    });
+
+    await recordDeployment(createDeploymentStore(deploymentsDir, bre.network.name), {
+      chainId,
+      contractName,
+      deployment: { ...deployment, implementation: { ...implementation, storageLayout } },
+    });
+    console.log(`${contractName} at ${deployment.address} upgraded to ${implementation.address}`);
+
+    return { implementation: implementation.address, transactionHash };
+  });
+
+task("link", "Links the home and foreign proxies recorded in the deployments of two networks")
+  .addParam("homeNetwork", "The network where the home proxy is deployed")
+  .addParam("foreignNetwork", "The network where the foreign proxy is deployed")
+  .addOptionalParam("variant", "The variant of the proxies (binary or multi-outcome)", "binary")
+  .addOptionalParam("deploymentsDir", "Where the deployments JSON are", DEFAULT_DEPLOYMENTS_DIR)
+  .setAction(async ({ homeNetwork, foreignNetwork, variant, deploymentsDir }, bre) => {
+    const names = getProxyContractNames(variant);
+    const homeStore = createDeploymentStore(deploymentsDir, homeNetwork);
+    const foreignStore = createDeploymentStore(deploymentsDir, foreignNetwork);
+
+    const homeDeployment = ((await homeStore.load()) || { contracts: {} }).contracts[names.home];
+    if (!homeDeployment) {
+      throw new Error(`${names.home} is not deployed on ${homeNetwork}. Run deploy:home first`);
+    }
+    const foreignDeployment = ((await foreignStore.load()) || { contracts: {} }).contracts[names.foreign];
+    if (!foreignDeployment) {
+      throw new Error(`${names.foreign} is not deployed on ${foreignNetwork}. Run deploy:foreign first`);
+    }
+
+    const { homeChainId, foreignChainId, transactionHashes } = await linkProxies({
+      variant,
+      home: { address: homeDeployment.address, signer: await getNetworkSigner(bre, homeNetwork) },
+      foreign: { address: foreignDeployment.address, signer: await getNetworkSigner(bre, foreignNetwork) },
+    });
+
+    await recordDeployment(homeStore, {
+      chainId: homeChainId,
+      contractName: names.home,
+      deployment: {
+        ...homeDeployment,
+        linkedTo: { network: foreignNetwork, chainId: foreignChainId, address: foreignDeployment.address },
+      },
+    });
+    await recordDeployment(foreignStore, {
+      chainId: foreignChainId,
+      contractName: names.foreign,
+      deployment: {
+        ...foreignDeployment,
+        linkedTo: { network: homeNetwork, chainId: homeChainId, address: homeDeployment.address },
+      },
+    });
+    console.log(
+      `${names.home} on ${homeNetwork} and ${names.foreign} on ${foreignNetwork} are linked` +
+        ` (${transactionHashes.length} transactions sent)`
+    );
+
+    return { homeChainId, foreignChainId, transactionHashes };
+  });
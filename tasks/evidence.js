@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("@nomiclabs/buidler/config");
+const {
+  buildMetaEvidence,
+  buildEvidence,
+  uploadFile,
+  publishDocument,
+  verifyDocument,
+  createFileSystemEvidenceStore,
+} = require("../src/evidence");
+
+/**
+ * The default directory of the evidence store, relative to the working directory.
+ */
+const DEFAULT_EVIDENCE_DIR = "./evidence";
+
+/**
+ * Adds the params shared by every evidence task.
+ * @param {object} definition The task definition.
+ * @return {object} The task definition.
+ */
+function addDocumentParams(definition) {
+  return definition
+    .addOptionalParam("kind", "The kind of document (meta-evidence or evidence)", "meta-evidence")
+    .addOptionalParam("variant", "The variant of the proxies (binary or multi-outcome)", "binary")
+    .addOptionalParam("storeDir", "The directory of the evidence store", DEFAULT_EVIDENCE_DIR);
+}
+
+addDocumentParams(task("evidence:publish", "Builds, validates and uploads an ERC-1497 meta evidence or evidence"))
+  .addParam("input", "The JSON file with the fields of the document", undefined, types.inputFile)
+  .addOptionalParam("file", "The file the document links to, uploaded along with it", undefined, types.inputFile)
+  .setAction(async ({ input, file, kind, variant, storeDir }) => {
+    const store = createFileSystemEvidenceStore(storeDir);
+
+    let fields = JSON.parse(await fs.promises.readFile(input, "utf8"));
+    if (file) {
+      fields = { ...fields, ...(await uploadFile(store, path.basename(file), await fs.promises.readFile(file))) };
+    }
+
+    const document = kind === "evidence" ? buildEvidence(fields) : buildMetaEvidence({ ...fields, variant });
+    const uri = await publishDocument(store, document, { kind, variant });
+    console.log(uri);
+
+    return { uri, document };
+  });
+
+addDocumentParams(task("evidence:verify", "Checks the schema and the file hashes of an uploaded document"))
+  .addParam("uri", "The URI of the document")
+  .setAction(async ({ uri, kind, variant, storeDir }) => {
+    const { document, problems } = await verifyDocument(createFileSystemEvidenceStore(storeDir), uri, {
+      kind,
+      variant,
+    });
+    if (problems.length > 0) {
+      throw new Error(`${uri} is not a valid ${kind}:\n  ${problems.join("\n  ")}`);
+    }
+
+    console.log(`${uri} is a valid ${kind}`);
+    return document;
+  });
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const { task, types } = require("@nomiclabs/buidler/config");
+const {
+  createGasRecorder,
+  summarizeGasMeasurements,
+  checkGasBudgets,
+  getMessageGasLimits,
+  formatGasReport,
+} = require("../src/gasReport");
+const { DEFAULT_SCENARIO_SIZES, runGasScenarios } = require("../src/gasScenarios");
+
+/**
+ * The default budgets file, relative to the working directory.
+ */
+const DEFAULT_GAS_BUDGETS_FILE = "./gas-budgets.json";
+
+task(
+  "gas:report",
+  "Measures the gas used by the proxies across scenarios and checks the bridged receivers budgets and gas limits"
+)
+  .addOptionalParam("budgets", "The JSON file with the gas budget of each bridged receiver", DEFAULT_GAS_BUDGETS_FILE)
+  .addOptionalParam("output", "Where to write the report as JSON")
+  .addOptionalParam("rounds", "The number of appeal rounds", DEFAULT_SCENARIO_SIZES.rounds, types.int)
+  .addOptionalParam(
+    "contributors",
+    "The number of contributors per side",
+    DEFAULT_SCENARIO_SIZES.contributors,
+    types.int
+  )
+  .addOptionalParam(
+    "historyLength",
+    "The number of dispute params changes",
+    DEFAULT_SCENARIO_SIZES.historyLength,
+    types.int
+  )
+  .setAction(async ({ budgets: budgetsFile, output, rounds, contributors, historyLength }, bre) => {
+    if (bre.network.name !== "buidlerevm") {
+      throw new Error("The gas report deploys mocks and moves the time forward, so it only runs on buidlerevm");
+    }
+
+    await bre.run("compile");
+
+    const budgets = JSON.parse(await fs.promises.readFile(budgetsFile, "utf8"));
+    const { recorder, homeProxy, foreignProxy } = await runGasScenarios({
+      signers: await bre.ethers.getSigners(),
+      increaseTime: async (seconds) => {
+        await bre.network.provider.send("evm_increaseTime", [seconds]);
+        await bre.network.provider.send("evm_mine", []);
+      },
+      createRecorder: createGasRecorder,
+      sizes: { rounds, contributors, historyLength },
+    });
+
+    const summaries = summarizeGasMeasurements(recorder.getMeasurements());
+    const deployments = recorder.getDeployments();
+    const { violations, unbudgeted } = checkGasBudgets(summaries, budgets);
+    const limits = await getMessageGasLimits(summaries, {
+      HomeBinaryArbitrationProxy: { receiver: homeProxy, sender: foreignProxy },
+      ForeignBinaryArbitrationProxy: { receiver: foreignProxy, sender: homeProxy },
+    });
+    // None of the scenarios expect a message to fail. The mock AMB reverts when one goes over its gas limit.
+    const failedMessages = (
+      await Promise.all(
+        Object.entries({
+          HomeBinaryArbitrationProxy: homeProxy,
+          ForeignBinaryArbitrationProxy: foreignProxy,
+        }).map(async ([name, proxy]) =>
+          (
+            await proxy.queryFilter(proxy.filters.MessageFailed())
+          ).map(({ args }) => `${name}.${proxy.interface.parseTransaction({ data: args._data }).name}`)
+        )
+      )
+    ).flat();
+    const report = {
+      sizes: { rounds, contributors, historyLength },
+      summaries,
+      deployments,
+      violations,
+      unbudgeted,
+      limits,
+      failedMessages,
+    };
+
+    console.log(formatGasReport({ summaries, deployments, budgets, limits }));
+    if (output) {
+      await fs.promises.writeFile(output, JSON.stringify(report, null, 2));
+      console.log(`Report written to ${output}`);
+    }
+    if (unbudgeted.length > 0) {
+      console.log(`\nNo budget for: ${unbudgeted.join(", ")}`);
+    }
+    if (violations.length > 0) {
+      const details = violations.map(
+        ({ key, max, budget, scenario }) => `${key} used ${max} gas in "${scenario}", over its budget of ${budget}`
+      );
+      throw new Error(`Gas budgets exceeded:\n  ${details.join("\n  ")}`);
+    }
+    if (failedMessages.length > 0) {
+      throw new Error(`Messages failed on the bridge: ${failedMessages.join(", ")}`);
+    }
+
+    return report;
+  });
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const { task, types } = require("@nomiclabs/buidler/config");
+const { getContract } = require("../src/contracts");
+const { DEFAULT_DEPLOYMENTS_DIR, getProxyContractNames, createDeploymentStore } = require("../src/deploy");
+const { getCurrentParams, diffParams, encodeChanges, executeChanges } = require("../src/governance");
+
+/**
+ * Gets the foreign proxy to govern, either from its address or from the deployments of the network.
+ * @param {object} bre The Buidler runtime environment.
+ * @param {object} params
+ * @param {string} [params.address] The address of the proxy.
+ * @param {string} params.variant The variant of the proxy.
+ * @param {string} params.deploymentsDir The deployments directory.
+ * @return {Promise<ethers.Contract>} The proxy, connected to the first account of the network.
+ */
+async function getForeignProxy(bre, { address, variant, deploymentsDir }) {
+  const contractName = getProxyContractNames(variant).foreign;
+  const [signer] = await bre.ethers.getSigners();
+
+  if (!address) {
+    const deployments = (await createDeploymentStore(deploymentsDir, bre.network.name).load()) || { contracts: {} };
+    if (!deployments.contracts[contractName]) {
+      throw new Error(`${contractName} is not deployed on ${bre.network.name}. Provide --address`);
+    }
+    address = deployments.contracts[contractName].address;
+  }
+
+  return getContract(contractName, address, signer);
+}
+
+/**
+ * Computes the changes between the current params of the proxy and the ones in a file.
+ * @param {ethers.Contract} proxy The foreign proxy.
+ * @param {string} paramsFile The path of the JSON file with the desired params.
+ * @return {Promise<ParamChange[]>} The changes.
+ */
+async function getChanges(proxy, paramsFile) {
+  const desired = JSON.parse(await fs.promises.readFile(paramsFile, "utf8"));
+  return diffParams(proxy, await getCurrentParams(proxy), desired);
+}
+
+/**
+ * Adds the params shared by every governance task.
+ * @param {object} definition The task definition.
+ * @return {object} The task definition.
+ */
+function addProxyParams(definition) {
+  return definition
+    .addOptionalParam("address", "The address of the foreign proxy. Default: the one in the deployments")
+    .addOptionalParam("variant", "The variant of the proxy (binary or multi-outcome)", "binary")
+    .addOptionalParam("deploymentsDir", "Where the deployments JSON are", DEFAULT_DEPLOYMENTS_DIR);
+}
+
+addProxyParams(task("gov:show", "Shows the governed params of the foreign proxy")).setAction(async (args, bre) => {
+  const proxy = await getForeignProxy(bre, args);
+  const current = await getCurrentParams(proxy);
+
+  console.log(`Params of ${proxy.address} on ${bre.network.name}:`);
+  for (const [name, value] of Object.entries(current)) {
+    console.log(`  ${name.padEnd(22)}${value}`);
+  }
+
+  return current;
+});
+
+addProxyParams(task("gov:diff", "Shows the changes required to match the params in a file"))
+  .addParam("paramsFile", "The JSON file with the desired params", undefined, types.inputFile)
+  .setAction(async (args, bre) => {
+    const changes = await getChanges(await getForeignProxy(bre, args), args.paramsFile);
+
+    if (changes.length === 0) {
+      console.log("The params already match the file");
+    }
+    for (const { name, from, to } of changes) {
+      console.log(`  ${name.padEnd(22)}${from} -> ${to}`);
+    }
+
+    return changes;
+  });
+
+addProxyParams(task("gov:apply", "Executes or encodes the changes required to match the params in a file"))
+  .addParam("paramsFile", "The JSON file with the desired params", undefined, types.inputFile)
+  .addOptionalParam("output", "Where to write the unsigned transaction batch. Default: stdout")
+  .addFlag("execute", "Sends the transactions from the first account, which must be the governor")
+  .setAction(async (args, bre) => {
+    const proxy = await getForeignProxy(bre, args);
+    const changes = await getChanges(proxy, args.paramsFile);
+
+    if (args.execute) {
+      const transactionHashes = await executeChanges(proxy, changes);
+      console.log(`${transactionHashes.length} changes executed`);
+      return transactionHashes;
+    }
+
+    const { chainId } = await proxy.provider.getNetwork();
+    const batch = { chainId, governor: await proxy.governor(), transactions: encodeChanges(proxy, changes) };
+    if (args.output) {
+      await fs.promises.writeFile(args.output, JSON.stringify(batch, null, 2));
+      console.log(`${batch.transactions.length} unsigned transactions written to ${args.output}`);
+    } else {
+      console.log(JSON.stringify(batch, null, 2));
+    }
+
+    return batch;
+  });
+
+module.exports = {
+  getForeignProxy,
+  addProxyParams,
+};
@@ -0,0 +1,195 @@
+const http = require("http");
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const { createAppealReporter, createDashboardServer } = require("../src/dashboard");
+
+use(solidity);
+
+describe("Appeal dashboard", () => {
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+  let crowdfunder;
+
+  let arbitrationID;
+  let arbitratorDisputeID;
+  let reporter;
+
+  beforeEach("Setup contracts and create a dispute", async () => {
+    [, plaintiff, defendant, crowdfunder] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+    await (
+      await foreignProxy
+        .connect(plaintiff)
+        .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+    ).wait();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+    await (
+      await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    ).wait();
+    ({ arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID));
+
+    reporter = createAppealReporter({ foreignProxy });
+  });
+
+  describe("Appeal reporter", () => {
+    it("Should report the round being funded with the stake multipliers of the current ruling", async () => {
+      await giveRuling(FP.Party.Plaintiff);
+      const defendantFee = await foreignProxy.getAppealFee(arbitrationID, FP.Party.Defendant);
+      const plaintiffFee = await foreignProxy.getAppealFee(arbitrationID, FP.Party.Plaintiff);
+      await fundAppeal(crowdfunder, FP.Party.Defendant, 100);
+      await fundAppeal(defendant, FP.Party.Defendant, 300);
+      await fundAppeal(crowdfunder, FP.Party.Defendant, 250);
+
+      const report = await reporter.getAppealReport(arbitrationID);
+
+      expect(report.status).to.equal("Ongoing");
+      expect(report.currentRuling).to.equal("Plaintiff");
+      expect(report.rounds).to.have.lengthOf(1);
+
+      const { Defendant, Plaintiff } = report.rounds[0].parties;
+      const { deadlines } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+      expect(Defendant).to.deep.include({
+        required: String(defendantFee),
+        paid: "650",
+        fullyPaid: false,
+        deadline: Number(deadlines[FP.Party.Defendant]),
+      });
+      expect(Plaintiff).to.deep.include({ required: String(plaintiffFee), paid: "0", fullyPaid: false });
+      expect(Defendant.contributors).to.deep.equal([
+        { contributor: await crowdfunder.getAddress(), amount: "350" },
+        { contributor: await defendant.getAddress(), amount: "300" },
+      ]);
+
+      // Loser: (1 + 0.5 + 2) / (1 + 2). Winner: (1 + 0.5 + 2) / (1 + 0.5).
+      expect(Defendant.expectedRewardMultiplier).to.be.closeTo(3.5 / 3, 1e-6);
+      expect(Plaintiff.expectedRewardMultiplier).to.be.closeTo(3.5 / 1.5, 1e-6);
+    });
+
+    it("Should report the actual rewards of the appealed rounds", async () => {
+      await giveRuling(FP.Party.Plaintiff);
+      const defendantFee = await foreignProxy.getAppealFee(arbitrationID, FP.Party.Defendant);
+      const plaintiffFee = await foreignProxy.getAppealFee(arbitrationID, FP.Party.Plaintiff);
+      await fundAppeal(crowdfunder, FP.Party.Defendant, defendantFee);
+      await fundAppeal(plaintiff, FP.Party.Plaintiff, plaintiffFee);
+
+      const report = await reporter.getAppealReport(arbitrationID);
+
+      expect(report.rounds).to.have.lengthOf(2);
+      const [appealedRound, currentRound] = report.rounds;
+      expect(appealedRound.appealed).to.equal(true);
+      expect(appealedRound.feeRewards).to.equal(String(defendantFee.add(plaintiffFee).sub(config.arbitrationFee)));
+      expect(appealedRound.parties.Defendant).to.deep.include({
+        required: String(defendantFee),
+        fullyPaid: true,
+        deadline: null,
+      });
+      expect(appealedRound.parties.Defendant.expectedRewardMultiplier).to.be.closeTo(3.5 / 3, 1e-6);
+      expect(appealedRound.parties.Plaintiff.contributors).to.deep.equal([
+        { contributor: await plaintiff.getAddress(), amount: String(plaintiffFee) },
+      ]);
+      expect(currentRound.appealed).to.equal(false);
+      expect(currentRound.parties.Defendant.contributors).to.deep.equal([]);
+    });
+
+    it("Should give both sides the same multiplier when the arbitrator refuses to rule", async () => {
+      await giveRuling(0);
+
+      const report = await reporter.getAppealReport(arbitrationID);
+
+      expect(report.currentRuling).to.equal("None");
+      const { Defendant, Plaintiff } = report.rounds[0].parties;
+      expect(Defendant.expectedRewardMultiplier).to.be.closeTo(1.5, 1e-6);
+      expect(Plaintiff.expectedRewardMultiplier).to.be.closeTo(1.5, 1e-6);
+    });
+
+    it("Should not report the required amount of the sides which can no longer be funded", async () => {
+      const report = await reporter.getAppealReport(arbitrationID);
+
+      expect(report.rounds[0].parties.Defendant.required).to.equal(null);
+      expect(report.rounds[0].parties.Plaintiff.required).to.equal(null);
+    });
+
+    it("Should not report the arbitrations which do not exist", async () => {
+      expect(await reporter.getAppealReport(1)).to.equal(undefined);
+    });
+  });
+
+  describe("Dashboard server", () => {
+    let server;
+    let baseURL;
+
+    beforeEach("Start the server", async () => {
+      server = createDashboardServer({ reporter });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach("Stop the server", async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should serve the appeal report as JSON", async () => {
+      await giveRuling(FP.Party.Plaintiff);
+      await fundAppeal(crowdfunder, FP.Party.Defendant, 100);
+
+      const { statusCode, headers, body } = await get(`/arbitrations/${arbitrationID}/appeal`);
+
+      expect(statusCode).to.equal(200);
+      expect(headers["content-type"]).to.equal("application/json");
+      expect(body).to.deep.equal(JSON.parse(JSON.stringify(await reporter.getAppealReport(arbitrationID))));
+    });
+
+    it("Should accept the arbitration ID in hex", async () => {
+      const { statusCode, body } = await get(`/arbitrations/${arbitrationID.toHexString()}/appeal`);
+
+      expect(statusCode).to.equal(200);
+      expect(body.arbitrationID).to.equal(String(arbitrationID));
+    });
+
+    it("Should respond with an error for the invalid requests", async () => {
+      expect((await get("/arbitrations/not-an-id/appeal")).statusCode).to.equal(400);
+      expect((await get("/arbitrations/1/appeal")).statusCode).to.equal(404);
+      expect((await get("/unknown")).statusCode).to.equal(404);
+    });
+
+    function get(path) {
+      return new Promise((resolve, reject) => {
+        http
+          .get(`${baseURL}${path}`, (response) => {
+            let data = "";
+            response.on("data", (chunk) => {
+              data += chunk;
+            });
+            response.on("end", () =>
+              resolve({ statusCode: response.statusCode, headers: response.headers, body: JSON.parse(data) })
+            );
+          })
+          .on("error", reject);
+      });
+    }
+  });
+
+  async function giveRuling(ruling) {
+    await (await arbitrator.giveRuling(arbitratorDisputeID, ruling)).wait();
+  }
+
+  async function fundAppeal(signer, party, amount) {
+    await (await foreignProxy.connect(signer).fundAppeal(arbitrationID, party, { value: amount })).wait();
+  }
+});
@@ -0,0 +1,260 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime, setNextBlockTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture, deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+const { NON_PAYABLE_VALUE } = require("../src/clients/foreignProxy");
+const FP = require("./helpers/ForeignProxy");
+
+use(solidity);
+
+describe("Appeal period", () => {
+  let plaintiff;
+  let defendant;
+  let crowdfunder;
+
+  before("Get the accounts", async () => {
+    [, plaintiff, defendant, crowdfunder] = await ethers.getSigners();
+  });
+
+  describe("Binary arbitration proxies", () => {
+    let arbitrator;
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrableItemID;
+    let arbitrationID;
+    let arbitratorDisputeID;
+
+    beforeEach("Setup contracts and create the dispute", async () => {
+      ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+      ({ arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID));
+    });
+
+    it("Should not allow to fund the appeal before the appealable ruling", async () => {
+      await expect(fundAppeal(FP.Party.Plaintiff, 1)).to.be.revertedWith("Appeal period is over");
+
+      const { deadlines, remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+      expect(deadlines.map(Number)).to.deep.equal([0, 0, 0]);
+      expect(remainingAmounts[FP.Party.Defendant]).to.equal(NON_PAYABLE_VALUE);
+      expect(remainingAmounts[FP.Party.Plaintiff]).to.equal(NON_PAYABLE_VALUE);
+    });
+
+    describe("When the arbitrator rules in favor of one of the parties", () => {
+      let start;
+      let end;
+      let loserDeadline;
+
+      beforeEach("Give the appealable ruling", async () => {
+        ({ start, end, loserDeadline } = await giveAppealableRuling(FP.Party.Plaintiff));
+      });
+
+      it("Should report the deadline and the remaining amount of each party", async () => {
+        const { deadlines, remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+
+        expect(deadlines[FP.Party.Plaintiff]).to.equal(end);
+        expect(deadlines[FP.Party.Defendant]).to.equal(loserDeadline);
+        expect(remainingAmounts[FP.Party.Plaintiff]).to.equal(await getAppealFee(FP.Party.Plaintiff));
+        expect(remainingAmounts[FP.Party.Defendant]).to.equal(await getAppealFee(FP.Party.Defendant));
+      });
+
+      it("Should deduct the contributions from the remaining amount", async () => {
+        const defendantFee = await getAppealFee(FP.Party.Defendant);
+        await (await fundAppeal(FP.Party.Defendant, defendantFee.div(4))).wait();
+
+        const { remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+        expect(remainingAmounts[FP.Party.Defendant]).to.equal(defendantFee.sub(defendantFee.div(4)));
+
+        await (await fundAppeal(FP.Party.Defendant, defendantFee)).wait();
+        expect(
+          (await foreignProxy.getAppealFundingStatus(arbitrationID)).remainingAmounts[FP.Party.Defendant]
+        ).to.equal(0);
+      });
+
+      it("Should allow the loser to fund the appeal until the last second of the first half", async () => {
+        await setNextBlockTime(loserDeadline - 1);
+
+        await expect(fundAppeal(FP.Party.Defendant, 1)).to.emit(foreignProxy, "FeeContribution");
+      });
+
+      it("Should not allow the loser to fund the appeal from the middle of the appeal period", async () => {
+        await setNextBlockTime(loserDeadline);
+
+        await expect(fundAppeal(FP.Party.Defendant, 1)).to.be.revertedWith("Loser party deadline is over");
+      });
+
+      it("Should allow the winner to fund the appeal until the last second of the appeal period", async () => {
+        await setNextBlockTime(loserDeadline);
+        await expect(fundAppeal(FP.Party.Plaintiff, 1)).to.emit(foreignProxy, "FeeContribution");
+
+        await setNextBlockTime(end - 1);
+        await expect(fundAppeal(FP.Party.Plaintiff, 1)).to.emit(foreignProxy, "FeeContribution");
+      });
+
+      it("Should not allow the winner to fund the appeal once the appeal period is over", async () => {
+        await setNextBlockTime(end);
+
+        await expect(fundAppeal(FP.Party.Plaintiff, 1)).to.be.revertedWith("Appeal period is over");
+      });
+
+      it("Should only report the loser as non payable once its deadline has passed", async () => {
+        await increaseTime(loserDeadline - start);
+
+        const { deadlines, remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+        expect(deadlines[FP.Party.Defendant]).to.equal(loserDeadline);
+        expect(remainingAmounts[FP.Party.Defendant]).to.equal(NON_PAYABLE_VALUE);
+        expect(remainingAmounts[FP.Party.Plaintiff]).to.equal(await getAppealFee(FP.Party.Plaintiff));
+        expect(await getAppealFee(FP.Party.Defendant)).to.equal(NON_PAYABLE_VALUE);
+      });
+
+      it("Should report both parties as non payable once the appeal period is over", async () => {
+        await increaseTime(end - start);
+
+        const { remainingAmounts } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+        expect(remainingAmounts[FP.Party.Defendant]).to.equal(NON_PAYABLE_VALUE);
+        expect(remainingAmounts[FP.Party.Plaintiff]).to.equal(NON_PAYABLE_VALUE);
+        expect(await getAppealFee(FP.Party.Plaintiff)).to.equal(NON_PAYABLE_VALUE);
+      });
+    });
+
+    describe("When the arbitrator refuses to rule", () => {
+      let end;
+
+      beforeEach("Give the appealable ruling", async () => {
+        ({ end } = await giveAppealableRuling(0));
+      });
+
+      it("Should give both parties the whole appeal period", async () => {
+        const { deadlines } = await foreignProxy.getAppealFundingStatus(arbitrationID);
+        expect(deadlines[FP.Party.Defendant]).to.equal(end);
+        expect(deadlines[FP.Party.Plaintiff]).to.equal(end);
+
+        await setNextBlockTime(end - 1);
+        await expect(fundAppeal(FP.Party.Defendant, 1)).to.emit(foreignProxy, "FeeContribution");
+      });
+    });
+
+    async function giveAppealableRuling(ruling) {
+      await (await arbitrator.giveRuling(arbitratorDisputeID, ruling)).wait();
+      const [start, end] = (await arbitrator.appealPeriod(arbitratorDisputeID)).map(Number);
+
+      return { start, end, loserDeadline: start + Math.floor((end - start) / 2) };
+    }
+
+    async function getAppealFee(party) {
+      return foreignProxy.getAppealFee(arbitrationID, party);
+    }
+
+    async function fundAppeal(party, amount) {
+      return foreignProxy.connect(crowdfunder).fundAppeal(arbitrationID, party, { value: amount });
+    }
+  });
+
+  describe("Multi-outcome arbitration proxies", () => {
+    const winningRuling = 2;
+    const losingRuling = 3;
+
+    let arbitrator;
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrationID;
+    let arbitratorDisputeID;
+    let start;
+    let end;
+    let loserDeadline;
+
+    beforeEach("Setup contracts, create the dispute and give an appealable ruling", async () => {
+      ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployMultiOutcomeArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+      ({ arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID));
+
+      await (await arbitrator.giveRuling(arbitratorDisputeID, winningRuling)).wait();
+      [start, end] = (await arbitrator.appealPeriod(arbitratorDisputeID)).map(Number);
+      loserDeadline = start + Math.floor((end - start) / 2);
+    });
+
+    it("Should report the deadline and the remaining amount of each ruling option", async () => {
+      const winner = await foreignProxy.getAppealFundingStatus(arbitrationID, winningRuling);
+      expect(winner.deadline).to.equal(end);
+      expect(winner.remainingAmount).to.equal(await foreignProxy.getAppealFee(arbitrationID, winningRuling));
+
+      const loser = await foreignProxy.getAppealFundingStatus(arbitrationID, losingRuling);
+      expect(loser.deadline).to.equal(loserDeadline);
+      expect(loser.remainingAmount).to.equal(await foreignProxy.getAppealFee(arbitrationID, losingRuling));
+    });
+
+    it("Should report invalid ruling options as non payable", async () => {
+      for (const ruling of [0, config.numberOfRulingOptions + 1]) {
+        const { deadline, remainingAmount } = await foreignProxy.getAppealFundingStatus(arbitrationID, ruling);
+        expect(deadline).to.equal(0);
+        expect(remainingAmount).to.equal(NON_PAYABLE_VALUE);
+      }
+    });
+
+    it("Should allow the losing ruling options to be funded until the last second of the first half", async () => {
+      await setNextBlockTime(loserDeadline - 1);
+      await expect(fundAppeal(losingRuling, 1)).to.emit(foreignProxy, "FeeContribution");
+
+      await setNextBlockTime(loserDeadline);
+      await expect(fundAppeal(losingRuling, 1)).to.be.revertedWith("Loser party deadline is over");
+    });
+
+    it("Should allow the winning ruling option to be funded until the last second of the appeal period", async () => {
+      await setNextBlockTime(end - 1);
+      await expect(fundAppeal(winningRuling, 1)).to.emit(foreignProxy, "FeeContribution");
+
+      await setNextBlockTime(end);
+      await expect(fundAppeal(winningRuling, 1)).to.be.revertedWith("Appeal period is over");
+    });
+
+    it("Should only report the losing ruling options as non payable once their deadline has passed", async () => {
+      await increaseTime(loserDeadline - start);
+
+      expect((await foreignProxy.getAppealFundingStatus(arbitrationID, losingRuling)).remainingAmount).to.equal(
+        NON_PAYABLE_VALUE
+      );
+      expect((await foreignProxy.getAppealFundingStatus(arbitrationID, winningRuling)).remainingAmount).to.equal(
+        await foreignProxy.getAppealFee(arbitrationID, winningRuling)
+      );
+    });
+
+    function fundAppeal(ruling, amount) {
+      return foreignProxy.connect(crowdfunder).fundAppeal(arbitrationID, ruling, { value: amount });
+    }
+  });
+});
@@ -0,0 +1,302 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { getEmittedEvent } = require("./helpers/events");
+const { latestTime, increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const { createIndexer } = require("../src/indexer");
+const { IssueCode, reconcileItem } = require("../src/indexer/reconcile");
+
+use(solidity);
+
+describe("Arbitration Indexer", () => {
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+
+  let indexer;
+
+  beforeEach("Setup contracts", async () => {
+    [, plaintiff, defendant] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    indexer = createIndexer({ homeProxy, foreignProxy });
+  });
+
+  async function createItem() {
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    return { arbitrableItemID, arbitrationID: String(arbitrationID) };
+  }
+
+  async function requestDispute(arbitrableItemID) {
+    const tx = await foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+    return tx.wait();
+  }
+
+  async function relayDisputeAccepted(arbitrableItemID) {
+    return (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+  }
+
+  async function reconcile(params = {}) {
+    return indexer.reconcile({ now: await latestTime(), ...params });
+  }
+
+  it("Should build a joined timeline of the events on both chains", async () => {
+    const { arbitrableItemID, arbitrationID } = await createItem();
+    await requestDispute(arbitrableItemID);
+    await relayDisputeAccepted(arbitrableItemID);
+    await (
+      await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    ).wait();
+    const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+    await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+    await increaseTime(config.appealTimeout + 1);
+    await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+
+    await indexer.sync();
+    const item = await indexer.getItem(arbitrationID);
+
+    expect(item.arbitrable).to.equal(arbitrable.address);
+    expect(item.arbitrableItemID).to.equal(String(arbitrableItemID));
+    expect(item.timeline.map(({ chain, event }) => `${chain}:${event}`)).to.deep.equal([
+      "foreign:DisputeRequested",
+      "home:DisputeAccepted",
+      "foreign:DisputeAccepted",
+      "foreign:DisputeOngoing",
+      "home:DisputeCreated",
+      "foreign:DisputeRuled",
+      "home:DisputeRuled",
+    ]);
+    expect(item.home).to.deep.equal({ status: "Ruled", ruling: String(FP.Party.Defendant), disputeCreated: true });
+    expect(item.foreign.status).to.equal("Ruled");
+    expect(await reconcile()).to.have.lengthOf(0);
+  });
+
+  it("Should index incrementally", async () => {
+    const { arbitrableItemID, arbitrationID } = await createItem();
+    await requestDispute(arbitrableItemID);
+    await indexer.sync();
+
+    await relayDisputeAccepted(arbitrableItemID);
+    const { updated } = await indexer.sync();
+
+    expect(updated).to.deep.equal([arbitrationID]);
+    expect((await indexer.getItem(arbitrationID)).timeline).to.have.lengthOf(3);
+    expect((await indexer.getItem(arbitrationID)).foreign.status).to.equal("DepositPending");
+  });
+
+  it("Should flag the accepted dispute requests which were not relayed", async () => {
+    const { arbitrableItemID, arbitrationID } = await createItem();
+    await requestDispute(arbitrableItemID);
+
+    await indexer.sync();
+    const [item] = await reconcile();
+
+    expect(item.arbitrationID).to.equal(arbitrationID);
+    expect(item.issues).to.deep.equal([
+      {
+        code: IssueCode.AcceptanceNotRelayed,
+        description: "The dispute was accepted on the home proxy but the foreign proxy is still waiting",
+        action: { chain: "home", method: "relayDisputeAccepted", args: [arbitrable.address, String(arbitrableItemID)] },
+      },
+    ]);
+  });
+
+  it("Should flag the rejected dispute requests which were not relayed", async () => {
+    const { arbitrableItemID } = await createItem();
+    await increaseTime(config.disputeTimeout + 1);
+    await requestDispute(arbitrableItemID);
+
+    await indexer.sync();
+    const [item] = await reconcile();
+
+    expect(item.issues[0].code).to.equal(IssueCode.RejectionNotRelayed);
+    expect(item.issues[0].action.method).to.equal("relayDisputeRejected");
+  });
+
+  it("Should not flag the rejected dispute requests once relayed", async () => {
+    const { arbitrableItemID, arbitrationID } = await createItem();
+    await increaseTime(config.disputeTimeout + 1);
+    await requestDispute(arbitrableItemID);
+    await (await homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID)).wait();
+
+    await indexer.sync();
+
+    expect((await indexer.getItem(arbitrationID)).home.status).to.equal("None");
+    expect(await reconcile()).to.have.lengthOf(0);
+  });
+
+  it("Should flag the arbitrations where the defendant deposit expired", async () => {
+    const { arbitrableItemID, arbitrationID } = await createItem();
+    await requestDispute(arbitrableItemID);
+    await relayDisputeAccepted(arbitrableItemID);
+    await indexer.sync();
+
+    expect(await reconcile()).to.have.lengthOf(0);
+
+    await increaseTime(config.feeDepositTimeout + 1);
+    const [item] = await reconcile();
+
+    expect(item.issues[0].code).to.equal(IssueCode.DefendantDepositExpired);
+    expect(item.issues[0].action).to.deep.equal({
+      chain: "foreign",
+      method: "claimPlaintiffWin",
+      args: [arbitrationID],
+    });
+  });
+
+  describe("reconcileItem", () => {
+    const params = { now: 10000, bridgeTimeout: 3600, feeDepositTimeout: 100 };
+
+    function makeItem({ home = {}, foreign = {}, timeline = [] }) {
+      return {
+        arbitrationID: "1",
+        arbitrable: ethers.constants.AddressZero,
+        arbitrableItemID: "0",
+        timeline,
+        home: { status: "None", ruling: "0", disputeCreated: false, ...home },
+        foreign: { status: "None", ruling: "0", acceptedAt: 0, requestedAt: 0, ...foreign },
+      };
+    }
+
+    it("Should only flag undelivered messages after the bridge timeout", () => {
+      const item = makeItem({
+        home: { status: "Accepted", disputeCreated: true },
+        foreign: { status: "Ruled", ruling: "1" },
+        timeline: [{ chain: "foreign", event: "DisputeRuled", timestamp: 9000 }],
+      });
+
+      expect(reconcileItem(item, params)).to.deep.equal([]);
+      expect(reconcileItem(item, { ...params, now: 20000 })[0].code).to.equal(IssueCode.RulingNotDelivered);
+    });
+
+    it("Should flag undelivered dispute requests", () => {
+      const item = makeItem({
+        foreign: { status: "Requested" },
+        timeline: [{ chain: "foreign", event: "DisputeRequested", timestamp: 1000 }],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.RequestNotDelivered);
+    });
+
+    it("Should suggest claiming the request timeout for undelivered dispute requests once it expires", () => {
+      const item = makeItem({
+        foreign: { status: "Requested", requestedAt: 1000 },
+        timeline: [{ chain: "foreign", event: "DisputeRequested", timestamp: 1000 }],
+      });
+
+      expect(reconcileItem(item, { ...params, requestTimeout: 10000 })[0].action).to.equal(null);
+      expect(reconcileItem(item, { ...params, requestTimeout: 3600 })[0].action).to.deep.equal({
+        chain: "foreign",
+        method: "claimRequestTimeout",
+        args: ["1"],
+      });
+    });
+
+    it("Should flag undelivered dispute request timeouts", () => {
+      const item = makeItem({
+        home: { status: "Accepted" },
+        timeline: [
+          { chain: "foreign", event: "DisputeRequested", timestamp: 1000 },
+          { chain: "home", event: "DisputeAccepted", timestamp: 1100 },
+          { chain: "foreign", event: "DisputeRequestTimedOut", timestamp: 5000 },
+        ],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.RequestTimeoutNotDelivered);
+    });
+
+    it("Should flag undelivered dispute rejections", () => {
+      const item = makeItem({
+        foreign: { status: "Requested" },
+        timeline: [
+          { chain: "foreign", event: "DisputeRequested", timestamp: 1000 },
+          { chain: "home", event: "DisputeRejected", timestamp: 1100 },
+        ],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.RejectionNotDelivered);
+    });
+
+    it("Should flag defendant fees paid on the home proxy which were not delivered", () => {
+      const item = makeItem({
+        home: { status: "Accepted" },
+        foreign: { status: "DepositPending", acceptedAt: 1100 },
+        timeline: [
+          { chain: "foreign", event: "DisputeAccepted", timestamp: 1100 },
+          { chain: "home", event: "DefendantFeeSent", timestamp: 1150 },
+        ],
+      });
+
+      expect(reconcileItem(item, { ...params, now: 1200 })).to.deep.equal([]);
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.DefendantFeeNotDelivered);
+    });
+
+    it("Should flag the expired defendant deposit when the fee paid on the home proxy was refunded", () => {
+      const item = makeItem({
+        home: { status: "Accepted" },
+        foreign: { status: "DepositPending", acceptedAt: 1100 },
+        timeline: [
+          { chain: "foreign", event: "DisputeAccepted", timestamp: 1100 },
+          { chain: "home", event: "DefendantFeeSent", timestamp: 1250 },
+          { chain: "foreign", event: "DefendantFeeRefunded", timestamp: 1300 },
+        ],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.DefendantDepositExpired);
+    });
+
+    it("Should flag undelivered dispute creations", () => {
+      const item = makeItem({
+        home: { status: "Accepted" },
+        foreign: { status: "Ongoing" },
+        timeline: [{ chain: "foreign", event: "DisputeOngoing", timestamp: 1000 }],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.DisputeCreationNotDelivered);
+    });
+
+    it("Should flag undelivered dispute failures", () => {
+      const item = makeItem({
+        home: { status: "Accepted" },
+        timeline: [{ chain: "foreign", event: "DisputeFailed", timestamp: 1000 }],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.DisputeFailureNotDelivered);
+    });
+
+    it("Should flag undelivered settlement confirmations", () => {
+      const item = makeItem({
+        home: { status: "Accepted", disputeCreated: true },
+        foreign: { status: "Settled" },
+        timeline: [{ chain: "foreign", event: "DisputeSettled", timestamp: 1000 }],
+      });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.SettlementNotDelivered);
+      expect(reconcileItem({ ...item, home: { ...item.home, status: "Settled" } }, params)).to.deep.equal([]);
+    });
+
+    it("Should flag different rulings on each chain", () => {
+      const item = makeItem({ home: { status: "Ruled", ruling: "2" }, foreign: { status: "Ruled", ruling: "1" } });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.RulingMismatch);
+    });
+
+    it("Should flag contradicting statuses", () => {
+      const item = makeItem({ home: { status: "None" }, foreign: { status: "Ongoing" } });
+
+      expect(reconcileItem(item, params)[0].code).to.equal(IssueCode.StatusMismatch);
+    });
+  });
+});
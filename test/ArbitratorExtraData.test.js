@@ -0,0 +1,160 @@
+const { ethers, run } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+const { deployBinaryArbitrationFixture, deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+const {
+  DEFAULT_MIN_JURORS,
+  encodeArbitratorExtraData,
+  decodeArbitratorExtraData,
+  previewDisputeCost,
+} = require("../src/arbitratorExtraData");
+
+describe("Arbitrator extra data", () => {
+  describe("Codec", () => {
+    it("Should encode the subcourt ID and the minimum number of jurors as two words", async () => {
+      const extraData = encodeArbitratorExtraData({ subcourtID: 2, minJurors: 7 });
+
+      expect(extraData).to.equal(
+        ethers.utils.hexConcat([ethers.utils.hexZeroPad("0x02", 32), ethers.utils.hexZeroPad("0x07", 32)])
+      );
+      expect(decodeArbitratorExtraData(extraData)).to.deep.equal({
+        subcourtID: ethers.BigNumber.from(2),
+        minJurors: ethers.BigNumber.from(7),
+      });
+    });
+
+    it("Should default to the general court and the default number of jurors", async () => {
+      const defaults = { subcourtID: ethers.BigNumber.from(0), minJurors: ethers.BigNumber.from(DEFAULT_MIN_JURORS) };
+
+      expect(encodeArbitratorExtraData()).to.equal(encodeArbitratorExtraData({ subcourtID: 0, minJurors: 3 }));
+      expect(decodeArbitratorExtraData("0x")).to.deep.equal(defaults);
+      expect(decodeArbitratorExtraData(ethers.utils.hexZeroPad("0x05", 32))).to.deep.equal(defaults);
+      expect(decodeArbitratorExtraData(encodeArbitratorExtraData({ subcourtID: 4, minJurors: 0 }))).to.deep.equal({
+        ...defaults,
+        subcourtID: ethers.BigNumber.from(4),
+      });
+    });
+
+    it("Should ignore the bytes after the first two words", async () => {
+      const extraData = ethers.utils.hexConcat([encodeArbitratorExtraData({ subcourtID: 1, minJurors: 5 }), "0xff"]);
+
+      expect(decodeArbitratorExtraData(extraData)).to.deep.equal({
+        subcourtID: ethers.BigNumber.from(1),
+        minJurors: ethers.BigNumber.from(5),
+      });
+    });
+
+    it("Should reject the invalid values", async () => {
+      expect(() => encodeArbitratorExtraData({ subcourtID: -1 })).to.throw("Invalid subcourtID: -1");
+      expect(() => encodeArbitratorExtraData({ minJurors: "many" })).to.throw('Invalid minJurors: "many"');
+      expect(() => decodeArbitratorExtraData("0x123")).to.throw('Invalid arbitrator extra data: "0x123"');
+    });
+  });
+
+  describe("Binary proxy", () => {
+    const extraData = encodeArbitratorExtraData({ subcourtID: 2, minJurors: 5 });
+
+    let arbitrator;
+    let arbitrable;
+    let foreignProxy;
+    let config;
+
+    beforeEach("Setup contracts", async () => {
+      ({ arbitrator, arbitrable, foreignProxy, config } = await deployBinaryArbitrationFixture({
+        arbitratorExtraData: extraData,
+      }));
+      await (await arbitrable.registerForArbitration(0)).wait();
+    });
+
+    it("Should return the decoded extra data in effect for an item", async () => {
+      const otherExtraData = encodeArbitratorExtraData({ subcourtID: 3, minJurors: 0 });
+      await (await arbitrable.registerArbitrator(10, ethers.constants.AddressZero, otherExtraData)).wait();
+
+      const [subcourtID, minJurors] = await foreignProxy.getCourtParams(arbitrable.address, 9);
+      const [otherSubcourtID, otherMinJurors] = await foreignProxy.getCourtParams(arbitrable.address, 10);
+
+      expect([subcourtID, minJurors]).to.deep.equal([ethers.BigNumber.from(2), ethers.BigNumber.from(5)]);
+      expect([otherSubcourtID, otherMinJurors]).to.deep.equal([ethers.BigNumber.from(3), ethers.BigNumber.from(3)]);
+    });
+
+    it("Should decode the extra data as the JS codec does", async () => {
+      const values = ["0x", "0x00", extraData, ethers.utils.hexConcat([extraData, "0x01"])];
+      for (const [i, value] of values.entries()) {
+        await (await arbitrable.registerArbitrator(i + 1, ethers.constants.AddressZero, value)).wait();
+
+        const { subcourtID, minJurors } = await foreignProxy.getCourtParams(arbitrable.address, i + 1);
+        expect({ subcourtID, minJurors }).to.deep.equal(decodeArbitratorExtraData(value));
+      }
+    });
+
+    it("Should preview the cost with the arbitrator registered for the item", async () => {
+      const otherFee = config.arbitrationFee.mul(2);
+      const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator");
+      const otherArbitrator = await Arbitrator.deploy(otherFee, config.appealTimeout);
+      await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, true)).wait();
+      await (await arbitrable.registerArbitrator(1, otherArbitrator.address, extraData)).wait();
+
+      const defaultPreview = await previewDisputeCost(foreignProxy, {
+        arbitrable: arbitrable.address,
+        arbitrableItemID: 0,
+      });
+      const otherPreview = await previewDisputeCost(foreignProxy, {
+        arbitrable: arbitrable.address,
+        arbitrableItemID: 1,
+      });
+
+      expect(defaultPreview).to.deep.equal({
+        arbitratorExtraData: extraData,
+        subcourtID: ethers.BigNumber.from(2),
+        minJurors: ethers.BigNumber.from(5),
+        arbitrator: arbitrator.address,
+        arbitrationCost: config.arbitrationFee,
+      });
+      expect(otherPreview).to.deep.include({ arbitrator: otherArbitrator.address, arbitrationCost: otherFee });
+    });
+
+    it("Should preview the cost from the task", async () => {
+      const itemPreview = await run("extradata:preview", {
+        address: foreignProxy.address,
+        arbitrable: arbitrable.address,
+        itemId: "0",
+      });
+      const courtPreview = await run("extradata:preview", { address: foreignProxy.address, subcourt: "4" });
+
+      expect(itemPreview).to.deep.include({ arbitratorExtraData: extraData, arbitrationCost: config.arbitrationFee });
+      expect(courtPreview).to.deep.include({
+        arbitratorExtraData: encodeArbitratorExtraData({ subcourtID: 4 }),
+        minJurors: ethers.BigNumber.from(DEFAULT_MIN_JURORS),
+        arbitrator: arbitrator.address,
+      });
+    });
+
+    it("Should require either an item or a court in the task", async () => {
+      const noneErr = await run("extradata:preview", { address: foreignProxy.address }).catch((err) => err);
+      const itemErr = await run("extradata:preview", {
+        address: foreignProxy.address,
+        arbitrable: arbitrable.address,
+      }).catch((err) => err);
+
+      expect(noneErr.message).to.equal(
+        "Either --arbitrable and --item-id or --subcourt and/or --jurors must be provided"
+      );
+      expect(itemErr.message).to.equal("--item-id is required along with --arbitrable");
+    });
+  });
+
+  describe("Multi-outcome proxy", () => {
+    it("Should return the decoded extra data in effect for an item", async () => {
+      const extraData = encodeArbitratorExtraData({ subcourtID: 6, minJurors: 11 });
+      const { arbitrator, arbitrable, foreignProxy, config } = await deployMultiOutcomeArbitrationFixture({
+        arbitratorExtraData: extraData,
+      });
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const [subcourtID, minJurors] = await foreignProxy.getCourtParams(arbitrable.address, 0);
+      const preview = await previewDisputeCost(foreignProxy, { arbitrable: arbitrable.address, arbitrableItemID: 0 });
+
+      expect([subcourtID, minJurors]).to.deep.equal([ethers.BigNumber.from(6), ethers.BigNumber.from(11)]);
+      expect(preview).to.deep.include({ arbitrator: arbitrator.address, arbitrationCost: config.arbitrationFee });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployAsyncBridgeFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Cross-chain arbitration through an asynchronous bridge", () => {
+  let arbitrable;
+  let homeAMB;
+  let foreignAMB;
+  let bridge;
+  let valueBridge;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+
+  beforeEach("Setup contracts and register the arbitrable contract", async () => {
+    [, plaintiff, defendant] = await ethers.getSigners();
+    ({ arbitrable, homeAMB, foreignAMB, bridge, valueBridge, homeProxy, foreignProxy, config } =
+      await deployAsyncBridgeFixture());
+
+    await (await arbitrable.registerForArbitration(0)).wait();
+  });
+
+  describe("Message delivery", () => {
+    it("Should only execute the messages once they are delivered", async () => {
+      const messages = await bridge.pending();
+      expect(messages.map(({ name }) => name)).to.deep.equal(["receiveMetaEvidence", "receiveArbitratorExtraData"]);
+      expect(messages.map(({ direction }) => direction)).to.deep.equal(["homeToForeign", "homeToForeign"]);
+      const itemID = await createItem();
+      await expect(requestDispute(itemID)).to.be.revertedWith("ArbitratorExtraData not found");
+
+      const statuses = await bridge.deliverAll();
+
+      expect(statuses).to.deep.equal([true, true]);
+      expect(await bridge.pending()).to.deep.equal([]);
+      await expect(requestDispute(itemID)).to.emit(foreignProxy, "DisputeRequested");
+    });
+
+    it("Should execute the messages with the sender and source chain of the other side", async () => {
+      await bridge.deliverAll();
+      const itemID = await createItem();
+      await (await requestDispute(itemID)).wait();
+
+      const [message] = await bridge.pending("receiveDisputeRequest");
+      expect(message.sender).to.equal(foreignProxy.address);
+      expect(message.sourceChainId).to.equal(config.foreignChainId);
+
+      const { status } = await bridge.deliver(message);
+
+      expect(status).to.equal(true);
+      expect(await homeAMB.messageCallStatus(message.id)).to.equal(true);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.Accepted);
+    });
+
+    it("Should record the failed execution of a message from an unexpected chain", async () => {
+      await bridge.deliverAll();
+      const itemID = await createItem();
+      await (await requestDispute(itemID)).wait();
+      const [message] = await bridge.pending("receiveDisputeRequest");
+
+      const { status } = await bridge.deliver(message, { sourceChainId: config.homeChainId });
+
+      expect(status).to.equal(false);
+      expect(await homeAMB.messageCallStatus(message.id)).to.equal(false);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.None);
+    });
+
+    it("Should record the failed execution of a message from an unexpected sender", async () => {
+      await bridge.deliverAll();
+      const itemID = await createItem();
+      await (await requestDispute(itemID)).wait();
+      const [message] = await bridge.pending("receiveDisputeRequest");
+
+      const { status } = await bridge.deliver(message, { sender: await plaintiff.getAddress() });
+
+      expect(status).to.equal(false);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.None);
+    });
+
+    it("Should not execute a message twice", async () => {
+      const [message] = await bridge.pending();
+      await bridge.deliver(message);
+
+      await expect(
+        foreignAMB.executeMessage(
+          message.id,
+          message.sender,
+          message.contract,
+          message.data,
+          message.gas,
+          message.sourceChainId
+        )
+      ).to.be.revertedWith("Message already executed");
+    });
+  });
+
+  describe("Dispute flow", () => {
+    let itemID;
+    let arbitrationID;
+
+    beforeEach("Deliver the registration and create an item", async () => {
+      await bridge.deliverAll();
+      itemID = await createItem();
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, itemID);
+    });
+
+    it("Should create the dispute once every message is delivered", async () => {
+      await (await requestDispute(itemID)).wait();
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+
+      await bridge.deliverAll();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+      await bridge.deliverAll();
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.Accepted);
+
+      const statuses = await bridge.deliverAll();
+
+      expect(statuses).to.deep.equal([true]);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).defendant).to.equal(
+        await defendant.getAddress()
+      );
+    });
+
+    it("Should handle the dispute requests delivered out of order", async () => {
+      const otherItemID = await createItem();
+      const otherArbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, otherItemID);
+      await (await requestDispute(itemID)).wait();
+      await (await requestDispute(otherItemID)).wait();
+
+      const statuses = await bridge.deliverAll({ reverse: true });
+
+      expect(statuses).to.deep.equal([true, true]);
+      const requests = bridge.delivered.filter(({ name }) => name === "receiveDisputeRequest");
+      expect(
+        requests.map(({ payload }) => homeProxy.interface.parseTransaction({ data: payload }).args[1])
+      ).to.deep.equal([otherItemID, itemID]);
+
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, otherItemID)).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+      await bridge.deliverAll({ reverse: true });
+
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+      expect((await foreignProxy.arbitrations(otherArbitrationID)).status).to.equal(FP.Status.DepositPending);
+    });
+
+    it("Should let the plaintiff be reimbursed when the dispute request is dropped", async () => {
+      await (await requestDispute(itemID)).wait();
+      const [message] = await bridge.pending("receiveDisputeRequest");
+      await bridge.drop(message);
+
+      await increaseTime(config.requestTimeout + 1);
+
+      await expect(() => foreignProxy.claimRequestTimeout(arbitrationID)).to.changeBalance(
+        plaintiff,
+        config.arbitrationFee
+      );
+      expect(bridge.dropped).to.have.lengthOf(1);
+
+      // The request never reached the home proxy, so the timeout is ignored there.
+      const { receipt } = await bridge.deliver((await bridge.pending("receiveRequestTimeout"))[0]);
+      expect(receipt.status).to.equal(1);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.None);
+    });
+
+    it("Should not reset a later request when the timeout of a previous one is delivered late", async () => {
+      await (await requestDispute(itemID)).wait();
+      await bridge.drop((await bridge.pending("receiveDisputeRequest"))[0]);
+      await increaseTime(config.requestTimeout + 1);
+      await (await foreignProxy.claimRequestTimeout(arbitrationID)).wait();
+      const [timeoutMessage] = await bridge.pending("receiveRequestTimeout");
+
+      await (await requestDispute(itemID)).wait();
+      const { requestedAt } = await foreignProxy.arbitrations(arbitrationID);
+      await bridge.deliver((await bridge.pending("receiveDisputeRequest"))[0]);
+
+      const { receipt } = await bridge.deliver(timeoutMessage);
+
+      expect(receipt.status).to.equal(1);
+      expect(
+        await homeProxy.queryFilter(homeProxy.filters.DisputeRequestTimedOut(), receipt.blockNumber)
+      ).to.have.lengthOf(0);
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, itemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.Accepted);
+      expect(arbitrableItem.requestedAt).to.equal(requestedAt);
+
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+      await bridge.deliverAll();
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+    });
+
+    it("Should record the failure of the acceptance delivered after the plaintiff was reimbursed", async () => {
+      await (await requestDispute(itemID)).wait();
+      await bridge.deliverAll();
+      await increaseTime(config.requestTimeout + 1);
+
+      // Both sides act before hearing from each other.
+      await (await foreignProxy.claimRequestTimeout(arbitrationID)).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+
+      const [timeoutMessage] = await bridge.pending("receiveRequestTimeout");
+      const [acceptedMessage] = await bridge.pending("receiveDisputeAccepted");
+
+      expect(await bridge.deliver(acceptedMessage)).to.include({ status: true, failed: true });
+      expect(await foreignAMB.messageCallStatus(acceptedMessage.id)).to.equal(true);
+      expect(await foreignProxy.failedMessages(acceptedMessage.id)).to.equal(
+        ethers.utils.keccak256(acceptedMessage.payload)
+      );
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.None);
+
+      expect((await bridge.deliver(timeoutMessage)).status).to.equal(true);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.None);
+    });
+
+    it("Should record the failure of the defendant fee delivered before the bridged value", async () => {
+      await (await requestDispute(itemID)).wait();
+      await bridge.deliverAll();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+      await bridge.deliverAll();
+      await (await valueBridge.setPaused(true)).wait();
+
+      await (
+        await homeProxy.connect(defendant).payDefendantFee(arbitrable.address, itemID, { value: config.arbitrationFee })
+      ).wait();
+      const [message] = await bridge.pending("receiveDefendantFee");
+
+      expect(await bridge.deliver(message)).to.include({ status: true, failed: true });
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+    });
+  });
+
+  async function createItem() {
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    return getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+  }
+
+  async function requestDispute(itemID) {
+    return foreignProxy.connect(plaintiff).requestDispute(arbitrable.address, itemID, { value: config.arbitrationFee });
+  }
+});
@@ -3,6 +3,7 @@ const { solidity } = require("ethereum-waffle");
 const { use, expect } = require("chai");
 const { getEmittedEvent } = require("./helpers/events");
 const { latestTime, increaseTime } = require("./helpers/time");
+const { getForeignProxyFactory } = require("./helpers/fixtures");
 const HP = require("./helpers/HomeProxy");
 const FP = require("./helpers/ForeignProxy");
 
@@ -25,6 +26,7 @@ const arbitratorExtraData = "0x00";
 const disputeTimeout = 600;
 
 const feeDepositTimeout = 100;
+const requestTimeout = 200;
 const appealTimeout = 3600;
 const sharedMultiplier = BigNumber.from(10000);
 const winnerMultiplier = BigNumber.from(5000);
@@ -57,11 +59,12 @@ describe("Cross-Chain Binary Arbitration Proxies", () => {
     const HomeProxy = await ethers.getContractFactory("HomeBinaryArbitrationProxy", governor);
     homeProxy = await HomeProxy.deploy(amb.address);
 
-    const ForeignProxy = await ethers.getContractFactory("ForeignBinaryArbitrationProxy", governor);
+    const ForeignProxy = await getForeignProxyFactory(governor);
     foreignProxy = await ForeignProxy.deploy(
       amb.address,
       arbitrator.address,
       feeDepositTimeout,
+      requestTimeout,
       sharedMultiplier,
       winnerMultiplier,
       loserMultiplier
@@ -90,13 +93,13 @@ describe("Cross-Chain Binary Arbitration Proxies", () => {
         .withArgs(arbitrable.address, "0", metaEvidence);
       await expect(txPromise)
         .to.emit(homeProxy, "ArbitratorExtraDataRegistered")
-        .withArgs(arbitrable.address, "0", arbitratorExtraData);
+        .withArgs(arbitrable.address, "0", ethers.constants.AddressZero, arbitratorExtraData);
       await expect(txPromise)
         .to.emit(foreignProxy, "MetaEvidenceReceived")
         .withArgs(arbitrable.address, "0", metaEvidence);
       await expect(txPromise)
         .to.emit(foreignProxy, "ArbitratorExtraDataReceived")
-        .withArgs(arbitrable.address, "0", arbitratorExtraData);
+        .withArgs(arbitrable.address, "0", ethers.constants.AddressZero, arbitratorExtraData);
     });
 
     it("Should set the dispute params for the contract on the home proxy after deploy and relay the data to the foreign proxy", async () => {
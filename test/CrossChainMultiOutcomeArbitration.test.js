@@ -0,0 +1,330 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+const { BigNumber } = ethers;
+
+describe("Cross-Chain Multi-Outcome Arbitration Proxies", () => {
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let governor;
+  let plaintiff;
+  let defendant;
+  let crowdfunder;
+
+  let arbitrableItemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [governor, plaintiff, defendant, crowdfunder] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployMultiOutcomeArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+  });
+
+  describe("Dispute request", () => {
+    it("Should relay the ruling options informed by the arbitrable contract to the foreign proxy", async () => {
+      await requestDispute();
+      const txPromise = homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID);
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "DisputeAccepted")
+        .withArgs(arbitrationID, config.numberOfRulingOptions);
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.DepositPending);
+      expect(arbitration.numberOfRulingOptions).to.equal(config.numberOfRulingOptions);
+      expect(arbitration.plaintiffRuling).to.equal(config.plaintiffRuling);
+    });
+
+    it("Should reject and cancel the dispute when the arbitrable contract informs invalid ruling options", async () => {
+      await (await arbitrable.changeRulingOptions(1, 1)).wait();
+
+      const txPromise = requestDispute();
+
+      await expect(txPromise).to.emit(homeProxy, "DisputeRejected").withArgs(arbitrable.address, arbitrableItemID);
+      await expect(txPromise).to.emit(arbitrable, "ItemDisputeCanceled").withArgs(arbitrableItemID);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(
+        HP.Status.Rejected
+      );
+    });
+
+    it("Should reject the dispute when the plaintiff ruling is not one of the ruling options", async () => {
+      await (await arbitrable.changeRulingOptions(3, 4)).wait();
+
+      await expect(requestDispute()).to.emit(homeProxy, "DisputeRejected");
+    });
+
+    it("Should identify the dispute request on the home proxy by the time it was requested", async () => {
+      await (await requestDispute()).wait();
+
+      const { requestedAt } = await foreignProxy.arbitrations(arbitrationID);
+
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).requestedAt).to.equal(requestedAt);
+      await expect(homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).to.emit(
+        foreignProxy,
+        "DisputeAccepted"
+      );
+    });
+
+    it("Should reimburse the plaintiff and cancel the dispute when the acceptance is not relayed in time", async () => {
+      await (await requestDispute()).wait();
+      await increaseTime(config.requestTimeout + 1);
+
+      const txPromise = foreignProxy.claimRequestTimeout(arbitrationID);
+
+      await expect(txPromise).to.emit(arbitrable, "ItemDisputeCanceled").withArgs(arbitrableItemID);
+      await expect(() => txPromise).to.changeBalance(plaintiff, config.arbitrationFee);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(HP.Status.None);
+    });
+  });
+
+  describe("Dispute creation", () => {
+    beforeEach("Request and accept the dispute", async () => {
+      await requestDispute();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+    });
+
+    it("Should create the dispute with the number of ruling options of the arbitration", async () => {
+      await payDefendantFee();
+
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      const dispute = await arbitrator.disputes(arbitratorDisputeID);
+      expect(dispute.choices).to.equal(config.numberOfRulingOptions);
+    });
+
+    it("Should rule with the plaintiff ruling when the defendant does not pay the arbitration fee", async () => {
+      await increaseTime(config.feeDepositTimeout + 1);
+
+      const txPromise = foreignProxy.claimPlaintiffWin(arbitrationID);
+
+      await expect(txPromise)
+        .to.emit(arbitrable, "ItemDisputeRuled")
+        .withArgs(arbitrableItemID, config.plaintiffRuling);
+      await expect(() => txPromise).to.changeBalance(plaintiff, config.arbitrationFee);
+    });
+  });
+
+  describe("Arbitrator gives final ruling", () => {
+    beforeEach("Create the dispute", async () => {
+      await createDispute();
+    });
+
+    it("Should relay any of the ruling options to the arbitrable contract", async () => {
+      const ruling = 3;
+
+      const { txPromise } = await giveFinalRuling(ruling);
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeRuled").withArgs(arbitrationID, ruling);
+      await expect(txPromise).to.emit(arbitrable, "ItemDisputeRuled").withArgs(arbitrableItemID, ruling);
+    });
+
+    it("Should split the remaining deposit evenly between the parties when the arbitrator refuses to rule", async () => {
+      const { txPromise } = await giveFinalRuling(0);
+      const half = config.arbitrationFee.div(2);
+
+      await expect(() => txPromise).to.changeBalances([plaintiff, defendant], [half, half]);
+    });
+
+    it("Should pay the remaining deposit to the plaintiff when the ruling is in its favor", async () => {
+      const { txPromise } = await giveFinalRuling(config.plaintiffRuling);
+
+      await expect(() => txPromise).to.changeBalances([plaintiff, defendant], [config.arbitrationFee, 0]);
+    });
+
+    it("Should pay the remaining deposit to the defendant when the ruling is another option", async () => {
+      const { txPromise } = await giveFinalRuling(2);
+
+      await expect(() => txPromise).to.changeBalances([plaintiff, defendant], [0, config.arbitrationFee]);
+    });
+
+    it("Should pay the remaining deposit to the defendant when the ruling is the last option", async () => {
+      const { txPromise } = await giveFinalRuling(config.numberOfRulingOptions);
+
+      await expect(() => txPromise).to.changeBalances([plaintiff, defendant], [0, config.arbitrationFee]);
+    });
+  });
+
+  describe("Appeal dispute", () => {
+    beforeEach("Create the dispute and give an appealable ruling", async () => {
+      await createDispute();
+      await (await giveRuling(2)).wait();
+    });
+
+    it("Should only allow to fund valid ruling options", async () => {
+      await expect(fundAppeal(plaintiff, 0, 1)).to.be.revertedWith("Invalid ruling option");
+      await expect(fundAppeal(plaintiff, config.numberOfRulingOptions + 1, 1)).to.be.revertedWith(
+        "Invalid ruling option"
+      );
+    });
+
+    it("Should charge the winner and loser multipliers according to the current ruling", async () => {
+      const appealCost = config.arbitrationFee;
+
+      expect(await foreignProxy.getAppealFee(arbitrationID, 2)).to.equal(
+        appealCost.add(appealCost.mul(config.winnerMultiplier).div(10000))
+      );
+      expect(await foreignProxy.getAppealFee(arbitrationID, 3)).to.equal(
+        appealCost.add(appealCost.mul(config.loserMultiplier).div(10000))
+      );
+    });
+
+    it("Should not appeal while only one ruling option is fully funded", async () => {
+      const fee = await foreignProxy.getAppealFee(arbitrationID, 1);
+
+      await expect(fundAppeal(plaintiff, 1, fee)).not.to.emit(arbitrator, "AppealDecision");
+
+      const roundInfo = await foreignProxy.getRoundInfo(arbitrationID, 0);
+      expect(roundInfo.fullyPaid).to.deep.equal([false, true, false, false]);
+      expect(roundInfo.fundedRulings.map(Number)).to.deep.equal([1]);
+      expect(await foreignProxy.getNumberOfRounds(arbitrationID)).to.equal(1);
+    });
+
+    it("Should appeal when any two ruling options are fully funded", async () => {
+      await fundAppeal(plaintiff, 1, await foreignProxy.getAppealFee(arbitrationID, 1));
+
+      await expect(fundAppeal(crowdfunder, 3, await foreignProxy.getAppealFee(arbitrationID, 3))).to.emit(
+        arbitrator,
+        "AppealDecision"
+      );
+      expect(await foreignProxy.getNumberOfRounds(arbitrationID)).to.equal(2);
+    });
+
+    describe("When the round is appealed", () => {
+      let plaintiffFee;
+      let defendantFee;
+      let feeRewards;
+
+      beforeEach("Fund two ruling options", async () => {
+        plaintiffFee = await foreignProxy.getAppealFee(arbitrationID, 1);
+        defendantFee = await foreignProxy.getAppealFee(arbitrationID, 2);
+        await fundAppeal(plaintiff, 1, plaintiffFee);
+        await fundAppeal(defendant, 2, defendantFee);
+
+        feeRewards = plaintiffFee.add(defendantFee).sub(config.arbitrationFee);
+      });
+
+      it("Should register the contributions for each ruling option", async () => {
+        const contributions = await foreignProxy.getContributions(arbitrationID, await plaintiff.getAddress(), 0);
+        const roundInfo = await foreignProxy.getRoundInfo(arbitrationID, 0);
+
+        expect(contributions.map(String)).to.deep.equal(["0", String(plaintiffFee), "0", "0"]);
+        expect(roundInfo.feeRewards).to.equal(feeRewards);
+        expect(roundInfo.fundedRulings.map(Number)).to.deep.equal([1, 2]);
+      });
+
+      it("Should give all the fee rewards to the contributors of the winning ruling option", async () => {
+        await giveFinalRuling(1);
+
+        expect(await getTotalWithdrawableAmount(plaintiff, 1)).to.equal(feeRewards);
+        expect(await getTotalWithdrawableAmount(defendant, 2)).to.equal(0);
+
+        const txPromise = batchWithdrawFeesAndRewards(plaintiff, 1);
+
+        await expect(() => txPromise).to.changeBalance(plaintiff, feeRewards);
+        expect(await getTotalWithdrawableAmount(plaintiff, 1)).to.equal(0);
+      });
+
+      it("Should reimburse the fee rewards proportionally when the final ruling was not funded", async () => {
+        await giveFinalRuling(3);
+
+        const totalPaid = plaintiffFee.add(defendantFee);
+
+        expect(await getTotalWithdrawableAmount(plaintiff, 1)).to.equal(plaintiffFee.mul(feeRewards).div(totalPaid));
+        expect(await getTotalWithdrawableAmount(defendant, 2)).to.equal(defendantFee.mul(feeRewards).div(totalPaid));
+      });
+    });
+
+    describe("When only one ruling option is fully funded", () => {
+      let crowdfunderFee;
+      let plaintiffContribution;
+
+      beforeEach("Fund one ruling option and partially fund another", async () => {
+        crowdfunderFee = await foreignProxy.getAppealFee(arbitrationID, 3);
+        plaintiffContribution = (await foreignProxy.getAppealFee(arbitrationID, 1)).div(BigNumber.from(2));
+        await fundAppeal(crowdfunder, 3, crowdfunderFee);
+        await fundAppeal(plaintiff, 1, plaintiffContribution);
+
+        await increaseTime(config.appealTimeout + 1);
+        await (await giveRuling(2)).wait();
+      });
+
+      it("Should rule in favor of the fully funded ruling option even when the arbitrator rules differently", async () => {
+        const { ruling } = await foreignProxy.arbitrations(arbitrationID);
+
+        expect(ruling).to.equal(3);
+        expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).ruling).to.equal(3);
+      });
+
+      it("Should reimburse the contributions to each ruling option", async () => {
+        await expect(() => batchWithdrawFeesAndRewards(crowdfunder, 3)).to.changeBalance(crowdfunder, crowdfunderFee);
+        await expect(() => batchWithdrawFeesAndRewards(plaintiff, 1)).to.changeBalance(
+          plaintiff,
+          plaintiffContribution
+        );
+        await expect(() => batchWithdrawFeesAndRewards(plaintiff, 3)).to.changeBalance(plaintiff, 0);
+      });
+    });
+  });
+
+  async function requestDispute() {
+    return foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+  }
+
+  async function payDefendantFee() {
+    return (
+      await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    ).wait();
+  }
+
+  async function createDispute() {
+    await (await requestDispute()).wait();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+    await payDefendantFee();
+  }
+
+  async function giveRuling(ruling) {
+    const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+    return arbitrator.giveRuling(await arbitrator.getAppealDisputeID(arbitratorDisputeID), ruling);
+  }
+
+  async function giveFinalRuling(ruling) {
+    await (await giveRuling(ruling)).wait();
+    await increaseTime(config.appealTimeout + 1);
+
+    const txPromise = giveRuling(ruling);
+    await (await txPromise).wait();
+
+    return { txPromise };
+  }
+
+  function fundAppeal(signer, ruling, amount) {
+    return foreignProxy.connect(signer).fundAppeal(arbitrationID, ruling, { value: amount });
+  }
+
+  async function getTotalWithdrawableAmount(beneficiary, ruling) {
+    return foreignProxy.getTotalWithdrawableAmount(arbitrationID, await beneficiary.getAddress(), ruling);
+  }
+
+  async function batchWithdrawFeesAndRewards(beneficiary, ruling) {
+    return foreignProxy
+      .connect(governor)
+      .batchWithdrawFeesAndRewards(arbitrationID, await beneficiary.getAddress(), 0, 0, ruling);
+  }
+});
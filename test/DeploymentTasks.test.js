@@ -0,0 +1,152 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, run } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+const { getContract } = require("../src/contracts");
+const {
+  deployMockAMB,
+  deployHomeProxy,
+  linkProxies,
+  verifyLinkage,
+  createDeploymentStore,
+  recordDeployment,
+} = require("../src/deploy");
+
+describe("Deployment tasks", () => {
+  const network = "buidlerevm";
+
+  let deploymentsDir;
+  let governor;
+
+  beforeEach("Create the deployments directory", async () => {
+    [governor] = await ethers.getSigners();
+    deploymentsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach("Remove the deployments directory", async () => {
+    await fs.promises.rmdir(deploymentsDir, { recursive: true });
+  });
+
+  it("Should deploy, link and record a pair of proxies", async () => {
+    const homeAddress = await run("deploy:home", { mocks: true, deploymentsDir });
+    const foreignAddress = await run("deploy:foreign", { mocks: true, deploymentsDir });
+    const { transactionHashes } = await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+    expect(transactionHashes).to.have.lengthOf(2);
+
+    const homeProxy = getContract("HomeBinaryArbitrationProxy", homeAddress, governor);
+    const foreignProxy = getContract("ForeignBinaryArbitrationProxy", foreignAddress, governor);
+    expect(await homeProxy.foreignProxy()).to.equal(foreignAddress);
+    expect(await foreignProxy.homeProxy()).to.equal(homeAddress);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const deployments = JSON.parse(await fs.promises.readFile(path.join(deploymentsDir, `${network}.json`), "utf8"));
+    expect(deployments.chainId).to.equal(chainId);
+    expect(Object.keys(deployments.contracts)).to.have.members([
+      "MockAMB",
+      "MockAppealableArbitrator",
+      "HomeBinaryArbitrationProxy",
+      "ForeignBinaryArbitrationProxy",
+    ]);
+    expect(deployments.contracts.HomeBinaryArbitrationProxy.address).to.equal(homeAddress);
+    expect(deployments.contracts.HomeBinaryArbitrationProxy.linkedTo).to.deep.equal({
+      network,
+      chainId,
+      address: foreignAddress,
+    });
+    expect(deployments.contracts.ForeignBinaryArbitrationProxy.args[0]).to.equal(deployments.contracts.MockAMB.address);
+    expect(deployments.contracts.ForeignBinaryArbitrationProxy.linkedTo.address).to.equal(homeAddress);
+    expect(deployments.contracts.ForeignBinaryArbitrationProxy.libraries).to.have.all.keys(
+      "DisputeParams",
+      "TokenPayments",
+      "AppealRounds"
+    );
+  });
+
+  it("Should not send any transaction when the proxies are already linked", async () => {
+    await run("deploy:home", { mocks: true, deploymentsDir });
+    await run("deploy:foreign", { mocks: true, deploymentsDir });
+    await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+    const { transactionHashes } = await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+    expect(transactionHashes).to.have.lengthOf(0);
+  });
+
+  it("Should deploy the multi-outcome proxies", async () => {
+    await run("deploy:home", { variant: "multi-outcome", mocks: true, deploymentsDir });
+    await run("deploy:foreign", { variant: "multi-outcome", mocks: true, deploymentsDir });
+    await run("link", { variant: "multi-outcome", homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+    const deployments = JSON.parse(await fs.promises.readFile(path.join(deploymentsDir, `${network}.json`), "utf8"));
+    expect(deployments.contracts.HomeMultiOutcomeArbitrationProxy.linkedTo.address).to.equal(
+      deployments.contracts.ForeignMultiOutcomeArbitrationProxy.address
+    );
+    expect(deployments.contracts.ForeignMultiOutcomeArbitrationProxy.libraries).to.have.all.keys("DisputeParams");
+  });
+
+  it("Should require the AMB unless the mocks are deployed", async () => {
+    const homeErr = await run("deploy:home", { deploymentsDir }).catch((err) => err);
+    const foreignErr = await run("deploy:foreign", { amb: ethers.constants.AddressZero, deploymentsDir }).catch(
+      (err) => err
+    );
+
+    expect(homeErr.message).to.equal("Either --amb or --mocks must be provided");
+    expect(foreignErr.message).to.equal("Either --amb and --arbitrator or --mocks must be provided");
+  });
+
+  it("Should not link proxies which are not deployed", async () => {
+    await run("deploy:home", { mocks: true, deploymentsDir });
+
+    const err = await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir }).catch(
+      (err) => err
+    );
+
+    expect(err.message).to.equal(
+      "ForeignBinaryArbitrationProxy is not deployed on buidlerevm. Run deploy:foreign first"
+    );
+  });
+
+  it("Should not link a proxy which already points to another proxy", async () => {
+    const homeAddress = await run("deploy:home", { mocks: true, deploymentsDir });
+    const foreignAddress = await run("deploy:foreign", { mocks: true, deploymentsDir });
+    await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+    const { contract: amb } = await deployMockAMB(governor);
+    const { contract: otherHomeProxy } = await deployHomeProxy(governor, { amb: amb.address });
+
+    const err = await linkProxies({
+      home: { address: otherHomeProxy.address, signer: governor },
+      foreign: { address: foreignAddress, signer: governor },
+    }).catch((err) => err);
+
+    expect(err.message).to.include(
+      `The foreign proxy points to the home proxy ${homeAddress} instead of ${otherHomeProxy.address}`
+    );
+  });
+
+  it("Should report the proxies which are not deployed when verifying the linkage", async () => {
+    const homeAddress = await run("deploy:home", { mocks: true, deploymentsDir });
+    const homeProxy = getContract("HomeBinaryArbitrationProxy", homeAddress, governor);
+    const foreignProxy = getContract("ForeignBinaryArbitrationProxy", ethers.constants.AddressZero, governor);
+
+    const problems = await verifyLinkage({ homeProxy, foreignProxy, homeChainId: 0, foreignChainId: 0 });
+
+    expect(problems).to.deep.equal([
+      `There is no contract at the foreign proxy address ${ethers.constants.AddressZero}`,
+    ]);
+  });
+
+  it("Should not record deployments from a different chain", async () => {
+    const store = createDeploymentStore(deploymentsDir, network);
+    const deployment = { address: ethers.constants.AddressZero, transactionHash: "0x", blockNumber: 0, args: [] };
+    await recordDeployment(store, { chainId: 1, contractName: "MockAMB", deployment });
+
+    const err = await recordDeployment(store, { chainId: 100, contractName: "MockAMB", deployment }).catch(
+      (err) => err
+    );
+
+    expect(err.message).to.equal("The deployments were made on chain 1, but the network is on chain 100");
+  });
+});
@@ -0,0 +1,116 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const { createForeignProxyClient } = require("../src/clients/foreignProxy");
+const {
+  resolveDisputeParams,
+  fetchDisputeParamsHistory,
+  getDisputeParamsHistoryFromEvents,
+  crossCheckDisputeParams,
+} = require("../src/disputeParams");
+
+use(solidity);
+
+describe("Dispute params history", () => {
+  const itemIDs = [1, 2, 3, 4, 5, 6, 7];
+
+  let governor;
+  let arbitrator;
+  let otherArbitrator;
+  let arbitrable;
+  let foreignProxy;
+  let config;
+
+  beforeEach("Setup contracts and register a few changes", async () => {
+    [governor] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, foreignProxy, config } = await deployBinaryArbitrationFixture());
+
+    const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator", governor);
+    otherArbitrator = await Arbitrator.deploy(config.arbitrationFee, config.appealTimeout);
+    await otherArbitrator.deployed();
+    await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, true)).wait();
+
+    await (await arbitrable.registerForArbitration(1)).wait();
+    await (await arbitrable.registerMetaEvidence(3, "ipfs/Y")).wait();
+    await (await arbitrable.registerArbitrator(4, otherArbitrator.address, "0x01")).wait();
+    await (await arbitrable.registerMetaEvidence(6, "ipfs/Z")).wait();
+  });
+
+  it("Should page through the changes stored by the foreign proxy", async () => {
+    const { metaEvidenceCount, arbitratorExtraDataCount } = await foreignProxy.getDisputeParamChangesCount(
+      arbitrable.address
+    );
+    expect(metaEvidenceCount).to.equal(3);
+    expect(arbitratorExtraDataCount).to.equal(2);
+
+    const change = await foreignProxy.getArbitratorExtraDataChange(arbitrable.address, 1);
+    expect(change.arbitrableItemID).to.equal(4);
+    expect(change.arbitratorExtraData).to.equal("0x01");
+    expect(change.itemArbitrator).to.equal(otherArbitrator.address);
+
+    const { metaEvidence, arbitratorExtraData } = await fetchDisputeParamsHistory(foreignProxy, arbitrable.address, {
+      cursor: 1,
+      count: 1,
+    });
+    expect(metaEvidence).to.have.lengthOf(1);
+    expect(metaEvidence[0].metaEvidence).to.equal("ipfs/Y");
+    expect(arbitratorExtraData).to.have.lengthOf(1);
+    expect(arbitratorExtraData[0].arbitrator).to.equal(otherArbitrator.address);
+  });
+
+  it("Should rebuild the same history from the events", async () => {
+    const fromEvents = await getDisputeParamsHistoryFromEvents(foreignProxy, arbitrable.address);
+    const stored = await fetchDisputeParamsHistory(foreignProxy, arbitrable.address);
+
+    expect(fromEvents).to.deep.equal(stored);
+    expect(fromEvents.arbitratorExtraData[0].arbitrator).to.equal(ethers.constants.AddressZero);
+  });
+
+  it("Should resolve the params of each item as the foreign proxy does", async () => {
+    const history = await getDisputeParamsHistoryFromEvents(foreignProxy, arbitrable.address);
+
+    const resolved = itemIDs.map((id) => resolveDisputeParams(history, id, arbitrator.address));
+
+    expect(resolved.map(({ metaEvidence }) => metaEvidence)).to.deep.equal([
+      config.metaEvidence,
+      config.metaEvidence,
+      "ipfs/Y",
+      "ipfs/Y",
+      "ipfs/Y",
+      "ipfs/Z",
+      "ipfs/Z",
+    ]);
+    expect(resolved.map(({ arbitrator }) => arbitrator)).to.deep.equal([
+      arbitrator.address,
+      arbitrator.address,
+      arbitrator.address,
+      otherArbitrator.address,
+      otherArbitrator.address,
+      otherArbitrator.address,
+      otherArbitrator.address,
+    ]);
+    expect(() => resolveDisputeParams(history, 0, arbitrator.address)).to.throw("ArbitratorExtraData not found");
+  });
+
+  it("Should find no mismatches between the events and the foreign proxy", async () => {
+    expect(await crossCheckDisputeParams(foreignProxy, arbitrable.address, itemIDs)).to.deep.equal([]);
+    expect(
+      await createForeignProxyClient({ contract: foreignProxy }).checkDisputeParams(arbitrable.address, itemIDs)
+    ).to.deep.equal([]);
+  });
+
+  it("Should report the mismatches when the events are incomplete", async () => {
+    const { blockNumber } = (await foreignProxy.queryFilter(foreignProxy.filters.MetaEvidenceReceived()))[1];
+
+    const mismatches = await crossCheckDisputeParams(foreignProxy, arbitrable.address, [2, 4], {
+      fromBlock: blockNumber,
+    });
+
+    expect(mismatches).to.deep.equal([
+      "The events have 2 metaEvidence changes, but the contract has 3",
+      "The events have 1 arbitratorExtraData changes, but the contract has 2",
+      "Item 2: the events have no dispute params",
+    ]);
+  });
+});
@@ -0,0 +1,211 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const { createRelayer, Action } = require("../src/relayer");
+const { createFileStore, createMemoryStore } = require("../src/utils/stores");
+
+use(solidity);
+
+describe("Dispute Relayer", () => {
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let relayerSigner;
+  let plaintiff;
+  let defendant;
+
+  let arbitrableItemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [, plaintiff, defendant, relayerSigner] = await ethers.getSigners();
+    ({ arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+
+    await (await arbitrable.registerForArbitration(0)).wait();
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+  });
+
+  function makeRelayer(params = {}) {
+    return createRelayer({
+      homeProxy: homeProxy.connect(relayerSigner),
+      foreignProxy,
+      retryOptions: { minDelay: 0 },
+      ...params,
+    });
+  }
+
+  async function requestDispute() {
+    const tx = await foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+    return tx.wait();
+  }
+
+  it("Should relay the accepted dispute requests to the foreign proxy", async () => {
+    await requestDispute();
+
+    const { relayed } = await makeRelayer().runOnce();
+
+    const arbitration = await foreignProxy.arbitrations(arbitrationID);
+    expect(arbitration.status).to.equal(FP.Status.DepositPending);
+    expect(relayed).to.have.lengthOf(1);
+    expect(relayed[0].action).to.equal(Action.Accepted);
+    expect(relayed[0].arbitrationID).to.equal(String(arbitrationID));
+  });
+
+  it("Should relay the rejected dispute requests to the foreign proxy", async () => {
+    await increaseTime(config.disputeTimeout + 1);
+    await requestDispute();
+
+    const { relayed } = await makeRelayer().runOnce();
+
+    const arbitration = await foreignProxy.arbitrations(arbitrationID);
+    expect(arbitration.status).to.equal(FP.Status.None);
+    expect(relayed).to.have.lengthOf(1);
+    expect(relayed[0].action).to.equal(Action.Rejected);
+  });
+
+  it("Should not relay the items which were already relayed by someone else", async () => {
+    await requestDispute();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+    const { relayed } = await makeRelayer().runOnce();
+
+    expect(relayed).to.have.lengthOf(0);
+  });
+
+  it("Should not relay the same item twice across runs", async () => {
+    await requestDispute();
+    const relayer = makeRelayer();
+
+    await relayer.runOnce();
+    const { relayed } = await relayer.runOnce();
+
+    expect(relayed).to.have.lengthOf(0);
+  });
+
+  it("Should not relay again while the previous relay is waiting for the bridge", async () => {
+    await requestDispute();
+    const pending = {
+      [String(arbitrationID)]: {
+        arbitrable: arbitrable.address,
+        arbitrableItemID: String(arbitrableItemID),
+        action: Action.Accepted,
+        txHash: ethers.constants.HashZero,
+        relayedAt: Date.now(),
+      },
+    };
+
+    const { relayed } = await makeRelayer({ store: createMemoryStore({ fromBlock: 0, pending }) }).runOnce();
+
+    expect(relayed).to.have.lengthOf(0);
+    expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+  });
+
+  it("Should relay again when the previous relay timed out", async () => {
+    await requestDispute();
+    const pending = {
+      [String(arbitrationID)]: {
+        arbitrable: arbitrable.address,
+        arbitrableItemID: String(arbitrableItemID),
+        action: Action.Accepted,
+        txHash: ethers.constants.HashZero,
+        relayedAt: Date.now() - 1000,
+      },
+    };
+    const latestBlock = await ethers.provider.getBlockNumber();
+    const store = createMemoryStore({ fromBlock: latestBlock + 1, pending });
+
+    const { relayed } = await makeRelayer({ store, relayTimeout: 500 }).runOnce();
+
+    expect(relayed).to.have.lengthOf(1);
+    expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+    expect((await store.load()).pending[String(arbitrationID)].txHash).not.to.equal(ethers.constants.HashZero);
+  });
+
+  it("Should retry when the relay transaction fails", async () => {
+    await requestDispute();
+    const connectedHomeProxy = homeProxy.connect(relayerSigner);
+    let failures = 0;
+    const flakyHomeProxy = Object.create(connectedHomeProxy, {
+      relayDisputeAccepted: {
+        value: async (...args) => {
+          if (failures < 2) {
+            failures += 1;
+            throw new Error("Network error");
+          }
+          return connectedHomeProxy.relayDisputeAccepted(...args);
+        },
+      },
+    });
+
+    const { relayed } = await makeRelayer({ homeProxy: flakyHomeProxy }).runOnce();
+
+    expect(failures).to.equal(2);
+    expect(relayed).to.have.lengthOf(1);
+    expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+  });
+
+  it("Should relay again on the next run when the relay failed after all its retries", async () => {
+    await requestDispute();
+    const store = createMemoryStore();
+    const connectedHomeProxy = homeProxy.connect(relayerSigner);
+    let failures = 0;
+    const flakyHomeProxy = Object.create(connectedHomeProxy, {
+      relayDisputeAccepted: {
+        value: async (...args) => {
+          if (failures < 1) {
+            failures += 1;
+            throw new Error("Network error");
+          }
+          return connectedHomeProxy.relayDisputeAccepted(...args);
+        },
+      },
+    });
+    const relayer = makeRelayer({ homeProxy: flakyHomeProxy, store, retryOptions: { retries: 0 } });
+
+    const firstRun = await relayer.runOnce();
+
+    expect(firstRun.relayed).to.have.lengthOf(0);
+    expect((await store.load()).pending[String(arbitrationID)].failed).to.equal(true);
+    expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+
+    const secondRun = await relayer.runOnce();
+
+    expect(secondRun.fromBlock).to.equal(firstRun.toBlock + 1);
+    expect(secondRun.relayed).to.deep.equal([
+      {
+        arbitrationID: String(arbitrationID),
+        arbitrable: arbitrable.address,
+        arbitrableItemID: String(arbitrableItemID),
+        action: Action.Accepted,
+      },
+    ]);
+    expect((await store.load()).pending[String(arbitrationID)].failed).to.equal(undefined);
+    expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+  });
+
+  it("Should persist the cursor and resume from it", async () => {
+    const stateFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relayer-")), "state.json");
+    await requestDispute();
+
+    const { toBlock } = await makeRelayer({ store: createFileStore(stateFile) }).runOnce();
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+
+    expect(state.fromBlock).to.equal(toBlock + 1);
+
+    const { fromBlock } = await makeRelayer({ store: createFileStore(stateFile) }).runOnce();
+    expect(fromBlock).to.equal(state.fromBlock);
+  });
+});
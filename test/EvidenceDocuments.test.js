@@ -0,0 +1,217 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { fileURLToPath } = require("url");
+const { ethers, run } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const {
+  BINARY_RULING_TITLES,
+  computeMultihash,
+  validateMetaEvidence,
+  validateEvidence,
+  buildMetaEvidence,
+  buildEvidence,
+  uploadFile,
+  publishDocument,
+  verifyDocument,
+  createFileSystemEvidenceStore,
+} = require("../src/evidence");
+
+describe("Evidence documents", () => {
+  const metaEvidenceFields = {
+    title: "Item listing",
+    description: "The item must comply with the listing policy.",
+    question: "Does the item comply with the listing policy?",
+  };
+
+  let storeDir;
+  let store;
+
+  beforeEach("Create the store", async () => {
+    storeDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "evidence-"));
+    store = createFileSystemEvidenceStore(storeDir);
+  });
+
+  afterEach("Remove the store", async () => {
+    await fs.promises.rmdir(storeDir, { recursive: true });
+  });
+
+  describe("Builders and validators", () => {
+    it("Should build the meta evidence of the binary proxies with the parties as ruling titles", async () => {
+      const metaEvidence = buildMetaEvidence({
+        ...metaEvidenceFields,
+        rulingDescriptions: ["The item does not comply", "The item complies"],
+      });
+
+      expect(metaEvidence.rulingOptions).to.deep.equal({
+        type: "single-select",
+        titles: ["Defendant", "Plaintiff"],
+        descriptions: ["The item does not comply", "The item complies"],
+      });
+      expect(BINARY_RULING_TITLES).to.deep.equal(["Defendant", "Plaintiff"]);
+    });
+
+    it("Should require the parties as ruling titles on the binary proxies only", async () => {
+      const rulingOptions = { type: "single-select", titles: ["Yes", "No"] };
+
+      expect(validateMetaEvidence({ ...metaEvidenceFields, rulingOptions })).to.deep.equal([
+        'rulingOptions.titles must be ["Defendant","Plaintiff"] on the binary proxies',
+      ]);
+      expect(
+        validateMetaEvidence({ ...metaEvidenceFields, rulingOptions }, { variant: "multi-outcome" })
+      ).to.deep.equal([]);
+      expect(() => buildMetaEvidence({ ...metaEvidenceFields, variant: "multi-outcome" })).to.throw(
+        "rulingOptions is required"
+      );
+    });
+
+    it("Should report every schema problem of a meta evidence", async () => {
+      const problems = validateMetaEvidence({
+        description: 42,
+        question: "",
+        fileHash: computeMultihash("policy"),
+        evidenceDisplayInterfaceHash: "not-a-hash",
+        evidenceDisplayInterfaceURI: "/ipfs/interface",
+        fileTypeExtension: ".pdf",
+        aliases: { "0x1234": "Alice" },
+        rulingOptions: { type: "yes-no", titles: ["Defendant", "Plaintiff"], descriptions: ["a", "b", "c"] },
+      });
+
+      expect(problems).to.have.members([
+        "title is required",
+        "description must be a non-empty string",
+        "question must be a non-empty string",
+        "fileHash is set without fileURI",
+        "evidenceDisplayInterfaceHash must be a hex multihash",
+        "fileTypeExtension must be alphanumeric, without the dot",
+        'The alias "0x1234" is not an address',
+        "rulingOptions.type must be one of: single-select, multiple-select, uint, int, string, datetime, hash",
+        "rulingOptions.descriptions has more entries than rulingOptions.titles",
+        'rulingOptions.type must be "single-select" on the binary proxies',
+      ]);
+    });
+
+    it("Should build an evidence and require its name and the hash of its file", async () => {
+      expect(buildEvidence({ name: "Screenshot", description: undefined })).to.deep.equal({ name: "Screenshot" });
+      expect(validateEvidence({ description: "Screenshot", fileURI: "/ipfs/screenshot.png" })).to.have.members([
+        "name is required",
+        "fileURI is set without fileHash",
+      ]);
+      expect(validateEvidence("Screenshot")).to.deep.equal(["The document must be a JSON object"]);
+    });
+  });
+
+  describe("Publication", () => {
+    it("Should upload the file and the document and verify them from the URI", async () => {
+      const fileFields = await uploadFile(store, "policy.pdf", "The listing policy");
+      const metaEvidence = buildMetaEvidence({ ...metaEvidenceFields, ...fileFields });
+
+      const uri = await publishDocument(store, metaEvidence);
+
+      expect(fileFields.fileHash).to.equal(`1b20${ethers.utils.id("The listing policy").slice(2)}`);
+      expect(fileFields.fileTypeExtension).to.equal("pdf");
+      expect(await verifyDocument(store, uri)).to.deep.equal({ document: metaEvidence, problems: [] });
+    });
+
+    it("Should detect the files which do not match their hash", async () => {
+      const fileFields = await uploadFile(store, "policy.pdf", "The listing policy");
+      const metaEvidence = buildMetaEvidence({ ...metaEvidenceFields, ...fileFields });
+      const uri = await publishDocument(store, metaEvidence);
+
+      await fs.promises.writeFile(fileURLToPath(fileFields.fileURI), "Another policy");
+
+      const { problems } = await verifyDocument(store, uri);
+      expect(problems).to.deep.equal([`fileHash does not match the content of ${fileFields.fileURI}`]);
+      const err = await publishDocument(store, metaEvidence).catch((err) => err);
+      expect(err.message).to.include("fileHash does not match");
+    });
+
+    it("Should verify the hashes of the evidence files", async () => {
+      const fileFields = await uploadFile(store, "screenshot.png", "The screenshot");
+      const evidence = buildEvidence({ name: "Screenshot", ...fileFields, fileHash: computeMultihash("Another") });
+
+      const err = await publishDocument(store, evidence, { kind: "evidence" }).catch((err) => err);
+
+      expect(err.message).to.equal(`Invalid evidence:\n  fileHash does not match the content of ${fileFields.fileURI}`);
+    });
+
+    it("Should report the documents which cannot be read", async () => {
+      const uri = await store.upload("metaEvidence.json", "{");
+
+      const { document, problems } = await verifyDocument(store, uri);
+      expect(document).to.equal(undefined);
+      expect(problems).to.have.lengthOf(1);
+      expect(problems[0]).to.include(`Could not read the document at ${uri}`);
+    });
+
+    it("Should not read the files outside of the store", async () => {
+      const uploadErr = await store.upload("../policy.pdf", "The listing policy").catch((err) => err);
+      const outsideErr = await store.download("file:///etc/hostname").catch((err) => err);
+      const unsupportedErr = await store.download("/ipfs/policy.pdf").catch((err) => err);
+
+      expect(uploadErr.message).to.equal("Invalid file name: ../policy.pdf");
+      expect(outsideErr.message).to.equal("file:///etc/hostname is not in the store");
+      expect(unsupportedErr.message).to.equal("Unsupported URI: /ipfs/policy.pdf");
+    });
+  });
+
+  describe("Tasks", () => {
+    let inputFile;
+
+    beforeEach("Write the input file", async () => {
+      inputFile = path.join(storeDir, "input.json");
+      await fs.promises.writeFile(inputFile, JSON.stringify(metaEvidenceFields));
+    });
+
+    it("Should publish a meta evidence and verify it", async () => {
+      const policyFile = path.join(storeDir, "policy.pdf");
+      await fs.promises.writeFile(policyFile, "The listing policy");
+
+      const { uri, document } = await run("evidence:publish", { input: inputFile, file: policyFile, storeDir });
+
+      expect(document).to.deep.include({ ...metaEvidenceFields, fileHash: computeMultihash("The listing policy") });
+      expect(await run("evidence:verify", { uri, storeDir })).to.deep.equal(document);
+    });
+
+    it("Should not publish an invalid document", async () => {
+      const err = await run("evidence:publish", { input: inputFile, kind: "evidence", storeDir }).catch((err) => err);
+
+      expect(err.message).to.equal("Invalid evidence:\n  name is required");
+    });
+
+    it("Should fail to verify an invalid document", async () => {
+      const uri = await store.upload("metaEvidence.json", JSON.stringify(metaEvidenceFields));
+
+      const err = await run("evidence:verify", { uri, storeDir }).catch((err) => err);
+
+      expect(err.message).to.equal(`${uri} is not a valid meta-evidence:\n  rulingOptions is required`);
+    });
+  });
+
+  it("Should verify the meta evidence re-emitted by the foreign proxy", async () => {
+    const [, plaintiff, defendant] = await ethers.getSigners();
+    const { arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture();
+    const uri = await publishDocument(store, buildMetaEvidence(metaEvidenceFields));
+    await (await arbitrable.registerMetaEvidence(0, uri)).wait();
+    await (await arbitrable.registerArbitrator(0, ethers.constants.AddressZero, config.arbitratorExtraData)).wait();
+
+    const itemReceipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    const arbitrableItemID = getEmittedEvent("ItemCreated", itemReceipt).args._arbitrableItemID;
+    await (
+      await foreignProxy
+        .connect(plaintiff)
+        .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+    ).wait();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+    const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    const receipt = await (
+      await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    ).wait();
+
+    const { _evidence } = getEmittedEvent("MetaEvidence", receipt).args;
+    expect(_evidence).to.equal(uri);
+    expect((await verifyDocument(store, _evidence)).problems).to.deep.equal([]);
+  });
+});
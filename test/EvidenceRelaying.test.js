@@ -0,0 +1,124 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+
+use(solidity);
+
+describe("Evidence relaying from the home proxy", () => {
+  const evidenceURI = "ipfs/evidence.json";
+
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let arbitrableItemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [, plaintiff, defendant, other] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+  });
+
+  it("Should not allow to submit evidence before the dispute request is accepted", async () => {
+    await expect(submitEvidence(plaintiff)).to.be.revertedWith("Dispute is not accepted");
+  });
+
+  it("Should still allow to submit evidence directly on the foreign proxy before the dispute is requested", async () => {
+    await expect(foreignProxy.connect(plaintiff).submitEvidence(arbitrationID, evidenceURI))
+      .to.emit(foreignProxy, "Evidence")
+      .withArgs(arbitrator.address, arbitrationID, await plaintiff.getAddress(), evidenceURI);
+  });
+
+  describe("When the dispute request is accepted", () => {
+    beforeEach("Request and accept the dispute", async () => {
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+    });
+
+    it("Should relay the evidence of the plaintiff to the foreign proxy under the arbitration ID", async () => {
+      const txPromise = submitEvidence(plaintiff);
+
+      await expect(txPromise)
+        .to.emit(homeProxy, "EvidenceSubmitted")
+        .withArgs(arbitrable.address, arbitrableItemID, await plaintiff.getAddress(), evidenceURI);
+      await expect(txPromise)
+        .to.emit(foreignProxy, "Evidence")
+        .withArgs(arbitrator.address, arbitrationID, await plaintiff.getAddress(), evidenceURI);
+    });
+
+    it("Should relay the evidence submitted by the arbitrable contract", async () => {
+      const txPromise = arbitrable.connect(defendant).submitEvidence(arbitrableItemID, evidenceURI);
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "Evidence")
+        .withArgs(arbitrator.address, arbitrationID, arbitrable.address, evidenceURI);
+    });
+
+    it("Should not allow the defendant to submit evidence directly before the dispute is created", async () => {
+      await expect(submitEvidence(defendant)).to.be.revertedWith("Only parties allowed");
+    });
+
+    it("Should not allow addresses other than the parties or the arbitrable contract to submit evidence", async () => {
+      await expect(submitEvidence(other)).to.be.revertedWith("Only parties allowed");
+    });
+
+    it("Should not allow to submit an empty evidence URI", async () => {
+      await expect(
+        homeProxy.connect(plaintiff).submitEvidence(arbitrable.address, arbitrableItemID, "")
+      ).to.be.revertedWith("Evidence URI is empty");
+    });
+
+    describe("When the dispute is created", () => {
+      beforeEach("Relay the acceptance and pay the defendant fee", async () => {
+        await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+        await (
+          await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+        ).wait();
+      });
+
+      it("Should register the defendant in the arbitrable item on the home proxy", async () => {
+        const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+
+        expect(arbitrableItem.plaintiff).to.equal(await plaintiff.getAddress());
+        expect(arbitrableItem.defendant).to.equal(await defendant.getAddress());
+      });
+
+      it("Should relay the evidence of the defendant to the foreign proxy", async () => {
+        await expect(submitEvidence(defendant))
+          .to.emit(foreignProxy, "Evidence")
+          .withArgs(arbitrator.address, arbitrationID, await defendant.getAddress(), evidenceURI);
+      });
+
+      it("Should not allow to submit evidence after the dispute is ruled", async () => {
+        const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+        await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Plaintiff)).wait();
+        await increaseTime(config.appealTimeout + 1);
+        await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Plaintiff)).wait();
+
+        await expect(submitEvidence(plaintiff)).to.be.revertedWith("Dispute is not accepted");
+      });
+    });
+  });
+
+  function submitEvidence(signer) {
+    return homeProxy.connect(signer).submitEvidence(arbitrable.address, arbitrableItemID, evidenceURI);
+  }
+});
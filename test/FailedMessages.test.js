@@ -0,0 +1,234 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployAsyncBridgeFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Failed message recovery", () => {
+  let arbitrator;
+  let arbitrable;
+  let bridge;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let itemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts and accept a dispute request", async () => {
+    [, plaintiff, defendant, other] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, bridge, homeProxy, foreignProxy, config } = await deployAsyncBridgeFixture());
+
+    await (await arbitrable.registerForArbitration(0)).wait();
+    await bridge.deliverAll();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    itemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, itemID);
+
+    await (await requestDispute(itemID)).wait();
+    await bridge.deliverAll();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, itemID)).wait();
+    await bridge.deliverAll();
+  });
+
+  describe("Ruling rejected by the arbitrable contract", () => {
+    let message;
+
+    beforeEach("Rule the dispute while the arbitrable contract rejects rulings", async () => {
+      await (await arbitrable.setRulingBlocked(true)).wait();
+      await ruleForDefendant();
+
+      [message] = await bridge.pending("receiveRuling");
+      expect(await bridge.deliver(message)).to.include({ status: true, failed: true });
+    });
+
+    it("Should record the failed message on the home proxy", async () => {
+      expect(await homeProxy.failedMessages(message.id)).to.equal(ethers.utils.keccak256(message.payload));
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.Accepted);
+    });
+
+    it("Should keep the failed message when the retry fails again", async () => {
+      await expect(homeProxy.retryMessage(message.id, message.payload)).to.be.revertedWith("Message failed again");
+
+      expect(await homeProxy.failedMessages(message.id)).to.equal(ethers.utils.keccak256(message.payload));
+    });
+
+    it("Should allow anyone to retry the message once the arbitrable contract accepts rulings", async () => {
+      await (await arbitrable.setRulingBlocked(false)).wait();
+
+      await expect(homeProxy.connect(other).retryMessage(message.id, message.payload))
+        .to.emit(homeProxy, "MessageRetried")
+        .withArgs(message.id);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, itemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.Ruled);
+      expect(arbitrableItem.ruling).to.equal(FP.Party.Defendant);
+      expect(await homeProxy.failedMessages(message.id)).to.equal(ethers.constants.HashZero);
+    });
+
+    it("Should not allow to retry the message twice", async () => {
+      await (await arbitrable.setRulingBlocked(false)).wait();
+      await (await homeProxy.retryMessage(message.id, message.payload)).wait();
+
+      await expect(homeProxy.retryMessage(message.id, message.payload)).to.be.revertedWith("Message did not fail");
+    });
+
+    it("Should not allow to retry the message with different data", async () => {
+      await (await arbitrable.setRulingBlocked(false)).wait();
+      const data = homeProxy.interface.encodeFunctionData("receiveRuling", [
+        arbitrable.address,
+        itemID,
+        FP.Party.Plaintiff,
+      ]);
+
+      await expect(homeProxy.retryMessage(message.id, data)).to.be.revertedWith("Message did not fail");
+    });
+  });
+
+  describe("Ruling running out of gas in the arbitrable contract", () => {
+    let message;
+
+    beforeEach("Rule the dispute while the arbitrable contract uses all its gas", async () => {
+      await (await arbitrable.setRulingOutOfGas(true)).wait();
+      await ruleForDefendant();
+
+      [message] = await bridge.pending("receiveRuling");
+    });
+
+    it("Should still record the failed message on the home proxy", async () => {
+      expect(await bridge.deliver(message)).to.include({ status: true, failed: true });
+
+      expect(await homeProxy.failedMessages(message.id)).to.equal(ethers.utils.keccak256(message.payload));
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.Accepted);
+    });
+
+    it("Should allow to retry the message once the arbitrable contract is fixed", async () => {
+      await bridge.deliver(message);
+      await (await arbitrable.setRulingOutOfGas(false)).wait();
+
+      await expect(homeProxy.retryMessage(message.id, message.payload))
+        .to.emit(homeProxy, "MessageRetried")
+        .withArgs(message.id);
+
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).status).to.equal(HP.Status.Ruled);
+    });
+  });
+
+  describe("Ruling relayed again", () => {
+    it("Should deliver the ruling when the original message was dropped", async () => {
+      await increaseTime(config.feeDepositTimeout + 1);
+      await (await foreignProxy.claimPlaintiffWin(arbitrationID)).wait();
+      await bridge.drop((await bridge.pending("receiveRuling"))[0]);
+
+      await (await foreignProxy.connect(other).relayRuling(arbitrationID)).wait();
+      const statuses = await bridge.deliverAll();
+
+      expect(statuses).to.deep.equal([true]);
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, itemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.Ruled);
+      expect(arbitrableItem.ruling).to.equal(FP.Party.Plaintiff);
+    });
+
+    it("Should not change the ruling on the home proxy when it was already received", async () => {
+      await ruleForDefendant();
+      await bridge.deliverAll();
+
+      await (await foreignProxy.relayRuling(arbitrationID)).wait();
+      const [message] = await bridge.pending("receiveRuling");
+
+      expect(await bridge.deliver(message)).to.include({ status: true, failed: true });
+      expect((await homeProxy.arbitrableItems(arbitrable.address, itemID)).ruling).to.equal(FP.Party.Defendant);
+    });
+
+    it("Should not allow to relay the ruling before the arbitration is ruled", async () => {
+      await expect(foreignProxy.relayRuling(arbitrationID)).to.be.revertedWith("Invalid arbitration status");
+    });
+  });
+
+  describe("Answer to a timed out dispute request", () => {
+    let staleItemID;
+    let staleArbitrationID;
+    let message;
+
+    beforeEach("Time out a request whose acceptance fails, and request the dispute again", async () => {
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      staleItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      staleArbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, staleItemID);
+
+      await (await requestDispute(staleItemID)).wait();
+      await bridge.deliverAll();
+      await increaseTime(config.requestTimeout + 1);
+      await (await foreignProxy.claimRequestTimeout(staleArbitrationID)).wait();
+
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, staleItemID)).wait();
+      [message] = await bridge.pending("receiveDisputeAccepted");
+      expect(await bridge.deliver(message)).to.include({ status: true, failed: true });
+      await bridge.deliverAll();
+
+      await (await requestDispute(staleItemID)).wait();
+      await bridge.deliverAll();
+    });
+
+    it("Should not accept the new request when the failed acceptance is retried", async () => {
+      await expect(foreignProxy.retryMessage(message.id, message.payload)).to.be.revertedWith("Message failed again");
+
+      expect((await foreignProxy.arbitrations(staleArbitrationID)).status).to.equal(FP.Status.Requested);
+    });
+
+    it("Should still receive the answer to the new request", async () => {
+      // The mock arbitrable contract does not allow to dispute an item again once the dispute is canceled.
+      await (await homeProxy.relayDisputeRejected(arbitrable.address, staleItemID)).wait();
+      const [rejectedMessage] = await bridge.pending("receiveDisputeRejected");
+
+      expect(await bridge.deliver(rejectedMessage)).to.include({ status: true, failed: false });
+      expect((await foreignProxy.arbitrations(staleArbitrationID)).status).to.equal(FP.Status.None);
+    });
+  });
+
+  describe("Message handlers", () => {
+    it("Should only allow the proxies themselves to call the message handlers", async () => {
+      await expect(homeProxy.receiveRuling(arbitrable.address, itemID, 1)).to.be.revertedWith("Only self allowed");
+      await expect(foreignProxy.receiveDisputeAccepted(arbitrable.address, itemID, 0)).to.be.revertedWith(
+        "Only self allowed"
+      );
+      await expect(foreignProxy.receiveMetaEvidence(arbitrable.address, 1, "ipfs/Y")).to.be.revertedWith(
+        "Only self allowed"
+      );
+    });
+
+    it("Should only allow the AMB to deliver messages", async () => {
+      const data = homeProxy.interface.encodeFunctionData("receiveRuling", [arbitrable.address, itemID, 1]);
+
+      await expect(homeProxy.receiveMessage(data)).to.be.revertedWith("Only AMB allowed");
+      await expect(foreignProxy.receiveMessage(data)).to.be.revertedWith("Only AMB allowed");
+    });
+  });
+
+  function requestDispute(arbitrableItemID) {
+    return foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+  }
+
+  async function ruleForDefendant() {
+    await (
+      await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+    ).wait();
+    await bridge.deliverAll();
+
+    const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+    await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+    await increaseTime(config.appealTimeout + 1);
+    await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+  }
+});
@@ -0,0 +1,313 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture, deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const { createWithdrawer } = require("../src/withdrawer");
+const { createMemoryStore } = require("../src/utils/stores");
+
+use(solidity);
+
+describe("Fee withdrawer", () => {
+  let plaintiff;
+  let defendant;
+  let crowdfunder;
+  let otherCrowdfunder;
+  let keeper;
+
+  before("Get the accounts", async () => {
+    [, plaintiff, defendant, crowdfunder, otherCrowdfunder, keeper] = await ethers.getSigners();
+  });
+
+  describe("Binary arbitration proxies", () => {
+    let arbitrator;
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    beforeEach("Setup contracts", async () => {
+      ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+    });
+
+    describe("Withdrawing from multiple arbitrations", () => {
+      it("Should withdraw the contributions to all the arbitrations at once", async () => {
+        const first = await createAppealedArbitration([[crowdfunder, 100]]);
+        const second = await createAppealedArbitration([[crowdfunder, 200]]);
+        await giveFinalRuling(first);
+        await giveFinalRuling(second);
+
+        const txPromise = withdrawForArbitrations([first, second], crowdfunder);
+
+        await expect(() => txPromise).to.changeBalance(crowdfunder, 300);
+        expect(await getTotalWithdrawableAmount(first, crowdfunder)).to.equal(0);
+        expect(await getTotalWithdrawableAmount(second, crowdfunder)).to.equal(0);
+      });
+
+      it("Should not withdraw the same contributions twice", async () => {
+        const arbitrationID = await createAppealedArbitration([[crowdfunder, 100]]);
+        await giveFinalRuling(arbitrationID);
+        await (await withdrawForArbitrations([arbitrationID], crowdfunder)).wait();
+
+        await expect(() => withdrawForArbitrations([arbitrationID, arbitrationID], crowdfunder)).to.changeBalance(
+          crowdfunder,
+          0
+        );
+      });
+
+      it("Should not allow to withdraw if any of the arbitrations is not ruled", async () => {
+        const ruled = await createAppealedArbitration([[crowdfunder, 100]]);
+        const ongoing = await createAppealedArbitration([[crowdfunder, 100]]);
+        await giveFinalRuling(ruled);
+
+        await expect(withdrawForArbitrations([ruled, ongoing], crowdfunder)).to.be.revertedWith(
+          "The arbitration is not settled"
+        );
+      });
+
+      it("Should keep reverting for a round which does not exist", async () => {
+        const arbitrationID = await createAppealedArbitration([[crowdfunder, 100]]);
+        await giveFinalRuling(arbitrationID);
+
+        await expect(
+          foreignProxy.withdrawFeesAndRewards(arbitrationID, await crowdfunder.getAddress(), 1)
+        ).to.be.revertedWith("No appeal rounds");
+      });
+    });
+
+    describe("Withdrawer bot", () => {
+      it("Should withdraw the claimable funds of each contributor in a single transaction", async () => {
+        const first = await createAppealedArbitration([
+          [crowdfunder, 100],
+          [otherCrowdfunder, 50],
+        ]);
+        const second = await createAppealedArbitration([[crowdfunder, 200]]);
+        await giveFinalRuling(first);
+        await giveFinalRuling(second);
+
+        const store = createMemoryStore();
+        const balances = await getBalances([crowdfunder, otherCrowdfunder]);
+
+        const { withdrawals } = await makeWithdrawer({ store }).runOnce();
+
+        expect(await getBalanceChanges(balances)).to.deep.equal([300, 50]);
+        expect(withdrawals).to.have.lengthOf(2);
+        const crowdfunderAddress = await crowdfunder.getAddress();
+        const crowdfunderWithdrawal = withdrawals.find(({ beneficiary }) => beneficiary === crowdfunderAddress);
+        expect(crowdfunderWithdrawal.claims.map(({ arbitrationID }) => arbitrationID)).to.have.members([
+          String(first),
+          String(second),
+        ]);
+        expect((await store.load()).claims).to.deep.equal({});
+      });
+
+      it("Should wait for the arbitrations to be ruled", async () => {
+        const arbitrationID = await createAppealedArbitration([[crowdfunder, 100]]);
+        const store = createMemoryStore();
+        const withdrawer = makeWithdrawer({ store });
+
+        const { withdrawals } = await withdrawer.runOnce();
+        expect(withdrawals).to.have.lengthOf(0);
+        expect((await store.load()).claims[await crowdfunder.getAddress()]).to.deep.equal({
+          [String(arbitrationID)]: [FP.Party.Plaintiff],
+        });
+
+        await giveFinalRuling(arbitrationID);
+
+        const balances = await getBalances([crowdfunder]);
+        await withdrawer.runOnce();
+
+        expect(await getBalanceChanges(balances)).to.deep.equal([100]);
+        expect((await store.load()).claims).to.deep.equal({});
+      });
+
+      it("Should forget the claims which were already withdrawn", async () => {
+        const arbitrationID = await createAppealedArbitration([[crowdfunder, 100]]);
+        await giveFinalRuling(arbitrationID);
+        await (await withdrawForArbitrations([arbitrationID], crowdfunder)).wait();
+
+        const store = createMemoryStore();
+        const { withdrawals } = await makeWithdrawer({ store }).runOnce();
+
+        expect(withdrawals).to.have.lengthOf(0);
+        expect((await store.load()).claims).to.deep.equal({});
+      });
+
+      it("Should split the withdrawals which would exceed the gas budget", async () => {
+        const first = await createAppealedArbitration([[crowdfunder, 100]]);
+        const second = await createAppealedArbitration([[crowdfunder, 200]]);
+        await giveFinalRuling(first);
+        await giveFinalRuling(second);
+
+        const beneficiary = await crowdfunder.getAddress();
+        const gasBudget = Math.max(
+          Number(await foreignProxy.estimateGas.withdrawFeesAndRewardsForArbitrations([first], beneficiary)),
+          Number(await foreignProxy.estimateGas.withdrawFeesAndRewardsForArbitrations([second], beneficiary))
+        );
+
+        const balances = await getBalances([crowdfunder]);
+
+        const { withdrawals } = await makeWithdrawer({ gasBudget }).runOnce();
+
+        expect(await getBalanceChanges(balances)).to.deep.equal([300]);
+        expect(withdrawals).to.have.lengthOf(2);
+        expect(withdrawals.map(({ claims }) => claims.length)).to.deep.equal([1, 1]);
+      });
+
+      it("Should not scan the same blocks again", async () => {
+        const arbitrationID = await createAppealedArbitration([[crowdfunder, 100]]);
+        await giveFinalRuling(arbitrationID);
+        const withdrawer = makeWithdrawer();
+        const firstRun = await withdrawer.runOnce();
+
+        const secondRun = await withdrawer.runOnce();
+
+        expect(firstRun.withdrawals).to.have.lengthOf(1);
+        expect(secondRun.fromBlock).to.equal(firstRun.toBlock + 1);
+        expect(secondRun.withdrawals).to.have.lengthOf(0);
+      });
+    });
+
+    function makeWithdrawer(params = {}) {
+      return createWithdrawer({
+        foreignProxy: foreignProxy.connect(keeper),
+        retryOptions: { minDelay: 0 },
+        ...params,
+      });
+    }
+
+    async function createAppealedArbitration(contributions) {
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Plaintiff)).wait();
+
+      for (const [contributor, amount] of contributions) {
+        await (
+          await foreignProxy.connect(contributor).fundAppeal(arbitrationID, FP.Party.Plaintiff, { value: amount })
+        ).wait();
+      }
+
+      return arbitrationID;
+    }
+
+    async function giveFinalRuling(arbitrationID) {
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      const [, appealPeriodEnd] = await arbitrator.appealPeriod(arbitratorDisputeID);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      if (appealPeriodEnd.gte(timestamp)) {
+        await increaseTime(appealPeriodEnd.sub(timestamp).toNumber() + 1);
+      }
+
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Plaintiff)).wait();
+    }
+
+    async function getTotalWithdrawableAmount(arbitrationID, beneficiary) {
+      return foreignProxy.getTotalWithdrawableAmount(arbitrationID, await beneficiary.getAddress());
+    }
+
+    async function withdrawForArbitrations(arbitrationIDs, beneficiary) {
+      return foreignProxy.withdrawFeesAndRewardsForArbitrations(arbitrationIDs, await beneficiary.getAddress());
+    }
+  });
+
+  describe("Multi-outcome arbitration proxies", () => {
+    let arbitrator;
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrationID;
+
+    beforeEach("Setup contracts, create a dispute and crowdfund two ruling options", async () => {
+      ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployMultiOutcomeArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, 2)).wait();
+      await (await foreignProxy.connect(crowdfunder).fundAppeal(arbitrationID, 2, { value: 100 })).wait();
+      await (await foreignProxy.connect(crowdfunder).fundAppeal(arbitrationID, 3, { value: 50 })).wait();
+
+      await increaseTime(config.appealTimeout + 1);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, 2)).wait();
+    });
+
+    it("Should withdraw the contributions to each ruling option at once", async () => {
+      const beneficiary = await crowdfunder.getAddress();
+
+      const txPromise = foreignProxy.withdrawFeesAndRewardsForArbitrations(
+        [arbitrationID, arbitrationID],
+        [2, 3],
+        beneficiary
+      );
+
+      await expect(() => txPromise).to.changeBalance(crowdfunder, 150);
+    });
+
+    it("Should require a ruling option for each arbitration", async () => {
+      await expect(
+        foreignProxy.withdrawFeesAndRewardsForArbitrations([arbitrationID], [2, 3], await crowdfunder.getAddress())
+      ).to.be.revertedWith("Invalid rulings length");
+    });
+
+    it("Should withdraw the contributions to each ruling option with the bot", async () => {
+      const withdrawer = createWithdrawer({
+        foreignProxy: foreignProxy.connect(keeper),
+        variant: "multi-outcome",
+        retryOptions: { minDelay: 0 },
+      });
+
+      const balances = await getBalances([crowdfunder]);
+
+      const { withdrawals } = await withdrawer.runOnce();
+
+      expect(await getBalanceChanges(balances)).to.deep.equal([150]);
+      expect(withdrawals).to.have.lengthOf(1);
+      expect(withdrawals[0].claims.map(({ ruling }) => ruling)).to.have.members([2, 3]);
+    });
+  });
+
+  async function getBalances(signers) {
+    return Promise.all(
+      signers.map(async (signer) => ({ signer, balance: await ethers.provider.getBalance(await signer.getAddress()) }))
+    );
+  }
+
+  async function getBalanceChanges(balances) {
+    return Promise.all(
+      balances.map(async ({ signer, balance }) =>
+        Number((await ethers.provider.getBalance(await signer.getAddress())).sub(balance))
+      )
+    );
+  }
+});
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { run } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+
+describe("Gas report task", () => {
+  const sizes = { rounds: 2, contributors: 2, historyLength: 3 };
+
+  let tmpDir;
+
+  beforeEach("Create a temporary directory", async () => {
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "gas-report-"));
+  });
+
+  afterEach("Remove the temporary directory", async () => {
+    await fs.promises.rmdir(tmpDir, { recursive: true });
+  });
+
+  it("Should measure every proxy function and keep the bridged receivers within their budgets and gas limits", async () => {
+    const output = path.join(tmpDir, "report.json");
+
+    const report = await run("gas:report", { ...sizes, output });
+
+    expect(report.violations).to.deep.equal([]);
+    expect(report.unbudgeted).to.deep.equal([]);
+    expect(report.failedMessages).to.deep.equal([]);
+    const receivers = report.summaries.filter(({ bridged }) => bridged).map(({ key }) => key);
+    expect(Object.keys(report.limits)).to.have.members(receivers);
+    const keys = report.summaries.map(({ key }) => key);
+    expect(keys).to.include.members([
+      "ForeignBinaryArbitrationProxy.requestDispute",
+      "ForeignBinaryArbitrationProxy.batchWithdrawFeesAndRewards",
+      "HomeBinaryArbitrationProxy.relayDisputeAccepted",
+      "HomeBinaryArbitrationProxy.receiveRuling",
+      "ForeignBinaryArbitrationProxy.receiveSettlement",
+    ]);
+    expect(report.summaries.find(({ key }) => key === "HomeBinaryArbitrationProxy.receiveRuling").bridged).to.equal(
+      true
+    );
+    expect(report.deployments.map(({ contract }) => contract)).to.include("ForeignBinaryArbitrationProxy");
+    expect(JSON.parse(await fs.promises.readFile(output, "utf8"))).to.deep.equal(report);
+  }).timeout(120000);
+
+  it("Should fail when a bridged receiver exceeds its budget", async () => {
+    const budgets = path.join(tmpDir, "budgets.json");
+    await fs.promises.writeFile(budgets, JSON.stringify({ "HomeBinaryArbitrationProxy.receiveRuling": 1000 }));
+
+    let error;
+    try {
+      await run("gas:report", { ...sizes, budgets });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error && error.message).to.match(/HomeBinaryArbitrationProxy\.receiveRuling used \d+ gas in "[^"]+", over/);
+  }).timeout(120000);
+});
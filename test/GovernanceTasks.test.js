@@ -0,0 +1,160 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, run } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+const { deployBinaryArbitrationFixture, deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+const { getCurrentParams, diffParams } = require("../src/governance");
+
+describe("Governance tasks", () => {
+  let foreignProxy;
+  let config;
+
+  let governor;
+  let other;
+
+  let paramsDir;
+
+  beforeEach("Setup contracts", async () => {
+    [governor, other] = await ethers.getSigners();
+    ({ foreignProxy, config } = await deployBinaryArbitrationFixture());
+    paramsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "governance-"));
+  });
+
+  afterEach("Remove the params directory", async () => {
+    await fs.promises.rmdir(paramsDir, { recursive: true });
+  });
+
+  it("Should show the current params", async () => {
+    const current = await run("gov:show", { address: foreignProxy.address });
+
+    expect(current).to.deep.equal({
+      feeDepositTimeout: String(config.feeDepositTimeout),
+      requestTimeout: String(config.requestTimeout),
+      sharedStakeMultiplier: config.sharedMultiplier.toString(),
+      winnerStakeMultiplier: config.winnerMultiplier.toString(),
+      loserStakeMultiplier: config.loserMultiplier.toString(),
+      arbitrator: await foreignProxy.arbitrator(),
+      amb: await foreignProxy.amb(),
+      valueBridge: await foreignProxy.valueBridge(),
+      governor: await governor.getAddress(),
+    });
+  });
+
+  it("Should only show the params available on the multi-outcome proxy", async () => {
+    const { foreignProxy: multiOutcomeProxy } = await deployMultiOutcomeArbitrationFixture();
+
+    const current = await run("gov:show", { address: multiOutcomeProxy.address, variant: "multi-outcome" });
+
+    expect(current).to.not.have.property("valueBridge");
+    expect(current).to.have.property("loserStakeMultiplier");
+  });
+
+  it("Should only diff the params which change", async () => {
+    const paramsFile = await writeParamsFile({
+      feeDepositTimeout: config.feeDepositTimeout,
+      loserStakeMultiplier: 30000,
+      arbitrator: (await other.getAddress()).toLowerCase(),
+    });
+
+    const changes = await run("gov:diff", { address: foreignProxy.address, paramsFile });
+
+    expect(changes).to.deep.equal([
+      {
+        name: "loserStakeMultiplier",
+        setter: "changeLoserStakeMultiplier",
+        from: config.loserMultiplier.toString(),
+        to: "30000",
+      },
+      {
+        name: "arbitrator",
+        setter: "changeArbitrator",
+        from: await foreignProxy.arbitrator(),
+        to: await other.getAddress(),
+      },
+    ]);
+  });
+
+  it("Should encode the changes as unsigned transactions, changing the governor last", async () => {
+    const otherAddress = await other.getAddress();
+    const paramsFile = await writeParamsFile({
+      governor: otherAddress,
+      requestTimeout: "1000",
+      winnerStakeMultiplier: 0,
+    });
+    const output = path.join(paramsDir, "batch.json");
+
+    const batch = await run("gov:apply", { address: foreignProxy.address, paramsFile, output });
+
+    expect(JSON.parse(await fs.promises.readFile(output, "utf8"))).to.deep.equal(batch);
+    expect(batch.governor).to.equal(await governor.getAddress());
+    expect(batch.transactions.map(({ to }) => to)).to.deep.equal(Array(3).fill(foreignProxy.address));
+    expect(batch.transactions.map(({ data }) => foreignProxy.interface.parseTransaction({ data }).name)).to.deep.equal([
+      "changeRequestTimeout",
+      "changeWinnerStakeMultiplier",
+      "changeGovernor",
+    ]);
+
+    // Nothing is sent until the governor executes the batch.
+    expect(await foreignProxy.requestTimeout()).to.equal(config.requestTimeout);
+
+    for (const { to, value, data } of batch.transactions) {
+      await (await governor.sendTransaction({ to, value: ethers.BigNumber.from(value), data })).wait();
+    }
+
+    expect(await foreignProxy.requestTimeout()).to.equal(1000);
+    expect(await foreignProxy.winnerStakeMultiplier()).to.equal(0);
+    expect(await foreignProxy.governor()).to.equal(otherAddress);
+  });
+
+  it("Should execute the changes", async () => {
+    const paramsFile = await writeParamsFile({ feeDepositTimeout: 12345, sharedStakeMultiplier: "15000" });
+
+    const transactionHashes = await run("gov:apply", {
+      address: foreignProxy.address,
+      paramsFile,
+      execute: true,
+    });
+
+    expect(transactionHashes).to.have.lengthOf(2);
+    expect(await foreignProxy.feeDepositTimeout()).to.equal(12345);
+    expect(await foreignProxy.sharedStakeMultiplier()).to.equal(15000);
+    expect(await run("gov:diff", { address: foreignProxy.address, paramsFile })).to.deep.equal([]);
+  });
+
+  it("Should not execute the changes when the sender is not the governor", async () => {
+    await (await foreignProxy.changeGovernor(await other.getAddress())).wait();
+    const paramsFile = await writeParamsFile({ feeDepositTimeout: 12345 });
+
+    const err = await run("gov:apply", { address: foreignProxy.address, paramsFile, execute: true }).catch(
+      (err) => err
+    );
+
+    expect(err.message).to.equal(
+      `The sender ${await governor.getAddress()} is not the governor ${await other.getAddress()}`
+    );
+  });
+
+  it("Should reject unknown params and invalid values", async () => {
+    const current = await getCurrentParams(foreignProxy);
+
+    expect(() => diffParams(foreignProxy, current, { homeProxy: ethers.constants.AddressZero })).to.throw(
+      TypeError,
+      "Unknown params: homeProxy"
+    );
+    expect(() => diffParams(foreignProxy, current, { arbitrator: "0x1234" })).to.throw(
+      TypeError,
+      "Invalid value for arbitrator"
+    );
+    expect(() => diffParams(foreignProxy, current, { feeDepositTimeout: -1 })).to.throw(
+      TypeError,
+      "Invalid value for feeDepositTimeout"
+    );
+  });
+
+  async function writeParamsFile(params) {
+    const paramsFile = path.join(paramsDir, "params.json");
+    await fs.promises.writeFile(paramsFile, JSON.stringify(params));
+    return paramsFile;
+  }
+});
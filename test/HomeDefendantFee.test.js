@@ -0,0 +1,206 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime, setNextBlockTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Defendant fee paid on the home chain", () => {
+  let arbitrator;
+  let arbitrable;
+  let valueBridge;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let governor;
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let arbitrableItemID;
+  let arbitrationID;
+  let acceptedAt;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [governor, plaintiff, defendant, other] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, valueBridge, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+  });
+
+  describe("Before the dispute request is accepted", () => {
+    it("Should not allow to pay the defendant fee", async () => {
+      await expect(payDefendantFee()).to.be.revertedWith("Dispute is not accepted");
+    });
+
+    it("Should reimburse the defendant when the acceptance was not relayed to the foreign proxy yet", async () => {
+      await (await requestDispute()).wait();
+
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise).to.emit(foreignProxy, "DefendantFeeRefunded");
+      await expect(await txPromise).to.changeEtherBalance(defendant, 0);
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+    });
+  });
+
+  describe("After the dispute request is accepted", () => {
+    beforeEach("Request and accept the dispute", async () => {
+      await (await requestDispute()).wait();
+      const receipt = await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      acceptedAt = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+    });
+
+    it("Should relay the fee and create the dispute on the foreign proxy", async () => {
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise)
+        .to.emit(homeProxy, "DefendantFeeSent")
+        .withArgs(arbitrable.address, arbitrableItemID, await defendant.getAddress(), config.arbitrationFee);
+      await expect(txPromise).to.emit(foreignProxy, "DisputeOngoing");
+      await expect(txPromise).to.emit(homeProxy, "DisputeCreated");
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Ongoing);
+      expect(arbitration.defendant).to.equal(await defendant.getAddress());
+      expect(arbitration.sumDeposit).to.equal(config.arbitrationFee);
+      expect(await foreignProxy.bridgedValue()).to.equal(0);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.defendant).to.equal(await defendant.getAddress());
+    });
+
+    it("Should reimburse the remaining value to the defendant on the foreign chain", async () => {
+      const tx = await payDefendantFee(config.arbitrationFee.mul(2));
+
+      await expect(tx).to.changeEtherBalance(defendant, config.arbitrationFee.mul(-1));
+    });
+
+    it("Should accept the fee received right at the deposit deadline", async () => {
+      await setNextBlockTime(acceptedAt + config.feeDepositTimeout);
+
+      await expect(payDefendantFee()).to.emit(foreignProxy, "DisputeOngoing");
+    });
+
+    it("Should reimburse the defendant on the foreign chain when the fee arrives after the deadline", async () => {
+      await setNextBlockTime(acceptedAt + config.feeDepositTimeout + 1);
+
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "DefendantFeeRefunded")
+        .withArgs(arbitrationID, await defendant.getAddress(), config.arbitrationFee);
+      await expect(await txPromise).to.changeEtherBalance(defendant, 0);
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+      expect(await foreignProxy.bridgedValue()).to.equal(0);
+    });
+
+    it("Should still allow the plaintiff to claim the win after a late fee is reimbursed", async () => {
+      await increaseTime(config.feeDepositTimeout + 1);
+      await (await payDefendantFee()).wait();
+
+      await expect(foreignProxy.claimPlaintiffWin(arbitrationID)).to.emit(homeProxy, "DisputeRuled");
+    });
+
+    it("Should reimburse the defendant when the fee was already paid on the foreign chain", async () => {
+      await (await foreignProxy.connect(other).payDefendantFee(arbitrationID, { value: config.arbitrationFee })).wait();
+
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise).to.emit(foreignProxy, "DefendantFeeRefunded");
+      await expect(await txPromise).to.changeEtherBalance(defendant, 0);
+      expect((await foreignProxy.arbitrations(arbitrationID)).defendant).to.equal(await other.getAddress());
+    });
+
+    it("Should reimburse both parties on the foreign chain when the dispute creation fails", async () => {
+      await (await arbitrator.deactivate()).wait();
+
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeFailed");
+      await expect(await txPromise).to.changeEtherBalances([plaintiff, defendant], [config.arbitrationFee, 0]);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.None);
+    });
+
+    it("Should not accept the fee before the value is received from the value bridge", async () => {
+      await (await valueBridge.setPaused(true)).wait();
+
+      await expect(payDefendantFee()).to.emit(foreignProxy, "MessageFailed");
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+    });
+
+    it("Should accept the fee when the failed message is retried after the value is received", async () => {
+      await (await valueBridge.setPaused(true)).wait();
+      const receipt = await (await payDefendantFee()).wait();
+      const { _messageId: messageId, _data: data } = foreignProxy.interface.parseLog(
+        receipt.logs.find(({ address }) => address === foreignProxy.address)
+      ).args;
+
+      await expect(foreignProxy.retryMessage(messageId, data)).to.be.revertedWith("Message failed again");
+
+      await (await valueBridge.deliverPending()).wait();
+      await expect(foreignProxy.retryMessage(messageId, data))
+        .to.emit(foreignProxy, "MessageRetried")
+        .withArgs(messageId);
+
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Ongoing);
+      expect(await foreignProxy.failedMessages(messageId)).to.equal(ethers.constants.HashZero);
+    });
+
+    it("Should only count the value received from the value bridge", async () => {
+      await (await other.sendTransaction({ to: foreignProxy.address, value: config.arbitrationFee })).wait();
+
+      expect(await foreignProxy.bridgedValue()).to.equal(0);
+    });
+
+    it("Should not allow to pay without value", async () => {
+      await expect(payDefendantFee(0)).to.be.revertedWith("Must pay non-zero value");
+    });
+
+    it("Should not allow to pay when the value bridge is not set", async () => {
+      await (await homeProxy.connect(governor).changeValueBridge(ethers.constants.AddressZero)).wait();
+
+      await expect(payDefendantFee()).to.be.revertedWith("Value bridge not set");
+    });
+
+    it("Should only allow the home proxy to send the fee to the foreign proxy", async () => {
+      await expect(
+        foreignProxy.receiveDefendantFee(arbitrable.address, arbitrableItemID, await other.getAddress(), 1)
+      ).to.be.revertedWith("Only self allowed");
+      await expect(
+        foreignProxy.acceptDefendantFee(arbitrationID, await other.getAddress(), config.arbitrationFee)
+      ).to.be.revertedWith("Only self allowed");
+    });
+  });
+
+  describe("Governance", () => {
+    it("Should only allow the governor to change the value bridge", async () => {
+      await expect(homeProxy.connect(other).changeValueBridge(ethers.constants.AddressZero)).to.be.revertedWith(
+        "Only governor allowed"
+      );
+      await expect(foreignProxy.connect(other).changeValueBridge(ethers.constants.AddressZero)).to.be.revertedWith(
+        "Only governor allowed"
+      );
+    });
+  });
+
+  async function requestDispute() {
+    return foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+  }
+
+  function payDefendantFee(value = config.arbitrationFee) {
+    return homeProxy.connect(defendant).payDefendantFee(arbitrable.address, arbitrableItemID, { value });
+  }
+});
@@ -0,0 +1,220 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const {
+  deployAsyncBridgeFixture,
+  deployBinaryArbitrationFixture,
+  deployMultiOutcomeArbitrationFixture,
+} = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Message gas limits", () => {
+  let governor;
+  let plaintiff;
+  let defendant;
+  let other;
+
+  before("Get the accounts", async () => {
+    [governor, plaintiff, defendant, other] = await ethers.getSigners();
+  });
+
+  describe("Binary arbitration proxies", () => {
+    let arbitrable;
+    let amb;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrableItemID;
+
+    beforeEach("Setup contracts and create an item", async () => {
+      ({ arbitrable, amb, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    });
+
+    it("Should set a gas limit for every message on deployment", async () => {
+      const homeLimits = await Promise.all(
+        [
+          "receiveDisputeRequest",
+          "receiveDisputeCreated",
+          "receiveDisputeFailed",
+          "receiveRequestTimeout",
+          "receiveRuling",
+          "receiveDisputeSettled",
+        ].map((method) => foreignProxy.messageGasLimits(homeProxy.interface.getSighash(method)))
+      );
+      const foreignLimits = await Promise.all(
+        [
+          "receiveMetaEvidence",
+          "receiveArbitratorExtraData",
+          "receiveDisputeAccepted",
+          "receiveDisputeRejected",
+          "receiveEvidence",
+          "receiveDefendantFee",
+          "receiveSettlement",
+        ].map((method) => homeProxy.messageGasLimits(foreignProxy.interface.getSighash(method)))
+      );
+
+      expect(homeLimits.map(Number)).to.deep.equal([500000, 200000, 300000, 300000, 500000, 300000]);
+      expect(foreignLimits.map(Number)).to.deep.equal([300000, 300000, 100000, 200000, 200000, 1000000, 200000]);
+    });
+
+    it("Should send the messages with the gas limit of their handler", async () => {
+      const selector = homeProxy.interface.getSighash("receiveDisputeRequest");
+      await (await foreignProxy.changeMessageGasLimit(selector, 400000)).wait();
+
+      const receipt = await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+
+      const { args } = amb.interface.parseLog(receipt.logs.find(({ address }) => address === amb.address));
+      expect(args._contract).to.equal(homeProxy.address);
+      expect(args._gas).to.equal(400000);
+      expect(args._gasUsed).to.be.below(400000);
+    });
+
+    it("Should let the governor change the gas limit of a message", async () => {
+      const selector = foreignProxy.interface.getSighash("receiveEvidence");
+
+      await expect(homeProxy.changeMessageGasLimit(selector, 150000))
+        .to.emit(homeProxy, "MessageGasLimitChanged")
+        .withArgs(selector, 150000);
+      expect(await homeProxy.messageGasLimits(selector)).to.equal(150000);
+    });
+
+    it("Should only allow the governor to change the gas limits, up to the one allowed by the AMB", async () => {
+      const selector = homeProxy.interface.getSighash("receiveRuling");
+
+      await expect(foreignProxy.connect(other).changeMessageGasLimit(selector, 100000)).to.be.revertedWith(
+        "Only governor allowed"
+      );
+      await expect(
+        foreignProxy.connect(governor).changeMessageGasLimit(selector, (await amb.maxGasPerTx()).add(1))
+      ).to.be.revertedWith("Gas limit too high");
+    });
+
+    it("Should not let a message use more gas than its limit", async () => {
+      await (
+        await foreignProxy.changeMessageGasLimit(homeProxy.interface.getSighash("receiveDisputeRequest"), 30000)
+      ).wait();
+
+      await expect(
+        foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).to.be.revertedWith("Gas limit exceeded");
+    });
+  });
+
+  describe("Through an asynchronous bridge", () => {
+    it("Should let the ruling be relayed again with a higher gas limit when it runs out of gas", async () => {
+      const { arbitrator, arbitrable, bridge, homeProxy, foreignProxy, config } = await deployAsyncBridgeFixture();
+      await (await arbitrable.registerForArbitration(0)).wait();
+      await bridge.deliverAll();
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).wait();
+      await bridge.deliverAll();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await bridge.deliverAll();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+      await bridge.deliverAll();
+
+      await (await foreignProxy.changeMessageGasLimit(homeProxy.interface.getSighash("receiveRuling"), 40000)).wait();
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+      await increaseTime(config.appealTimeout + 1);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+
+      const [message] = await bridge.pending("receiveRuling");
+      expect(message.gas).to.equal(40000);
+      expect(await bridge.deliver(message)).to.include({ status: false });
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(
+        HP.Status.Accepted
+      );
+
+      await (await foreignProxy.changeMessageGasLimit(homeProxy.interface.getSighash("receiveRuling"), 500000)).wait();
+      await (await foreignProxy.connect(other).relayRuling(arbitrationID)).wait();
+      expect(await bridge.deliverAll()).to.deep.equal([true]);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.Ruled);
+      expect(arbitrableItem.ruling).to.equal(FP.Party.Defendant);
+    });
+  });
+
+  describe("Multi-outcome arbitration proxies", () => {
+    let arbitrable;
+    let amb;
+    let homeProxy;
+    let foreignProxy;
+
+    beforeEach("Setup contracts", async () => {
+      ({ arbitrable, amb, homeProxy, foreignProxy } = await deployMultiOutcomeArbitrationFixture());
+    });
+
+    it("Should set a gas limit for every message on deployment", async () => {
+      const homeLimits = await Promise.all(
+        [
+          "receiveDisputeRequest",
+          "receiveDisputeCreated",
+          "receiveDisputeFailed",
+          "receiveRequestTimeout",
+          "receiveRuling",
+        ].map((method) => foreignProxy.messageGasLimits(homeProxy.interface.getSighash(method)))
+      );
+      const foreignLimits = await Promise.all(
+        ["receiveMetaEvidence", "receiveArbitratorExtraData", "receiveDisputeAccepted", "receiveDisputeRejected"].map(
+          (method) => homeProxy.messageGasLimits(foreignProxy.interface.getSighash(method))
+        )
+      );
+
+      expect(homeLimits.map(Number)).to.deep.equal([500000, 200000, 300000, 300000, 500000]);
+      expect(foreignLimits.map(Number)).to.deep.equal([300000, 300000, 100000, 200000]);
+    });
+
+    it("Should send the messages with the gas limit of their handler", async () => {
+      const selector = foreignProxy.interface.getSighash("receiveMetaEvidence");
+      await expect(homeProxy.changeMessageGasLimit(selector, 250000))
+        .to.emit(homeProxy, "MessageGasLimitChanged")
+        .withArgs(selector, 250000);
+
+      const receipt = await (await arbitrable.registerForArbitration(0)).wait();
+
+      const messages = receipt.logs
+        .filter(({ address }) => address === amb.address)
+        .map((log) => amb.interface.parseLog(log).args)
+        .filter(({ _contract }) => _contract === foreignProxy.address);
+      expect(messages.map(({ _gas }) => Number(_gas))).to.include(250000);
+      messages.forEach(({ _gas, _gasUsed }) => expect(_gasUsed).to.be.below(_gas));
+    });
+
+    it("Should only allow the governor to change the gas limits, up to the one allowed by the AMB", async () => {
+      const selector = homeProxy.interface.getSighash("receiveRuling");
+
+      await expect(foreignProxy.connect(other).changeMessageGasLimit(selector, 100000)).to.be.revertedWith(
+        "Only governor allowed"
+      );
+      await expect(foreignProxy.changeMessageGasLimit(selector, (await amb.maxGasPerTx()).add(1))).to.be.revertedWith(
+        "Gas limit too high"
+      );
+    });
+  });
+});
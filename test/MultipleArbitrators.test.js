@@ -0,0 +1,207 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Multiple arbitrators", () => {
+  const otherArbitrationFee = ethers.BigNumber.from(BigInt(2e18));
+  const otherExtraData = "0x01";
+
+  let governor;
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let arbitrator;
+  let otherArbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  beforeEach("Setup contracts and a whitelisted arbitrator", async () => {
+    [governor, plaintiff, defendant, other] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator", governor);
+    otherArbitrator = await Arbitrator.deploy(otherArbitrationFee, config.appealTimeout);
+    await otherArbitrator.deployed();
+    await (await otherArbitrator.changeArbitrator(otherArbitrator.address)).wait();
+
+    await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, true)).wait();
+  });
+
+  describe("Registration", () => {
+    it("Should relay the arbitrator registered by the arbitrable contract", async () => {
+      const txPromise = arbitrable.registerArbitrator(1, otherArbitrator.address, otherExtraData);
+
+      await expect(txPromise)
+        .to.emit(homeProxy, "ArbitratorExtraDataRegistered")
+        .withArgs(arbitrable.address, 1, otherArbitrator.address, otherExtraData);
+      await expect(txPromise)
+        .to.emit(foreignProxy, "ArbitratorExtraDataReceived")
+        .withArgs(arbitrable.address, 1, otherArbitrator.address, otherExtraData);
+    });
+
+    it("Should resolve the arbitrator of each item from the registration history", async () => {
+      await (await arbitrable.registerArbitrator(2, otherArbitrator.address, otherExtraData)).wait();
+      await (await arbitrable.registerArbitrator(4, ethers.constants.AddressZero, otherExtraData)).wait();
+
+      const params = await Promise.all(
+        [0, 1, 2, 3, 4, 5].map((id) => foreignProxy.getDisputeParams(arbitrable.address, id))
+      );
+
+      expect(params.map(({ itemArbitrator }) => itemArbitrator)).to.deep.equal([
+        arbitrator.address,
+        arbitrator.address,
+        otherArbitrator.address,
+        otherArbitrator.address,
+        arbitrator.address,
+        arbitrator.address,
+      ]);
+      expect(params[4].arbitratorExtraData).to.equal(otherExtraData);
+    });
+
+    it("Should resolve the items without an arbitrator to the current default arbitrator", async () => {
+      await (await foreignProxy.changeArbitrator(otherArbitrator.address)).wait();
+
+      expect((await foreignProxy.getDisputeParams(arbitrable.address, 0)).itemArbitrator).to.equal(
+        otherArbitrator.address
+      );
+    });
+
+    it("Should allow to change only the arbitrator when the extra data is the same", async () => {
+      await expect(arbitrable.registerArbitrator(1, otherArbitrator.address, config.arbitratorExtraData)).to.emit(
+        foreignProxy,
+        "ArbitratorExtraDataReceived"
+      );
+    });
+
+    it("Should fail the message when the arbitrator is not whitelisted and allow to retry it once it is", async () => {
+      await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, false)).wait();
+
+      const receipt = await (await arbitrable.registerArbitrator(1, otherArbitrator.address, otherExtraData)).wait();
+      const { _messageId: messageId, _data: data } = foreignProxy.interface.parseLog(
+        receipt.logs.find(({ address }) => address === foreignProxy.address)
+      ).args;
+
+      expect((await foreignProxy.getDisputeParams(arbitrable.address, 1)).itemArbitrator).to.equal(arbitrator.address);
+      await expect(foreignProxy.retryMessage(messageId, data)).to.be.revertedWith("Message failed again");
+
+      await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, true)).wait();
+      await expect(foreignProxy.retryMessage(messageId, data))
+        .to.emit(foreignProxy, "ArbitratorExtraDataReceived")
+        .withArgs(arbitrable.address, 1, otherArbitrator.address, otherExtraData);
+    });
+
+    it("Should only allow the governor to change the arbitrator whitelist", async () => {
+      await expect(
+        foreignProxy.connect(other).changeArbitratorWhitelist(otherArbitrator.address, false)
+      ).to.be.revertedWith("Only governor allowed");
+    });
+  });
+
+  describe("Disputes", () => {
+    let arbitrableItemID;
+    let arbitrationID;
+
+    beforeEach("Register the arbitrator for the new items and create one", async () => {
+      await (await arbitrable.connect(defendant).createItem()).wait();
+      await (await arbitrable.registerArbitrator(1, otherArbitrator.address, otherExtraData)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    });
+
+    it("Should require the deposit of the item arbitrator", async () => {
+      await expect(
+        foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee })
+      ).to.be.revertedWith("Deposit value too low");
+
+      await expect(
+        foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: otherArbitrationFee })
+      ).to.emit(foreignProxy, "DisputeRequested");
+      expect(await foreignProxy.getDisputeFee(arbitrationID)).to.equal(otherArbitrationFee);
+    });
+
+    it("Should create the dispute on the item arbitrator and accept its ruling", async () => {
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: otherArbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+      const txPromise = foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: otherArbitrationFee });
+      await expect(txPromise).to.emit(otherArbitrator, "DisputeCreation");
+      await expect(txPromise).not.to.emit(arbitrator, "DisputeCreation");
+
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      const disputeID = await foreignProxy.getDisputeID(otherArbitrator.address, arbitratorDisputeID);
+      expect(await foreignProxy.disputeIDToArbitrationID(disputeID)).to.equal(arbitrationID);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).arbitrator).to.equal(
+        otherArbitrator.address
+      );
+
+      await (await otherArbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+      await increaseTime(config.appealTimeout + 1);
+      await expect(otherArbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant))
+        .to.emit(foreignProxy, "DisputeRuled")
+        .withArgs(arbitrationID, FP.Party.Defendant);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(HP.Status.Ruled);
+    });
+
+    it("Should not allow the default arbitrator to rule the dispute", async () => {
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: otherArbitrationFee })
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: otherArbitrationFee })
+      ).wait();
+
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+      await expect(foreignProxy.connect(other).rule(arbitratorDisputeID, FP.Party.Plaintiff)).to.be.revertedWith(
+        "Only dispute arbitrator allowed"
+      );
+    });
+
+    it("Should keep the arbitrator of a requested dispute when the whitelist changes", async () => {
+      await (
+        await foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: otherArbitrationFee })
+      ).wait();
+      await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, false)).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+      await expect(
+        foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: otherArbitrationFee })
+      ).to.emit(otherArbitrator, "DisputeCreation");
+    });
+
+    it("Should not allow to request new disputes once the arbitrator is removed from the whitelist", async () => {
+      await (await foreignProxy.changeArbitratorWhitelist(otherArbitrator.address, false)).wait();
+
+      await expect(
+        foreignProxy
+          .connect(plaintiff)
+          .requestDispute(arbitrable.address, arbitrableItemID, { value: otherArbitrationFee })
+      ).to.be.revertedWith("Arbitrator not allowed");
+    });
+  });
+});
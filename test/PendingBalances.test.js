@@ -0,0 +1,186 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture, deployMultiOutcomeArbitrationFixture } = require("./helpers/fixtures");
+
+use(solidity);
+
+describe("Pending balances", () => {
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let receiver;
+
+  before("Get the accounts", async () => {
+    [, plaintiff, defendant, other] = await ethers.getSigners();
+  });
+
+  beforeEach("Deploy a contract account which refuses ETH", async () => {
+    const Receiver = await ethers.getContractFactory("MockRevertingReceiver");
+    receiver = await Receiver.deploy();
+  });
+
+  describe("Binary arbitration proxies", () => {
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrableItemID;
+    let arbitrationID;
+
+    beforeEach("Setup contracts and create an item", async () => {
+      ({ arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    });
+
+    it("Should credit the remainder of the deposit when the plaintiff refuses ETH", async () => {
+      const txPromise = requestDispute(receiver, config.arbitrationFee.add(1000));
+
+      await expect(txPromise).to.emit(foreignProxy, "PendingBalanceCredited").withArgs(receiver.address, 1000);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(1000);
+    });
+
+    it("Should credit the refund of a rejected dispute when the plaintiff refuses ETH", async () => {
+      await increaseTime(config.disputeTimeout + 1);
+      await (await requestDispute(receiver)).wait();
+
+      const txPromise = homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID);
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeRejected").withArgs(arbitrationID);
+      await expect(txPromise)
+        .to.emit(foreignProxy, "PendingBalanceCredited")
+        .withArgs(receiver.address, config.arbitrationFee);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(config.arbitrationFee);
+    });
+
+    it("Should credit the remainder of the defendant fee when the defendant refuses ETH", async () => {
+      await (await requestDispute(plaintiff)).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+      const txPromise = receiver.execute(
+        foreignProxy.address,
+        foreignProxy.interface.encodeFunctionData("payDefendantFee", [arbitrationID]),
+        { value: config.arbitrationFee.add(500) }
+      );
+
+      await expect(txPromise).to.emit(foreignProxy, "PendingBalanceCredited").withArgs(receiver.address, 500);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(500);
+    });
+
+    it("Should not credit anything when the payment goes through", async () => {
+      await expect(requestDispute(plaintiff, config.arbitrationFee.add(1000))).not.to.emit(
+        foreignProxy,
+        "PendingBalanceCredited"
+      );
+      expect(await foreignProxy.pendingBalances(await plaintiff.getAddress())).to.equal(0);
+    });
+
+    it("Should let the account withdraw its pending balance once it accepts ETH", async () => {
+      await (await requestDispute(receiver, config.arbitrationFee.add(1000))).wait();
+      await (await receiver.setAcceptsETH(true)).wait();
+
+      const txPromise = withdrawPendingBalance(receiver.address);
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "PendingBalanceWithdrawn")
+        .withArgs(receiver.address, receiver.address, 1000);
+      expect(await ethers.provider.getBalance(receiver.address)).to.equal(1000);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(0);
+    });
+
+    it("Should let the account withdraw its pending balance to another address", async () => {
+      await (await requestDispute(receiver, config.arbitrationFee.add(1000))).wait();
+
+      const txPromise = withdrawPendingBalance(await other.getAddress());
+
+      await expect(() => txPromise).to.changeBalance(other, 1000);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(0);
+    });
+
+    it("Should keep the pending balance when the withdrawal fails", async () => {
+      await (await requestDispute(receiver, config.arbitrationFee.add(1000))).wait();
+
+      await expect(withdrawPendingBalance(receiver.address)).to.be.revertedWith("Withdrawal failed");
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(1000);
+    });
+
+    it("Should not allow to withdraw an empty pending balance", async () => {
+      await expect(withdrawPendingBalance(receiver.address)).to.be.revertedWith("No pending balance");
+    });
+
+    async function requestDispute(signer, value = config.arbitrationFee) {
+      if (signer === receiver) {
+        return receiver.execute(
+          foreignProxy.address,
+          foreignProxy.interface.encodeFunctionData("requestDispute", [arbitrable.address, arbitrableItemID]),
+          { value }
+        );
+      }
+      return foreignProxy.connect(signer).requestDispute(arbitrable.address, arbitrableItemID, { value });
+    }
+
+    async function withdrawPendingBalance(beneficiary) {
+      return receiver.execute(
+        foreignProxy.address,
+        foreignProxy.interface.encodeFunctionData("withdrawPendingBalance", [beneficiary])
+      );
+    }
+  });
+
+  describe("Multi-outcome arbitration proxies", () => {
+    let arbitrable;
+    let homeProxy;
+    let foreignProxy;
+    let config;
+
+    let arbitrableItemID;
+    let arbitrationID;
+
+    beforeEach("Setup contracts and create an item", async () => {
+      ({ arbitrable, homeProxy, foreignProxy, config } = await deployMultiOutcomeArbitrationFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    });
+
+    it("Should credit the refund of a rejected dispute and let the plaintiff withdraw it", async () => {
+      // Invalid ruling options make the home proxy reject the dispute as soon as it is requested.
+      await (await arbitrable.changeRulingOptions(1, 1)).wait();
+      await (
+        await receiver.execute(
+          foreignProxy.address,
+          foreignProxy.interface.encodeFunctionData("requestDispute", [arbitrable.address, arbitrableItemID]),
+          { value: config.arbitrationFee }
+        )
+      ).wait();
+
+      const rejectPromise = homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID);
+
+      await expect(rejectPromise).to.emit(foreignProxy, "DisputeRejected").withArgs(arbitrationID);
+      await expect(rejectPromise)
+        .to.emit(foreignProxy, "PendingBalanceCredited")
+        .withArgs(receiver.address, config.arbitrationFee);
+
+      const withdrawPromise = receiver.execute(
+        foreignProxy.address,
+        foreignProxy.interface.encodeFunctionData("withdrawPendingBalance", [await other.getAddress()])
+      );
+
+      await expect(withdrawPromise)
+        .to.emit(foreignProxy, "PendingBalanceWithdrawn")
+        .withArgs(receiver.address, await other.getAddress(), config.arbitrationFee);
+      await expect(() => withdrawPromise).to.changeBalance(other, config.arbitrationFee);
+      expect(await foreignProxy.pendingBalances(receiver.address)).to.equal(0);
+    });
+  });
+});
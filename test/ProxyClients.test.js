@@ -0,0 +1,211 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const {
+  createForeignProxyClient,
+  createHomeProxyClient,
+  decodeEnum,
+  encodeEnum,
+  getRevertReason,
+  ForeignStatus,
+  Party,
+  ProxyError,
+  NON_PAYABLE_VALUE,
+} = require("..");
+
+use(solidity);
+
+describe("Proxy clients", () => {
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+
+  let arbitrableItemID;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [, plaintiff, defendant] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+
+    await (await arbitrable.registerForArbitration(0)).wait();
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+  });
+
+  function foreignClient(signer) {
+    return createForeignProxyClient({ address: foreignProxy.address, signerOrProvider: signer });
+  }
+
+  function homeClient(signer) {
+    return createHomeProxyClient({ address: homeProxy.address, signerOrProvider: signer });
+  }
+
+  async function requestAndAccept() {
+    await (await foreignClient(plaintiff).requestDispute(arbitrable.address, arbitrableItemID)).wait();
+    await (await homeClient(plaintiff).relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+  }
+
+  describe("Enums", () => {
+    it("Should decode and encode enum values", () => {
+      expect(decodeEnum(ForeignStatus, 2)).to.equal("DepositPending");
+      expect(decodeEnum(Party, ethers.BigNumber.from(1))).to.equal("Defendant");
+      expect(encodeEnum(Party, "Plaintiff")).to.equal(2);
+      expect(encodeEnum(Party, 1)).to.equal(1);
+      expect(() => decodeEnum(Party, 3)).to.throw(RangeError);
+      expect(() => encodeEnum(Party, "Nobody")).to.throw(RangeError);
+    });
+  });
+
+  describe("Dispute flow", () => {
+    it("Should compute the arbitration ID locally", async () => {
+      const expected = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      expect(foreignClient(plaintiff).getArbitrationID(arbitrable.address, arbitrableItemID)).to.equal(expected);
+    });
+
+    it("Should request a dispute paying the required deposit", async () => {
+      const client = foreignClient(plaintiff);
+
+      const fee = await client.getRequestDisputeFee(arbitrable.address, arbitrableItemID);
+      const tx = await client.requestDispute(arbitrable.address, arbitrableItemID);
+
+      await expect(tx).to.changeEtherBalance(foreignProxy, fee);
+      const arbitration = await client.getArbitrationForItem(arbitrable.address, arbitrableItemID);
+      expect(arbitration.status).to.equal("Requested");
+      expect(arbitration.ruling).to.equal("None");
+      expect(arbitration.plaintiff).to.equal(await plaintiff.getAddress());
+      expect(arbitration.sumDeposit).to.equal(config.arbitrationFee);
+    });
+
+    it("Should decode the arbitrable item status on the home proxy", async () => {
+      await (await foreignClient(plaintiff).requestDispute(arbitrable.address, arbitrableItemID)).wait();
+
+      const item = await homeClient(plaintiff).getArbitrableItem(arbitrable.address, arbitrableItemID);
+
+      expect(item.status).to.equal("Accepted");
+    });
+
+    it("Should pay the defendant fee and create the dispute", async () => {
+      await requestAndAccept();
+      const client = foreignClient(defendant);
+      const arbitrationID = client.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+      await (await client.payDefendantFee(arbitrationID)).wait();
+
+      const arbitration = await client.getArbitration(arbitrationID);
+      expect(arbitration.status).to.equal("Ongoing");
+      expect(arbitration.defendant).to.equal(await defendant.getAddress());
+      expect(arbitration.arbitrator).to.equal(arbitrator.address);
+    });
+
+    it("Should crowdfund the appeal for both parties and decode the round info", async () => {
+      await requestAndAccept();
+      const client = foreignClient(defendant);
+      const arbitrationID = client.getArbitrationID(arbitrable.address, arbitrableItemID);
+      await (await client.payDefendantFee(arbitrationID)).wait();
+      const { arbitratorDisputeID } = await client.getArbitration(arbitrationID);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, Party.Plaintiff)).wait();
+
+      const defendantFee = await client.getAppealFee(arbitrationID, "Defendant");
+      const partialContribution = defendantFee.div(4);
+      await (await client.fundAppeal(arbitrationID, "Defendant", { value: partialContribution })).wait();
+
+      expect(await client.getRemainingAppealFee(arbitrationID, "Defendant")).to.equal(
+        defendantFee.sub(partialContribution)
+      );
+
+      await (await client.fundAppeal(arbitrationID, "Defendant")).wait();
+      const { paidFees, fullyPaid } = await client.getRoundInfo(arbitrationID, 0);
+      expect(paidFees.Defendant).to.equal(defendantFee);
+      expect(fullyPaid.Defendant).to.equal(true);
+      expect(fullyPaid.Plaintiff).to.equal(false);
+
+      await (await foreignClient(plaintiff).fundAppeal(arbitrationID, Party.Plaintiff)).wait();
+      expect(await client.getNumberOfRounds(arbitrationID)).to.equal(2);
+    });
+
+    it("Should return NON_PAYABLE_VALUE as the remaining appeal fee outside the appeal period", async () => {
+      await requestAndAccept();
+      const client = foreignClient(defendant);
+      const arbitrationID = client.getArbitrationID(arbitrable.address, arbitrableItemID);
+      await (await client.payDefendantFee(arbitrationID)).wait();
+
+      expect(await client.getRemainingAppealFee(arbitrationID, "Plaintiff")).to.equal(NON_PAYABLE_VALUE);
+    });
+  });
+
+  describe("Revert reasons", () => {
+    it("Should map the revert reasons to error codes", async () => {
+      const client = foreignClient(plaintiff);
+      await (await client.requestDispute(arbitrable.address, arbitrableItemID)).wait();
+
+      const err = await client.requestDispute(arbitrable.address, arbitrableItemID).catch((err) => err);
+
+      expect(err).to.be.instanceOf(ProxyError);
+      expect(err.code).to.equal("DISPUTE_ALREADY_REQUESTED");
+      expect(err.reason).to.equal("Dispute already requested");
+    });
+
+    it("Should map the revert reasons of view functions", async () => {
+      const err = await foreignClient(plaintiff)
+        .getRequestDisputeFee(ethers.constants.AddressZero, 0)
+        .catch((err) => err);
+
+      expect(err).to.be.instanceOf(ProxyError);
+      expect(err.code).to.equal("ARBITRATOR_EXTRA_DATA_NOT_FOUND");
+    });
+
+    it("Should map the revert reasons of the home proxy", async () => {
+      await increaseTime(config.disputeTimeout + 1);
+      await (await foreignClient(plaintiff).requestDispute(arbitrable.address, arbitrableItemID)).wait();
+
+      const err = await homeClient(plaintiff)
+        .relayDisputeAccepted(arbitrable.address, arbitrableItemID)
+        .catch((err) => err);
+
+      expect(err.code).to.equal("DISPUTE_NOT_ACCEPTED");
+    });
+
+    it("Should reject invalid parties before sending the transaction", async () => {
+      const err = await foreignClient(plaintiff)
+        .fundAppeal(0, "None", { value: 1 })
+        .catch((err) => err);
+
+      expect(err).to.be.instanceOf(RangeError);
+    });
+
+    it("Should extract the revert reason from the different error formats", () => {
+      expect(getRevertReason({ reason: "Invalid side" })).to.equal("Invalid side");
+      expect(getRevertReason({ message: "execution reverted: Invalid side" })).to.equal("Invalid side");
+      expect(getRevertReason({ error: { message: "reverted with reason string 'Invalid side'" } })).to.equal(
+        "Invalid side"
+      );
+      expect(getRevertReason(new Error("insufficient funds"))).to.equal(undefined);
+    });
+
+    it("Should stop looking into wrapped errors which refer back to their wrapper", () => {
+      const err = new Error("cannot estimate gas");
+      err.error = { message: "processing response error", error: err };
+
+      expect(getRevertReason(err)).to.equal(undefined);
+    });
+
+    it("Should stop looking into wrapped errors past a maximum depth", () => {
+      const deep = { message: "execution reverted: Invalid side" };
+      let err = deep;
+      for (let i = 0; i < 20; i++) {
+        err = { message: "processing response error", error: err };
+      }
+
+      expect(getRevertReason(err)).to.equal(undefined);
+      expect(getRevertReason({ error: { error: deep } })).to.equal("Invalid side");
+    });
+  });
+});
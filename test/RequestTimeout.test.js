@@ -0,0 +1,161 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Dispute request timeout", () => {
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let governor;
+  let plaintiff;
+  let other;
+
+  let arbitrableItemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [governor, plaintiff, , other] = await ethers.getSigners();
+    ({ arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+  });
+
+  describe("When the acceptance is never relayed", () => {
+    beforeEach("Request the dispute", async () => {
+      await requestDispute();
+    });
+
+    it("Should not allow to claim the request timeout before it expires", async () => {
+      await expect(claimRequestTimeout()).to.be.revertedWith("Dispute request still pending");
+    });
+
+    it("Should reimburse the plaintiff and reset the arbitration after the request timeout", async () => {
+      await increaseTime(config.requestTimeout + 1);
+
+      const txPromise = claimRequestTimeout();
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeRequestTimedOut").withArgs(arbitrationID);
+      await expect(() => txPromise).to.changeBalance(plaintiff, config.arbitrationFee);
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.None);
+      expect(arbitration.plaintiff).to.equal(ethers.constants.AddressZero);
+      expect(arbitration.sumDeposit).to.equal(0);
+    });
+
+    it("Should reset the arbitrable item on the home proxy and cancel the dispute request", async () => {
+      await increaseTime(config.requestTimeout + 1);
+
+      const txPromise = claimRequestTimeout();
+
+      await expect(txPromise)
+        .to.emit(homeProxy, "DisputeRequestTimedOut")
+        .withArgs(arbitrable.address, arbitrableItemID);
+      await expect(txPromise).to.emit(arbitrable, "ItemDisputeCanceled").withArgs(arbitrableItemID);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.None);
+    });
+
+    it("Should allow to request the dispute again after the request timeout", async () => {
+      await increaseTime(config.requestTimeout + 1);
+      await (await claimRequestTimeout()).wait();
+
+      // The arbitrable contract settled the item when the request was canceled, so it rejects the new request.
+      await expect(requestDispute()).to.emit(homeProxy, "DisputeRejected");
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+    });
+
+    describe("Race between a late acceptance and the refund", () => {
+      beforeEach("Let the request timeout expire", async () => {
+        await increaseTime(config.requestTimeout + 1);
+      });
+
+      it("Should not allow to claim the request timeout once the late acceptance is relayed", async () => {
+        await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+        await expect(claimRequestTimeout()).to.be.revertedWith("Invalid arbitration status");
+
+        const arbitration = await foreignProxy.arbitrations(arbitrationID);
+        expect(arbitration.status).to.equal(FP.Status.DepositPending);
+        expect(arbitration.sumDeposit).to.equal(config.arbitrationFee);
+      });
+
+      it("Should not allow to relay the acceptance once the plaintiff was reimbursed", async () => {
+        await (await claimRequestTimeout()).wait();
+
+        await expect(homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).to.be.revertedWith(
+          "Dispute is not accepted"
+        );
+        expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.None);
+      });
+
+      it("Should not allow to claim the request timeout twice", async () => {
+        await (await claimRequestTimeout()).wait();
+
+        await expect(claimRequestTimeout()).to.be.revertedWith("Invalid arbitration status");
+      });
+    });
+  });
+
+  describe("When the rejection is never relayed", () => {
+    beforeEach("Request the dispute after the arbitrable contract stopped accepting disputes", async () => {
+      await increaseTime(config.disputeTimeout + 1);
+      await requestDispute();
+      await increaseTime(config.requestTimeout + 1);
+    });
+
+    it("Should reset the arbitrable item on the home proxy without canceling the dispute request", async () => {
+      const txPromise = claimRequestTimeout();
+
+      await expect(txPromise).to.emit(homeProxy, "DisputeRequestTimedOut");
+      await expect(txPromise).not.to.emit(arbitrable, "ItemDisputeCanceled");
+      await expect(() => txPromise).to.changeBalance(plaintiff, config.arbitrationFee);
+
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.None);
+    });
+
+    it("Should not allow to relay the rejection once the plaintiff was reimbursed", async () => {
+      await (await claimRequestTimeout()).wait();
+
+      await expect(homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID)).to.be.revertedWith(
+        "Dispute is not rejected"
+      );
+    });
+  });
+
+  describe("Governance", () => {
+    it("Should allow the governor to change the request timeout", async () => {
+      await (await foreignProxy.connect(governor).changeRequestTimeout(1000)).wait();
+
+      expect(await foreignProxy.requestTimeout()).to.equal(1000);
+    });
+
+    it("Should not allow other addresses to change the request timeout", async () => {
+      await expect(foreignProxy.connect(other).changeRequestTimeout(1000)).to.be.revertedWith("Only governor allowed");
+    });
+  });
+
+  async function requestDispute() {
+    return foreignProxy
+      .connect(plaintiff)
+      .requestDispute(arbitrable.address, arbitrableItemID, { value: config.arbitrationFee });
+  }
+
+  function claimRequestTimeout() {
+    return foreignProxy.connect(other).claimRequestTimeout(arbitrationID);
+  }
+});
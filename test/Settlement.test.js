@@ -0,0 +1,232 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployAsyncBridgeFixture, deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Dispute settlement", () => {
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let config;
+
+  let plaintiff;
+  let defendant;
+  let other;
+
+  let arbitrableItemID;
+  let arbitrationID;
+
+  beforeEach("Setup contracts, create an item and accept a dispute request", async () => {
+    [, plaintiff, defendant, other] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+
+    await (await requestDispute(arbitrableItemID)).wait();
+    await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+  });
+
+  describe("Before the dispute is created", () => {
+    it("Should let the arbitrable contract settle the dispute and reimburse the plaintiff", async () => {
+      const txPromise = arbitrable.settleDispute(arbitrableItemID);
+
+      await expect(txPromise)
+        .to.emit(homeProxy, "SettlementRequested")
+        .withArgs(arbitrable.address, arbitrableItemID, arbitrable.address);
+      await expect(txPromise).to.emit(foreignProxy, "DisputeSettled").withArgs(arbitrationID);
+      await expect(txPromise).to.emit(homeProxy, "DisputeSettled").withArgs(arbitrable.address, arbitrableItemID);
+      await expect(txPromise).to.emit(arbitrable, "ItemDisputeCanceled").withArgs(arbitrableItemID);
+      await expect(await txPromise).to.changeEtherBalance(plaintiff, config.arbitrationFee);
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Settled);
+      expect(arbitration.sumDeposit).to.equal(0);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(
+        HP.Status.Settled
+      );
+    });
+
+    it("Should not let the defendant pay the fee once the dispute is settled", async () => {
+      await (await arbitrable.settleDispute(arbitrableItemID)).wait();
+
+      await expect(
+        foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).to.be.revertedWith("Invalid arbitration status");
+    });
+
+    it("Should not relay the settlement requested only by the plaintiff", async () => {
+      await expect(homeProxy.connect(plaintiff).settleDispute(arbitrable.address, arbitrableItemID))
+        .to.emit(homeProxy, "SettlementRequested")
+        .withArgs(arbitrable.address, arbitrableItemID, await plaintiff.getAddress());
+
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).plaintiffSettled).to.equal(true);
+    });
+
+    it("Should only allow the arbitrable contract and the parties to settle the dispute", async () => {
+      await expect(homeProxy.connect(other).settleDispute(arbitrable.address, arbitrableItemID)).to.be.revertedWith(
+        "Only parties allowed"
+      );
+      // The defendant is not known by the home proxy until the dispute is created.
+      await expect(homeProxy.connect(defendant).settleDispute(arbitrable.address, arbitrableItemID)).to.be.revertedWith(
+        "Only parties allowed"
+      );
+    });
+
+    it("Should only allow to settle accepted disputes", async () => {
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const otherItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+
+      await expect(homeProxy.connect(plaintiff).settleDispute(arbitrable.address, otherItemID)).to.be.revertedWith(
+        "Dispute is not accepted"
+      );
+    });
+    it("Should not keep the settlement request of a party after the request times out", async () => {
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      const otherItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      const otherArbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, otherItemID);
+      await (await arbitrable.setDisputableAfterCancel(true)).wait();
+
+      await (await requestDispute(otherItemID)).wait();
+      await (await homeProxy.connect(plaintiff).settleDispute(arbitrable.address, otherItemID)).wait();
+      await increaseTime(config.requestTimeout + 1);
+      await (await foreignProxy.claimRequestTimeout(otherArbitrationID)).wait();
+
+      await (await requestDispute(otherItemID)).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, otherItemID)).wait();
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(otherArbitrationID, { value: config.arbitrationFee })
+      ).wait();
+
+      expect((await homeProxy.arbitrableItems(arbitrable.address, otherItemID)).plaintiffSettled).to.equal(false);
+      await expect(homeProxy.connect(defendant).settleDispute(arbitrable.address, otherItemID)).not.to.emit(
+        foreignProxy,
+        "DisputeSettled"
+      );
+      expect((await foreignProxy.arbitrations(otherArbitrationID)).status).to.equal(FP.Status.Ongoing);
+    });
+  });
+
+  describe("After the dispute is created", () => {
+    let arbitratorDisputeID;
+
+    beforeEach("Pay the defendant fee and give an appealable ruling", async () => {
+      await (
+        await foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).wait();
+      ({ arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID));
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+    });
+
+    it("Should settle the dispute once both parties request it and split the deposits left", async () => {
+      await (await homeProxy.connect(defendant).settleDispute(arbitrable.address, arbitrableItemID)).wait();
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Ongoing);
+
+      const txPromise = homeProxy.connect(plaintiff).settleDispute(arbitrable.address, arbitrableItemID);
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeSettled").withArgs(arbitrationID);
+      const half = config.arbitrationFee.div(2);
+      await expect(await txPromise).to.changeEtherBalances([plaintiff, defendant], [half, half]);
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Settled);
+      expect(arbitration.ruling).to.equal(FP.Party.None);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(
+        HP.Status.Settled
+      );
+    });
+
+    it("Should refund the appeal contributions of the round which was not funded", async () => {
+      const contribution = 1000;
+      await (
+        await foreignProxy.connect(other).fundAppeal(arbitrationID, FP.Party.Defendant, { value: contribution })
+      ).wait();
+
+      await (await arbitrable.settleDispute(arbitrableItemID)).wait();
+
+      await expect(
+        await foreignProxy.withdrawFeesAndRewards(arbitrationID, await other.getAddress(), 0)
+      ).to.changeEtherBalance(other, contribution);
+      await expect(
+        foreignProxy.connect(other).fundAppeal(arbitrationID, FP.Party.Defendant, { value: contribution })
+      ).to.be.revertedWith("Invalid arbitration status");
+    });
+
+    it("Should report the appeal contributions as withdrawable once the dispute is settled", async () => {
+      const contribution = 1000;
+      await (
+        await foreignProxy.connect(other).fundAppeal(arbitrationID, FP.Party.Defendant, { value: contribution })
+      ).wait();
+
+      await (await arbitrable.settleDispute(arbitrableItemID)).wait();
+
+      expect(await foreignProxy.getTotalWithdrawableAmount(arbitrationID, await other.getAddress())).to.equal(
+        contribution
+      );
+    });
+
+    it("Should ignore the ruling given after the dispute is settled", async () => {
+      await (await arbitrable.settleDispute(arbitrableItemID)).wait();
+
+      await increaseTime(config.appealTimeout + 1);
+      await expect(arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).not.to.emit(
+        foreignProxy,
+        "DisputeRuled"
+      );
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Settled);
+      expect(arbitration.ruling).to.equal(FP.Party.None);
+    });
+
+    it("Should not allow to settle the dispute once it is ruled", async () => {
+      await increaseTime(config.appealTimeout + 1);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+
+      await expect(arbitrable.settleDispute(arbitrableItemID)).to.be.revertedWith("Dispute is not accepted");
+    });
+  });
+
+  describe("Through an asynchronous bridge", () => {
+    it("Should keep the ruling when it is given before the settlement is received", async () => {
+      let bridge;
+      ({ arbitrator, arbitrable, bridge, homeProxy, foreignProxy, config } = await deployAsyncBridgeFixture());
+      await (await arbitrable.registerForArbitration(0)).wait();
+      await bridge.deliverAll();
+      const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+      arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+      await (await requestDispute(arbitrableItemID)).wait();
+      await bridge.deliverAll();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await bridge.deliverAll();
+
+      await (await arbitrable.settleDispute(arbitrableItemID)).wait();
+      await increaseTime(config.feeDepositTimeout + 1);
+      await (await foreignProxy.claimPlaintiffWin(arbitrationID)).wait();
+
+      const [settlement] = await bridge.pending("receiveSettlement");
+      expect(await bridge.deliver(settlement)).to.include({ failed: true });
+      await bridge.deliverAll();
+
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Ruled);
+      const arbitrableItem = await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID);
+      expect(arbitrableItem.status).to.equal(HP.Status.Ruled);
+      expect(arbitrableItem.ruling).to.equal(FP.Party.Plaintiff);
+    });
+  });
+
+  function requestDispute(itemID) {
+    return foreignProxy.connect(plaintiff).requestDispute(arbitrable.address, itemID, { value: config.arbitrationFee });
+  }
+});
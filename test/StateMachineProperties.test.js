@@ -0,0 +1,191 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { expect } = require("chai");
+const { increaseTime } = require("./helpers/time");
+const { createRandom } = require("./helpers/random");
+const { deployBinaryArbitrationFixture } = require("./helpers/fixtures");
+const { NON_PAYABLE_VALUE } = require("../src/clients/foreignProxy");
+const { decodeEnum } = require("../src/enums");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+/**
+ * Runs random sequences of calls across both proxies and checks the invariants after each of them.
+ * A failing run can be replayed with `FUZZ_SEED=<seed of the run> FUZZ_RUNS=1`.
+ */
+const seed = Number(process.env.FUZZ_SEED || 1);
+const runs = Number(process.env.FUZZ_RUNS || 5);
+const steps = Number(process.env.FUZZ_STEPS || 30);
+
+// The home statuses each foreign status can be seen with. The mock AMB delivers the messages right away.
+const compatibleHomeStatuses = {
+  [FP.Status.None]: [HP.Status.None],
+  [FP.Status.Requested]: [HP.Status.Accepted, HP.Status.Rejected],
+  [FP.Status.DepositPending]: [HP.Status.Accepted],
+  [FP.Status.Ongoing]: [HP.Status.Accepted],
+  [FP.Status.Ruled]: [HP.Status.Ruled],
+  [FP.Status.Settled]: [HP.Status.Settled],
+};
+
+// The calls which move an item forward from each foreign status. Any other call is also tried now and then.
+const progressCalls = {
+  [FP.Status.None]: ["requestDispute"],
+  [FP.Status.Requested]: [
+    "relayDisputeAccepted",
+    "relayDisputeAccepted",
+    "relayDisputeRejected",
+    "claimRequestTimeout",
+  ],
+  [FP.Status.DepositPending]: ["payDefendantFee", "payDefendantFee", "claimPlaintiffWin"],
+  [FP.Status.Ongoing]: ["fundAppeal", "fundAppeal", "fundAppeal", "giveRuling", "giveRuling", "settleDispute"],
+  [FP.Status.Ruled]: ["withdrawFeesAndRewards"],
+  [FP.Status.Settled]: ["withdrawFeesAndRewards"],
+};
+
+describe("State machine properties", () => {
+  const numberOfItems = 5;
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+
+    it(`Should keep the invariants for a random sequence of calls (seed ${runSeed})`, async () => {
+      const random = createRandom(runSeed);
+      const { arbitrator, arbitrable, homeProxy, foreignProxy, config } = await deployBinaryArbitrationFixture({
+        // Keep the items disputable for the whole run.
+        disputeTimeout: 365 * 24 * 3600,
+      });
+      const [, plaintiff, defendant, ...crowdfunders] = (await ethers.getSigners()).slice(0, 5);
+      const actors = [plaintiff, defendant, ...crowdfunders];
+      const actorAddresses = await Promise.all(actors.map((actor) => actor.getAddress()));
+
+      await (await arbitrable.registerForArbitration(0)).wait();
+      // The first item is no longer disputable once the others are created, so its dispute requests are rejected.
+      await (await arbitrable.connect(defendant).createItem()).wait();
+      await increaseTime(config.disputeTimeout + 1);
+      for (let i = 0; i < numberOfItems; i++) {
+        await (await arbitrable.connect(defendant).createItem()).wait();
+      }
+
+      const itemIDs = [...Array(numberOfItems + 1).keys()];
+      const arbitrationIDs = await Promise.all(
+        itemIDs.map((itemID) => foreignProxy.getArbitrationID(arbitrable.address, itemID))
+      );
+
+      const history = [];
+      let roundingAllowance = 0;
+
+      const actions = {
+        requestDispute: (itemID) =>
+          foreignProxy
+            .connect(random.pick([plaintiff, ...crowdfunders]))
+            .requestDispute(arbitrable.address, itemID, { value: config.arbitrationFee }),
+        relayDisputeAccepted: (itemID) => homeProxy.relayDisputeAccepted(arbitrable.address, itemID),
+        relayDisputeRejected: (itemID) => homeProxy.relayDisputeRejected(arbitrable.address, itemID),
+        payDefendantFee: (itemID) =>
+          foreignProxy.connect(defendant).payDefendantFee(arbitrationIDs[itemID], { value: config.arbitrationFee }),
+        fundAppeal: async (itemID) => {
+          const party = random.pick([FP.Party.Defendant, FP.Party.Plaintiff]);
+          const { status } = await foreignProxy.arbitrations(arbitrationIDs[itemID]);
+          // The appeal fee can only be queried for the arbitrations with a dispute.
+          const appealFee =
+            status === FP.Status.Ongoing
+              ? await foreignProxy.getAppealFee(arbitrationIDs[itemID], party)
+              : NON_PAYABLE_VALUE;
+          // Half, exactly or one and a half times the fee, to exercise the partial funding and the reimbursements.
+          const value = appealFee.eq(NON_PAYABLE_VALUE) ? 1 : appealFee.mul(random.int(3) + 1).div(2);
+          const tx = await foreignProxy
+            .connect(random.pick(actors))
+            .fundAppeal(arbitrationIDs[itemID], party, { value });
+          roundingAllowance += 1;
+          return tx;
+        },
+        giveRuling: async (itemID) => {
+          const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationIDs[itemID]);
+          const appealDisputeID = await arbitrator.getAppealDisputeID(arbitratorDisputeID);
+          const tx = await arbitrator.giveRuling(appealDisputeID, random.int(3));
+          roundingAllowance += 2;
+          return tx;
+        },
+        withdrawFeesAndRewards: (itemID) =>
+          foreignProxy.batchWithdrawFeesAndRewards(arbitrationIDs[itemID], random.pick(actorAddresses), 0, 0),
+        claimPlaintiffWin: (itemID) => foreignProxy.claimPlaintiffWin(arbitrationIDs[itemID]),
+        claimRequestTimeout: (itemID) => foreignProxy.claimRequestTimeout(arbitrationIDs[itemID]),
+        settleDispute: (itemID) => arbitrable.settleDispute(itemID),
+        increaseTime: () => increaseTime(random.pick([60, config.requestTimeout, config.appealTimeout])),
+      };
+
+      async function checkStatuses() {
+        for (const itemID of itemIDs) {
+          const [foreign, home] = await Promise.all([
+            foreignProxy.arbitrations(arbitrationIDs[itemID]),
+            homeProxy.arbitrableItems(arbitrable.address, itemID),
+          ]);
+          const context = `item ${itemID} is ${decodeEnum(
+            FP.Status,
+            foreign.status
+          )} on the foreign proxy and ${decodeEnum(HP.Status, home.status)} on the home proxy`;
+
+          expect(compatibleHomeStatuses[foreign.status], context).to.include(home.status);
+          if (foreign.status === FP.Status.Ruled) {
+            expect(home.ruling.toNumber(), context).to.equal(foreign.ruling);
+          }
+        }
+      }
+
+      async function getOutstandingAmount(arbitrationID) {
+        const { status, sumDeposit } = await foreignProxy.arbitrations(arbitrationID);
+
+        if (status === FP.Status.Ruled || status === FP.Status.Settled) {
+          const withdrawable = await Promise.all(
+            actorAddresses.map((address) => foreignProxy.getTotalWithdrawableAmount(arbitrationID, address))
+          );
+          return withdrawable.reduce((total, amount) => total.add(amount), sumDeposit);
+        }
+
+        const numberOfRounds = (await foreignProxy.getNumberOfRounds(arbitrationID)).toNumber();
+        const rounds = await Promise.all(
+          [...Array(numberOfRounds).keys()].map((roundNumber) => foreignProxy.getRoundInfo(arbitrationID, roundNumber))
+        );
+        return rounds.reduce((total, { feeRewards }) => total.add(feeRewards), sumDeposit);
+      }
+
+      async function checkBalance() {
+        const outstanding = (await Promise.all(arbitrationIDs.map(getOutstandingAmount))).reduce(
+          (total, amount) => total.add(amount),
+          ethers.constants.Zero
+        );
+        const balance = await ethers.provider.getBalance(foreignProxy.address);
+
+        // The rewards are rounded down, so some wei can be left behind.
+        expect(balance.gte(outstanding), `balance ${balance} is lower than the outstanding ${outstanding}`).to.be.true;
+        expect(
+          balance.sub(outstanding).lte(roundingAllowance),
+          `balance ${balance} is higher than the outstanding ${outstanding}`
+        ).to.be.true;
+      }
+
+      for (let step = 0; step < steps; step++) {
+        const itemID = random.pick(itemIDs);
+        const { status } = await foreignProxy.arbitrations(arbitrationIDs[itemID]);
+        const name = random.next() < 0.2 ? random.pick(Object.keys(actions)) : random.pick(progressCalls[status]);
+
+        let outcome = "ok";
+        try {
+          const tx = await actions[name](itemID);
+          if (tx && tx.wait) {
+            await tx.wait();
+          }
+        } catch (err) {
+          outcome = "reverted";
+        }
+        history.push(`${name}(${itemID}): ${outcome}`);
+
+        try {
+          await checkStatuses();
+          await checkBalance();
+        } catch (err) {
+          throw new Error(`${err.message}\nseed ${runSeed}, calls:\n  ${history.join("\n  ")}`);
+        }
+      }
+    }).timeout(steps * 10000);
+  }
+});
@@ -0,0 +1,372 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getEmittedEvent } = require("./helpers/events");
+const { increaseTime } = require("./helpers/time");
+const { deployTokenPaymentFixture } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const { createForeignProxyClient } = require("..");
+
+use(solidity);
+
+const { BigNumber } = ethers;
+
+describe("Token payments", () => {
+  const initialBalance = BigNumber.from(BigInt(100e18));
+
+  let arbitrator;
+  let arbitrable;
+  let homeProxy;
+  let foreignProxy;
+  let token;
+  let swapAdapter;
+  let config;
+
+  let governor;
+  let plaintiff;
+  let defendant;
+  let crowdfunder;
+
+  let arbitrableItemID;
+  let arbitrationID;
+  let deposit;
+
+  beforeEach("Setup contracts and create an item", async () => {
+    [governor, plaintiff, defendant, crowdfunder] = await ethers.getSigners();
+    ({ arbitrator, arbitrable, homeProxy, foreignProxy, token, swapAdapter, config } =
+      await deployTokenPaymentFixture());
+    await (await arbitrable.registerForArbitration(0)).wait();
+
+    for (const signer of [plaintiff, defendant, crowdfunder]) {
+      await (await token.mint(await signer.getAddress(), initialBalance)).wait();
+      await (await token.connect(signer).approve(foreignProxy.address, ethers.constants.MaxUint256)).wait();
+    }
+
+    const receipt = await (await arbitrable.connect(defendant).createItem()).wait();
+    arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+    arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+    deposit = toTokens(config.arbitrationFee);
+  });
+
+  describe("Requesting the dispute", () => {
+    it("Should take the deposit in tokens from the plaintiff", async () => {
+      await (await requestDispute()).wait();
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Requested);
+      expect(arbitration.token).to.equal(token.address);
+      expect(arbitration.sumDeposit).to.equal(deposit);
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance.sub(deposit));
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(deposit);
+    });
+
+    it("Should only take the required deposit when the plaintiff offers more", async () => {
+      await (await requestDispute(deposit.mul(2))).wait();
+
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(deposit);
+    });
+
+    it("Should not allow to offer less than the required deposit", async () => {
+      await expect(requestDispute(deposit.sub(1))).to.be.revertedWith("Deposit value too low");
+    });
+
+    it("Should not allow to pay with tokens without a swap adapter", async () => {
+      await (
+        await foreignProxy.connect(governor).changeSwapAdapter(token.address, ethers.constants.AddressZero)
+      ).wait();
+
+      await expect(requestDispute()).to.be.revertedWith("Token not supported");
+    });
+
+    it("Should not take the deposit in a token without code", async () => {
+      const codelessToken = await crowdfunder.getAddress();
+      await (await swapAdapter.setRate(codelessToken, config.tokenRate)).wait();
+      await (await foreignProxy.connect(governor).changeSwapAdapter(codelessToken, swapAdapter.address)).wait();
+
+      await expect(
+        foreignProxy
+          .connect(plaintiff)
+          .requestDisputeWithToken(arbitrable.address, arbitrableItemID, codelessToken, deposit)
+      ).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("Should reimburse the plaintiff in tokens when the dispute request is rejected", async () => {
+      await increaseTime(config.disputeTimeout + 1);
+      await (await requestDispute()).wait();
+
+      await (await homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID)).wait();
+
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(0);
+    });
+
+    it("Should reimburse the plaintiff in tokens when the dispute request times out", async () => {
+      await (await requestDispute()).wait();
+      await increaseTime(config.requestTimeout + 1);
+
+      await (await foreignProxy.claimRequestTimeout(arbitrationID)).wait();
+
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+    });
+  });
+
+  describe("Paying the defendant fee", () => {
+    beforeEach("Request and accept the dispute", async () => {
+      await (await requestDispute()).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+    });
+
+    it("Should convert the arbitration cost into ETH and create the dispute", async () => {
+      const txPromise = payDefendantFee();
+
+      await expect(txPromise).to.emit(foreignProxy, "DisputeOngoing");
+      await expect(txPromise).to.emit(homeProxy, "DisputeCreated");
+
+      const arbitration = await foreignProxy.arbitrations(arbitrationID);
+      expect(arbitration.status).to.equal(FP.Status.Ongoing);
+      // The deposit of the defendant was swapped to pay for the arbitration cost.
+      expect(arbitration.sumDeposit).to.equal(deposit);
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(deposit);
+      expect(await token.balanceOf(swapAdapter.address)).to.equal(deposit);
+      expect(await token.allowance(foreignProxy.address, swapAdapter.address)).to.equal(0);
+    });
+
+    it("Should not allow the defendant to pay in ETH", async () => {
+      await expect(
+        foreignProxy.connect(defendant).payDefendantFee(arbitrationID, { value: config.arbitrationFee })
+      ).to.be.revertedWith("Invalid payment token");
+    });
+
+    it("Should reimburse both parties in tokens and revert the swap when the dispute creation fails", async () => {
+      await (await arbitrator.deactivate()).wait();
+
+      await expect(payDefendantFee()).to.emit(foreignProxy, "DisputeFailed");
+
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+      expect(await token.balanceOf(await defendant.getAddress())).to.equal(initialBalance);
+      expect(await token.balanceOf(swapAdapter.address)).to.equal(0);
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.None);
+    });
+
+    it("Should reimburse both parties in tokens when the token does not approve the swap adapter", async () => {
+      await (await token.setBlocked(swapAdapter.address, true)).wait();
+
+      await expect(payDefendantFee()).to.emit(foreignProxy, "DisputeFailed");
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+      expect(await token.balanceOf(await defendant.getAddress())).to.equal(initialBalance);
+    });
+
+    it("Should pay the remaining deposit in tokens to the winner", async () => {
+      await (await payDefendantFee()).wait();
+      const { arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID);
+
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+      await increaseTime(config.appealTimeout + 1);
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+
+      expect(await token.balanceOf(await defendant.getAddress())).to.equal(initialBalance);
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(0);
+    });
+
+    it("Should pay the deposit in tokens to the plaintiff when the defendant does not pay", async () => {
+      await increaseTime(config.feeDepositTimeout + 1);
+
+      await (await foreignProxy.claimPlaintiffWin(arbitrationID)).wait();
+
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+    });
+  });
+
+  describe("Funding appeals", () => {
+    let arbitratorDisputeID;
+
+    beforeEach("Create the dispute and give an appealable ruling", async () => {
+      await (await requestDispute()).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (await payDefendantFee()).wait();
+
+      ({ arbitratorDisputeID } = await foreignProxy.arbitrations(arbitrationID));
+      await (await arbitrator.giveRuling(arbitratorDisputeID, FP.Party.Defendant)).wait();
+    });
+
+    it("Should account the contributions in tokens", async () => {
+      const appealFee = await getAppealFee(FP.Party.Defendant);
+
+      await (await fundAppeal(FP.Party.Defendant, appealFee.mul(2))).wait();
+
+      const { paidFees, fullyPaid, feeRewards } = await foreignProxy.getRoundInfo(arbitrationID, 0);
+      expect(paidFees[FP.Party.Defendant]).to.equal(appealFee);
+      expect(fullyPaid[FP.Party.Defendant]).to.equal(true);
+      expect(feeRewards).to.equal(appealFee);
+      expect(await token.balanceOf(await crowdfunder.getAddress())).to.equal(initialBalance.sub(appealFee));
+    });
+
+    it("Should not allow to contribute in ETH", async () => {
+      await expect(
+        foreignProxy.connect(crowdfunder).fundAppeal(arbitrationID, FP.Party.Defendant, { value: 1 })
+      ).to.be.revertedWith("Invalid payment token");
+    });
+
+    it("Should convert the appeal cost into ETH once both sides are funded", async () => {
+      const defendantFee = await getAppealFee(FP.Party.Defendant);
+      const plaintiffFee = await getAppealFee(FP.Party.Plaintiff);
+      const appealCost = toTokens(await arbitrator.appealCost(arbitratorDisputeID, config.arbitratorExtraData));
+
+      await (await fundAppeal(FP.Party.Defendant, defendantFee)).wait();
+      await (await fundAppeal(FP.Party.Plaintiff, plaintiffFee)).wait();
+
+      expect(await foreignProxy.getNumberOfRounds(arbitrationID)).to.equal(2);
+      const { feeRewards } = await foreignProxy.getRoundInfo(arbitrationID, 0);
+      expect(feeRewards).to.equal(defendantFee.add(plaintiffFee).sub(appealCost));
+      expect(await token.balanceOf(swapAdapter.address)).to.equal(deposit.add(appealCost));
+    });
+
+    it("Should withdraw the rewards in tokens", async () => {
+      const defendantFee = await getAppealFee(FP.Party.Defendant);
+      const plaintiffFee = await getAppealFee(FP.Party.Plaintiff);
+      await (await fundAppeal(FP.Party.Defendant, defendantFee)).wait();
+      await (await fundAppeal(FP.Party.Plaintiff, plaintiffFee, plaintiff)).wait();
+
+      const appealDisputeID = await arbitrator.getAppealDisputeID(arbitratorDisputeID);
+      await (await arbitrator.giveRuling(appealDisputeID, FP.Party.Defendant)).wait();
+      await increaseTime(config.appealTimeout + 1);
+      await (await arbitrator.giveRuling(appealDisputeID, FP.Party.Defendant)).wait();
+
+      const { feeRewards } = await foreignProxy.getRoundInfo(arbitrationID, 0);
+      const beneficiary = await crowdfunder.getAddress();
+      expect(await foreignProxy.getTotalWithdrawableAmount(arbitrationID, beneficiary)).to.equal(feeRewards);
+
+      await (await foreignProxy.batchWithdrawFeesAndRewards(arbitrationID, beneficiary, 0, 0)).wait();
+
+      expect(await token.balanceOf(beneficiary)).to.equal(initialBalance.sub(defendantFee).add(feeRewards));
+    });
+  });
+
+  describe("Foreign proxy client", () => {
+    function foreignClient(signer) {
+      return createForeignProxyClient({ address: foreignProxy.address, signerOrProvider: signer });
+    }
+
+    it("Should pay the required amounts in tokens by default", async () => {
+      await (
+        await foreignClient(plaintiff).requestDisputeWithToken(arbitrable.address, arbitrableItemID, token.address)
+      ).wait();
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+      await (await foreignClient(defendant).payDefendantFeeWithToken(arbitrationID)).wait();
+
+      const arbitration = await foreignClient(plaintiff).getArbitration(arbitrationID);
+      expect(arbitration.status).to.equal("Ongoing");
+      expect(arbitration.token).to.equal(token.address);
+
+      await (await arbitrator.giveRuling(arbitration.arbitratorDisputeID, FP.Party.Defendant)).wait();
+      const remaining = await foreignClient(crowdfunder).getRemainingAppealFee(arbitrationID, "Plaintiff");
+      expect(remaining).to.equal(await getAppealFee(FP.Party.Plaintiff));
+
+      await (await foreignClient(crowdfunder).fundAppealWithToken(arbitrationID, "Plaintiff")).wait();
+
+      const { fullyPaid } = await foreignClient(crowdfunder).getRoundInfo(arbitrationID, 0);
+      expect(fullyPaid.Plaintiff).to.equal(true);
+      expect(await token.balanceOf(await crowdfunder.getAddress())).to.equal(initialBalance.sub(remaining));
+    });
+  });
+
+  describe("Pending token balances", () => {
+    beforeEach("Request and reject the dispute with the plaintiff blocked", async () => {
+      await increaseTime(config.disputeTimeout + 1);
+      await (await requestDispute()).wait();
+      await (await token.setBlocked(await plaintiff.getAddress(), true)).wait();
+    });
+
+    it("Should credit the tokens when the transfer returns false", async () => {
+      const txPromise = homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID);
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "PendingTokenBalanceCredited")
+        .withArgs(token.address, await plaintiff.getAddress(), deposit);
+      expect(await foreignProxy.pendingTokenBalances(token.address, await plaintiff.getAddress())).to.equal(deposit);
+      expect(await token.balanceOf(foreignProxy.address)).to.equal(deposit);
+    });
+
+    it("Should credit the tokens when the transfer returns data which is not a boolean", async () => {
+      await (await token.setMalformedReturnData(true)).wait();
+
+      const txPromise = homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID);
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "PendingTokenBalanceCredited")
+        .withArgs(token.address, await plaintiff.getAddress(), deposit);
+      expect(await foreignProxy.pendingTokenBalances(token.address, await plaintiff.getAddress())).to.equal(deposit);
+    });
+
+    it("Should let the account withdraw its pending token balance once it accepts the tokens", async () => {
+      await (await homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID)).wait();
+      await (await token.setBlocked(await plaintiff.getAddress(), false)).wait();
+
+      const txPromise = foreignProxy
+        .connect(plaintiff)
+        .withdrawPendingTokenBalance(token.address, await plaintiff.getAddress());
+
+      await expect(txPromise)
+        .to.emit(foreignProxy, "PendingTokenBalanceWithdrawn")
+        .withArgs(token.address, await plaintiff.getAddress(), await plaintiff.getAddress(), deposit);
+      expect(await foreignProxy.pendingTokenBalances(token.address, await plaintiff.getAddress())).to.equal(0);
+      expect(await token.balanceOf(await plaintiff.getAddress())).to.equal(initialBalance);
+    });
+
+    it("Should keep the pending token balance when the withdrawal fails", async () => {
+      await (await homeProxy.relayDisputeRejected(arbitrable.address, arbitrableItemID)).wait();
+
+      await expect(
+        foreignProxy.connect(plaintiff).withdrawPendingTokenBalance(token.address, await plaintiff.getAddress())
+      ).to.be.revertedWith("Withdrawal failed");
+      expect(await foreignProxy.pendingTokenBalances(token.address, await plaintiff.getAddress())).to.equal(deposit);
+    });
+    it("Should not allow to withdraw an empty pending token balance", async () => {
+      await expect(
+        foreignProxy.connect(crowdfunder).withdrawPendingTokenBalance(token.address, await crowdfunder.getAddress())
+      ).to.be.revertedWith("No pending balance");
+    });
+  });
+
+  describe("Governance", () => {
+    it("Should allow the governor to change the swap adapter of a token", async () => {
+      await (await foreignProxy.connect(governor).changeSwapAdapter(token.address, governor.getAddress())).wait();
+
+      expect(await foreignProxy.swapAdapters(token.address)).to.equal(await governor.getAddress());
+    });
+
+    it("Should not allow other addresses to change the swap adapter of a token", async () => {
+      await expect(
+        foreignProxy.connect(crowdfunder).changeSwapAdapter(token.address, ethers.constants.AddressZero)
+      ).to.be.revertedWith("Only governor allowed");
+    });
+
+    it("Should not allow other addresses to convert the deposits and create disputes", async () => {
+      await expect(
+        foreignProxy.convertAndCreateDispute(arbitrator.address, token.address, 1, 1, config.arbitratorExtraData)
+      ).to.be.revertedWith("Only self allowed");
+    });
+  });
+
+  function toTokens(ethAmount) {
+    return BigNumber.from(ethAmount).mul(config.tokenRate).div(BigInt(1e18));
+  }
+
+  async function getAppealFee(party) {
+    return foreignProxy.getTokenAmount(token.address, await foreignProxy.getAppealFee(arbitrationID, party));
+  }
+
+  function requestDispute(amount = deposit) {
+    return foreignProxy
+      .connect(plaintiff)
+      .requestDisputeWithToken(arbitrable.address, arbitrableItemID, token.address, amount);
+  }
+
+  function payDefendantFee(amount = deposit) {
+    return foreignProxy.connect(defendant).payDefendantFeeWithToken(arbitrationID, token.address, amount);
+  }
+
+  function fundAppeal(party, amount, signer = crowdfunder) {
+    return foreignProxy.connect(signer).fundAppealWithToken(arbitrationID, party, token.address, amount);
+  }
+});
@@ -0,0 +1,303 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, run } = require("@nomiclabs/buidler");
+const { solidity } = require("ethereum-waffle");
+const { use, expect } = require("chai");
+const { getAbi } = require("../src/contracts");
+const {
+  deployMockAMB,
+  deployMockArbitrator,
+  deployUpgradeableHomeProxy,
+  deployUpgradeableForeignProxy,
+  upgradeProxy,
+} = require("../src/deploy");
+const { compareStorageLayouts } = require("../src/storageLayout");
+const { getEmittedEvent } = require("./helpers/events");
+const { defaults } = require("./helpers/fixtures");
+const FP = require("./helpers/ForeignProxy");
+const HP = require("./helpers/HomeProxy");
+
+use(solidity);
+
+describe("Upgradeable proxies", () => {
+  const network = "buidlerevm";
+
+  let governor;
+  let other;
+
+  let deploymentsDir;
+
+  beforeEach("Create the deployments directory", async () => {
+    [governor, , , other] = await ethers.getSigners();
+    deploymentsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach("Remove the deployments directory", async () => {
+    await fs.promises.rmdir(deploymentsDir, { recursive: true });
+  });
+
+  describe("Deployment and upgrades", () => {
+    let homeProxy;
+    let foreignProxy;
+
+    beforeEach("Deploy and link the upgradeable proxies", async () => {
+      const homeAddress = await run("deploy:home", { mocks: true, upgradeable: true, deploymentsDir });
+      const foreignAddress = await run("deploy:foreign", { mocks: true, upgradeable: true, deploymentsDir });
+      await run("link", { homeNetwork: network, foreignNetwork: network, deploymentsDir });
+
+      homeProxy = await ethers.getContractAt("HomeBinaryArbitrationProxy", homeAddress);
+      foreignProxy = await ethers.getContractAt(getAbi("ForeignBinaryArbitrationProxy"), foreignAddress);
+    });
+
+    it("Should deploy the proxies with the settings of their implementation", async () => {
+      const { contracts } = await loadDeployments();
+      const foreignImplementation = await ethers.getContractAt(
+        getAbi("ForeignBinaryArbitrationProxy"),
+        contracts.ForeignBinaryArbitrationProxy.implementation.address
+      );
+      const receiveRuling = homeProxy.interface.getSighash("receiveRuling");
+      const receiveDefendantFee = foreignProxy.interface.getSighash("receiveDefendantFee");
+
+      expect(foreignProxy.address).not.to.equal(foreignImplementation.address);
+      expect(await foreignProxy.governor()).to.equal(await governor.getAddress());
+      expect(await foreignProxy.arbitrator()).to.equal(contracts.MockAppealableArbitrator.address);
+      expect(await foreignProxy.feeDepositTimeout()).to.equal(await foreignImplementation.feeDepositTimeout());
+      expect(await foreignProxy.loserStakeMultiplier()).to.equal(await foreignImplementation.loserStakeMultiplier());
+      expect(await foreignProxy.messageGasLimits(receiveRuling)).to.equal(500000);
+      expect(await homeProxy.governor()).to.equal(await governor.getAddress());
+      expect(await homeProxy.amb()).to.equal(contracts.HomeBinaryArbitrationProxy.implementation.args[0]);
+      expect(await homeProxy.messageGasLimits(receiveDefendantFee)).to.equal(1000000);
+
+      const upgradeabilityProxy = await ethers.getContractAt("GovernedUpgradeabilityProxy", foreignProxy.address);
+      expect(await upgradeabilityProxy.implementation()).to.equal(foreignImplementation.address);
+      expect(contracts.ForeignBinaryArbitrationProxy.implementation.storageLayout.map(({ label }) => label)).to.include(
+        "arbitrations"
+      );
+    });
+
+    it("Should only let the governor upgrade the implementation", async () => {
+      const upgradeabilityProxy = await getUpgradeabilityProxy(foreignProxy);
+      const { contracts } = await loadDeployments();
+      const implementation = contracts.ForeignBinaryArbitrationProxy.implementation.address;
+
+      await expect(upgradeabilityProxy.connect(other).upgradeTo(implementation)).to.be.revertedWith(
+        "Only governor allowed"
+      );
+      await expect(upgradeabilityProxy.upgradeTo(await other.getAddress())).to.be.revertedWith(
+        "Implementation is not a contract"
+      );
+      await expect(upgradeabilityProxy.upgradeTo(implementation))
+        .to.emit(upgradeabilityProxy, "Upgraded")
+        .withArgs(implementation);
+    });
+
+    it("Should not let the proxies be initialized again", async () => {
+      await expect(homeProxy.connect(other).initialize()).to.be.revertedWith("Already initialized");
+      await expect(foreignProxy.connect(other).initialize()).to.be.revertedWith("Already initialized");
+    });
+
+    it("Should not upgrade when the storage layout of the implementation is not compatible", async () => {
+      // Pretend the deployed implementation had one state variable less before `arbitrations`.
+      const deployments = await loadDeployments();
+      const { implementation } = deployments.contracts.ForeignBinaryArbitrationProxy;
+      const arbitrationsSlot = implementation.storageLayout.find(({ label }) => label === "arbitrations").slot;
+      implementation.storageLayout = implementation.storageLayout
+        .filter(({ label }) => label !== "pendingBalances")
+        .map((variable) => (variable.slot >= arbitrationsSlot ? { ...variable, slot: variable.slot - 1 } : variable));
+      await saveDeployments(deployments);
+
+      const err = await run("upgrade", { proxy: "foreign", deploymentsDir }).catch((err) => err);
+
+      expect(err.message).to.include("The upgrade would corrupt the storage of ForeignBinaryArbitrationProxy");
+      expect(err.message).to.include(`arbitrations: Moved from slot ${arbitrationsSlot - 1}`);
+      expect(err.message).to.include("disputeParamChanges: Moved");
+      expect(await (await getUpgradeabilityProxy(foreignProxy)).implementation()).to.equal(implementation.address);
+    });
+
+    it("Should only check the proxies deployed as upgradeable", async () => {
+      await run("deploy:home", { mocks: true, deploymentsDir });
+
+      const err = await run("upgrade:check", { proxy: "home", deploymentsDir }).catch((err) => err);
+
+      expect(err.message).to.equal("HomeBinaryArbitrationProxy is not deployed as upgradeable on buidlerevm");
+    });
+
+    async function getUpgradeabilityProxy(proxy) {
+      return ethers.getContractAt("GovernedUpgradeabilityProxy", proxy.address);
+    }
+
+    async function loadDeployments() {
+      return JSON.parse(await fs.promises.readFile(path.join(deploymentsDir, `${network}.json`), "utf8"));
+    }
+
+    async function saveDeployments(deployments) {
+      await fs.promises.writeFile(path.join(deploymentsDir, `${network}.json`), JSON.stringify(deployments));
+    }
+  });
+
+  describe("State across upgrades", () => {
+    it("Should keep the arbitrations and the arbitrable items", async () => {
+      const { contract: amb } = await deployMockAMB(governor);
+      const { contract: arbitrator } = await deployMockArbitrator(governor, defaults);
+      const home = await deployUpgradeableHomeProxy(governor, { amb: amb.address });
+      const foreign = await deployUpgradeableForeignProxy(governor, {
+        ...defaults,
+        amb: amb.address,
+        arbitrator: arbitrator.address,
+      });
+      const homeProxy = await ethers.getContractAt("HomeBinaryArbitrationProxy", home.contract.address);
+      const foreignProxy = await ethers.getContractAt(
+        getAbi("ForeignBinaryArbitrationProxy"),
+        foreign.contract.address
+      );
+      // The mock AMB reports the messages as coming from chain 0.
+      await (await foreignProxy.setHomeProxy(homeProxy.address, 0)).wait();
+      await (await homeProxy.setForeignProxy(foreignProxy.address, 0)).wait();
+
+      const Arbitrable = await ethers.getContractFactory("MockArbitrable");
+      const arbitrable = await Arbitrable.deploy(
+        defaults.metaEvidence,
+        homeProxy.address,
+        defaults.arbitratorExtraData,
+        defaults.disputeTimeout
+      );
+      await (await arbitrable.registerForArbitration(0)).wait();
+      const receipt = await (await arbitrable.createItem()).wait();
+      const arbitrableItemID = getEmittedEvent("ItemCreated", receipt).args._arbitrableItemID;
+      const arbitrationID = await foreignProxy.getArbitrationID(arbitrable.address, arbitrableItemID);
+      await (
+        await foreignProxy.requestDispute(arbitrable.address, arbitrableItemID, { value: defaults.arbitrationFee })
+      ).wait();
+
+      const { implementation } = await upgradeProxy(governor, {
+        contractName: "ForeignBinaryArbitrationProxy",
+        address: foreignProxy.address,
+        args: foreign.deployment.implementation.args,
+      });
+      await upgradeProxy(governor, {
+        contractName: "HomeBinaryArbitrationProxy",
+        address: homeProxy.address,
+        args: home.deployment.implementation.args,
+      });
+
+      const upgradeabilityProxy = await ethers.getContractAt("GovernedUpgradeabilityProxy", foreignProxy.address);
+      expect(await upgradeabilityProxy.implementation()).to.equal(implementation.address);
+      expect(implementation.address).not.to.equal(foreign.deployment.implementation.address);
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.Requested);
+      expect((await homeProxy.arbitrableItems(arbitrable.address, arbitrableItemID)).status).to.equal(
+        HP.Status.Accepted
+      );
+
+      await (await homeProxy.relayDisputeAccepted(arbitrable.address, arbitrableItemID)).wait();
+
+      expect((await foreignProxy.arbitrations(arbitrationID)).status).to.equal(FP.Status.DepositPending);
+    });
+  });
+
+  describe("Storage layout comparison", () => {
+    let foreignLayout;
+    let homeLayout;
+
+    before("Get the storage layouts", async () => {
+      foreignLayout = await run("storage:layout", { contractName: "ForeignBinaryArbitrationProxy" });
+      homeLayout = await run("storage:layout", { contractName: "HomeBinaryArbitrationProxy" });
+    });
+
+    it("Should accept the same layout", async () => {
+      expect(compareStorageLayouts(foreignLayout, foreignLayout)).to.deep.equal([]);
+      expect(compareStorageLayouts(homeLayout, homeLayout)).to.deep.equal([]);
+    });
+
+    it("Should accept new state variables after the existing ones", async () => {
+      const next = [...foreignLayout, { label: "newVariable", slot: 100, offset: 0, type: uint256() }];
+
+      expect(compareStorageLayouts(foreignLayout, next)).to.deep.equal([]);
+    });
+
+    it("Should reject removed state variables", async () => {
+      const next = foreignLayout.filter(({ label }) => label !== "disputeParamChanges");
+
+      expect(compareStorageLayouts(foreignLayout, next)).to.deep.equal([
+        { label: "disputeParamChanges", problem: "Removed or renamed" },
+      ]);
+    });
+
+    it("Should accept new members at the end of the structs stored in a mapping", async () => {
+      const next = withArbitrationMembers(foreignLayout, (members) => [
+        ...members,
+        { label: "newMember", slot: 11, offset: 0, type: uint256() },
+      ]);
+
+      expect(compareStorageLayouts(foreignLayout, next)).to.deep.equal([]);
+    });
+
+    it("Should reject new members in the middle of the structs", async () => {
+      const next = withArbitrationMembers(foreignLayout, (members) => [
+        ...members.slice(0, 3),
+        { label: "newMember", slot: 1, offset: 0, type: uint256() },
+        ...members.slice(3).map((member) => ({ ...member, slot: member.slot + 1 })),
+      ]);
+
+      const problems = compareStorageLayouts(foreignLayout, next);
+
+      expect(problems.map(({ label }) => label)).to.deep.equal(["arbitrations"]);
+      expect(problems[0].problem).to.include("lost the member requestedAt");
+    });
+
+    it("Should reject new members in the structs stored in an array", async () => {
+      const next = withArbitrationMembers(foreignLayout, (members) =>
+        members.map((member) => {
+          if (member.label !== "rounds") {
+            return member;
+          }
+          const { base } = member.type;
+          const newMember = { label: "newMember", slot: base.members.length, offset: 0, type: uint256() };
+          return { ...member, type: { ...member.type, base: { ...base, members: [...base.members, newMember] } } };
+        })
+      );
+
+      const problems = compareStorageLayouts(foreignLayout, next);
+
+      expect(problems.map(({ label }) => label)).to.deep.equal(["arbitrations"]);
+      expect(problems[0].problem).to.include("has new members but is not the value of a mapping");
+    });
+
+    it("Should reject members which change their type", async () => {
+      const next = clone(homeLayout);
+      const item = next.find(({ label }) => label === "arbitrableItems").type.value.value;
+      item.members.find(({ label }) => label === "arbitratorDisputeID").type = {
+        ...uint256(),
+        label: "uint128",
+        numberOfBytes: 16,
+      };
+
+      const problems = compareStorageLayouts(homeLayout, next);
+
+      expect(problems.map(({ label }) => label)).to.deep.equal(["arbitrableItems"]);
+      expect(problems[0].problem).to.include("uint256 became uint128");
+    });
+
+    it("Should accept addresses which become contracts", async () => {
+      const next = clone(foreignLayout);
+      next.find(({ label }) => label === "valueBridge").type.label = "contract IValueBridge";
+
+      expect(compareStorageLayouts(foreignLayout, next)).to.deep.equal([]);
+    });
+
+    function withArbitrationMembers(layout, mapMembers) {
+      const next = clone(layout);
+      const arbitration = next.find(({ label }) => label === "arbitrations").type.value;
+      arbitration.members = mapMembers(arbitration.members);
+      return next;
+    }
+
+    function uint256() {
+      return { encoding: "inplace", label: "uint256", numberOfBytes: 32 };
+    }
+
+    function clone(value) {
+      return JSON.parse(JSON.stringify(value));
+    }
+  });
+});
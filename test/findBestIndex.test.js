@@ -1,35 +1,5 @@
 const assert = require("assert");
-
-/**
- * Port from the equivalent function implemented in BinaryForeignArbitrationProxy.
- * This was extracted to make it easier to run tests against the algorithm.
- *
- * It is a slight variation of the Binary Search Rightmost algorithm:
- * https://en.wikipedia.org/wiki/Binary_search_algorithm#Procedure_for_finding_the_leftmost_element
- */
-function findBestIndex(list, value) {
-  if (list.length === 0 || list[0] > value) {
-    throw new Error("Not found");
-  }
-
-  let left = 0;
-  let right = list.length;
-
-  if (value > list[right - 1]) {
-    return right - 1;
-  }
-
-  while (left < right) {
-    let pivot = Math.floor((left + right) / 2);
-    if (list[pivot] <= value) {
-      left = pivot + 1;
-    } else {
-      right = pivot;
-    }
-  }
-
-  return right - 1;
-}
+const { findBestIndex } = require("../src/disputeParams");
 
 describe("findBestIndex", () => {
   it("Should find the proper indexes", () => {
@@ -1,14 +1,6 @@
+const { ForeignStatus, Party } = require("../../src/enums");
+
 module.exports = {
-  Party: {
-    None: 0,
-    Defendant: 1,
-    Plaintiff: 2,
-  },
-  Status: {
-    None: 0,
-    Requested: 1,
-    DepositPending: 2,
-    Ongoing: 3,
-    Ruled: 4,
-  },
+  Party,
+  Status: ForeignStatus,
 };
@@ -1,8 +1,5 @@
+const { HomeStatus } = require("../../src/enums");
+
 module.exports = {
-  Status: {
-    None: 0,
-    Rejected: 1,
-    Accepted: 2,
-    Ruled: 3,
-  },
+  Status: HomeStatus,
 };
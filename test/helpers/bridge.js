@@ -0,0 +1,182 @@
+const { ethers } = require("@nomiclabs/buidler");
+
+// Enough for `MockAsyncAMB.MAX_GAS_PER_TX` plus the bookkeeping of the execution.
+const EXECUTION_GAS_LIMIT = 3000000;
+
+/**
+ * Simulates the asynchronous delivery of messages between two `MockAsyncAMB`s deployed on the same test chain.
+ * Messages sent through either AMB are queued until the test delivers or drops them, in whatever order it wants.
+ * The `name` and `payload` of each message refer to the message handler, even if it is wrapped in `receiveMessage`.
+ * @param {object} params
+ * @param {ethers.Contract} params.homeAMB The AMB used by the home proxy.
+ * @param {ethers.Contract} params.foreignAMB The AMB used by the foreign proxy.
+ * @param {ethers.utils.Interface[]} [params.interfaces] Used to decode the name of the function called by each message.
+ * @return {object} The bridge.
+ */
+function createBridge({ homeAMB, foreignAMB, interfaces = [] }) {
+  const sides = [
+    { source: homeAMB, destination: foreignAMB, direction: "homeToForeign" },
+    { source: foreignAMB, destination: homeAMB, direction: "foreignToHome" },
+  ];
+  const queue = [];
+  const delivered = [];
+  const dropped = [];
+  let fromBlock = 0;
+
+  function decodeFunction(data) {
+    for (const iface of interfaces) {
+      try {
+        return iface.parseTransaction({ data });
+      } catch (_) {
+        // Not a function of this interface.
+      }
+    }
+    return undefined;
+  }
+
+  function decodeEventName(log) {
+    for (const iface of interfaces) {
+      try {
+        return iface.parseLog(log).name;
+      } catch (_) {
+        // Not an event of this interface.
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Decodes the message handler called by a message, unwrapping it from `receiveMessage` if needed.
+   * @param {string} data The calldata of the message.
+   * @return {{name: string|undefined, payload: string}} The name of the handler and its calldata.
+   */
+  function decodeHandler(data) {
+    const decoded = decodeFunction(data);
+    if (decoded && decoded.name === "receiveMessage") {
+      return decodeHandler(decoded.args._data);
+    }
+    return { name: decoded && decoded.name, payload: data };
+  }
+
+  /**
+   * Queues the messages sent since the last sync.
+   */
+  async function sync() {
+    const toBlock = await ethers.provider.getBlockNumber();
+    if (toBlock < fromBlock) {
+      return;
+    }
+
+    const messages = [];
+    for (const { source, destination, direction } of sides) {
+      const sourceChainId = await source.chainId();
+      const events = await source.queryFilter(source.filters.MessageQueued(), fromBlock, toBlock);
+      for (const { args, blockNumber, logIndex } of events) {
+        const { name, payload } = decodeHandler(args._data);
+        messages.push({
+          id: args._messageId,
+          direction,
+          destination,
+          sender: args._sender,
+          contract: args._contract,
+          data: args._data,
+          gas: args._gas,
+          sourceChainId,
+          name,
+          payload,
+          blockNumber,
+          logIndex,
+        });
+      }
+    }
+
+    messages.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    queue.push(...messages);
+    fromBlock = toBlock + 1;
+  }
+
+  function take(message) {
+    const index = queue.findIndex(({ id }) => id === message.id);
+    if (index === -1) {
+      throw new Error(`Message ${message.id} is not pending`);
+    }
+    return queue.splice(index, 1)[0];
+  }
+
+  /**
+   * Gets the messages waiting to be delivered, in the order they were sent.
+   * @param {string} [name] Only get the messages calling this function.
+   * @return {Promise<object[]>} The messages.
+   */
+  async function pending(name) {
+    await sync();
+    return queue.filter((message) => name === undefined || message.name === name);
+  }
+
+  /**
+   * Delivers a pending message, executing it on the other side of the bridge.
+   * @param {object} message The message.
+   * @param {object} [options]
+   * @param {number} [options.sourceChainId] Overrides the chain the message is said to come from.
+   * @param {string} [options.sender] Overrides the contract the message is said to come from.
+   * @return {Promise<{status: boolean, failed: boolean, receipt: object}>} Whether the execution succeeded, whether
+   * the message handler failed and was recorded by the destination proxy, and the transaction receipt.
+   */
+  async function deliver(message, { sourceChainId = message.sourceChainId, sender = message.sender } = {}) {
+    await sync();
+    const { id, destination, contract, data, gas } = take(message);
+
+    const tx = await destination.executeMessage(id, sender, contract, data, gas, sourceChainId, {
+      gasLimit: EXECUTION_GAS_LIMIT,
+    });
+    const receipt = await tx.wait();
+    const { _status: status } = receipt.events.find(({ event }) => event === "RelayedMessage").args;
+    const failed = receipt.logs.some((log) => decodeEventName(log) === "MessageFailed");
+
+    delivered.push({ ...message, status, failed });
+    return { status, failed, receipt };
+  }
+
+  /**
+   * Drops a pending message, which will never be delivered.
+   * @param {object} message The message.
+   */
+  async function drop(message) {
+    await sync();
+    dropped.push(take(message));
+  }
+
+  /**
+   * Delivers the pending messages, including the ones sent while executing them, until there are none left.
+   * @param {object} [options]
+   * @param {boolean} [options.reverse] Delivers the newest message first.
+   * @return {Promise<boolean[]>} The execution status of each delivered message.
+   */
+  async function deliverAll({ reverse = false } = {}) {
+    const statuses = [];
+    let messages = await pending();
+    while (messages.length > 0) {
+      const { status } = await deliver(reverse ? messages[messages.length - 1] : messages[0]);
+      statuses.push(status);
+      messages = await pending();
+    }
+    return statuses;
+  }
+
+  return {
+    pending,
+    deliver,
+    drop,
+    deliverAll,
+    get delivered() {
+      return [...delivered];
+    },
+    get dropped() {
+      return [...dropped];
+    },
+  };
+}
+
+module.exports = {
+  createBridge,
+};
@@ -0,0 +1,232 @@
+const { ethers } = require("@nomiclabs/buidler");
+const { getAbi, getBytecode } = require("../../src/contracts");
+const { deployLibraries } = require("../../src/deploy");
+const { createBridge } = require("./bridge");
+
+const { BigNumber } = ethers;
+
+const defaults = {
+  metaEvidence: "ipfs/X",
+  arbitratorExtraData: "0x00",
+  disputeTimeout: 600,
+  feeDepositTimeout: 100,
+  requestTimeout: 200,
+  appealTimeout: 3600,
+  sharedMultiplier: BigNumber.from(10000),
+  winnerMultiplier: BigNumber.from(5000),
+  loserMultiplier: BigNumber.from(20000),
+  arbitrationFee: BigNumber.from(BigInt(1e18)),
+  numberOfRulingOptions: 3,
+  plaintiffRuling: 1,
+  // 2 tokens per ETH
+  tokenRate: BigNumber.from(BigInt(2e18)),
+  swapAdapterBalance: BigNumber.from(BigInt(100e18)),
+  // Chain IDs simulated by the asynchronous bridge
+  homeChainId: 100,
+  foreignChainId: 1,
+};
+
+/**
+ * Gets the factory of a foreign proxy, linked to a fresh deployment of its libraries.
+ * @param {ethers.Signer} signer The deployer.
+ * @param {string} [contractName] The name of the foreign proxy contract. The binary one by default.
+ * @return {Promise<ethers.ContractFactory>} The contract factory.
+ */
+async function getForeignProxyFactory(signer, contractName = "ForeignBinaryArbitrationProxy") {
+  const libraries = await deployLibraries(contractName, signer);
+  return ethers.getContractFactory(getAbi(contractName), getBytecode(contractName, libraries), signer);
+}
+
+/**
+ * Deploys and links a pair of binary arbitration proxies, with a mock arbitrator, AMB, value bridge and arbitrable.
+ * @param {object} [params] Overrides for the default deployment params.
+ * @return {Promise<object>} The deployed contracts and the params used.
+ */
+async function deployBinaryArbitrationFixture(params = {}) {
+  const config = { ...defaults, ...params };
+  const [governor] = await ethers.getSigners();
+
+  const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator", governor);
+  const arbitrator = await Arbitrator.deploy(config.arbitrationFee, config.appealTimeout);
+  await arbitrator.deployed();
+  // Make appeals go to the same arbitrator
+  await arbitrator.changeArbitrator(arbitrator.address);
+
+  const AMB = await ethers.getContractFactory("MockAMB", governor);
+  const amb = await AMB.deploy();
+
+  const HomeProxy = await ethers.getContractFactory("HomeBinaryArbitrationProxy", governor);
+  const homeProxy = await HomeProxy.deploy(amb.address);
+
+  const ForeignProxy = await getForeignProxyFactory(governor);
+  const foreignProxy = await ForeignProxy.deploy(
+    amb.address,
+    arbitrator.address,
+    config.feeDepositTimeout,
+    config.requestTimeout,
+    config.sharedMultiplier,
+    config.winnerMultiplier,
+    config.loserMultiplier
+  );
+
+  await (await foreignProxy.setHomeProxy(homeProxy.address, "0")).wait();
+  await (await homeProxy.setForeignProxy(foreignProxy.address, "0")).wait();
+
+  const ValueBridge = await ethers.getContractFactory("MockValueBridge", governor);
+  const valueBridge = await ValueBridge.deploy();
+
+  await (await homeProxy.changeValueBridge(valueBridge.address)).wait();
+  await (await foreignProxy.changeValueBridge(valueBridge.address)).wait();
+
+  const Arbitrable = await ethers.getContractFactory("MockArbitrable", governor);
+  const arbitrable = await Arbitrable.deploy(
+    config.metaEvidence,
+    homeProxy.address,
+    config.arbitratorExtraData,
+    config.disputeTimeout
+  );
+
+  return { arbitrator, amb, valueBridge, homeProxy, foreignProxy, arbitrable, config };
+}
+
+/**
+ * Deploys and links a pair of multi-outcome arbitration proxies, with a mock arbitrator, AMB and arbitrable.
+ * @param {object} [params] Overrides for the default deployment params.
+ * @return {Promise<object>} The deployed contracts and the params used.
+ */
+async function deployMultiOutcomeArbitrationFixture(params = {}) {
+  const config = { ...defaults, ...params };
+  const [governor] = await ethers.getSigners();
+
+  const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator", governor);
+  const arbitrator = await Arbitrator.deploy(config.arbitrationFee, config.appealTimeout);
+  await arbitrator.deployed();
+  // Make appeals go to the same arbitrator
+  await arbitrator.changeArbitrator(arbitrator.address);
+
+  const AMB = await ethers.getContractFactory("MockAMB", governor);
+  const amb = await AMB.deploy();
+
+  const HomeProxy = await ethers.getContractFactory("HomeMultiOutcomeArbitrationProxy", governor);
+  const homeProxy = await HomeProxy.deploy(amb.address);
+
+  const ForeignProxy = await getForeignProxyFactory(governor, "ForeignMultiOutcomeArbitrationProxy");
+  const foreignProxy = await ForeignProxy.deploy(
+    amb.address,
+    arbitrator.address,
+    config.feeDepositTimeout,
+    config.requestTimeout,
+    config.sharedMultiplier,
+    config.winnerMultiplier,
+    config.loserMultiplier
+  );
+
+  await (await foreignProxy.setHomeProxy(homeProxy.address, "0")).wait();
+  await (await homeProxy.setForeignProxy(foreignProxy.address, "0")).wait();
+
+  const Arbitrable = await ethers.getContractFactory("MockMultiOutcomeArbitrable", governor);
+  const arbitrable = await Arbitrable.deploy(
+    config.metaEvidence,
+    homeProxy.address,
+    config.arbitratorExtraData,
+    config.disputeTimeout,
+    config.numberOfRulingOptions,
+    config.plaintiffRuling
+  );
+
+  return { arbitrator, amb, homeProxy, foreignProxy, arbitrable, config };
+}
+
+/**
+ * Deploys a pair of binary arbitration proxies along with a mock token which the foreign proxy accepts through a
+ * funded mock swap adapter.
+ * @param {object} [params] Overrides for the default deployment params.
+ * @return {Promise<object>} The deployed contracts and the params used.
+ */
+async function deployTokenPaymentFixture(params = {}) {
+  const fixture = await deployBinaryArbitrationFixture(params);
+  const { foreignProxy, config } = fixture;
+  const [governor] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockERC20", governor);
+  const token = await Token.deploy("Mock Token", "MOCK");
+
+  const SwapAdapter = await ethers.getContractFactory("MockSwapAdapter", governor);
+  const swapAdapter = await SwapAdapter.deploy();
+
+  await (await swapAdapter.setRate(token.address, config.tokenRate)).wait();
+  await (await governor.sendTransaction({ to: swapAdapter.address, value: config.swapAdapterBalance })).wait();
+  await (await foreignProxy.changeSwapAdapter(token.address, swapAdapter.address)).wait();
+
+  return { ...fixture, token, swapAdapter };
+}
+
+/**
+ * Deploys and links a pair of binary arbitration proxies which communicate through a simulated asynchronous bridge,
+ * with a mock arbitrator, value bridge and arbitrable.
+ * The messages are only delivered through the returned `bridge`. See `test/helpers/bridge.js`.
+ * @param {object} [params] Overrides for the default deployment params.
+ * @return {Promise<object>} The deployed contracts, the bridge and the params used.
+ */
+async function deployAsyncBridgeFixture(params = {}) {
+  const config = { ...defaults, ...params };
+  const [governor] = await ethers.getSigners();
+
+  const Arbitrator = await ethers.getContractFactory("MockAppealableArbitrator", governor);
+  const arbitrator = await Arbitrator.deploy(config.arbitrationFee, config.appealTimeout);
+  await arbitrator.deployed();
+  // Make appeals go to the same arbitrator
+  await arbitrator.changeArbitrator(arbitrator.address);
+
+  const AMB = await ethers.getContractFactory("MockAsyncAMB", governor);
+  const homeAMB = await AMB.deploy(config.homeChainId);
+  const foreignAMB = await AMB.deploy(config.foreignChainId);
+
+  const HomeProxy = await ethers.getContractFactory("HomeBinaryArbitrationProxy", governor);
+  const homeProxy = await HomeProxy.deploy(homeAMB.address);
+
+  const ForeignProxy = await getForeignProxyFactory(governor);
+  const foreignProxy = await ForeignProxy.deploy(
+    foreignAMB.address,
+    arbitrator.address,
+    config.feeDepositTimeout,
+    config.requestTimeout,
+    config.sharedMultiplier,
+    config.winnerMultiplier,
+    config.loserMultiplier
+  );
+
+  await (await foreignProxy.setHomeProxy(homeProxy.address, config.homeChainId)).wait();
+  await (await homeProxy.setForeignProxy(foreignProxy.address, config.foreignChainId)).wait();
+
+  const ValueBridge = await ethers.getContractFactory("MockValueBridge", governor);
+  const valueBridge = await ValueBridge.deploy();
+
+  await (await homeProxy.changeValueBridge(valueBridge.address)).wait();
+  await (await foreignProxy.changeValueBridge(valueBridge.address)).wait();
+
+  const Arbitrable = await ethers.getContractFactory("MockArbitrable", governor);
+  const arbitrable = await Arbitrable.deploy(
+    config.metaEvidence,
+    homeProxy.address,
+    config.arbitratorExtraData,
+    config.disputeTimeout
+  );
+
+  const bridge = createBridge({
+    homeAMB,
+    foreignAMB,
+    interfaces: [homeProxy.interface, foreignProxy.interface],
+  });
+
+  return { arbitrator, homeAMB, foreignAMB, bridge, valueBridge, homeProxy, foreignProxy, arbitrable, config };
+}
+
+module.exports = {
+  defaults,
+  getForeignProxyFactory,
+  deployBinaryArbitrationFixture,
+  deployTokenPaymentFixture,
+  deployAsyncBridgeFixture,
+  deployMultiOutcomeArbitrationFixture,
+};
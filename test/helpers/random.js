@@ -0,0 +1,30 @@
+/**
+ * Creates a seeded pseudo-random generator (mulberry32), so a failing sequence can be replayed from its seed.
+ * @param {number} seed The seed.
+ * @return {object} The generator.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function int(max) {
+    return Math.floor(next() * max);
+  }
+
+  function pick(list) {
+    return list[int(list.length)];
+  }
+
+  return { seed, next, int, pick };
+}
+
+module.exports = {
+  createRandom,
+};
@@ -1,4 +1,5 @@
 const {time} = require("@openzeppelin/test-helpers");
+const { ethers } = require("@nomiclabs/buidler");
 
 async function latestTime() {
   return Number(await time.latest());
@@ -8,6 +9,10 @@ async function increaseTime(secondsPassed) {
   return time.increase(secondsPassed);
 }
 
+async function setNextBlockTime(timestamp) {
+  return ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+}
+
 async function advanceBlock() {
   return time.advanceBlock();
 }
@@ -15,5 +20,6 @@ async function advanceBlock() {
 module.exports = {
   latestTime,
   increaseTime,
+  setNextBlockTime,
   advanceBlock,
 };